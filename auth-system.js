@@ -0,0 +1,345 @@
+// Authentication System for the Dashboard API
+// Local accounts with scrypt-hashed passwords, session cookies for the pages and API tokens for scripts,
+// all stored in data/auth.json. Users have one role: viewer (read-only), analyst (edits, chat and unmasking
+// customer PII) or admin (debug/schema routes, scoring settings and user management).
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Load .env before config when run from the command line (the server loads it itself)
+if (require.main === module) require('dotenv').config();
+const config = require('./config');
+
+const AUTH_STORE_PATH = path.resolve(__dirname, config.auth.path);
+
+// Lowest to highest; each role can do everything the roles before it can
+const ROLES = ['viewer', 'analyst', 'admin'];
+
+const SESSION_COOKIE = 'ralph_session';
+const TOKEN_PREFIX = 'rlt_';
+const MIN_PASSWORD_LENGTH = 10;
+
+// Checked against when the username doesn't exist, so a failed login takes as long either way
+const DUMMY_PASSWORD = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function loadAuthStore(storePath = AUTH_STORE_PATH) {
+    if (!fs.existsSync(storePath)) return { nextUserId: 1, nextTokenId: 1, users: [], sessions: [], tokens: [] };
+    return JSON.parse(fs.readFileSync(storePath, 'utf8'));
+}
+
+function saveAuthStore(store, storePath = AUTH_STORE_PATH) {
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    const tempPath = `${storePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(store, null, 2) + '\n', { mode: 0o600 });
+    fs.renameSync(tempPath, storePath);
+}
+
+// Session IDs and API tokens are stored as SHA-256 hashes, so a copy of the file can't be used to log in
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    return { salt, hash: crypto.scryptSync(password, salt, 64).toString('hex') };
+}
+
+function verifyPassword(password, stored) {
+    const { hash } = hashPassword(password, stored.salt);
+    return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(stored.hash, 'hex'));
+}
+
+function hasRole(user, role) {
+    return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// The user fields that are safe to send to the browser
+function publicUser(user) {
+    return { id: user.id, username: user.username, role: user.role, disabled: !!user.disabled, created_at: user.created_at };
+}
+
+function validateUserFields({ username, password, role }, { requireAll }) {
+    if ((requireAll || username !== undefined) && !/^[a-z0-9._-]{2,50}$/i.test(username || '')) {
+        return 'username must be 2-50 letters, numbers, dots, dashes or underscores';
+    }
+    if ((requireAll || password !== undefined) && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+        return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    if ((requireAll || role !== undefined) && !ROLES.includes(role)) {
+        return `role must be one of: ${ROLES.join(', ')}`;
+    }
+    return null;
+}
+
+function listUsers(storePath = AUTH_STORE_PATH) {
+    return loadAuthStore(storePath).users.map(publicUser);
+}
+
+// Returns { user }, { error } or { conflict } when the username is taken
+function createUser({ username, password, role }, storePath = AUTH_STORE_PATH) {
+    const error = validateUserFields({ username, password, role }, { requireAll: true });
+    if (error) return { error };
+
+    const store = loadAuthStore(storePath);
+    if (store.users.some(user => user.username.toLowerCase() === username.toLowerCase())) {
+        return { conflict: true };
+    }
+
+    const user = {
+        id: store.nextUserId++,
+        username,
+        role,
+        password: hashPassword(password),
+        disabled: false,
+        created_at: new Date().toISOString()
+    };
+    store.users.push(user);
+    saveAuthStore(store, storePath);
+    return { user: publicUser(user) };
+}
+
+// Change a user's role, password or disabled flag; a password change or disable ends their sessions
+// Returns { user }, { notFound } or { error }
+function updateUser(id, { role, password, disabled }, storePath = AUTH_STORE_PATH) {
+    const error = validateUserFields({ role, password }, { requireAll: false });
+    if (error) return { error };
+
+    const store = loadAuthStore(storePath);
+    const user = store.users.find(u => u.id === id);
+    if (!user) return { notFound: true };
+
+    const demoted = (role !== undefined && role !== 'admin') || disabled === true;
+    if (user.role === 'admin' && demoted && countActiveAdmins(store) === 1) {
+        return { error: 'At least one active admin is required' };
+    }
+
+    if (role !== undefined) user.role = role;
+    if (password !== undefined) user.password = hashPassword(password);
+    if (disabled !== undefined) user.disabled = !!disabled;
+    if (password !== undefined || disabled) {
+        store.sessions = store.sessions.filter(session => session.userId !== id);
+    }
+    saveAuthStore(store, storePath);
+    return { user: publicUser(user) };
+}
+
+// Remove a user with their sessions and API tokens; returns { deleted }, { notFound } or { error }
+function deleteUser(id, storePath = AUTH_STORE_PATH) {
+    const store = loadAuthStore(storePath);
+    const user = store.users.find(u => u.id === id);
+    if (!user) return { notFound: true };
+    if (user.role === 'admin' && !user.disabled && countActiveAdmins(store) === 1) {
+        return { error: 'At least one active admin is required' };
+    }
+
+    store.users = store.users.filter(u => u.id !== id);
+    store.sessions = store.sessions.filter(session => session.userId !== id);
+    store.tokens = store.tokens.filter(token => token.userId !== id);
+    saveAuthStore(store, storePath);
+    return { deleted: true };
+}
+
+function countActiveAdmins(store) {
+    return store.users.filter(user => user.role === 'admin' && !user.disabled).length;
+}
+
+// Check a username and password and open a session; returns { user, sessionId } or { error }
+function login(username, password, storePath = AUTH_STORE_PATH) {
+    const store = loadAuthStore(storePath);
+    const user = store.users.find(u => u.username.toLowerCase() === String(username || '').toLowerCase());
+
+    const passwordOk = verifyPassword(String(password || ''), user ? user.password : DUMMY_PASSWORD);
+    if (!user || !passwordOk || user.disabled) return { error: 'Invalid username or password' };
+
+    const sessionId = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    store.sessions = store.sessions.filter(session => session.expires_at > new Date(now).toISOString());
+    store.sessions.push({
+        id: hashSecret(sessionId),
+        userId: user.id,
+        created_at: new Date(now).toISOString(),
+        expires_at: new Date(now + config.auth.sessionHours * 3600 * 1000).toISOString()
+    });
+    saveAuthStore(store, storePath);
+    return { user: publicUser(user), sessionId };
+}
+
+function logout(sessionId, storePath = AUTH_STORE_PATH) {
+    const store = loadAuthStore(storePath);
+    store.sessions = store.sessions.filter(session => session.id !== hashSecret(sessionId));
+    saveAuthStore(store, storePath);
+}
+
+// Create an API token for a user; the secret is only returned here, the store keeps its hash
+function createToken(userId, name, storePath = AUTH_STORE_PATH) {
+    if (!name || typeof name !== 'string') return { error: 'name is required' };
+
+    const store = loadAuthStore(storePath);
+    const secret = TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+    const token = {
+        id: store.nextTokenId++,
+        userId,
+        name: name.trim().slice(0, 100),
+        hash: hashSecret(secret),
+        created_at: new Date().toISOString(),
+        last_used_at: null
+    };
+    store.tokens.push(token);
+    saveAuthStore(store, storePath);
+    return { token: publicToken(token), secret };
+}
+
+function publicToken(token) {
+    return { id: token.id, userId: token.userId, name: token.name, created_at: token.created_at, last_used_at: token.last_used_at };
+}
+
+// A user's tokens, or every token when userId is null (admins)
+function listTokens(userId, storePath = AUTH_STORE_PATH) {
+    return loadAuthStore(storePath).tokens
+        .filter(token => userId === null || token.userId === userId)
+        .map(publicToken);
+}
+
+// Revoke a token; userId limits it to that user's tokens (null lets admins revoke any)
+function revokeToken(id, userId, storePath = AUTH_STORE_PATH) {
+    const store = loadAuthStore(storePath);
+    const token = store.tokens.find(t => t.id === id && (userId === null || t.userId === userId));
+    if (!token) return { notFound: true };
+
+    store.tokens = store.tokens.filter(t => t !== token);
+    saveAuthStore(store, storePath);
+    return { revoked: true };
+}
+
+// Cookies by name. Only the session cookie is decoded: other apps on the same host can set cookies this server
+// never reads, and one that isn't valid percent-encoding must not fail every request. A session cookie that
+// can't be decoded is left out
+function parseCookies(header) {
+    const cookies = {};
+    (header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index <= 0) return;
+        const name = part.slice(0, index).trim();
+        const value = part.slice(index + 1).trim();
+        if (name !== SESSION_COOKIE) {
+            cookies[name] = value;
+            return;
+        }
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (error) {
+            // Not a session we issued
+        }
+    });
+    return cookies;
+}
+
+// The user behind a request's bearer token or session cookie, or null
+function authenticateRequest(req, storePath = AUTH_STORE_PATH) {
+    const authorization = req.get('Authorization') || '';
+    const bearer = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+    const sessionId = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+    if (!bearer && !sessionId) return null;
+
+    const store = loadAuthStore(storePath);
+    let userId = null;
+    let via = null;
+
+    if (bearer) {
+        const token = store.tokens.find(t => t.hash === hashSecret(bearer));
+        if (token) {
+            userId = token.userId;
+            via = 'token';
+            // Recording last use on every request would rewrite the file constantly; once a minute is enough
+            if (!token.last_used_at || Date.now() - Date.parse(token.last_used_at) > 60000) {
+                token.last_used_at = new Date().toISOString();
+                saveAuthStore(store, storePath);
+            }
+        }
+    } else {
+        const session = store.sessions.find(s => s.id === hashSecret(sessionId));
+        if (session && session.expires_at > new Date().toISOString()) {
+            userId = session.userId;
+            via = 'session';
+        }
+    }
+
+    const user = store.users.find(u => u.id === userId);
+    if (!user || user.disabled) return null;
+    return { ...publicUser(user), via };
+}
+
+function sessionCookie(sessionId, req) {
+    const maxAge = Math.round(config.auth.sessionHours * 3600);
+    return `${SESSION_COOKIE}=${sessionId}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${req.secure ? '; Secure' : ''}`;
+}
+
+function clearedSessionCookie() {
+    return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`;
+}
+
+function readPassword(prompt) {
+    if (process.env.AUTH_PASSWORD) return Promise.resolve(process.env.AUTH_PASSWORD);
+    const readline = require('readline');
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise(resolve => rl.question(prompt, answer => {
+        rl.close();
+        resolve(answer);
+    }));
+}
+
+// Command line user management, mainly for creating the first admin:
+//   npm run users -- add <username> <role>     (password from AUTH_PASSWORD or a prompt)
+//   npm run users -- set-password <username>
+//   npm run users -- list
+if (require.main === module) {
+    (async () => {
+        const [command, username, role] = process.argv.slice(2);
+        if (command === 'list') {
+            listUsers().forEach(user => console.log(`${user.id}\t${user.username}\t${user.role}${user.disabled ? '\t(disabled)' : ''}`));
+            return;
+        }
+
+        if (command === 'add') {
+            const result = createUser({ username, role, password: await readPassword(`Password for ${username}: `) });
+            if (result.error) throw new Error(result.error);
+            if (result.conflict) throw new Error(`User "${username}" already exists`);
+            console.log(`✅ Created ${result.user.role} "${result.user.username}"`);
+            return;
+        }
+
+        if (command === 'set-password') {
+            const user = loadAuthStore().users.find(u => u.username === username);
+            if (!user) throw new Error(`No user named "${username}"`);
+            const result = updateUser(user.id, { password: await readPassword(`New password for ${username}: `) });
+            if (result.error) throw new Error(result.error);
+            console.log(`✅ Password changed for "${username}"`);
+            return;
+        }
+
+        console.log('Usage: npm run users -- add <username> <viewer|analyst|admin> | set-password <username> | list');
+        process.exitCode = 1;
+    })().catch(error => {
+        console.error('❌', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    ROLES,
+    SESSION_COOKIE,
+    hasRole,
+    listUsers,
+    createUser,
+    updateUser,
+    deleteUser,
+    login,
+    logout,
+    createToken,
+    listTokens,
+    revokeToken,
+    parseCookies,
+    authenticateRequest,
+    sessionCookie,
+    clearedSessionCookie
+};
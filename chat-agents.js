@@ -0,0 +1,418 @@
+// Chat Agents behind /api/chat
+// Four agents answer a question about the deal data: the coordinator reads the question and picks business
+// definitions, the SQL generator writes the query, the executor runs it through the SQL guard and the interpreter
+// answers in words (with a chart when one helps). answerQuestion() runs them in order. The LLM provider and the
+// pool are passed in, so the eval harness (chat-eval.js) runs the same code as the server.
+
+const config = require('./config');
+const { CHAT_TABLES, validateChatSql, runReadOnlyQuery } = require('./sql-guard');
+const { SEMANTIC_FROM, resolveDefinitions, composeQuery, describeDefinitions, definitionsSql, findUsedDefinitions } = require('./semantic-layer');
+const { buildChartSpec } = require('./chat-charts');
+
+// Database schema information for AI context
+// Only the tables and columns chat queries are allowed to read (see sql-guard.js)
+async function getDatabaseSchema(pool) {
+    try {
+        const tablesQuery = `
+            SELECT 
+                table_name,
+                column_name,
+                data_type,
+                is_nullable
+            FROM information_schema.columns 
+            WHERE table_schema = 'public' 
+            AND table_name = ANY($1)
+            ORDER BY table_name, ordinal_position
+        `;
+        
+        const result = await pool.query(tablesQuery, [Object.keys(CHAT_TABLES)]);
+        
+        // Group columns by table
+        const schema = {};
+        result.rows.filter(row => CHAT_TABLES[row.table_name].includes(row.column_name)).forEach(row => {
+            if (!schema[row.table_name]) {
+                schema[row.table_name] = [];
+            }
+            schema[row.table_name].push({
+                column: row.column_name,
+                type: row.data_type,
+                nullable: row.is_nullable === 'YES'
+            });
+        });
+        
+        return schema;
+    } catch (error) {
+        console.error('Error getting database schema:', error);
+        return {};
+    }
+}
+
+// The schema as prompt text, one table per line
+function schemaPromptContext(schema) {
+    return Object.entries(schema).map(([table, columns]) => {
+        const columnList = columns.map(col => `${col.column} (${col.type})`).join(', ');
+        return `${table}: ${columnList}`;
+    }).join('\n');
+}
+
+// Earlier turns of the chat session for the agent prompts, or nothing for the first question
+function historyPromptSection(history, instructions) {
+    if (!history) return '';
+    return `
+Conversation So Far:
+${history}
+
+${instructions}
+`;
+}
+
+// Agent 1: Coordinator - Understands user intent and orchestrates workflow
+// It picks the business definitions (semantic-layer.js) the answer needs, by name
+async function coordinatorAgent(llm, userQuestion, schema, history = '') {
+    const prompt = `You are the Coordinator Agent for Project Ralph's database analysis system. Your job is to understand the user's question and determine if it can be answered with our database.
+
+Database Schema:
+${schema}
+
+Business Definitions (metrics to calculate, dimensions to group or filter by, and filters for which deals count):
+${describeDefinitions()}
+${historyPromptSection(history, 'The question may be a follow-up ("what about just Miami dealers?"). If so, write an intent that stands on its own, combining it with the earlier question, and set "followUp" to true.')}
+User Question: "${userQuestion}"
+
+Analyze this question and respond with ONLY a JSON object:
+{
+  "canAnswer": true/false,
+  "questionType": "percentage|count|list|comparison|other",
+  "entities": ["deals", "dealers", "listings"],
+  "intent": "brief description of what they want to know",
+  "complexity": "simple|moderate|complex",
+  "followUp": true/false,
+  "definitions": ["names of the business definitions the answer needs"]
+}
+
+Choose definitions only from the list above. Fee, price, score and grade questions are about analysis_deals unless the user says otherwise.
+If canAnswer is false, include "reason" field explaining why.`;
+
+    const text = await llm.complete({ agent: 'coordinator', question: userQuestion, prompt, maxTokens: 200 });
+
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return { canAnswer: false, reason: "Failed to parse coordinator response" };
+    }
+}
+
+// Agent 2: SQL Generator - Creates optimized SQL queries
+// The coordinator's definitions come with their canonical SQL and a starting query composed from them, so
+// metrics like "illegitimate fees per deal" are calculated the same way every time
+async function sqlGeneratorAgent(llm, userQuestion, coordination, schema, history = '') {
+    const { definitions } = resolveDefinitions(coordination.definitions);
+    const startingQuery = composeQuery(definitions);
+    const semanticSection = definitions.length === 0 ? '' : `
+Business Definitions (use this SQL exactly as written, with the table aliases from the FROM clause below):
+${definitionsSql(definitions)}
+
+FROM clause the definitions are written against:
+${SEMANTIC_FROM}
+${startingQuery ? `
+Starting query composed from the definitions. Add WHERE conditions for specific values (such as dl.city = 'Miami'), ORDER BY and LIMIT as the question needs:
+${startingQuery}
+` : ''}`;
+
+    const prompt = `You are the SQL Generator Agent. Create a WORKING SQL query based on the coordination analysis.
+
+Database Schema:
+${schema}
+${semanticSection}${historyPromptSection(history, 'For a follow-up, start from the most recent SQL above and change only what the new question asks for (add a filter, change the grouping, and so on).')}
+Coordination Analysis:
+${JSON.stringify(coordination, null, 2)}
+
+CRITICAL RULES:
+1. ONLY SELECT/WITH queries, using only the tables and columns in the schema above (no SELECT * on tables)
+2. Always filter deleted records: WHERE deleted IS NULL  
+3. Use proper JOINs: deals ↔ listings ↔ dealers
+4. For percentages, use this EXACT pattern:
+
+WITH dealer_counts AS (
+  SELECT 
+    d.id,
+    COUNT(deals.id) as deal_count
+  FROM dealers d
+  LEFT JOIN listings l ON d.id = l.dealer_id
+  LEFT JOIN deals ON l.deal_id = deals.id 
+    AND deals.state = 'analysis' 
+    AND deals.deleted IS NULL
+  WHERE d.deleted IS NULL
+  GROUP BY d.id
+)
+SELECT 
+  ROUND(
+    (COUNT(CASE WHEN deal_count >= 3 THEN 1 END) * 100.0 / COUNT(*)), 2
+  ) as percentage
+FROM dealer_counts;
+
+5. For counts: SELECT COUNT(*) FROM table WHERE conditions
+6. For lists: SELECT columns FROM table WHERE conditions LIMIT 100
+7. Never mix aggregated and non-aggregated columns without GROUP BY
+8. Always use CASE WHEN for conditional counting
+9. When business definitions are given, build on the starting query and never calculate a defined metric another way
+
+RESPOND WITH ONLY THE SQL QUERY - NO EXPLANATIONS:`;
+
+    const text = await llm.complete({ agent: 'sql', question: userQuestion, prompt, maxTokens: 500 });
+    return text.trim().replace(/```sql|```/g, '');
+}
+
+// Agent 3: Query Executor - Executes and validates queries
+// The SQL is parsed and checked against the table, column and function allowlists first; rejected queries
+// come back with rejected: true and never reach the database. Aborting `signal` cancels the running query
+async function queryExecutorAgent(pool, sqlQuery, signal = null) {
+    const { statementTimeoutMs, maxRows } = config.chat;
+    
+    const validation = validateChatSql(sqlQuery);
+    if (validation.error) {
+        return {
+            success: false,
+            error: validation.error,
+            rejected: true,
+            executedQuery: sqlQuery
+        };
+    }
+    
+    try {
+        const queryResult = await runReadOnlyQuery(pool, validation.sql, { timeoutMs: statementTimeoutMs, maxRows, signal });
+        return {
+            success: true,
+            rows: queryResult.rows,
+            rowCount: queryResult.rowCount,
+            truncated: queryResult.truncated,
+            executedQuery: validation.sql
+        };
+        
+    } catch (error) {
+        // A cancelled question isn't a failed query
+        if (signal && signal.aborted) throw signal.reason;
+
+        // 57014 is Postgres's query_canceled, raised when statement_timeout is hit
+        return {
+            success: false,
+            error: error.code === '57014'
+                ? `The query took longer than ${statementTimeoutMs / 1000} seconds and was stopped`
+                : error.message,
+            sqlError: true,
+            executedQuery: validation.sql
+        };
+    }
+}
+
+const JSON_ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+
+// Returns an onText callback for the interpreter's streamed reply that passes onAnswerText the decoded "answer"
+// string of the JSON as it arrives, a piece at a time. A reply that isn't JSON is passed on as-is
+function answerTextStreamer(onAnswerText) {
+    let buffer = '';
+    let position = 0;
+    let state = 'start';
+
+    return chunk => {
+        buffer += chunk;
+        if (state === 'start') {
+            const first = buffer.trimStart()[0];
+            if (first === undefined) return;
+            state = first === '{' || first === '`' ? 'key' : 'plain';
+            if (state === 'plain') {
+                onAnswerText(buffer);
+                return;
+            }
+        } else if (state === 'plain') {
+            onAnswerText(chunk);
+            return;
+        }
+
+        if (state === 'key') {
+            const match = /"answer"\s*:\s*"/.exec(buffer);
+            if (!match) return;
+            position = match.index + match[0].length;
+            state = 'answer';
+        }
+        if (state !== 'answer') return;
+
+        // Decode up to the closing quote, leaving an escape split across chunks for the next one
+        let text = '';
+        while (position < buffer.length) {
+            const char = buffer[position];
+            if (char === '"') {
+                state = 'done';
+                break;
+            }
+            if (char !== '\\') {
+                text += char;
+                position++;
+                continue;
+            }
+            const escape = buffer[position + 1];
+            if (escape === undefined) break;
+            if (escape === 'u') {
+                const hex = buffer.slice(position + 2, position + 6);
+                if (hex.length < 4) break;
+                text += String.fromCharCode(parseInt(hex, 16));
+                position += 6;
+            } else {
+                text += JSON_ESCAPES[escape] || escape;
+                position += 2;
+            }
+        }
+        if (text) onAnswerText(text);
+    };
+}
+
+// Agent 4: Result Interpreter - Converts query results to natural language
+// Returns { answer, chart }: the chart is built from the result rows by chat-charts.js when the interpreter
+// suggests one that fits them, and is null otherwise. onAnswerText, when given, receives the answer as it streams
+async function resultInterpreterAgent(llm, userQuestion, queryResult, coordination, definitions = [], onAnswerText = null) {
+    if (!queryResult.success) {
+        const prompt = `The SQL query failed. Explain this error in simple terms to help troubleshoot:
+
+User Question: "${userQuestion}"
+Error: ${queryResult.error}
+Query Type: ${coordination.questionType}
+
+Provide a brief, helpful explanation of what went wrong and how to fix it.`;
+
+        const text = await llm.complete({ agent: 'interpreter', question: userQuestion, prompt, maxTokens: 200, onText: onAnswerText });
+        return { answer: text, chart: null };
+    }
+
+    const columns = queryResult.rows.length > 0 ? Object.keys(queryResult.rows[0]) : [];
+
+    const prompt = `Convert this database query result into a direct, conversational answer.
+
+User Question: "${userQuestion}"
+Query Results: ${JSON.stringify(queryResult.rows, null, 2)}
+Row Count: ${queryResult.rowCount}${queryResult.truncated ? ' (the first rows only; the full result was larger)' : ''}
+${definitions.length > 0 ? `Definitions Used:\n${definitions.map(d => `- ${d.name}: ${d.description}`).join('\n')}\n` : ''}
+Result Columns: ${columns.join(', ') || 'none'}
+
+Respond with ONLY a JSON object:
+{
+  "answer": "a direct answer in 1-2 sentences",
+  "chart": null
+}
+
+The answer should be specific with numbers and percentages and not mention technical details about the query. Examples:
+- "15.3% of dealers have 3 or more deals in analysis stage"
+- "There are 47 dealers with active deals"
+- "BMW has the most deals with 23 active listings"
+
+When the rows are worth seeing as well, set "chart" to one of these, using result column names:
+- {"type": "bar", "title": "...", "x": "label column", "y": ["number column", ...]} to compare categories such as dealers or regions
+- {"type": "line", "title": "...", "x": "date column", "y": ["number column", ...]} for a trend over time, such as deals per week
+- {"type": "pie", "title": "...", "x": "label column", "y": ["number column"]} for shares of a whole with a few categories
+- {"type": "table", "title": "...", "columns": ["column", ...]} for a list of records
+Leave "chart" null for a single number or a yes/no answer.`;
+
+    // A reply that isn't the JSON asked for is still a usable answer, just without a chart
+    const onText = onAnswerText ? answerTextStreamer(onAnswerText) : null;
+    const text = (await llm.complete({ agent: 'interpreter', question: userQuestion, prompt, maxTokens: 400, onText })).trim();
+    try {
+        const interpretation = JSON.parse(text.replace(/```json|```/g, ''));
+        return {
+            answer: String(interpretation.answer || ''),
+            chart: buildChartSpec(interpretation.chart, queryResult.rows)
+        };
+    } catch (e) {
+        return { answer: text, chart: null };
+    }
+}
+
+// Run the agents for one question. Returns { coordination, sql, queryResult, definitions, answer, chart, timings }
+// with the milliseconds each step took; sql and queryResult are null when the coordinator says it can't answer.
+// onProgress(step, data) hears about each step as it finishes (coordinator, sql, query) and gets the answer in
+// pieces (answer). Aborting `signal` cancels the model call or query in flight and rejects with its reason
+async function answerQuestion({ llm, pool, question, history = '', signal = null, onProgress = () => {} }) {
+    const started = Date.now();
+    const timings = {};
+    const timed = async (step, work) => {
+        const stepStarted = Date.now();
+        try {
+            return await work();
+        } finally {
+            timings[step] = Date.now() - stepStarted;
+        }
+    };
+    const checkAborted = () => {
+        if (signal) signal.throwIfAborted();
+    };
+    const model = signal ? { ...llm, complete: request => llm.complete({ ...request, signal }) } : llm;
+    const onAnswerText = text => onProgress('answer', { text });
+
+    const schemaContext = schemaPromptContext(await getDatabaseSchema(pool));
+    checkAborted();
+
+    // Step 1: Coordinator Agent analyzes the question
+    const coordination = await timed('coordinator', () => coordinatorAgent(model, question, schemaContext, history));
+    onProgress('coordinator', {
+        canAnswer: Boolean(coordination.canAnswer),
+        intent: coordination.intent || null,
+        definitions: coordination.definitions || [],
+        reason: coordination.reason || null
+    });
+
+    if (!coordination.canAnswer) {
+        const answer = `I can't answer that question. ${coordination.reason || 'The question is outside my capabilities for analyzing deal data.'}`;
+        onAnswerText(answer);
+        timings.total = Date.now() - started;
+        return {
+            coordination,
+            sql: null,
+            queryResult: null,
+            definitions: [],
+            answer,
+            chart: null,
+            timings
+        };
+    }
+
+    // Step 2: SQL Generator Agent creates the query
+    const sqlQuery = await timed('sqlGenerator', () => sqlGeneratorAgent(model, question, coordination, schemaContext, history));
+    onProgress('sql', { sql: sqlQuery });
+    checkAborted();
+
+    // Step 3: Query Executor Agent runs the query
+    const queryResult = await timed('execution', () => queryExecutorAgent(pool, sqlQuery, signal));
+    onProgress('query', {
+        success: queryResult.success,
+        rowCount: queryResult.success ? queryResult.rowCount : null,
+        truncated: Boolean(queryResult.truncated),
+        error: queryResult.error || null,
+        rejected: Boolean(queryResult.rejected)
+    });
+    checkAborted();
+
+    // The definitions the query actually uses, whatever the coordinator asked for
+    const definitions = !queryResult.success ? [] : findUsedDefinitions(queryResult.executedQuery)
+        .map(({ name, kind, label, description }) => ({ name, kind, label, description }));
+
+    // Step 4: Result Interpreter Agent converts to natural language, with a chart when one helps
+    // A query the guard rejected is reported as-is rather than explained as a database error
+    let interpretation;
+    if (queryResult.rejected) {
+        interpretation = { answer: `I couldn't run the query I generated for that question: ${queryResult.error}. Try rephrasing it.`, chart: null };
+        onAnswerText(interpretation.answer);
+    } else {
+        interpretation = await timed('interpreter', () => resultInterpreterAgent(model, question, queryResult, coordination, definitions, onAnswerText));
+    }
+    const { answer, chart } = interpretation;
+
+    timings.total = Date.now() - started;
+    return { coordination, sql: queryResult.executedQuery, queryResult, definitions, answer, chart, timings };
+}
+
+module.exports = {
+    getDatabaseSchema,
+    coordinatorAgent,
+    sqlGeneratorAgent,
+    queryExecutorAgent,
+    resultInterpreterAgent,
+    answerQuestion
+};
@@ -0,0 +1,173 @@
+// Chart Responses for the /api/chat Assistant
+// The result interpreter can suggest a chart (bar, line, pie or table) by naming result columns; buildChartSpec()
+// checks the suggestion against the rows and fills in the data, so a chart only ever shows what the query returned.
+// Charts pinned to the dashboard keep their SQL in data/pinned-charts.json and are redrawn from fresh results.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+const PINNED_CHARTS_PATH = path.resolve(__dirname, config.chat.pinnedChartsPath);
+
+const CHART_TYPES = ['bar', 'line', 'pie', 'table'];
+
+// Most rows each chart type shows; pie slices past the limit are added up as "Other"
+const MAX_POINTS = { bar: 30, line: 200, pie: 8, table: 50 };
+const MAX_SERIES = 5;
+const MAX_PINS_PER_USER = 12;
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+// Dates (DATE_TRUNC results and the like) are labelled by day
+function labelText(value) {
+    if (value === null || value === undefined) return '(none)';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /^\d{4}-\d{2}-\d{2}T00:00:00(\.000)?Z$/.test(text) ? text.slice(0, 10) : text;
+}
+
+function tableValue(value) {
+    if (value instanceof Date) return labelText(value);
+    return value === undefined ? null : value;
+}
+
+// Returns the chart for a suggestion ({ type, title, x, y } or { type: 'table', title, columns }) over the result
+// rows, or null when the suggestion doesn't fit them (unknown columns, nothing numeric to plot, negative pie slices)
+function buildChartSpec(suggestion, rows) {
+    if (!suggestion || typeof suggestion !== 'object' || !CHART_TYPES.includes(suggestion.type)) return null;
+    if (!Array.isArray(rows) || rows.length === 0) return null;
+
+    const { type } = suggestion;
+    const columns = Object.keys(rows[0]);
+    const title = typeof suggestion.title === 'string' ? suggestion.title.trim().slice(0, 120) : '';
+    const limit = MAX_POINTS[type];
+    const truncated = rows.length > limit;
+
+    if (type === 'table') {
+        const shown = (Array.isArray(suggestion.columns) ? suggestion.columns : columns).filter(c => columns.includes(c));
+        if (shown.length === 0) return null;
+        return {
+            type,
+            title,
+            columns: shown,
+            rows: rows.slice(0, limit).map(row => shown.map(c => tableValue(row[c]))),
+            truncated
+        };
+    }
+
+    const { x } = suggestion;
+    if (!columns.includes(x)) return null;
+    const y = [...new Set(Array.isArray(suggestion.y) ? suggestion.y : [suggestion.y])]
+        .filter(c => columns.includes(c) && c !== x)
+        .slice(0, type === 'pie' ? 1 : MAX_SERIES);
+
+    let labels = rows.map(row => labelText(row[x]));
+    let series = y
+        .map(column => ({ name: column, values: rows.map(row => toNumber(row[column])) }))
+        .filter(s => s.values.some(v => v !== null));
+    if (series.length === 0) return null;
+
+    if (type === 'pie') {
+        const values = series[0].values.map(v => v || 0);
+        if (values.some(v => v < 0) || values.every(v => v === 0)) return null;
+        if (truncated) {
+            const other = values.slice(limit - 1).reduce((sum, v) => sum + v, 0);
+            labels = [...labels.slice(0, limit - 1), 'Other'];
+            series = [{ name: series[0].name, values: [...values.slice(0, limit - 1), other] }];
+        } else {
+            series = [{ name: series[0].name, values }];
+        }
+        return { type, title, x, y: series.map(s => s.name), labels, series, truncated: false };
+    }
+
+    return {
+        type,
+        title,
+        x,
+        y: series.map(s => s.name),
+        labels: labels.slice(0, limit),
+        series: series.map(s => ({ name: s.name, values: s.values.slice(0, limit) })),
+        truncated
+    };
+}
+
+// What a pin keeps of a chart: the columns to plot, not the data
+function chartLayout(chart) {
+    return chart.type === 'table'
+        ? { type: chart.type, title: chart.title, columns: chart.columns }
+        : { type: chart.type, title: chart.title, x: chart.x, y: chart.y };
+}
+
+function loadPinStore(storePath = PINNED_CHARTS_PATH) {
+    if (!fs.existsSync(storePath)) return { pins: [] };
+    return JSON.parse(fs.readFileSync(storePath, 'utf8'));
+}
+
+function savePinStore(store, storePath = PINNED_CHARTS_PATH) {
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    const tempPath = `${storePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(store, null, 2) + '\n', { mode: 0o600 });
+    fs.renameSync(tempPath, storePath);
+}
+
+function pinSummary(pin) {
+    const { userId, ...summary } = pin;
+    return summary;
+}
+
+// A user's pinned charts in the order they were pinned
+function listPins(userId, storePath = PINNED_CHARTS_PATH) {
+    return loadPinStore(storePath).pins.filter(pin => pin.userId === userId).map(pinSummary);
+}
+
+// Returns { pin } or { notFound } (also when the pin belongs to someone else)
+function getPin(id, userId, storePath = PINNED_CHARTS_PATH) {
+    const pin = loadPinStore(storePath).pins.find(p => p.id === id && p.userId === userId);
+    return pin ? { pin: pinSummary(pin) } : { notFound: true };
+}
+
+// Pin a chart with the SQL that produced it; returns { pin } or { error }
+function pinChart(userId, { question, sql, chart }, storePath = PINNED_CHARTS_PATH) {
+    if (!sql || !chart) return { error: 'Only answers with a chart can be pinned' };
+
+    const store = loadPinStore(storePath);
+    if (store.pins.filter(p => p.userId === userId).length >= MAX_PINS_PER_USER) {
+        return { error: `You can pin up to ${MAX_PINS_PER_USER} charts; unpin one first` };
+    }
+
+    const pin = {
+        id: crypto.randomUUID(),
+        userId,
+        question,
+        title: chart.title || question,
+        sql,
+        chart: chartLayout(chart),
+        created_at: new Date().toISOString()
+    };
+    store.pins.push(pin);
+    savePinStore(store, storePath);
+    return { pin: pinSummary(pin) };
+}
+
+function unpinChart(id, userId, storePath = PINNED_CHARTS_PATH) {
+    const store = loadPinStore(storePath);
+    const index = store.pins.findIndex(p => p.id === id && p.userId === userId);
+    if (index === -1) return { notFound: true };
+
+    store.pins.splice(index, 1);
+    savePinStore(store, storePath);
+    return { deleted: true };
+}
+
+module.exports = {
+    CHART_TYPES,
+    buildChartSpec,
+    listPins,
+    getPin,
+    pinChart,
+    unpinChart
+};
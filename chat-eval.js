@@ -0,0 +1,212 @@
+// Chat Eval Harness
+// Runs the golden questions (fixtures/chat-golden-questions.json) through the chat agents against the offline
+// fixture database and reports, for each question and overall, whether the generated SQL was valid (it passed the
+// SQL guard and ran), whether its results match the expected ones, and how long each step took.
+//
+//   npm run eval                              recorded model responses (stub provider), no API key needed
+//   npm run eval -- --provider anthropic      the live model, to see whether a prompt change helps
+//   npm run eval -- --provider record         the live model, saving its responses for later stub runs
+//   npm run eval -- --report after.json --baseline before.json
+//   npm run eval -- --update-expected         recompute expected results from each question's reference SQL
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { answerQuestion } = require('./chat-agents');
+
+const GOLDEN_QUESTIONS_PATH = path.resolve(__dirname, config.chat.goldenQuestionsPath);
+
+function loadGoldenQuestions(goldenPath = GOLDEN_QUESTIONS_PATH) {
+    return JSON.parse(fs.readFileSync(goldenPath, 'utf8')).questions;
+}
+
+// Values are compared loosely: numbers to two decimal places (counts come back as strings from Postgres) and
+// midnight timestamps as dates
+function normalizeValue(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'boolean') return value;
+
+    const text = value instanceof Date ? value.toISOString() : String(value).trim();
+    if (text !== '' && !isNaN(Number(text))) return Math.round(Number(text) * 100) / 100;
+    return /^\d{4}-\d{2}-\d{2}T00:00:00(\.000)?Z$/.test(text) ? text.slice(0, 10) : text;
+}
+
+// Does a result match the expected rows? Column names don't matter (the model picks its own aliases) and extra
+// columns are allowed: each expected column must match a different result column value for value, in row order
+// when `ordered`, otherwise as a set. Returns { match, reason }
+function compareResults(expectedRows, actualRows, { ordered = false } = {}) {
+    if (actualRows.length !== expectedRows.length) {
+        return { match: false, reason: `expected ${expectedRows.length} rows, got ${actualRows.length}` };
+    }
+    if (expectedRows.length === 0) return { match: true };
+
+    const columnValues = (rows, column) => {
+        const values = rows.map(row => JSON.stringify(normalizeValue(row[column])));
+        return (ordered ? values : values.sort()).join('\n');
+    };
+
+    const unused = Object.keys(actualRows[0]);
+    for (const column of Object.keys(expectedRows[0])) {
+        const expected = columnValues(expectedRows, column);
+        const index = unused.findIndex(candidate => columnValues(actualRows, candidate) === expected);
+        if (index === -1) {
+            return { match: false, reason: `no result column matches ${column}` };
+        }
+        unused.splice(index, 1);
+    }
+    return { match: true };
+}
+
+// One golden question through the agents. Returns { id, question, sqlValid, match, reason, sql, answer, timings }
+async function evaluateQuestion({ llm, pool, golden }) {
+    const base = { id: golden.id, question: golden.question };
+    let outcome;
+    try {
+        outcome = await answerQuestion({ llm, pool, question: golden.question });
+    } catch (error) {
+        return { ...base, sqlValid: false, match: false, reason: `agents failed: ${error.message}`, sql: null, answer: null, timings: {} };
+    }
+
+    const { coordination, sql, queryResult, answer, timings } = outcome;
+    const result = { ...base, sql, answer, timings };
+    if (!coordination.canAnswer) {
+        return { ...result, sqlValid: false, match: false, reason: `coordinator declined: ${coordination.reason || 'no reason given'}` };
+    }
+    if (!queryResult.success) {
+        return { ...result, sqlValid: false, match: false, reason: `${queryResult.rejected ? 'rejected' : 'failed'}: ${queryResult.error}` };
+    }
+
+    const comparison = compareResults(golden.expected, queryResult.rows, { ordered: golden.ordered });
+    return { ...result, sqlValid: true, match: comparison.match, reason: comparison.reason || null };
+}
+
+// Nearest-rank percentile of a list of milliseconds
+function percentile(values, fraction) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.max(0, Math.ceil(fraction * sorted.length) - 1)];
+}
+
+function summarizeEval(results) {
+    const latencies = results.map(r => r.timings.total).filter(ms => ms !== undefined);
+    const share = count => results.length === 0 ? 0 : Math.round(count * 1000 / results.length) / 10;
+    const sqlValid = results.filter(r => r.sqlValid).length;
+    const accurate = results.filter(r => r.match).length;
+
+    return {
+        questions: results.length,
+        sqlValid,
+        sqlValidityPct: share(sqlValid),
+        accurate,
+        accuracyPct: share(accurate),
+        latencyMs: {
+            mean: latencies.length === 0 ? null : Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length),
+            p50: percentile(latencies, 0.5),
+            p95: percentile(latencies, 0.95)
+        }
+    };
+}
+
+// Questions run one at a time so latencies aren't skewed by each other
+async function runEval({ llm, pool, questions }) {
+    const results = [];
+    for (const golden of questions) {
+        results.push(await evaluateQuestion({ llm, pool, golden }));
+    }
+    return {
+        provider: llm.name,
+        ranAt: new Date().toISOString(),
+        summary: summarizeEval(results),
+        results
+    };
+}
+
+// Plain-text report, with changes against an earlier report when one is given
+function formatReport(report, baseline = null) {
+    const lines = report.results.map(r => {
+        const status = r.match ? 'PASS' : (r.sqlValid ? 'WRONG' : 'INVALID');
+        return `${status.padEnd(8)} ${r.id.padEnd(28)} ${String(r.timings.total ?? '-').padStart(6)} ms${r.reason ? `  ${r.reason}` : ''}`;
+    });
+
+    const { summary } = report;
+    const delta = (key, suffix = '') => {
+        if (!baseline) return '';
+        const change = Math.round((summary[key] - baseline.summary[key]) * 10) / 10;
+        return ` (${change >= 0 ? '+' : ''}${change}${suffix} vs baseline)`;
+    };
+    const latencyDelta = baseline && baseline.summary.latencyMs.p50 !== null && summary.latencyMs.p50 !== null
+        ? ` (${summary.latencyMs.p50 - baseline.summary.latencyMs.p50 >= 0 ? '+' : ''}${summary.latencyMs.p50 - baseline.summary.latencyMs.p50} ms p50 vs baseline)`
+        : '';
+
+    return [
+        `Chat eval (${report.provider} provider, ${summary.questions} questions)`,
+        '',
+        ...lines,
+        '',
+        `SQL validity: ${summary.sqlValid}/${summary.questions} (${summary.sqlValidityPct}%)${delta('sqlValidityPct', ' pts')}`,
+        `Accuracy:     ${summary.accurate}/${summary.questions} (${summary.accuracyPct}%)${delta('accuracyPct', ' pts')}`,
+        `Latency:      mean ${summary.latencyMs.mean} ms, p50 ${summary.latencyMs.p50} ms, p95 ${summary.latencyMs.p95} ms${latencyDelta}`
+    ].join('\n');
+}
+
+// Rewrite each question's expected rows from its reference SQL
+async function updateExpected(pool, goldenPath = GOLDEN_QUESTIONS_PATH) {
+    const golden = JSON.parse(fs.readFileSync(goldenPath, 'utf8'));
+    for (const question of golden.questions) {
+        const { rows } = await pool.query(question.sql);
+        question.expected = rows.map(row => Object.fromEntries(Object.entries(row).map(([column, value]) => [column, normalizeValue(value)])));
+    }
+    fs.writeFileSync(goldenPath, JSON.stringify(golden, null, 2) + '\n');
+    return golden.questions.length;
+}
+
+if (require.main === module) {
+    require('dotenv').config();
+    const { createPool } = require('./data-source');
+    const { createLlmProvider } = require('./llm-provider');
+
+    const args = process.argv.slice(2);
+    const option = name => {
+        const index = args.indexOf(`--${name}`);
+        return index === -1 ? null : args[index + 1];
+    };
+
+    // Always the fixture database, so expected results stay put
+    const pool = createPool({ ...config, dataSource: { ...config.dataSource, type: 'fixture' } });
+
+    const run = async () => {
+        if (args.includes('--update-expected')) {
+            const count = await updateExpected(pool);
+            console.log(`Updated expected results for ${count} golden questions`);
+            return;
+        }
+
+        const llm = createLlmProvider(config.chat, option('provider') || 'stub');
+        const report = await runEval({ llm, pool, questions: loadGoldenQuestions() });
+        const baselinePath = option('baseline');
+        const baseline = baselinePath ? JSON.parse(fs.readFileSync(baselinePath, 'utf8')) : null;
+
+        console.log(formatReport(report, baseline));
+        if (option('report')) {
+            fs.writeFileSync(option('report'), JSON.stringify(report, null, 2) + '\n');
+            console.log(`\nReport written to ${option('report')}`);
+        }
+    };
+
+    run()
+        .then(() => pool.end())
+        .catch(error => {
+            console.error('Error running chat eval:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    loadGoldenQuestions,
+    normalizeValue,
+    compareResults,
+    evaluateQuestion,
+    summarizeEval,
+    runEval,
+    formatReport
+};
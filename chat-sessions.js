@@ -0,0 +1,161 @@
+// Chat Sessions for the /api/chat Assistant
+// Each session keeps its turns (question, the coordinator's reading of it, generated SQL and a summary of the
+// results) in data/chat-sessions.json, so follow-up questions like "what about just Miami dealers?" can be
+// answered by refining the previous query. Sessions belong to the user who started them. Writes go through the
+// record store's lock file, so overlapping chat requests don't lose each other's turns.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { redactPii } = require('./pii-redaction.js');
+const { withFileLock } = require('./record-store.js');
+
+const CHAT_SESSIONS_PATH = path.resolve(__dirname, config.chat.sessionsPath);
+
+// Oldest sessions beyond this are dropped when a user starts a new one
+const MAX_SESSIONS_PER_USER = 50;
+
+// How many earlier turns the agents see, and how much of each result
+const HISTORY_TURNS = 5;
+const SUMMARY_ROWS = 5;
+const STORED_ROWS = 10;
+
+function loadSessionStore(storePath = CHAT_SESSIONS_PATH) {
+    if (!fs.existsSync(storePath)) return { sessions: [] };
+    return JSON.parse(fs.readFileSync(storePath, 'utf8'));
+}
+
+function saveSessionStore(store, storePath = CHAT_SESSIONS_PATH) {
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    const tempPath = `${storePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(store, null, 2) + '\n', { mode: 0o600 });
+    fs.renameSync(tempPath, storePath);
+}
+
+// Run fn(store) under the store's lock file and save the store if fn changed it; returns fn's result
+// fn must be synchronous so nothing else can touch the file between the read and the write
+function updateSessionStore(fn, storePath = CHAT_SESSIONS_PATH) {
+    return withFileLock(storePath, () => {
+        const store = loadSessionStore(storePath);
+        const before = JSON.stringify(store);
+        const result = fn(store);
+        if (JSON.stringify(store) !== before) saveSessionStore(store, storePath);
+        return result;
+    });
+}
+
+function sessionSummary(session) {
+    return {
+        id: session.id,
+        title: session.title,
+        created_at: session.created_at,
+        updated_at: session.updated_at,
+        turn_count: session.turns.length
+    };
+}
+
+// A user's sessions, most recently used first
+function listSessions(userId, storePath = CHAT_SESSIONS_PATH) {
+    return loadSessionStore(storePath).sessions
+        .filter(session => session.userId === userId)
+        .sort((a, b) => b.updated_at.localeCompare(a.updated_at))
+        .map(sessionSummary);
+}
+
+// Returns { session } or { notFound } (also when the session belongs to someone else)
+function getSession(id, userId, storePath = CHAT_SESSIONS_PATH) {
+    const session = loadSessionStore(storePath).sessions.find(s => s.id === id && s.userId === userId);
+    return session ? { session } : { notFound: true };
+}
+
+// Start a session with its first answered question, titled after it; returns { session }
+// Sessions are only created once there's a turn to keep, so a cancelled or failed first question leaves nothing
+// behind. Session IDs are random so they can't be guessed from someone else's
+function createSession(userId, firstTurn, storePath = CHAT_SESSIONS_PATH) {
+    return updateSessionStore(store => {
+        const now = new Date().toISOString();
+        const title = firstTurn.question;
+        const session = {
+            id: crypto.randomUUID(),
+            userId,
+            title: title.length > 80 ? `${title.slice(0, 77)}...` : title,
+            created_at: now,
+            updated_at: now,
+            turns: [{ ...firstTurn, at: now }]
+        };
+
+        const ownSessions = store.sessions
+            .filter(s => s.userId === userId)
+            .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+        const dropped = new Set(ownSessions.slice(MAX_SESSIONS_PER_USER - 1).map(s => s.id));
+        store.sessions = store.sessions.filter(s => !dropped.has(s.id));
+
+        store.sessions.push(session);
+        return { session };
+    }, storePath);
+}
+
+// Add one question and answer to a session; returns { session } or { notFound }
+function appendTurn(id, userId, turn, storePath = CHAT_SESSIONS_PATH) {
+    return updateSessionStore(store => {
+        const session = store.sessions.find(s => s.id === id && s.userId === userId);
+        if (!session) return { notFound: true };
+
+        session.turns.push({ ...turn, at: new Date().toISOString() });
+        session.updated_at = new Date().toISOString();
+        return { session };
+    }, storePath);
+}
+
+function deleteSession(id, userId, storePath = CHAT_SESSIONS_PATH) {
+    return updateSessionStore(store => {
+        const index = store.sessions.findIndex(s => s.id === id && s.userId === userId);
+        if (index === -1) return { notFound: true };
+
+        store.sessions.splice(index, 1);
+        return { deleted: true };
+    }, storePath);
+}
+
+// What a turn keeps of the query result: the row count, the columns and the first rows (for replaying the
+// session in the chat panel), or the error. The rows are written to disk, so PII patterns in them are masked
+function storedResult(queryResult) {
+    if (!queryResult) return null;
+    if (!queryResult.success) return { error: queryResult.error };
+    return {
+        rowCount: queryResult.rowCount,
+        columns: queryResult.rows.length > 0 ? Object.keys(queryResult.rows[0]) : [],
+        rows: redactPii(queryResult.rows.slice(0, STORED_ROWS))
+    };
+}
+
+function describeResult(result) {
+    if (!result) return 'not run';
+    if (result.error) return `failed: ${result.error}`;
+    const preview = result.rows.slice(0, SUMMARY_ROWS).map(row => JSON.stringify(row)).join('\n');
+    return `${result.rowCount} rows (columns: ${result.columns.join(', ') || 'none'})${preview ? `\n${preview}` : ''}`;
+}
+
+// The last few turns as prompt text for the coordinator and SQL agents, or '' for a new session
+function buildHistoryContext(turns, maxTurns = HISTORY_TURNS) {
+    return turns.slice(-maxTurns).map((turn, index) => [
+        `Turn ${index + 1}`,
+        `Question: ${turn.question}`,
+        turn.coordination && turn.coordination.intent ? `Intent: ${turn.coordination.intent}` : null,
+        turn.definitions && turn.definitions.length > 0 ? `Definitions: ${turn.definitions.map(d => d.name).join(', ')}` : null,
+        turn.sql ? `SQL:\n${turn.sql.trim()}` : null,
+        `Result: ${describeResult(turn.result)}`,
+        turn.answer ? `Answer: ${turn.answer}` : null
+    ].filter(Boolean).join('\n')).join('\n\n');
+}
+
+module.exports = {
+    listSessions,
+    getSession,
+    createSession,
+    appendTurn,
+    deleteSession,
+    storedResult,
+    buildHistoryContext
+};
@@ -13,7 +13,66 @@ module.exports = {
         password: process.env.DB_PASSWORD || 'jgMCen4W_YscgzpqCvE8'
     },
     
-    // JSONBin API configuration
+    // Data source selection
+    // 'postgres' uses the production database (VPN required)
+    // 'fixture' loads an in-memory database seeded from fixtures/offline-db.json
+    dataSource: {
+        type: process.env.DATA_SOURCE || 'postgres',
+        fixturePath: process.env.FIXTURE_PATH || 'fixtures/offline-db.json'
+    },
+    
+    // Daily metric snapshots (history, trend and burndown charts) and the tier promotions and demotions they record
+    // The server refreshes today's snapshot every intervalHours while it runs
+    snapshots: {
+        enabled: process.env.SNAPSHOTS_ENABLED !== 'false',
+        path: process.env.SNAPSHOTS_PATH || 'data/metric-snapshots.json',
+        tierHistoryPath: process.env.TIER_HISTORY_PATH || 'data/tier-history.json',
+        intervalHours: parseFloat(process.env.SNAPSHOT_INTERVAL_HOURS) || 1
+    },
+    
+    // Dealer scorecard PDFs written by the batch run (npm run scorecards)
+    scorecards: {
+        path: process.env.SCORECARDS_PATH || 'scorecards'
+    },
+    
+    // Local store for initiatives, mystery shopping issues and team members (replaces the JSONBin record)
+    recordStore: {
+        path: process.env.RECORD_STORE_PATH || 'data/record-store.json'
+    },
+    
+    // Dashboard logins, sessions and API tokens (npm run users -- add <username> admin creates the first admin)
+    // corsOrigins lists other sites allowed to call the API from a browser; the pages themselves don't need it
+    auth: {
+        path: process.env.AUTH_STORE_PATH || 'data/auth.json',
+        sessionHours: parseFloat(process.env.SESSION_HOURS) || 12,
+        corsOrigins: (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)
+    },
+    
+    // Chat assistant sessions (so follow-up questions can build on earlier ones), limits on the SQL it runs and
+    // the model behind it
+    chat: {
+        sessionsPath: process.env.CHAT_SESSIONS_PATH || 'data/chat-sessions.json',
+        pinnedChartsPath: process.env.CHAT_PINNED_CHARTS_PATH || 'data/pinned-charts.json',
+        statementTimeoutMs: parseInt(process.env.CHAT_STATEMENT_TIMEOUT_MS) || 10000,
+        maxRows: parseInt(process.env.CHAT_MAX_ROWS) || 500,
+        model: process.env.CHAT_MODEL || 'claude-3-5-sonnet-20241022',
+        // anthropic, stub (recorded responses, no API key needed) or record; see llm-provider.js
+        llmProvider: process.env.CHAT_LLM_PROVIDER || 'anthropic',
+        recordingsPath: process.env.CHAT_LLM_RECORDINGS || 'fixtures/chat-recorded-responses.json',
+        goldenQuestionsPath: 'fixtures/chat-golden-questions.json'
+    },
+    
+    // Dashboard-edited settings. The checked-in defaults in data/ are read until the first edit, which is saved
+    // to these git-ignored files instead
+    settings: {
+        campaignsPath: process.env.CAMPAIGNS_PATH || 'data/local/campaigns.json',
+        tierRulesPath: process.env.TIER_RULES_PATH || 'data/local/tier-rules.json',
+        feeTaxonomyPath: process.env.FEE_TAXONOMY_PATH || 'data/local/fee-taxonomy.json',
+        gradingProfilesPath: process.env.GRADING_PROFILES_PATH || 'data/local/grading-profiles.json',
+        dealerGroupsPath: process.env.DEALER_GROUPS_PATH || 'data/local/dealer-groups.json'
+    },
+    
+    // JSONBin API configuration (only read by the one-time migration: npm run migrate-store)
     jsonbin: {
         apiKey: process.env.JSONBIN_API_KEY || '$2a$10$SEnNfh62rZ5cbmvsRc5iGu5FElaadU.JCpjWywSTIWkdZWEWvt3.i',
         binId: process.env.JSONBIN_BIN_ID || '689168af7b4b8670d8ad55e0',
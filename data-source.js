@@ -0,0 +1,172 @@
+// Data source layer for the dashboard API
+// Hands server.js a pg-compatible pool: the production Postgres database by default,
+// or an in-memory database seeded from fixtures/ when DATA_SOURCE=fixture (no VPN needed).
+
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+
+const FIXTURE_SCHEMA_PATH = path.join(__dirname, 'fixtures', 'schema.sql');
+
+// Create the pool for the configured data source
+function createPool(config) {
+    const sourceType = config.dataSource.type;
+
+    if (sourceType === 'fixture') {
+        return createFixturePool(config.dataSource.fixturePath);
+    }
+
+    if (sourceType !== 'postgres') {
+        throw new Error(`Unknown DATA_SOURCE "${sourceType}" (expected "postgres" or "fixture")`);
+    }
+
+    return new Pool({
+        connectionString: config.database.connectionString,
+        ssl: {
+            rejectUnauthorized: false
+        }
+    });
+}
+
+// Build an in-memory Postgres emulator loaded with the fixture schema and rows
+function createFixtureDatabase(fixturePath) {
+    // Only needed offline, so keep it out of the production startup path
+    const { newDb } = require('pg-mem');
+
+    const db = newDb();
+    registerPostgresCompatibility(db);
+    db.public.none(fs.readFileSync(FIXTURE_SCHEMA_PATH, 'utf8'));
+
+    const fixture = JSON.parse(fs.readFileSync(path.resolve(__dirname, fixturePath), 'utf8'));
+    const timestampColumns = getTimestampColumns(db);
+
+    for (const [tableName, rows] of Object.entries(fixture)) {
+        const table = db.public.getTable(tableName);
+        const dateColumns = timestampColumns[tableName] || [];
+
+        rows.forEach(row => {
+            const record = { ...row };
+            dateColumns.forEach(column => {
+                if (record[column]) record[column] = new Date(record[column]);
+            });
+            table.insert(record);
+        });
+    }
+
+    return db;
+}
+
+function createFixturePool(fixturePath) {
+    const db = createFixtureDatabase(fixturePath);
+    const { Pool: FixturePool } = db.adapters.createPg();
+    return new FixturePool();
+}
+
+// Timestamps are stored as ISO strings in the fixture; pg returns Date objects
+function getTimestampColumns(db) {
+    const columns = {};
+    db.public.many(`
+        SELECT table_name, column_name
+        FROM information_schema.columns
+        WHERE table_schema = 'public' AND data_type = 'timestamptz'
+    `).forEach(row => {
+        columns[row.table_name] = columns[row.table_name] || [];
+        columns[row.table_name].push(row.column_name);
+    });
+    return columns;
+}
+
+// Postgres functions and operators server.js relies on that pg-mem lacks
+function registerPostgresCompatibility(db) {
+    const { DataType } = require('pg-mem');
+
+    db.public.registerFunction({
+        name: 'round',
+        args: [DataType.float, DataType.integer],
+        returns: DataType.float,
+        implementation: (value, digits) => value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits
+    });
+
+    db.public.registerFunction({
+        name: 'round',
+        args: [DataType.float],
+        returns: DataType.float,
+        implementation: value => value === null ? null : Math.round(value)
+    });
+
+    db.public.registerFunction({
+        name: 'trim',
+        args: [DataType.text],
+        returns: DataType.text,
+        implementation: value => value === null ? null : value.trim()
+    });
+
+    // Truncates in UTC, which is what the fixture timestamps are in
+    db.public.registerFunction({
+        name: 'date_trunc',
+        args: [DataType.text, DataType.timestamptz],
+        returns: DataType.timestamptz,
+        implementation: (field, value) => {
+            if (value === null) return null;
+            const date = new Date(value);
+            const parts = [date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()];
+            const precision = ['year', 'month', 'day', 'hour', 'minute', 'second'].indexOf(field.toLowerCase());
+            if (field.toLowerCase() === 'week') {
+                const day = new Date(Date.UTC(parts[0], parts[1], parts[2]));
+                day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+                return day;
+            }
+            if (field.toLowerCase() === 'quarter') return new Date(Date.UTC(parts[0], parts[1] - (parts[1] % 3), 1));
+            if (precision === -1) throw new Error(`date_trunc unit "${field}" not recognized`);
+            return new Date(Date.UTC(...parts.map((part, i) => i <= precision ? part : (i === 2 ? 1 : 0))));
+        }
+    });
+
+    db.public.registerFunction({
+        name: 'left',
+        args: [DataType.text, DataType.integer],
+        returns: DataType.text,
+        implementation: (value, count) => value === null ? null : value.substring(0, count)
+    });
+
+    db.public.registerFunction({
+        name: 'length',
+        args: [DataType.text],
+        returns: DataType.integer,
+        implementation: value => value === null ? null : value.length
+    });
+
+    db.public.registerFunction({
+        name: 'jsonb_typeof',
+        args: [DataType.jsonb],
+        returns: DataType.text,
+        implementation: value => {
+            if (value === null) return 'null';
+            if (Array.isArray(value)) return 'array';
+            return typeof value;
+        }
+    });
+
+    db.public.registerFunction({
+        name: 'jsonb_array_length',
+        args: [DataType.jsonb],
+        returns: DataType.integer,
+        implementation: value => Array.isArray(value) ? value.length : null
+    });
+
+    db.public.registerOperator({
+        operator: '?',
+        left: DataType.jsonb,
+        right: DataType.text,
+        returns: DataType.bool,
+        implementation: (value, key) => value !== null && typeof value === 'object' && key in value
+    });
+
+    // pg-mem has no information_schema.views; the fixture database has no views
+    db.public.interceptQueries(sql => /information_schema\.views/i.test(sql) ? [] : null);
+}
+
+module.exports = {
+    createPool,
+    createFixtureDatabase
+};
@@ -0,0 +1,256 @@
+// Dealer Groups for Dealership Rankings
+// Dealer-group hierarchy (e.g. Braman, AutoNation) and accepted duplicate-dealer merges (defaults in
+// data/dealer-groups.json), group rollups of dealer grades and fee stats, and duplicate-dealer suggestions
+
+const fs = require('fs');
+const path = require('path');
+const { gradeDealer, getMarketPrior } = require('./grading-system');
+const config = require('./config');
+
+// The checked-in groups; edits go to DEALER_GROUPS_PATH (git-ignored), which is read instead once it exists
+const DEFAULT_DEALER_GROUPS_PATH = path.join(__dirname, 'data', 'dealer-groups.json');
+const DEALER_GROUPS_PATH = path.resolve(__dirname, config.settings.dealerGroupsPath);
+
+// Words that say nothing about which dealer a name refers to
+const NAME_STOPWORDS = ['of', 'the', 'and', 'inc', 'llc', 'co', 'dealership', 'motors', 'auto', 'automotive'];
+
+// Score at or above which two dealers are suggested as duplicates
+const DUPLICATE_THRESHOLD = 0.6;
+
+function loadDealerGroups() {
+    const storePath = [DEALER_GROUPS_PATH, DEFAULT_DEALER_GROUPS_PATH].find(candidate => fs.existsSync(candidate));
+    if (!storePath) return { groups: [], merges: {} };
+    return JSON.parse(fs.readFileSync(storePath, 'utf8'));
+}
+
+function saveDealerGroups(store) {
+    fs.mkdirSync(path.dirname(DEALER_GROUPS_PATH), { recursive: true });
+    fs.writeFileSync(DEALER_GROUPS_PATH, JSON.stringify(store, null, 2) + '\n');
+}
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// The dealer ID a dealer's deals count under, following accepted merges
+function resolveDealerId(dealerId, merges = loadDealerGroups().merges) {
+    let resolved = dealerId;
+    const seen = new Set();
+    while (merges[resolved] !== undefined && !seen.has(resolved)) {
+        seen.add(resolved);
+        resolved = merges[resolved];
+    }
+    return resolved;
+}
+
+// Every group a dealer belongs to, innermost first (its own group, then parent groups)
+function getDealerGroupPath(dealerId, groups = loadDealerGroups().groups) {
+    const groupPath = [];
+    let group = groups.find(g => g.dealerIds.includes(dealerId));
+    while (group && !groupPath.includes(group)) {
+        groupPath.push(group);
+        group = group.parentId ? groups.find(g => g.id === group.parentId) : null;
+    }
+    return groupPath.map(({ id, name }) => ({ id, name }));
+}
+
+// Create or replace a group; returns { group } or { error }
+function saveDealerGroup(id, { name, parentId = null, dealerIds = [] }) {
+    const store = loadDealerGroups();
+
+    if (!id || !/^[a-z0-9-]+$/.test(id)) return { error: 'id is required and may only use lowercase letters, numbers and dashes' };
+    if (!name) return { error: 'name is required' };
+    if (!Array.isArray(dealerIds) || dealerIds.some(dealerId => !Number.isInteger(dealerId))) {
+        return { error: 'dealerIds must be a list of dealer IDs' };
+    }
+    if (parentId !== null) {
+        if (!store.groups.some(g => g.id === parentId)) return { error: `Unknown parent group "${parentId}"` };
+
+        // Walking up from the parent must not come back to this group
+        let ancestor = parentId;
+        while (ancestor) {
+            if (ancestor === id) return { error: 'A group cannot be nested inside itself' };
+            const parent = store.groups.find(g => g.id === ancestor);
+            ancestor = parent ? parent.parentId : null;
+        }
+    }
+    const taken = store.groups.find(g => g.id !== id && g.dealerIds.some(dealerId => dealerIds.includes(dealerId)));
+    if (taken) return { error: `A dealer can only belong to one group; "${taken.name}" already has one of these dealers` };
+
+    const group = { id, name, parentId, dealerIds };
+    const index = store.groups.findIndex(g => g.id === id);
+    if (index === -1) store.groups.push(group);
+    else store.groups[index] = group;
+    saveDealerGroups(store);
+
+    return { group };
+}
+
+// Delete a group; its child groups move up to its parent
+function deleteDealerGroup(id) {
+    const store = loadDealerGroups();
+    const group = store.groups.find(g => g.id === id);
+    if (!group) return { notFound: true };
+
+    store.groups = store.groups
+        .filter(g => g.id !== id)
+        .map(g => (g.parentId === id ? { ...g, parentId: group.parentId } : g));
+    saveDealerGroups(store);
+
+    return { group };
+}
+
+// Record that a duplicate dealer is the same rooftop as another; its deals count under the other dealer
+function mergeDealers(fromDealerId, toDealerId) {
+    const store = loadDealerGroups();
+
+    if (!Number.isInteger(fromDealerId) || !Number.isInteger(toDealerId)) return { error: 'fromDealerId and toDealerId are required' };
+    if (resolveDealerId(toDealerId, store.merges) === fromDealerId || fromDealerId === toDealerId) {
+        return { error: 'A dealer cannot be merged into itself' };
+    }
+
+    store.merges[fromDealerId] = toDealerId;
+    saveDealerGroups(store);
+
+    return { merge: { fromDealerId, toDealerId } };
+}
+
+function unmergeDealer(fromDealerId) {
+    const store = loadDealerGroups();
+    if (store.merges[fromDealerId] === undefined) return { notFound: true };
+
+    const toDealerId = store.merges[fromDealerId];
+    delete store.merges[fromDealerId];
+    saveDealerGroups(store);
+
+    return { merge: { fromDealerId, toDealerId } };
+}
+
+// Roll ranked dealers up to their groups (and parent groups)
+// rankedDealers: rankings entries [{ dealer_id, deals }]; each group is graded on all of its dealers' deals
+// against the same market prior as the dealer rankings
+function rollupDealerGroups(rankedDealers, profile, groups = loadDealerGroups().groups) {
+    const rollups = groups.map(group => {
+        const dealers = rankedDealers.filter(dealer =>
+            getDealerGroupPath(dealer.dealer_id, groups).some(g => g.id === group.id));
+        return { group, dealers, deals: dealers.flatMap(dealer => dealer.deals) };
+    }).filter(rollup => rollup.deals.length > 0);
+
+    const prior = getMarketPrior(rankedDealers.flatMap(dealer => dealer.deals), profile);
+
+    return rollups
+        .map(rollup => {
+            const totalExcessive = rollup.deals.reduce((sum, deal) => sum + deal.excessive_fees, 0);
+            const totalIllegitimate = rollup.deals.reduce((sum, deal) => sum + deal.illegitimate_fees, 0);
+            return {
+                groupId: rollup.group.id,
+                groupName: rollup.group.name,
+                parentId: rollup.group.parentId || null,
+                dealerCount: rollup.dealers.length,
+                dealers: rollup.dealers.map(dealer => ({ dealer_id: dealer.dealer_id, dealer_name: dealer.dealer_name, grade: dealer.grading.grade })),
+                dealCount: rollup.deals.length,
+                feeStats: {
+                    totalExcessive: round2(totalExcessive),
+                    totalIllegitimate: round2(totalIllegitimate),
+                    averageExcessive: round2(totalExcessive / rollup.deals.length),
+                    averageIllegitimate: round2(totalIllegitimate / rollup.deals.length),
+                    dealsWithIllegitimateFees: rollup.deals.filter(deal => deal.illegitimate_fees > 0).length
+                },
+                grading: gradeDealer(rollup.deals, profile, prior)
+            };
+        })
+        .sort((a, b) => b.grading.adjustedScore - a.grading.adjustedScore);
+}
+
+function normalizeName(name) {
+    return (name || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/)
+        .filter(word => word && !NAME_STOPWORDS.includes(word));
+}
+
+function normalizeAddress(address) {
+    return (address || '').toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .replace(/\bboulevard\b/g, 'blvd')
+        .replace(/\bstreet\b/g, 'st')
+        .replace(/\bavenue\b/g, 'ave')
+        .replace(/\bhighway\b/g, 'hwy')
+        .replace(/\broad\b/g, 'rd')
+        .replace(/\bdrive\b/g, 'dr')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function getDomain(website) {
+    if (!website) return null;
+    const match = website.toLowerCase().match(/^(?:https?:\/\/)?(?:www\.)?([^/:]+)/);
+    return match ? match[1] : null;
+}
+
+// Share of name words the two names have in common
+function nameSimilarity(a, b) {
+    const wordsA = new Set(normalizeName(a));
+    const wordsB = new Set(normalizeName(b));
+    if (wordsA.size === 0 || wordsB.size === 0) return 0;
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return shared / Math.min(wordsA.size, wordsB.size);
+}
+
+// Pairs of dealers that look like the same rooftop, by name, address, website domain and phone
+// Scores add up from 0 to 1; pairs already merged are left out
+function findDuplicateDealers(dealers, merges = {}, threshold = DUPLICATE_THRESHOLD) {
+    const suggestions = [];
+
+    for (let i = 0; i < dealers.length; i++) {
+        for (let j = i + 1; j < dealers.length; j++) {
+            const a = dealers[i];
+            const b = dealers[j];
+            if (resolveDealerId(a.id, merges) === resolveDealerId(b.id, merges)) continue;
+
+            const reasons = [];
+            let score = 0;
+
+            const nameScore = nameSimilarity(a.name, b.name);
+            if (nameScore >= 0.5) {
+                score += 0.35 * nameScore;
+                reasons.push(nameScore === 1 ? 'Same name' : 'Similar name');
+            }
+            const addressA = normalizeAddress(a.address);
+            if (addressA && addressA === normalizeAddress(b.address) && (a.zip_code || null) === (b.zip_code || null)) {
+                score += 0.35;
+                reasons.push('Same address');
+            }
+            const domainA = getDomain(a.website);
+            if (domainA && domainA === getDomain(b.website)) {
+                score += 0.2;
+                reasons.push('Same website domain');
+            }
+            const phoneA = (a.phone || '').replace(/\D/g, '');
+            if (phoneA && phoneA === (b.phone || '').replace(/\D/g, '')) {
+                score += 0.1;
+                reasons.push('Same phone number');
+            }
+
+            if (score >= threshold) {
+                suggestions.push({
+                    dealers: [a, b].map(dealer => ({ id: dealer.id, name: dealer.name, address: dealer.address, city: dealer.city, website: dealer.website })),
+                    score: round2(score),
+                    reasons
+                });
+            }
+        }
+    }
+
+    return suggestions.sort((x, y) => y.score - x.score);
+}
+
+module.exports = {
+    loadDealerGroups,
+    resolveDealerId,
+    getDealerGroupPath,
+    saveDealerGroup,
+    deleteDealerGroup,
+    mergeDealers,
+    unmergeDealer,
+    rollupDealerGroups,
+    findDuplicateDealers
+};
@@ -0,0 +1,87 @@
+// Dealer Profile System for the Dashboard
+// Helpers behind /api/dealers/:dealerId: dealer email response times, month-by-month grade history
+// and the bait & switch initiatives linked to a dealer
+
+const { gradeDealer } = require('./grading-system');
+
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+// How long the dealer takes to answer the buyer by email
+// messages: [{ conversation_id, message_type: 'buyer' | 'dealer', created }]. Each run of buyer messages
+// waits for the next dealer message in the same conversation; a wait with no reply counts as unanswered.
+function calculateResponseTimes(messages) {
+    const conversations = {};
+    messages.forEach(message => {
+        conversations[message.conversation_id] = conversations[message.conversation_id] || [];
+        conversations[message.conversation_id].push(message);
+    });
+
+    const hours = [];
+    let unanswered = 0;
+    Object.values(conversations).forEach(conversationMessages => {
+        let waitingSince = null;
+        conversationMessages
+            .sort((a, b) => new Date(a.created) - new Date(b.created))
+            .forEach(message => {
+                if (message.message_type === 'buyer') {
+                    if (waitingSince === null) waitingSince = new Date(message.created);
+                } else if (message.message_type === 'dealer' && waitingSince !== null) {
+                    hours.push((new Date(message.created) - waitingSince) / 3600000);
+                    waitingSince = null;
+                }
+            });
+        if (waitingSince !== null) unanswered++;
+    });
+
+    return {
+        responses: hours.length,
+        unanswered,
+        averageHours: hours.length > 0 ? round1(hours.reduce((sum, h) => sum + h, 0) / hours.length) : null,
+        medianHours: hours.length > 0 ? round1(median(hours)) : null,
+        fastestHours: hours.length > 0 ? round1(Math.min(...hours)) : null,
+        slowestHours: hours.length > 0 ? round1(Math.max(...hours)) : null
+    };
+}
+
+// The dealer's grade at the end of each month, from every graded deal up to then
+// deals: [{ excessive_fees, illegitimate_fees, date }]; prior is the market prior used for the rankings
+function buildGradeHistory(deals, profile, prior) {
+    const dated = deals
+        .filter(deal => deal.date)
+        .map(deal => ({ ...deal, month: new Date(deal.date).toISOString().slice(0, 7) }))
+        .sort((a, b) => a.month.localeCompare(b.month));
+    const months = [...new Set(dated.map(deal => deal.month))];
+
+    return months.map(month => {
+        const grading = gradeDealer(dated.filter(deal => deal.month <= month), profile, prior);
+        return {
+            month,
+            dealCount: grading.dealCount,
+            grade: grading.grade,
+            score: round1(grading.averageScores.overall),
+            adjustedScore: round1(grading.adjustedScore),
+            provisional: grading.provisional
+        };
+    });
+}
+
+// Initiatives that list the dealer in their dealer_ids
+function findDealerInitiatives(initiatives, dealerId) {
+    return initiatives.filter(initiative =>
+        Array.isArray(initiative.dealer_ids) && initiative.dealer_ids.map(Number).includes(Number(dealerId)));
+}
+
+module.exports = {
+    calculateResponseTimes,
+    buildGradeHistory,
+    findDealerInitiatives
+};
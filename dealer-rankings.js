@@ -0,0 +1,156 @@
+// Dealer Rankings for the Dashboard
+// Loads analysis-stage deals grouped by dealer and ranks dealers with a grading profile; shared by the
+// rankings, dealer profile and group endpoints and the scorecard batch run
+
+const { gradeDealers } = require('./grading-system');
+const { loadDealerGroups, resolveDealerId, getDealerGroupPath } = require('./dealer-groups');
+
+// Group analysis-stage deals with fee data by dealer for grading
+// Returns [{ dealer_id, dealer_name, location, group, group_path, deals: [{ deal_id, excessive_fees, illegitimate_fees }] }]
+async function loadRankingDealers(pool) {
+    // Get ONLY deals that are in "analysis" state with fee data
+    const dealsResult = await pool.query(`
+        SELECT DISTINCT
+            d.id as deal_id,
+            d.state,
+            l.dealer_id,
+            dl.name as dealer_name,
+            dl.city,
+            dl.state_code,
+            dt.payload
+        FROM deals d
+        LEFT JOIN listings l ON d.id = l.deal_id
+        LEFT JOIN dealers dl ON l.dealer_id = dl.id
+        LEFT JOIN (
+            SELECT DISTINCT deal_id, payload 
+            FROM deal_tasks 
+            WHERE task_type = 'RISK_ASSESSMENT_UPDATE'
+        ) dt ON d.id = dt.deal_id
+        WHERE d.state = 'analysis' AND d.is_active = true
+        ORDER BY d.id
+    `);
+    
+    // Process deals and group by dealer ID, counting merged duplicate dealers under the dealer they were merged into
+    const { groups, merges } = loadDealerGroups();
+    const dealerDeals = {};
+    
+    console.log(`Processing ${dealsResult.rows.length} deals for dealership rankings`);
+    
+    const processedDeals = new Set(); // Track processed deals to avoid duplicates
+    
+    dealsResult.rows.forEach(row => {
+        try {
+            // Skip if we've already processed this deal
+            if (processedDeals.has(row.deal_id)) {
+                return;
+            }
+            processedDeals.add(row.deal_id);
+            
+            if (row.payload) {
+                const payload = typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload;
+                
+                if (payload.fees && Array.isArray(payload.fees)) {
+                    let excessiveFees = 0;
+                    let illegitimateFees = 0;
+                    
+                    payload.fees.forEach(fee => {
+                        const amount = fee.amount || 0;
+                        if (fee.assessment === 'EXCESSIVE') {
+                            excessiveFees += amount;
+                        } else if (fee.assessment === 'ILLEGITIMATE') {
+                            illegitimateFees += amount;
+                        }
+                    });
+                    
+                    const dealerId = row.dealer_id === null ? null : resolveDealerId(row.dealer_id, merges);
+                    const dealerKey = dealerId === null ? 'unknown' : String(dealerId);
+                    
+                    // Name and location come from the dealer itself rather than a merged duplicate
+                    if (!dealerDeals[dealerKey] || (dealerId !== null && row.dealer_id === dealerId)) {
+                        const groupPath = dealerId === null ? [] : getDealerGroupPath(dealerId, groups);
+                        dealerDeals[dealerKey] = {
+                            dealer_id: dealerId,
+                            dealer_name: row.dealer_name || 'Unknown Dealer',
+                            location: `${row.city || ''}, ${row.state_code || ''}`,
+                            group: groupPath[0] || null,
+                            group_path: groupPath,
+                            deals: dealerDeals[dealerKey] ? dealerDeals[dealerKey].deals : []
+                        };
+                    }
+                    
+                    dealerDeals[dealerKey].deals.push({
+                        deal_id: row.deal_id,
+                        excessive_fees: excessiveFees,
+                        illegitimate_fees: illegitimateFees
+                    });
+                }
+            }
+        } catch (e) {
+            console.error('Error processing deal:', e);
+        }
+    });
+    
+    console.log(`Processed ${processedDeals.size} unique deals for dealership rankings`);
+    
+    return Object.values(dealerDeals);
+}
+
+// Grade each dealer with a grading profile and sort best first
+// Score keys rankings can sort by (?sort=): the sample-size-adjusted score, the lower bound of its
+// credible interval, or the raw average of the dealer's deal scores
+const RANKING_SORT_SCORES = {
+    adjusted: grading => grading.adjustedScore,
+    lowerBound: grading => (grading.confidence ? grading.confidence.lower : grading.adjustedScore),
+    score: grading => grading.averageScores.overall
+};
+
+function rankDealers(dealers, profile, sort = 'adjusted') {
+    const { weights } = profile.settings;
+    const sortScore = RANKING_SORT_SCORES[sort];
+    const gradings = gradeDealers(dealers.map(dealer => dealer.deals), profile);
+    
+    return dealers
+        .map((dealer, index) => ({
+            ...dealer,
+            grading: gradings[index]
+        }))
+        .filter(dealer => dealer.grading.dealCount > 0)
+        .sort((a, b) => {
+            // Sort by the chosen score (highest score = best rank)
+            const aScore = sortScore(a.grading) || 0;
+            const bScore = sortScore(b.grading) || 0;
+            
+            // Primary sort: score (highest first)
+            if (Math.abs(aScore - bScore) > 0.1) {
+                return bScore - aScore;
+            }
+            
+            // If scores are the same, sort by weighted fees (lowest first) as tiebreaker
+            const aWeightedFees = ((a.grading.averageFees.excessive || 0) * weights.excessive) + ((a.grading.averageFees.illegitimate || 0) * weights.illegitimate);
+            const bWeightedFees = ((b.grading.averageFees.excessive || 0) * weights.excessive) + ((b.grading.averageFees.illegitimate || 0) * weights.illegitimate);
+            
+            if (Math.abs(aWeightedFees - bWeightedFees) > 0.01) {
+                return aWeightedFees - bWeightedFees;
+            }
+            
+            // If still tied, sort by illegitimate fees (lowest first)
+            const aIllegitimate = a.grading.averageFees.illegitimate || 0;
+            const bIllegitimate = b.grading.averageFees.illegitimate || 0;
+            
+            if (Math.abs(aIllegitimate - bIllegitimate) > 0.01) {
+                return aIllegitimate - bIllegitimate;
+            }
+            
+            // Final tiebreaker: excessive fees (lowest first)
+            const aExcessive = a.grading.averageFees.excessive || 0;
+            const bExcessive = b.grading.averageFees.excessive || 0;
+            
+            return aExcessive - bExcessive;
+        });
+}
+
+module.exports = {
+    RANKING_SORT_SCORES,
+    loadRankingDealers,
+    rankDealers
+};
@@ -0,0 +1,198 @@
+// Fee Taxonomy for RISK_ASSESSMENT_UPDATE fee line items
+// Maps free-text fee names to canonical categories using the editable table (defaults in data/fee-taxonomy.json):
+// an exact alias match on the normalized name first, then category keywords, otherwise "other"
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+// The checked-in mapping table; edits go to FEE_TAXONOMY_PATH (git-ignored), which is read instead once it exists
+const DEFAULT_FEE_TAXONOMY_PATH = path.join(__dirname, 'data', 'fee-taxonomy.json');
+const FEE_TAXONOMY_PATH = path.resolve(__dirname, config.settings.feeTaxonomyPath);
+const OTHER_CATEGORY = { id: 'other', label: 'Other', description: 'Fees not in the mapping table' };
+const ASSESSMENTS = ['NORMAL', 'EXCESSIVE', 'ILLEGITIMATE'];
+
+function loadFeeTaxonomy() {
+    const taxonomyPath = fs.existsSync(FEE_TAXONOMY_PATH) ? FEE_TAXONOMY_PATH : DEFAULT_FEE_TAXONOMY_PATH;
+    return JSON.parse(fs.readFileSync(taxonomyPath, 'utf8'));
+}
+
+function saveFeeTaxonomy(taxonomy) {
+    fs.mkdirSync(path.dirname(FEE_TAXONOMY_PATH), { recursive: true });
+    fs.writeFileSync(FEE_TAXONOMY_PATH, JSON.stringify(taxonomy, null, 2) + '\n');
+}
+
+// "Doc. Fee", "DOC FEE" and "Doc-Fee" all normalize to "doc fee"
+function normalizeFeeName(name) {
+    return String(name || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+// Resolve a raw fee name to its category
+function categorizeFee(name, taxonomy = loadFeeTaxonomy()) {
+    const normalized = normalizeFeeName(name);
+    const byId = id => taxonomy.categories.find(c => c.id === id);
+
+    const aliasCategory = Object.hasOwn(taxonomy.aliases, normalized) && byId(taxonomy.aliases[normalized]);
+    if (aliasCategory) {
+        return { category: aliasCategory.id, label: aliasCategory.label, matchedBy: 'alias' };
+    }
+
+    // Keywords match whole words, so "adm" doesn't catch "admin"
+    const keywordCategory = taxonomy.categories.find(category =>
+        (category.keywords || []).some(keyword => new RegExp(`\\b${escapeRegExp(normalizeFeeName(keyword))}\\b`).test(normalized))
+    );
+    if (keywordCategory) {
+        return { category: keywordCategory.id, label: keywordCategory.label, matchedBy: 'keyword' };
+    }
+
+    return { category: OTHER_CATEGORY.id, label: OTHER_CATEGORY.label, matchedBy: 'unmapped' };
+}
+
+// Map a raw fee name to a category in the mapping table
+function setFeeAlias(name, categoryId) {
+    const taxonomy = loadFeeTaxonomy();
+    const normalized = normalizeFeeName(name);
+
+    if (!normalized) return { error: 'Fee name is required' };
+    if (!taxonomy.categories.some(c => c.id === categoryId)) {
+        return { error: `Unknown fee category "${categoryId}"` };
+    }
+
+    taxonomy.aliases[normalized] = categoryId;
+    saveFeeTaxonomy(taxonomy);
+    return { alias: normalized, category: categoryId };
+}
+
+// Remove a raw fee name from the mapping table
+function removeFeeAlias(name) {
+    const taxonomy = loadFeeTaxonomy();
+    const normalized = normalizeFeeName(name);
+
+    if (!Object.hasOwn(taxonomy.aliases, normalized)) return { notFound: true };
+
+    delete taxonomy.aliases[normalized];
+    saveFeeTaxonomy(taxonomy);
+    return { alias: normalized };
+}
+
+// Frequency, median amount and assessment mix per fee category, overall and per dealer
+// rows: [{ deal_id, dealer_id, dealer_name, payload }] from RISK_ASSESSMENT_UPDATE tasks
+function summarizeFeeCategories(rows, taxonomy = loadFeeTaxonomy()) {
+    const seenDeals = new Set();
+    const overall = {};
+    const dealers = {};
+    const unmapped = {};
+
+    rows.forEach(row => {
+        if (seenDeals.has(row.deal_id)) return;
+
+        const payload = typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload;
+        if (!payload || !Array.isArray(payload.fees)) return;
+        seenDeals.add(row.deal_id);
+
+        if (!dealers[row.dealer_id]) {
+            dealers[row.dealer_id] = { dealerId: row.dealer_id, dealerName: row.dealer_name, dealIds: new Set(), categories: {} };
+        }
+        dealers[row.dealer_id].dealIds.add(row.deal_id);
+
+        payload.fees.forEach(fee => {
+            const { category, label, matchedBy } = categorizeFee(fee.label, taxonomy);
+            if (matchedBy === 'unmapped') {
+                unmapped[fee.label] = (unmapped[fee.label] || 0) + 1;
+            }
+
+            [overall, dealers[row.dealer_id].categories].forEach(target => {
+                if (!target[category]) target[category] = createCategoryStats(category, label);
+                addFee(target[category], fee, row.deal_id);
+            });
+        });
+    });
+
+    const totalFlagged = Object.values(overall).reduce((sum, stats) => sum + stats.flaggedAmount, 0);
+
+    return {
+        dealsAnalyzed: seenDeals.size,
+        categories: finishCategories(overall, seenDeals.size, totalFlagged),
+        dealers: Object.values(dealers).map(dealer => {
+            const dealerFlagged = Object.values(dealer.categories).reduce((sum, stats) => sum + stats.flaggedAmount, 0);
+            return {
+                dealerId: dealer.dealerId,
+                dealerName: dealer.dealerName,
+                dealsAnalyzed: dealer.dealIds.size,
+                categories: finishCategories(dealer.categories, dealer.dealIds.size, dealerFlagged)
+            };
+        }),
+        unmappedNames: Object.entries(unmapped)
+            .map(([name, count]) => ({ name, count }))
+            .sort((a, b) => b.count - a.count)
+    };
+}
+
+function createCategoryStats(category, label) {
+    const assessments = {};
+    ASSESSMENTS.forEach(assessment => {
+        assessments[assessment] = 0;
+    });
+    return { category, label, amounts: [], dealIds: new Set(), rawNames: new Set(), assessments, flaggedAmount: 0 };
+}
+
+function addFee(stats, fee, dealId) {
+    const amount = fee.amount || 0;
+    stats.amounts.push(amount);
+    stats.dealIds.add(dealId);
+    stats.rawNames.add(fee.label);
+    if (fee.assessment in stats.assessments) stats.assessments[fee.assessment]++;
+    if (fee.assessment === 'EXCESSIVE' || fee.assessment === 'ILLEGITIMATE') stats.flaggedAmount += amount;
+}
+
+// Turn accumulated stats into the response shape, categories driving the most flagged dollars first
+function finishCategories(categories, dealCount, totalFlagged) {
+    return Object.values(categories)
+        .map(stats => {
+            const count = stats.amounts.length;
+            const flagged = stats.assessments.EXCESSIVE + stats.assessments.ILLEGITIMATE;
+            return {
+                category: stats.category,
+                label: stats.label,
+                count,
+                dealCount: stats.dealIds.size,
+                dealFrequencyPct: dealCount > 0 ? Math.round((stats.dealIds.size / dealCount) * 1000) / 10 : 0,
+                medianAmount: round2(median(stats.amounts)),
+                averageAmount: round2(stats.amounts.reduce((sum, a) => sum + a, 0) / count),
+                assessments: stats.assessments,
+                flaggedPct: Math.round((flagged / count) * 1000) / 10,
+                flaggedAmount: round2(stats.flaggedAmount),
+                shareOfFlaggedAmountPct: totalFlagged > 0 ? Math.round((stats.flaggedAmount / totalFlagged) * 1000) / 10 : 0,
+                rawNames: [...stats.rawNames].sort()
+            };
+        })
+        .sort((a, b) => b.flaggedAmount - a.flaggedAmount || b.count - a.count);
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function round2(value) {
+    return value === null ? null : Math.round(value * 100) / 100;
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+    OTHER_CATEGORY,
+    loadFeeTaxonomy,
+    normalizeFeeName,
+    categorizeFee,
+    setFeeAlias,
+    removeFeeAlias,
+    summarizeFeeCategories
+};
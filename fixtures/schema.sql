@@ -0,0 +1,164 @@
+-- Schema for the offline fixture database (DATA_SOURCE=fixture).
+-- Mirrors the subset of the production deals database that server.js reads.
+
+CREATE TABLE dealers (
+    id integer PRIMARY KEY,
+    name text,
+    address text,
+    city text,
+    state_code text,
+    zip_code text,
+    phone text,
+    email text,
+    website text,
+    created timestamptz,
+    updated timestamptz,
+    deleted timestamptz
+);
+
+CREATE TABLE customers (
+    id integer PRIMARY KEY,
+    name text,
+    email text,
+    phone text,
+    created timestamptz
+);
+
+CREATE TABLE vehicles (
+    id integer PRIMARY KEY,
+    vin text,
+    year integer,
+    make text,
+    copilot_model text,
+    trim text,
+    body_style text,
+    drive_train text
+);
+
+CREATE TABLE ad_info (
+    id integer PRIMARY KEY,
+    price numeric,
+    url text,
+    created timestamptz
+);
+
+CREATE TABLE deals (
+    id integer PRIMARY KEY,
+    state text,
+    is_active boolean DEFAULT true,
+    customer_id integer,
+    created timestamptz,
+    updated timestamptz,
+    deleted timestamptz
+);
+
+CREATE TABLE listings (
+    id integer PRIMARY KEY,
+    deal_id integer,
+    dealer_id integer,
+    vehicle_id integer,
+    ad_info_id integer,
+    created timestamptz,
+    deleted timestamptz
+);
+
+CREATE TABLE deal_tasks (
+    id integer PRIMARY KEY,
+    deal_id integer,
+    task_type text,
+    state text,
+    payload jsonb,
+    meta jsonb,
+    created timestamptz,
+    updated timestamptz
+);
+
+CREATE TABLE deal_tasks_send_email (
+    id integer PRIMARY KEY,
+    from_email text,
+    to_email text,
+    subject text,
+    suggested_body text,
+    final_body text,
+    in_reply_to text,
+    follow_up boolean
+);
+
+CREATE TABLE deal_tasks_dealer_outreach_task (
+    id integer PRIMARY KEY,
+    deal_task_id integer,
+    channel text
+);
+
+CREATE TABLE deal_risk_analysis (
+    id integer PRIMARY KEY,
+    deal_id integer,
+    internet_price numeric,
+    offer_price numeric,
+    current_bottom_line_price numeric,
+    fair_bottom_line_price numeric,
+    quoted_tax numeric,
+    excessive_fees numeric,
+    illegitimate_fees numeric,
+    bottom_line_price_difference numeric,
+    created timestamptz
+);
+
+CREATE TABLE events (
+    id integer PRIMARY KEY,
+    deal_id integer,
+    action_id integer,
+    event_timestamp timestamptz,
+    details jsonb
+);
+
+CREATE TABLE conversations (
+    id integer PRIMARY KEY,
+    deal_id integer,
+    vin text,
+    created timestamptz,
+    updated timestamptz,
+    deleted timestamptz
+);
+
+CREATE TABLE messages (
+    id integer PRIMARY KEY,
+    conversation_id integer,
+    deal_id integer,
+    message_id text,
+    message_type text,
+    text text,
+    content text,
+    body text,
+    created timestamptz,
+    updated timestamptz,
+    deleted timestamptz
+);
+
+CREATE TABLE messages_dealer_email (
+    id integer PRIMARY KEY,
+    smtp_message_id text,
+    smtp_metadata jsonb,
+    summarized_content text,
+    content text,
+    body text,
+    text text,
+    created timestamptz
+);
+
+CREATE TABLE messages_sendemail (
+    id integer PRIMARY KEY,
+    message_id text,
+    body text,
+    content text,
+    text text,
+    html text,
+    created timestamptz
+);
+
+CREATE TABLE messages_dealeroutreach (
+    id integer PRIMARY KEY,
+    message_id text,
+    screenshot_path text,
+    created timestamptz
+);
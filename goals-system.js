@@ -0,0 +1,224 @@
+// Goals System for Driver Metrics Campaigns
+// Named campaigns with start/end dates and per-dealer analysis deal targets
+
+const fs = require('fs');
+const path = require('path');
+const { getDealerRegion } = require('./regions');
+const config = require('./config');
+
+// The checked-in campaigns; edits go to CAMPAIGNS_PATH (git-ignored), which is read instead once it exists
+const DEFAULT_CAMPAIGNS_PATH = path.join(__dirname, 'data', 'campaigns.json');
+const CAMPAIGNS_PATH = path.resolve(__dirname, config.settings.campaignsPath);
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Load all campaigns and the active campaign ID
+function loadCampaigns() {
+    const storePath = fs.existsSync(CAMPAIGNS_PATH) ? CAMPAIGNS_PATH : DEFAULT_CAMPAIGNS_PATH;
+    return JSON.parse(fs.readFileSync(storePath, 'utf8'));
+}
+
+function saveCampaigns(data) {
+    fs.mkdirSync(path.dirname(CAMPAIGNS_PATH), { recursive: true });
+    fs.writeFileSync(CAMPAIGNS_PATH, JSON.stringify(data, null, 2) + '\n');
+}
+
+// Get a campaign by ID, or the active campaign when no ID is given
+function getCampaign(campaignId) {
+    const data = loadCampaigns();
+    const id = campaignId || data.activeCampaignId;
+    return data.campaigns.find(c => c.id === id) || null;
+}
+
+// Validate campaign fields, returning an error message or null
+function validateCampaign(campaign) {
+    if (!campaign.id || !/^[a-z0-9-]+$/.test(campaign.id)) {
+        return 'Campaign id is required and may only contain lowercase letters, numbers and dashes';
+    }
+    if (!campaign.name) {
+        return 'Campaign name is required';
+    }
+    if (!isValidDate(campaign.startDate) || !isValidDate(campaign.endDate)) {
+        return 'startDate and endDate must be dates in YYYY-MM-DD format';
+    }
+    if (parseDate(campaign.endDate) <= parseDate(campaign.startDate)) {
+        return 'endDate must be after startDate';
+    }
+
+    const targets = [campaign.target]
+        .concat(Object.values(campaign.regionTargets || {}))
+        .concat(Object.values(campaign.dealerTargets || {}));
+    if (targets.some(target => !Number.isInteger(target) || target < 1)) {
+        return 'Targets must be positive whole numbers';
+    }
+
+    return null;
+}
+
+// Create a new campaign, optionally making it the active one
+function createCampaign(input) {
+    const data = loadCampaigns();
+    const campaign = normalizeCampaign(input);
+
+    const error = validateCampaign(campaign);
+    if (error) return { error };
+
+    if (data.campaigns.some(c => c.id === campaign.id)) {
+        return { error: `Campaign "${campaign.id}" already exists` };
+    }
+
+    data.campaigns.push(campaign);
+    if (input.active) data.activeCampaignId = campaign.id;
+    saveCampaigns(data);
+
+    return { campaign };
+}
+
+// Update an existing campaign's dates, name or targets
+function updateCampaign(campaignId, changes) {
+    const data = loadCampaigns();
+    const index = data.campaigns.findIndex(c => c.id === campaignId);
+    if (index === -1) return { notFound: true };
+
+    const campaign = normalizeCampaign({ ...data.campaigns[index], ...changes, id: campaignId });
+
+    const error = validateCampaign(campaign);
+    if (error) return { error };
+
+    data.campaigns[index] = campaign;
+    if (changes.active) data.activeCampaignId = campaignId;
+    saveCampaigns(data);
+
+    return { campaign };
+}
+
+function normalizeCampaign(input) {
+    return {
+        id: input.id,
+        name: input.name,
+        startDate: input.startDate,
+        endDate: input.endDate,
+        // A missing target defaults to 10; anything else is left for validateCampaign to check
+        target: input.target === undefined ? 10 : input.target,
+        regionTargets: input.regionTargets || {},
+        dealerTargets: input.dealerTargets || {}
+    };
+}
+
+// Target for one dealer: dealer override, then region override, then campaign default
+function getDealerTarget(campaign, dealer) {
+    const dealerTarget = campaign.dealerTargets[String(dealer.dealerId)];
+    if (dealerTarget) return dealerTarget;
+
+    const regionTarget = campaign.regionTargets[getDealerRegion({ city: dealer.city, state_code: dealer.stateCode })];
+    if (regionTarget) return regionTarget;
+
+    return campaign.target;
+}
+
+// Calculate campaign progress from actual per-dealer analysis deal counts
+// dealerships: [{ dealerId, dealerName, city, stateCode, analysisDeals, campaignAnalysisDeals, totalDeals }]
+function calculateCampaignProgress(campaign, dealerships, asOf = new Date()) {
+    const today = startOfDay(asOf);
+    const startDate = parseDate(campaign.startDate);
+    const deadline = parseDate(campaign.endDate);
+
+    const campaignDays = Math.ceil((deadline - startDate) / DAY_MS);
+    const daysElapsed = Math.min(campaignDays, Math.max(0, Math.ceil((today - startDate) / DAY_MS)));
+    const daysUntilDeadline = Math.max(0, Math.ceil((deadline - today) / DAY_MS));
+
+    const dealerProgress = dealerships.map(dealer => {
+        const target = getDealerTarget(campaign, dealer);
+        return {
+            ...dealer,
+            region: getDealerRegion({ city: dealer.city, state_code: dealer.stateCode }),
+            target,
+            dealsNeeded: Math.max(0, target - dealer.analysisDeals),
+            progressPct: Math.min(100, Math.round((dealer.analysisDeals / target) * 1000) / 10)
+        };
+    });
+
+    // Deals beyond a dealer's target don't count toward the campaign total
+    const totalAnalysisNeeded = dealerProgress.reduce((sum, d) => sum + d.target, 0);
+    const currentAnalysis = dealerProgress.reduce((sum, d) => sum + Math.min(d.analysisDeals, d.target), 0);
+    const analysisStillNeeded = totalAnalysisNeeded - currentAnalysis;
+
+    // Pace so far: analysis deals reached since the campaign started
+    const campaignAnalysis = dealerProgress.reduce((sum, d) => sum + (d.campaignAnalysisDeals || 0), 0);
+    const currentDailyRate = daysElapsed > 0 ? campaignAnalysis / daysElapsed : 0;
+    const dailyRateNeeded = daysUntilDeadline > 0 ? analysisStillNeeded / daysUntilDeadline : null;
+
+    let projectedCompletion = null;
+    if (analysisStillNeeded === 0) {
+        projectedCompletion = formatDate(today);
+    } else if (currentDailyRate > 0) {
+        projectedCompletion = formatDate(new Date(today.getTime() + Math.ceil(analysisStillNeeded / currentDailyRate) * DAY_MS));
+    }
+
+    const totalDealerships = dealerProgress.length;
+    const countWhere = predicate => dealerProgress.filter(predicate).length;
+    const pctOf = count => totalDealerships > 0 ? Math.round((count / totalDealerships) * 1000) / 10 : 0;
+
+    // Progress buckets are relative to each dealer's own target
+    const achievedGoal = countWhere(d => d.analysisDeals >= d.target);
+    const nearGoal = countWhere(d => d.analysisDeals >= d.target * 0.8);
+    const goodProgress = countWhere(d => d.analysisDeals >= d.target * 0.5);
+    const hasAnalysis = countWhere(d => d.analysisDeals >= 1);
+
+    return {
+        campaign,
+        timeline: {
+            today: formatDate(today),
+            startDate: campaign.startDate,
+            deadline: campaign.endDate,
+            daysElapsed,
+            daysUntilDeadline,
+            totalAnalysisNeeded,
+            currentAnalysis,
+            analysisStillNeeded,
+            dailyRateNeeded: dailyRateNeeded === null ? null : Math.round(dailyRateNeeded * 10) / 10,
+            currentDailyRate: Math.round(currentDailyRate * 10) / 10,
+            projectedCompletion,
+            onTrack: projectedCompletion !== null && projectedCompletion <= campaign.endDate
+        },
+        summary: {
+            totalDealerships,
+            achievedGoal,
+            nearGoal,
+            goodProgress,
+            hasAnalysis,
+            noAnalysis: totalDealerships - hasAnalysis,
+            pctAchieved: pctOf(achievedGoal),
+            pctNearGoal: pctOf(nearGoal),
+            pctGoodProgress: pctOf(goodProgress),
+            pctHasAnalysis: pctOf(hasAnalysis)
+        },
+        dealerships: dealerProgress
+    };
+}
+
+function isValidDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(parseDate(value));
+}
+
+function parseDate(value) {
+    return new Date(`${value}T00:00:00Z`);
+}
+
+function startOfDay(date) {
+    const d = new Date(date);
+    return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+function formatDate(date) {
+    return date.toISOString().split('T')[0];
+}
+
+module.exports = {
+    loadCampaigns,
+    getCampaign,
+    createCampaign,
+    updateCampaign,
+    getDealerTarget,
+    calculateCampaignProgress,
+    isValidDate
+};
@@ -0,0 +1,191 @@
+// Grading Profiles for the Grading System
+// Named, versioned grading settings (fee grade bands, score ceilings, weights, overall grade bands)
+// with defaults in data/grading-profiles.json. Every edit adds a version; the active profile is the public one.
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+// The checked-in profiles; edits go to GRADING_PROFILES_PATH (git-ignored), which is read instead once it exists
+const DEFAULT_GRADING_PROFILES_PATH = path.join(__dirname, 'data', 'grading-profiles.json');
+const GRADING_PROFILES_PATH = path.resolve(__dirname, config.settings.gradingProfilesPath);
+const GRADES = ['A', 'B', 'C', 'D'];
+const FEE_TYPES = ['excessive', 'illegitimate'];
+const CONFIDENCE_LEVELS = [0.8, 0.9, 0.95, 0.99];
+
+function loadGradingProfiles() {
+    const storePath = fs.existsSync(GRADING_PROFILES_PATH) ? GRADING_PROFILES_PATH : DEFAULT_GRADING_PROFILES_PATH;
+    return JSON.parse(fs.readFileSync(storePath, 'utf8'));
+}
+
+function saveGradingProfiles(store) {
+    fs.mkdirSync(path.dirname(GRADING_PROFILES_PATH), { recursive: true });
+    fs.writeFileSync(GRADING_PROFILES_PATH, JSON.stringify(store, null, 2) + '\n');
+}
+
+// Flatten a stored profile to one of its versions (the latest by default)
+function resolveVersion(profile, version) {
+    const entry = version === undefined
+        ? profile.versions[profile.versions.length - 1]
+        : profile.versions.find(v => v.version === version);
+    if (!entry) return null;
+
+    return {
+        id: profile.id,
+        name: profile.name,
+        description: profile.description,
+        version: entry.version,
+        latestVersion: profile.versions[profile.versions.length - 1].version,
+        createdAt: entry.createdAt,
+        note: entry.note,
+        settings: entry.settings
+    };
+}
+
+// Validate profile settings, returning an error message or null
+function validateSettings(settings) {
+    if (!settings || typeof settings !== 'object') return 'settings are required';
+
+    const { feeGradeBands, scoreCeilings, weights, overallGradeBands } = settings;
+    for (const feeType of FEE_TYPES) {
+        const bands = feeGradeBands && feeGradeBands[feeType];
+        if (!bands) return `feeGradeBands.${feeType} is required`;
+        if (GRADES.some(grade => typeof bands[grade] !== 'number' || bands[grade] < 0)) {
+            return `feeGradeBands.${feeType} needs a non-negative upper bound for A, B, C and D`;
+        }
+        if (GRADES.some((grade, i) => i > 0 && bands[grade] <= bands[GRADES[i - 1]])) {
+            return `feeGradeBands.${feeType} upper bounds must increase from A to D`;
+        }
+        if (!scoreCeilings || typeof scoreCeilings[feeType] !== 'number' || scoreCeilings[feeType] <= 0) {
+            return `scoreCeilings.${feeType} must be a positive number`;
+        }
+        if (!weights || typeof weights[feeType] !== 'number' || weights[feeType] < 0) {
+            return `weights.${feeType} must be a non-negative number`;
+        }
+    }
+    if (Math.abs(weights.excessive + weights.illegitimate - 1) > 0.001) {
+        return 'weights must add up to 1';
+    }
+    if (!overallGradeBands || GRADES.some(grade => typeof overallGradeBands[grade] !== 'number')) {
+        return 'overallGradeBands needs a minimum score for A, B, C and D';
+    }
+    if (GRADES.some((grade, i) => i > 0 && overallGradeBands[grade] >= overallGradeBands[GRADES[i - 1]])) {
+        return 'overallGradeBands minimum scores must decrease from A to D';
+    }
+
+    // Sample-size confidence is optional; profiles without it grade dealers on their raw average
+    const { confidence } = settings;
+    if (confidence !== undefined) {
+        if (!confidence || typeof confidence.priorStrength !== 'number' || confidence.priorStrength < 0) {
+            return 'confidence.priorStrength must be a non-negative number';
+        }
+        if (!Number.isInteger(confidence.minDeals) || confidence.minDeals < 1) {
+            return 'confidence.minDeals must be a whole number of at least 1';
+        }
+        if (!CONFIDENCE_LEVELS.includes(confidence.level)) {
+            return `confidence.level must be one of ${CONFIDENCE_LEVELS.join(', ')}`;
+        }
+    }
+
+    return null;
+}
+
+// List every profile at its latest version
+function listGradingProfiles() {
+    const store = loadGradingProfiles();
+    return {
+        activeProfileId: store.activeProfileId,
+        profiles: store.profiles.map(profile => ({
+            ...resolveVersion(profile),
+            active: profile.id === store.activeProfileId,
+            versions: profile.versions.map(({ version, createdAt, note }) => ({ version, createdAt, note }))
+        }))
+    };
+}
+
+// Get a profile at a version (latest by default); null when either doesn't exist
+function getGradingProfile(id, version) {
+    const profile = loadGradingProfiles().profiles.find(p => p.id === id);
+    return profile ? resolveVersion(profile, version) : null;
+}
+
+// The profile public grades are computed with
+function getActiveProfile() {
+    const store = loadGradingProfiles();
+    return resolveVersion(store.profiles.find(p => p.id === store.activeProfileId));
+}
+
+// Create a profile, starting from another profile's settings when basedOn is given
+function createGradingProfile({ id, name, description, basedOn, settings, note }, now = new Date()) {
+    const store = loadGradingProfiles();
+
+    if (!id || !/^[a-z0-9-]+$/.test(id)) return { error: 'id is required and may only use lowercase letters, numbers and dashes' };
+    if (!name) return { error: 'name is required' };
+    if (store.profiles.some(p => p.id === id)) return { error: `Grading profile "${id}" already exists` };
+
+    let baseSettings = settings;
+    if (!baseSettings && basedOn) {
+        const base = store.profiles.find(p => p.id === basedOn);
+        if (!base) return { error: `Unknown grading profile "${basedOn}"` };
+        baseSettings = resolveVersion(base).settings;
+    }
+    const error = validateSettings(baseSettings);
+    if (error) return { error };
+
+    const profile = {
+        id,
+        name,
+        description: description || '',
+        versions: [{ version: 1, createdAt: now.toISOString(), note: note || (basedOn ? `Created from ${basedOn}` : 'Created'), settings: baseSettings }]
+    };
+    store.profiles.push(profile);
+    saveGradingProfiles(store);
+
+    return { profile: resolveVersion(profile) };
+}
+
+// Save new settings (and optionally name/description) as the next version of a profile
+function updateGradingProfile(id, { name, description, settings, note }, now = new Date()) {
+    const store = loadGradingProfiles();
+    const profile = store.profiles.find(p => p.id === id);
+    if (!profile) return { notFound: true };
+
+    const current = resolveVersion(profile);
+    const nextSettings = settings || current.settings;
+    const error = validateSettings(nextSettings);
+    if (error) return { error };
+
+    if (name) profile.name = name;
+    if (description !== undefined) profile.description = description;
+    profile.versions.push({
+        version: current.version + 1,
+        createdAt: now.toISOString(),
+        note: note || 'Updated',
+        settings: nextSettings
+    });
+    saveGradingProfiles(store);
+
+    return { profile: resolveVersion(profile) };
+}
+
+// Make a profile the public one
+function activateGradingProfile(id) {
+    const store = loadGradingProfiles();
+    const profile = store.profiles.find(p => p.id === id);
+    if (!profile) return { notFound: true };
+
+    store.activeProfileId = id;
+    saveGradingProfiles(store);
+
+    return { profile: resolveVersion(profile) };
+}
+
+module.exports = {
+    validateSettings,
+    listGradingProfiles,
+    getGradingProfile,
+    getActiveProfile,
+    createGradingProfile,
+    updateGradingProfile,
+    activateGradingProfile
+};
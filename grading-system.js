@@ -1,39 +1,63 @@
 // Grading System for Deal and Dealer Ratings
 // Based on Fee Distribution Analysis of analysis-stage deals only
 
-const GRADING_THRESHOLDS = {
-    excessive_fees: {
-        A: { min: 0, max: 450, label: 'Excellent', color: '#10b981', description: 'Very low excessive fees' },
-        B: { min: 450, max: 550, label: 'Good', color: '#3b82f6', description: 'Low excessive fees' },
-        C: { min: 550, max: 1248, label: 'Average', color: '#f59e0b', description: 'Typical excessive fees' },
-        D: { min: 1248, max: 12767, label: 'Poor', color: '#ef4444', description: 'High excessive fees' },
-        F: { min: 12767, max: Infinity, label: 'Failing', color: '#dc2626', description: 'Extremely high excessive fees' }
-    },
-    illegitimate_fees: {
-        A: { min: 0, max: 451.50, label: 'Excellent', color: '#10b981', description: 'Very low illegitimate fees' },
-        B: { min: 451.50, max: 1231.25, label: 'Good', color: '#3b82f6', description: 'Low illegitimate fees' },
-        C: { min: 1231.25, max: 2674.25, label: 'Average', color: '#f59e0b', description: 'Typical illegitimate fees' },
-        D: { min: 2674.25, max: 19039.45, label: 'Poor', color: '#ef4444', description: 'High illegitimate fees' },
-        F: { min: 19039.45, max: Infinity, label: 'Failing', color: '#dc2626', description: 'Extremely high illegitimate fees' }
-    }
+// Presentation for each letter grade; the dollar bands, score ceilings and weights come from the
+// grading profile (see grading-profiles.js)
+const GRADE_STYLES = {
+    A: { label: 'Excellent', color: '#10b981', severity: 'Very low' },
+    B: { label: 'Good', color: '#3b82f6', severity: 'Low' },
+    C: { label: 'Average', color: '#f59e0b', severity: 'Typical' },
+    D: { label: 'Poor', color: '#ef4444', severity: 'High' },
+    F: { label: 'Failing', color: '#dc2626', severity: 'Extremely high' }
 };
 
+// z-scores for the supported credible interval levels
+const Z_SCORES = { 0.8: 1.282, 0.9: 1.645, 0.95: 1.96, 0.99: 2.576 };
+
+// The active grading profile, used when a caller doesn't pass one
+function activeProfile() {
+    return require('./grading-profiles').getActiveProfile();
+}
+
+// Dollar bands for a fee type ('excessive_fees' or 'illegitimate_fees') in a profile
+function getThresholds(feeType, profile = activeProfile()) {
+    const feeLabel = feeType.replace('_fees', '');
+    const bands = profile.settings.feeGradeBands[feeLabel];
+    const thresholds = {};
+    let min = 0;
+
+    Object.keys(GRADE_STYLES).forEach(grade => {
+        const max = grade === 'F' ? Infinity : bands[grade];
+        thresholds[grade] = {
+            min,
+            max,
+            label: GRADE_STYLES[grade].label,
+            color: GRADE_STYLES[grade].color,
+            description: `${GRADE_STYLES[grade].severity} ${feeLabel} fees`
+        };
+        min = max;
+    });
+
+    return thresholds;
+}
+
 // Function to grade a single deal
-function gradeDeal(excessiveFees, illegitimateFees) {
-    const excessiveGrade = getGrade(excessiveFees, 'excessive_fees');
-    const illegitimateGrade = getGrade(illegitimateFees, 'illegitimate_fees');
+function gradeDeal(excessiveFees, illegitimateFees, profile = activeProfile()) {
+    const excessiveGrade = getGrade(excessiveFees, 'excessive_fees', profile);
+    const illegitimateGrade = getGrade(illegitimateFees, 'illegitimate_fees', profile);
     
     // Add fee type information to grade objects for scoring
     excessiveGrade.feeType = 'excessive';
     illegitimateGrade.feeType = 'illegitimate';
     
     // Calculate overall grade (weighted average)
-    const excessiveScore = getGradeScore(excessiveGrade);
-    const illegitimateScore = getGradeScore(illegitimateGrade);
+    const excessiveScore = getGradeScore(excessiveGrade, profile);
+    const illegitimateScore = getGradeScore(illegitimateGrade, profile);
     
-    // Weight: 40% excessive, 60% illegitimate (illegitimate fees are more serious)
-    const overallScore = (excessiveScore * 0.4) + (illegitimateScore * 0.6);
-    const overallGrade = getGradeFromScore(overallScore);
+    // Weighted by the profile (illegitimate fees are weighted higher as they are more serious)
+    const { weights } = profile.settings;
+    const overallScore = (excessiveScore * weights.excessive) + (illegitimateScore * weights.illegitimate);
+    const overallGrade = getGradeFromScore(overallScore, profile);
     
     return {
         excessive: excessiveGrade,
@@ -48,8 +72,8 @@ function gradeDeal(excessiveFees, illegitimateFees) {
 }
 
 // Function to get grade for a specific fee amount
-function getGrade(amount, feeType) {
-    const thresholds = GRADING_THRESHOLDS[feeType];
+function getGrade(amount, feeType, profile = activeProfile()) {
+    const thresholds = getThresholds(feeType, profile);
     
     for (const [grade, criteria] of Object.entries(thresholds)) {
         if (amount >= criteria.min && amount < criteria.max) {
@@ -73,17 +97,15 @@ function getGrade(amount, feeType) {
 }
 
 // Convert grade to numerical score based on actual fee amounts
-function getGradeScore(gradeInfo) {
+function getGradeScore(gradeInfo, profile = activeProfile()) {
     // Calculate score based on actual fee amount relative to thresholds
     const amount = gradeInfo.amount;
     const feeType = gradeInfo.feeType; // 'excessive' or 'illegitimate'
     
     if (amount === 0) return 100; // Perfect score for $0 fees
     
-    // Use more reasonable thresholds based on actual data ranges
-    // For excessive fees: use $1000 as the "high" threshold (instead of $12,767)
-    // For illegitimate fees: use $2000 as the "high" threshold (instead of $19,039)
-    const maxThreshold = feeType === 'excessive' ? 1000 : 2000;
+    // The fee amount that scores 0 (e.g. $1000 excessive, $2000 illegitimate)
+    const maxThreshold = profile.settings.scoreCeilings[feeType];
     
     // Calculate score: 100 - (amount / max_threshold * 100)
     // This gives 100 for $0 fees and decreases as fees increase
@@ -93,16 +115,63 @@ function getGradeScore(gradeInfo) {
 }
 
 // Convert numerical score back to grade
-function getGradeFromScore(score) {
-    if (score >= 90) return { grade: 'A', label: 'Excellent', color: '#10b981' };
-    if (score >= 80) return { grade: 'B', label: 'Good', color: '#3b82f6' };
-    if (score >= 70) return { grade: 'C', label: 'Average', color: '#f59e0b' };
-    if (score >= 60) return { grade: 'D', label: 'Poor', color: '#ef4444' };
-    return { grade: 'F', label: 'Failing', color: '#dc2626' };
+function getGradeFromScore(score, profile = activeProfile()) {
+    const bands = profile.settings.overallGradeBands;
+    const grade = ['A', 'B', 'C', 'D'].find(g => score >= bands[g]) || 'F';
+    return { grade, label: GRADE_STYLES[grade].label, color: GRADE_STYLES[grade].color };
+}
+
+// Market prior for dealer scores: the mean and spread of per-deal overall scores across all dealers' deals
+function getMarketPrior(deals, profile = activeProfile()) {
+    const scores = deals.map(deal => gradeDeal(deal.excessive_fees, deal.illegitimate_fees, profile).scores.overall);
+    if (scores.length === 0) return null;
+    
+    const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    const variance = scores.reduce((sum, score) => sum + Math.pow(score - mean, 2), 0) / scores.length;
+    
+    return { mean, sd: Math.sqrt(variance), dealCount: scores.length };
+}
+
+// Shrink a dealer's average score toward the market mean and put a credible interval around it
+// The prior counts as confidence.priorStrength deals at the market mean, so a dealer with few deals
+// stays close to the market and one with many is graded on its own record. Profiles without
+// confidence settings (and grading without a market prior) use the raw average.
+function scoreConfidence(scores, profile, prior) {
+    const settings = profile.settings.confidence;
+    const n = scores.length;
+    const average = scores.reduce((sum, score) => sum + score, 0) / n;
+    
+    if (!settings || !prior) {
+        return { adjustedScore: average, provisional: false, confidence: null };
+    }
+    
+    const k = settings.priorStrength;
+    const adjustedScore = (k * prior.mean + n * average) / (k + n);
+    const margin = Z_SCORES[settings.level] * prior.sd / Math.sqrt(k + n);
+    
+    return {
+        adjustedScore,
+        provisional: n < settings.minDeals,
+        confidence: {
+            level: settings.level,
+            lower: Math.max(0, adjustedScore - margin),
+            upper: Math.min(100, adjustedScore + margin),
+            priorMean: prior.mean,
+            priorStrength: k
+        }
+    };
+}
+
+// Grade several dealers against one market prior built from all of their deals
+// dealerDeals: [[{ excessive_fees, illegitimate_fees }], ...]; returns gradings in the same order
+function gradeDealers(dealerDeals, profile = activeProfile()) {
+    const prior = getMarketPrior(dealerDeals.flat(), profile);
+    return dealerDeals.map(deals => gradeDealer(deals, profile, prior));
 }
 
 // Function to grade a dealer based on multiple deals
-function gradeDealer(deals) {
+// Pass a market prior (see getMarketPrior) to shrink small samples toward the market
+function gradeDealer(deals, profile = activeProfile(), prior = null) {
     if (!deals || deals.length === 0) {
         return {
             grade: 'N/A',
@@ -110,17 +179,22 @@ function gradeDealer(deals) {
             color: '#64748b',
             dealCount: 0,
             averageScores: { excessive: 0, illegitimate: 0, overall: 0 },
+            adjustedScore: 0,
+            provisional: true,
+            confidence: null,
             explanation: 'No analysis-stage deals available for grading'
         };
     }
     
-    const dealGrades = deals.map(deal => gradeDeal(deal.excessive_fees, deal.illegitimate_fees));
+    const dealGrades = deals.map(deal => gradeDeal(deal.excessive_fees, deal.illegitimate_fees, profile));
     
     const avgExcessiveScore = dealGrades.reduce((sum, d) => sum + d.scores.excessive, 0) / dealGrades.length;
     const avgIllegitimateScore = dealGrades.reduce((sum, d) => sum + d.scores.illegitimate, 0) / dealGrades.length;
     const avgOverallScore = dealGrades.reduce((sum, d) => sum + d.scores.overall, 0) / dealGrades.length;
     
-    const overallGrade = getGradeFromScore(avgOverallScore);
+    // The letter grade follows the sample-size-adjusted score
+    const { adjustedScore, provisional, confidence } = scoreConfidence(dealGrades.map(d => d.scores.overall), profile, prior);
+    const overallGrade = getGradeFromScore(adjustedScore, profile);
     
     // Calculate grade distribution
     const gradeDistribution = { A: 0, B: 0, C: 0, D: 0, F: 0 };
@@ -142,43 +216,118 @@ function gradeDealer(deals) {
             illegitimate: avgIllegitimateScore,
             overall: avgOverallScore
         },
+        adjustedScore,
+        provisional,
+        confidence,
         averageFees: {
             excessive: avgExcessiveFees,
             illegitimate: avgIllegitimateFees
         },
         dealGrades: dealGrades,
         gradeDistribution: gradeDistribution,
-        explanation: generateDealerExplanation(overallGrade, deals.length, avgOverallScore, gradeDistribution)
+        explanation: generateDealerExplanation(overallGrade, deals.length, avgOverallScore, gradeDistribution, { adjustedScore, provisional, confidence })
     };
 }
 
 // Generate explanation for dealer grade
-function generateDealerExplanation(grade, dealCount, avgScore, distribution) {
+function generateDealerExplanation(grade, dealCount, avgScore, distribution, { adjustedScore, provisional, confidence }) {
     const totalDeals = Object.values(distribution).reduce((sum, count) => sum + count, 0);
     const topGrades = distribution.A + distribution.B;
     const topGradePercentage = totalDeals > 0 ? Math.round((topGrades / totalDeals) * 100) : 0;
     
-    return `Based on ${dealCount} analysis-stage deals with an average score of ${avgScore.toFixed(1)}/100. 
+    let explanation = `Based on ${dealCount} analysis-stage deals with an average score of ${avgScore.toFixed(1)}/100. 
     ${topGradePercentage}% of deals received A or B grades. 
     Grade distribution: A(${distribution.A}), B(${distribution.B}), C(${distribution.C}), D(${distribution.D}), F(${distribution.F}).`;
+    
+    if (confidence) {
+        explanation += ` 
+    Adjusted for sample size toward the market average of ${confidence.priorMean.toFixed(1)}: ${adjustedScore.toFixed(1)}/100, ` +
+            `${Math.round(confidence.level * 100)}% credible range ${confidence.lower.toFixed(1)}-${confidence.upper.toFixed(1)}.`;
+    }
+    if (provisional) {
+        explanation += ' Provisional: too few deals for a settled grade.';
+    }
+    
+    return explanation;
+}
+
+// Explain a deal's grade fee by fee
+// fees: the risk assessment's line items [{ label, amount, assessment }]. Each excessive or illegitimate
+// fee gets the points it costs (its fee-type score and the overall score with and without it) and a
+// what-if grade with that fee removed; normal fees cost nothing.
+function explainDealGrade(fees, profile = activeProfile()) {
+    const feeTypes = { EXCESSIVE: 'excessive', ILLEGITIMATE: 'illegitimate' };
+    const totals = { excessive: 0, illegitimate: 0 };
+    fees.forEach(fee => {
+        const feeType = feeTypes[fee.assessment];
+        if (feeType) totals[feeType] += fee.amount || 0;
+    });
+    
+    const grading = gradeDeal(totals.excessive, totals.illegitimate, profile);
+    
+    const lineItems = fees.map(fee => {
+        const amount = fee.amount || 0;
+        const feeType = feeTypes[fee.assessment] || null;
+        const item = {
+            label: fee.label,
+            amount,
+            assessment: fee.assessment || null,
+            feeType,
+            points: { feeType: 0, overall: 0 },
+            whatIf: null
+        };
+        if (!feeType || amount === 0) return item;
+        
+        const without = { ...totals, [feeType]: totals[feeType] - amount };
+        const whatIf = gradeDeal(without.excessive, without.illegitimate, profile);
+        item.points = {
+            feeType: whatIf.scores[feeType] - grading.scores[feeType],
+            overall: Math.round((whatIf.scores.overall - grading.scores.overall) * 10) / 10
+        };
+        item.whatIf = { score: whatIf.scores.overall, grade: whatIf.overall.grade };
+        return item;
+    });
+    
+    const costly = lineItems.filter(item => item.points.overall > 0).sort((a, b) => b.points.overall - a.points.overall);
+    let summary = `Scored ${grading.scores.overall.toFixed(1)}/100 (${grading.overall.grade}).`;
+    if (costly.length === 0) {
+        summary += ' No excessive or illegitimate fees reduced the score.';
+    } else {
+        const top = costly[0];
+        summary += ` The costliest fee is ${top.label} ($${top.amount.toFixed(2)}, ${top.feeType}), ` +
+            `which cost ${top.points.overall.toFixed(1)} points; without it the deal would score ${top.whatIf.score.toFixed(1)} (${top.whatIf.grade}).`;
+    }
+    
+    return {
+        score: grading.scores.overall,
+        grade: grading.overall.grade,
+        totals,
+        fees: lineItems,
+        summary
+    };
 }
 
 // Get grading system explanation
-function getGradingExplanation() {
+function getGradingExplanation(profile = activeProfile()) {
+    const { weights, scoreCeilings, overallGradeBands } = profile.settings;
+    const percent = weight => `${Math.round(weight * 100)}%`;
+    
     return {
         overview: "This grading system is based on analysis of deals currently in the 'analysis' state that have fee data available.",
+        profile: { id: profile.id, name: profile.name, version: profile.version },
         excessive_fees: {
             description: "Fees that are higher than typical market rates but may be legitimate",
-            thresholds: GRADING_THRESHOLDS.excessive_fees,
-            weight: "40% of overall grade"
+            thresholds: getThresholds('excessive_fees', profile),
+            weight: `${percent(weights.excessive)} of overall grade`
         },
         illegitimate_fees: {
             description: "Fees that are unnecessary, deceptive, or potentially illegal",
-            thresholds: GRADING_THRESHOLDS.illegitimate_fees,
-            weight: "60% of overall grade (weighted higher due to severity)"
+            thresholds: getThresholds('illegitimate_fees', profile),
+            weight: `${percent(weights.illegitimate)} of overall grade (weighted higher due to severity)`
         },
-        calculation: "Overall grade is calculated as a weighted average: (Excessive Score × 0.4) + (Illegitimate Score × 0.6)",
-        scoring: "Grades are converted to scores: A=95, B=85, C=75, D=65, F=55"
+        calculation: `Overall grade is calculated as a weighted average: (Excessive Score × ${weights.excessive}) + (Illegitimate Score × ${weights.illegitimate})`,
+        scoring: `Each fee type scores 100 - (amount / ceiling × 100): $${scoreCeilings.excessive.toLocaleString()} of excessive or $${scoreCeilings.illegitimate.toLocaleString()} of illegitimate fees scores 0. ` +
+            `Overall scores of ${overallGradeBands.A}+ are an A, ${overallGradeBands.B}+ a B, ${overallGradeBands.C}+ a C, ${overallGradeBands.D}+ a D, anything lower an F`
     };
 }
 
@@ -187,8 +336,11 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         gradeDeal,
         gradeDealer,
+        gradeDealers,
+        getMarketPrior,
         getGrade,
+        explainDealGrade,
         getGradingExplanation,
-        GRADING_THRESHOLDS
+        getThresholds
     };
 } 
\ No newline at end of file
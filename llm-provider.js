@@ -0,0 +1,110 @@
+// LLM Provider for the Chat Agents
+// The agents ask for text through complete({ agent, question, prompt, maxTokens, signal, onText }) rather than
+// calling Anthropic directly, so the model behind them can be swapped (CHAT_LLM_PROVIDER). `signal` aborts the
+// call and `onText` receives the reply as it streams in; complete() resolves with the whole reply either way.
+// - anthropic: the Messages API (the default)
+// - stub: replays recorded responses, looked up by agent and question, so /api/chat and the eval harness
+//   (chat-eval.js) run offline without an API key
+// - record: calls Anthropic and saves each response to the recordings file for later stub runs
+
+const fs = require('fs');
+const path = require('path');
+
+const PROVIDERS = ['anthropic', 'stub', 'record'];
+
+function loadRecordings(recordingsPath) {
+    if (!fs.existsSync(recordingsPath)) return { responses: [] };
+    return JSON.parse(fs.readFileSync(recordingsPath, 'utf8'));
+}
+
+function saveRecordings(recordings, recordingsPath) {
+    fs.mkdirSync(path.dirname(recordingsPath), { recursive: true });
+    const tempPath = `${recordingsPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(recordings, null, 2) + '\n');
+    fs.renameSync(tempPath, recordingsPath);
+}
+
+function createAnthropicProvider(model) {
+    // Only loaded when a real model is used
+    const Anthropic = require('@anthropic-ai/sdk');
+    const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+
+    return {
+        name: 'anthropic',
+        complete: async ({ prompt, maxTokens, signal, onText }) => {
+            const body = {
+                model,
+                max_tokens: maxTokens,
+                messages: [{ role: 'user', content: prompt }]
+            };
+
+            if (onText) {
+                const stream = anthropic.messages.stream(body, { signal });
+                stream.on('text', onText);
+                return stream.finalText();
+            }
+            const response = await anthropic.messages.create(body, { signal });
+            return response.content[0].text;
+        }
+    };
+}
+
+// Recorded responses are matched on the agent and the user's question only, so a stub run replays the same
+// answers whatever the prompts say. Streamed replies come a word at a time
+function createStubProvider(recordingsPath) {
+    const { responses } = loadRecordings(recordingsPath);
+
+    return {
+        name: 'stub',
+        complete: async ({ agent, question, signal, onText }) => {
+            if (signal) signal.throwIfAborted();
+            const recording = responses.find(r => r.agent === agent && r.question === question);
+            if (!recording) {
+                throw new Error(`No recorded ${agent} response for "${question}" in ${recordingsPath}`);
+            }
+
+            if (onText) {
+                for (const word of recording.response.match(/\s*\S+\s*/g) || []) {
+                    // Let the caller see each word (and a cancellation) before the next
+                    await new Promise(resolve => setImmediate(resolve));
+                    if (signal) signal.throwIfAborted();
+                    onText(word);
+                }
+            }
+            return recording.response;
+        }
+    };
+}
+
+function createRecordingProvider(model, recordingsPath) {
+    const anthropic = createAnthropicProvider(model);
+
+    return {
+        name: 'record',
+        complete: async request => {
+            const response = await anthropic.complete(request);
+
+            // Re-read before writing so concurrent questions don't drop each other's recordings
+            const recordings = loadRecordings(recordingsPath);
+            recordings.responses = recordings.responses.filter(r => !(r.agent === request.agent && r.question === request.question));
+            recordings.responses.push({ agent: request.agent, question: request.question, response });
+            saveRecordings(recordings, recordingsPath);
+            return response;
+        }
+    };
+}
+
+// The provider named in config.chat (or `name`), with the recordings file resolved from the repo root
+function createLlmProvider(chatConfig, name = chatConfig.llmProvider) {
+    const recordingsPath = path.resolve(__dirname, chatConfig.recordingsPath);
+
+    if (name === 'stub') return createStubProvider(recordingsPath);
+    if (name === 'record') return createRecordingProvider(chatConfig.model, recordingsPath);
+    if (name === 'anthropic') return createAnthropicProvider(chatConfig.model);
+    throw new Error(`Unknown CHAT_LLM_PROVIDER "${name}" (expected ${PROVIDERS.join(', ')})`);
+}
+
+module.exports = {
+    PROVIDERS,
+    createLlmProvider
+};
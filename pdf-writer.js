@@ -0,0 +1,170 @@
+// PDF Writer for Printable Reports
+// Builds plain text-and-box PDF documents with the built-in Helvetica fonts, so reports render
+// server-side without an external service or embedded font files. Coordinates run from the top-left in points.
+
+const zlib = require('zlib');
+
+const PAGE_SIZES = {
+    letter: { width: 612, height: 792 }
+};
+
+// Helvetica advance widths (per 1000 units of font size) for printable ASCII, from the standard AFM metrics
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Characters outside Latin-1 that the WinAnsi encoding still has
+const WIN_ANSI_EXTRAS = {
+    '•': 0x95, '–': 0x96, '—': 0x97, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '…': 0x85
+};
+
+function createPdf(size = 'letter') {
+    return { ...PAGE_SIZES[size], pages: [] };
+}
+
+function addPage(doc) {
+    const page = { operations: [] };
+    doc.pages.push(page);
+    return page;
+}
+
+function currentPage(doc) {
+    return doc.pages.length > 0 ? doc.pages[doc.pages.length - 1] : addPage(doc);
+}
+
+// Width of a line of text in points; bold text runs about 5% wider than regular
+function textWidth(text, size, bold = false) {
+    const units = [...String(text)].reduce((sum, char) => {
+        const code = char.charCodeAt(0);
+        return sum + (code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556);
+    }, 0);
+    return (units * size / 1000) * (bold ? 1.05 : 1);
+}
+
+// Break text into lines no wider than maxWidth, on spaces where possible
+function wrapText(text, size, maxWidth, bold = false) {
+    const lines = [];
+    String(text).split('\n').forEach(paragraph => {
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && textWidth(candidate, size, bold) > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+}
+
+function colorOperands(hex) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(channel => (channel / 255).toFixed(3)).join(' ');
+}
+
+// Text as a PDF string literal in WinAnsi bytes; unsupported characters become "?"
+function encodeText(text) {
+    const bytes = [...String(text)].map(char => {
+        const code = char.charCodeAt(0);
+        if (WIN_ANSI_EXTRAS[char]) return WIN_ANSI_EXTRAS[char];
+        return (code >= 32 && code <= 126) || (code >= 160 && code <= 255) ? code : 63;
+    });
+    const escaped = bytes.map(code => {
+        const char = String.fromCharCode(code);
+        return char === '(' || char === ')' || char === '\\' ? `\\${char}` : char;
+    }).join('');
+    return `(${escaped})`;
+}
+
+// y is the text baseline measured from the top of the page; align 'right' ends the text at x
+function drawText(doc, text, { x, y, size = 10, bold = false, color = '#0f172a', align = 'left' }) {
+    const left = align === 'right' ? x - textWidth(text, size, bold) : x;
+    currentPage(doc).operations.push(
+        `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${colorOperands(color)} rg ${left.toFixed(2)} ${(doc.height - y).toFixed(2)} Td ${encodeText(text)} Tj ET`
+    );
+}
+
+// Filled rectangle with its top-left corner at (x, y)
+function drawRect(doc, { x, y, width, height, color }) {
+    currentPage(doc).operations.push(
+        `${colorOperands(color)} rg ${x.toFixed(2)} ${(doc.height - y - height).toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re f`
+    );
+}
+
+function drawLine(doc, { x1, y1, x2, y2, color = '#e2e8f0', lineWidth = 0.75 }) {
+    currentPage(doc).operations.push(
+        `${colorOperands(color)} RG ${lineWidth} w ${x1.toFixed(2)} ${(doc.height - y1).toFixed(2)} m ${x2.toFixed(2)} ${(doc.height - y2).toFixed(2)} l S`
+    );
+}
+
+// Serialize the document: catalog, page tree, two fonts, then a page and content stream per page
+function renderPdf(doc, { title = '' } = {}) {
+    if (doc.pages.length === 0) addPage(doc);
+
+    const pageObjectIds = doc.pages.map((_, index) => 6 + index * 2);
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pageObjectIds.map(id => `${id} 0 R`).join(' ')}] /Count ${doc.pages.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+        `<< /Title ${encodeText(title)} /Producer (Project Ralph Metrics) >>`
+    ];
+    doc.pages.forEach((page, index) => {
+        const content = zlib.deflateSync(Buffer.from(page.operations.join('\n'), 'latin1'));
+        objects.push(
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${doc.width} ${doc.height}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageObjectIds[index] + 1} 0 R >>`,
+            Buffer.concat([
+                Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+                content,
+                Buffer.from('\nendstream', 'latin1')
+            ])
+        );
+    });
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+    let length = chunks[0].length;
+    const offsets = objects.map((object, index) => {
+        const offset = length;
+        const body = Buffer.isBuffer(object) ? object : Buffer.from(object, 'latin1');
+        [Buffer.from(`${index + 1} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')].forEach(chunk => {
+            chunks.push(chunk);
+            length += chunk.length;
+        });
+        return offset;
+    });
+
+    const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>`,
+        'startxref',
+        String(length),
+        '%%EOF'
+    ].join('\n');
+    chunks.push(Buffer.from(xref + '\n', 'latin1'));
+
+    return Buffer.concat(chunks);
+}
+
+module.exports = {
+    createPdf,
+    addPage,
+    textWidth,
+    wrapText,
+    drawText,
+    drawRect,
+    drawLine,
+    renderPdf
+};
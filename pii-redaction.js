@@ -0,0 +1,146 @@
+// PII Redaction for Email and Conversation Data
+// Masks customer PII in API responses and server logs: email addresses, phone numbers and street addresses
+// found by pattern, plus the deal's customer name, email and phone from the customers table. Routes build a
+// context with loadCustomerContext() and pass responses through redactPii(); logs go through installLogRedaction().
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+
+// Needs a separator or brackets, so plain 10-digit IDs and timestamps aren't taken for phone numbers
+const PHONE_PATTERN = /(?<![\w-])(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\d{3}[\s.-])\d{3}[\s.-]\d{4}(?![\w-])/g;
+
+const STREET_SUFFIXES = [
+    'Street', 'St', 'Avenue', 'Ave', 'Road', 'Rd', 'Boulevard', 'Blvd', 'Drive', 'Dr', 'Lane', 'Ln', 'Court', 'Ct',
+    'Way', 'Place', 'Pl', 'Terrace', 'Ter', 'Circle', 'Cir', 'Highway', 'Hwy', 'Parkway', 'Pkwy', 'Trail', 'Trl'
+];
+const ADDRESS_PATTERN = new RegExp(
+    `\\b\\d{1,6}\\s+(?:[NSEW]{1,2}\\.?\\s+)?(?:[A-Z0-9][\\w'-]*\\s+){1,4}(?:${STREET_SUFFIXES.join('|')})\\b\\.?` +
+    `(?:,?\\s*(?:Apt|Suite|Ste|Unit|#)\\.?\\s*[\\w-]+)?`,
+    'g'
+);
+
+// Fields that hold nothing but customer contact details, masked whole
+const CUSTOMER_FIELDS = ['customer_name', 'customer_email', 'customer_phone'];
+
+// Identifiers that look like email addresses (SMTP message IDs) but are needed to look messages up
+const IDENTIFIER_FIELDS = ['message_id', 'smtp_message_id', 'in_reply_to', 'messageId'];
+
+const MASKS = { email: '[email]', phone: '[phone]', address: '[address]', name: '[name]', customer: '[redacted]' };
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Customer details to look for, from customer rows ({ name, email, phone })
+// Full names and each part of a name of three or more letters are matched, so "Hi Laura" is caught too
+function buildCustomerContext(customers) {
+    const names = new Set();
+    const literals = new Set();
+    customers.forEach(customer => {
+        if (customer.name) {
+            names.add(customer.name.trim());
+            customer.name.trim().split(/\s+/).filter(part => part.length >= 3).forEach(part => names.add(part));
+        }
+        if (customer.email) literals.add(customer.email.trim());
+        if (customer.phone) literals.add(customer.phone.trim());
+    });
+
+    const sortedNames = [...names].sort((a, b) => b.length - a.length);
+    return {
+        namePattern: sortedNames.length > 0
+            ? new RegExp(`\\b(?:${sortedNames.map(escapeRegExp).join('|')})\\b`, 'gi')
+            : null,
+        literals: [...literals]
+    };
+}
+
+// Customers on the given deals; dealIds can be one ID or a list
+async function loadCustomerContext(pool, dealIds) {
+    const ids = (Array.isArray(dealIds) ? dealIds : [dealIds]).filter(id => Number.isInteger(id));
+    if (ids.length === 0) return buildCustomerContext([]);
+
+    const result = await pool.query(`
+        SELECT c.name, c.email, c.phone
+        FROM customers c
+        JOIN deals d ON d.customer_id = c.id
+        WHERE d.id = ANY($1::int[])
+    `, [ids]);
+    return buildCustomerContext(result.rows);
+}
+
+// Mask PII in one piece of text
+function redactText(text, context = null) {
+    let redacted = text;
+    if (context) {
+        context.literals.forEach(literal => {
+            redacted = redacted.split(literal).join(literal.includes('@') ? MASKS.email : MASKS.phone);
+        });
+    }
+    redacted = redacted
+        .replace(EMAIL_PATTERN, MASKS.email)
+        .replace(PHONE_PATTERN, MASKS.phone)
+        .replace(ADDRESS_PATTERN, MASKS.address);
+    if (context && context.namePattern) {
+        redacted = redacted.replace(context.namePattern, MASKS.name);
+    }
+    return redacted;
+}
+
+// Copy of a response with PII masked in every string; skipKeys leaves whole branches alone
+// (e.g. the dealer's own address and phone on a deal)
+function redactPii(value, context = null, { skipKeys = [] } = {}) {
+    if (typeof value === 'string') return redactText(value, context);
+    if (Array.isArray(value)) return value.map(item => redactPii(item, context, { skipKeys }));
+    if (value instanceof Date) return value;
+    if (value && typeof value === 'object') {
+        const redacted = {};
+        Object.entries(value).forEach(([key, fieldValue]) => {
+            if (skipKeys.includes(key) || IDENTIFIER_FIELDS.includes(key)) {
+                redacted[key] = fieldValue;
+            } else if (CUSTOMER_FIELDS.includes(key) && fieldValue !== null && fieldValue !== undefined && fieldValue !== '') {
+                redacted[key] = MASKS.customer;
+            } else {
+                redacted[key] = redactPii(fieldValue, context, { skipKeys });
+            }
+        });
+        return redacted;
+    }
+    return value;
+}
+
+// One log argument with patterns masked; errors keep their type but lose PII in the message and stack
+function redactLogArgument(arg) {
+    if (typeof arg === 'string') return redactText(arg);
+    if (arg instanceof Error) {
+        const redacted = new Error(redactText(arg.message));
+        redacted.name = arg.name;
+        redacted.stack = arg.stack && redactText(arg.stack);
+        if (arg.code) redacted.code = arg.code;
+        return redacted;
+    }
+    if (arg && typeof arg === 'object') {
+        try {
+            return redactPii(arg);
+        } catch (e) {
+            return '[unloggable value]';
+        }
+    }
+    return arg;
+}
+
+// Route console output through the pattern redaction (names aren't known outside a request, so the
+// routes themselves don't log message content)
+function installLogRedaction(target = console) {
+    ['log', 'info', 'warn', 'error'].forEach(method => {
+        const original = target[method].bind(target);
+        target[method] = (...args) => original(...args.map(redactLogArgument));
+    });
+}
+
+module.exports = {
+    buildCustomerContext,
+    loadCustomerContext,
+    redactText,
+    redactPii,
+    redactLogArgument,
+    installLogRedaction
+};
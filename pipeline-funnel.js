@@ -0,0 +1,175 @@
+// Pipeline Funnel for Deal States
+// Rebuilds each deal's stage history from DEAL_STATE_CHANGED events (falling back to
+// deal_tasks when a deal has no state events) to count stages, conversions and time-in-stage
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Main funnel stages in order; VIN Sold is a dead end that can branch off any stage
+const FUNNEL_STAGES = [
+    { key: 'dealer_outreach', label: 'Dealer Outreach' },
+    { key: 'convo_pending', label: 'Convo Pending' },
+    { key: 'convo_established', label: 'Convo Established' },
+    { key: 'confirm_car', label: 'Confirm Car' },
+    { key: 'confirm_price', label: 'Confirm Price' },
+    { key: 'clarify_fees', label: 'Clarify Fees' },
+    { key: 'analysis', label: 'Analysis' }
+];
+const EXIT_STAGES = [
+    { key: 'vin_sold', label: 'VIN Sold' }
+];
+
+// Stages a deal never leaves, so they are never "stuck"
+const TERMINAL_STATES = ['analysis', 'vin_sold'];
+
+// Tasks that prove a deal entered a stage when no state change event was recorded
+const TASK_STAGE_EVIDENCE = {
+    DEALER_OUTREACH: 'dealer_outreach',
+    RISK_ASSESSMENT_UPDATE: 'analysis'
+};
+
+const STAGE_INDEX = {};
+FUNNEL_STAGES.forEach((stage, index) => {
+    STAGE_INDEX[stage.key] = index;
+});
+
+// Build the ordered stage timeline for every deal
+// deals: [{ id, state, created, updated, dealer_id, dealer_name }]
+// stateChanges: [{ deal_id, to_state, event_timestamp }]
+// tasks: [{ deal_id, task_type, created }]
+function buildDealTimelines(deals, stateChanges, tasks) {
+    const changesByDeal = groupByDeal(stateChanges);
+    const tasksByDeal = groupByDeal(tasks);
+
+    return deals.map(deal => {
+        let entries = (changesByDeal[deal.id] || [])
+            .filter(change => change.to_state)
+            .map(change => ({ state: change.to_state, enteredAt: new Date(change.event_timestamp) }));
+
+        if (entries.length === 0) {
+            entries = (tasksByDeal[deal.id] || [])
+                .filter(task => TASK_STAGE_EVIDENCE[task.task_type])
+                .map(task => ({ state: TASK_STAGE_EVIDENCE[task.task_type], enteredAt: new Date(task.created) }));
+        }
+
+        entries.sort((a, b) => a.enteredAt - b.enteredAt);
+
+        // Without a recorded entry into the current state, the last update is the best estimate
+        if (entries.length === 0 || entries[entries.length - 1].state !== deal.state) {
+            entries.push({ state: deal.state, enteredAt: new Date(deal.updated || deal.created) });
+        }
+
+        return { deal, entries };
+    });
+}
+
+// Calculate stage counts, stage-to-stage conversion, median time-in-stage and the longest-stuck deals
+function calculateFunnel(deals, stateChanges, tasks, { now = new Date(), stuckLimit = 10 } = {}) {
+    const timelines = buildDealTimelines(deals, stateChanges, tasks);
+    const allStages = FUNNEL_STAGES.concat(EXIT_STAGES);
+
+    const stats = {};
+    allStages.forEach(stage => {
+        stats[stage.key] = { current: 0, reached: 0, durations: [] };
+    });
+
+    timelines.forEach(({ deal, entries }) => {
+        if (stats[deal.state]) stats[deal.state].current++;
+
+        // Reaching a later funnel stage means the deal passed through every earlier one
+        const furthestIndex = Math.max(-1, ...entries.map(e => STAGE_INDEX[e.state] ?? -1));
+        const reached = new Set(entries.map(e => e.state));
+        FUNNEL_STAGES.slice(0, furthestIndex + 1).forEach(stage => reached.add(stage.key));
+        reached.forEach(state => {
+            if (stats[state]) stats[state].reached++;
+        });
+
+        // Completed stays only; the current stay is still running
+        entries.slice(0, -1).forEach((entry, index) => {
+            if (stats[entry.state]) {
+                stats[entry.state].durations.push((entries[index + 1].enteredAt - entry.enteredAt) / DAY_MS);
+            }
+        });
+    });
+
+    const totalDeals = deals.length;
+    const buildStage = (stage, previousStage) => {
+        const stageStats = stats[stage.key];
+        const previousReached = previousStage ? stats[previousStage.key].reached : null;
+
+        return {
+            state: stage.key,
+            label: stage.label,
+            count: stageStats.current,
+            percent: totalDeals > 0 ? Math.round((stageStats.current / totalDeals) * 10000) / 100 : 0,
+            reached: stageStats.reached,
+            conversionFromPrevious: previousReached ? Math.round((stageStats.reached / previousReached) * 10000) / 100 : null,
+            medianDaysInStage: roundDays(median(stageStats.durations))
+        };
+    };
+
+    const stuckDeals = timelines
+        .filter(({ deal }) => !TERMINAL_STATES.includes(deal.state))
+        .map(({ deal, entries }) => toPipelineDeal(deal, entries, now))
+        .sort((a, b) => b.daysInStage - a.daysInStage)
+        .slice(0, stuckLimit);
+
+    return {
+        totalDeals,
+        stages: FUNNEL_STAGES.map((stage, index) => buildStage(stage, FUNNEL_STAGES[index - 1])),
+        // Share of deals that dropped out as VIN sold, against every deal that entered the funnel
+        exits: EXIT_STAGES.map(stage => buildStage(stage, FUNNEL_STAGES[0])),
+        stuckDeals
+    };
+}
+
+// Deals currently in one stage, longest in stage first
+function getStageDeals(deals, stateChanges, tasks, state, now = new Date()) {
+    return buildDealTimelines(deals.filter(deal => deal.state === state), stateChanges, tasks)
+        .map(({ deal, entries }) => toPipelineDeal(deal, entries, now))
+        .sort((a, b) => b.daysInStage - a.daysInStage);
+}
+
+function isPipelineStage(state) {
+    return FUNNEL_STAGES.concat(EXIT_STAGES).some(stage => stage.key === state);
+}
+
+function toPipelineDeal(deal, entries, now) {
+    const enteredAt = entries[entries.length - 1].enteredAt;
+    return {
+        dealId: deal.id,
+        state: deal.state,
+        dealerId: deal.dealer_id || null,
+        dealerName: deal.dealer_name || 'Unknown Dealer',
+        enteredStageAt: enteredAt.toISOString(),
+        daysInStage: roundDays(Math.max(0, (now - enteredAt) / DAY_MS)),
+        updated: deal.updated
+    };
+}
+
+function groupByDeal(rows) {
+    const grouped = {};
+    rows.forEach(row => {
+        grouped[row.deal_id] = grouped[row.deal_id] || [];
+        grouped[row.deal_id].push(row);
+    });
+    return grouped;
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function roundDays(days) {
+    return days === null ? null : Math.round(days * 10) / 10;
+}
+
+module.exports = {
+    FUNNEL_STAGES,
+    EXIT_STAGES,
+    calculateFunnel,
+    getStageDeals,
+    isPipelineStage
+};
@@ -0,0 +1,223 @@
+// Pricing Engine for Bottom-Line Prices
+// Turns a deal's fees, offer price and tax, the listing's advertised price and the dealer's
+// quote messages into current and fair bottom-line prices, explaining every step
+
+// Deals with a current bottom line under this get SMALL_DEAL_ADJUSTMENT added to the fair price.
+// Carried over from the Retool calculation the dashboard was checked against.
+const SMALL_DEAL_THRESHOLD = 50000;
+const SMALL_DEAL_ADJUSTMENT = 100;
+
+// Listings without an advertised price are estimated at the offer price plus this markup
+const INTERNET_PRICE_FALLBACK_MARKUP = 0.05;
+
+// Quote lines dealers send, e.g. "Adjusted Price: 58,793.00"
+const QUOTE_LABELS = {
+    adjustedPrice: 'Adjusted Price',
+    tax: 'Tax',
+    balance: 'Balance'
+};
+
+// Read one amount from a quote message, or null when the line isn't there
+function parseQuoteAmount(content, label) {
+    const match = content.match(new RegExp(`${label}:\\s*\\$?([\\d,]+\\.?\\d*)`));
+    return match ? parseFloat(match[1].replace(/,/g, '')) : null;
+}
+
+// Pull quoted amounts from conversation messages; a later quote replaces an earlier one
+function extractQuotedPrices(conversation = []) {
+    const quoted = { adjustedPrice: null, tax: null, balance: null };
+
+    conversation.forEach(msg => {
+        if (!msg || typeof msg.content !== 'string') return;
+
+        Object.entries(QUOTE_LABELS).forEach(([key, label]) => {
+            const amount = parseQuoteAmount(msg.content, label);
+            if (amount !== null) quoted[key] = amount;
+        });
+    });
+
+    return quoted;
+}
+
+// Total fee amounts by assessment
+function sumFeesByAssessment(fees = []) {
+    const totals = { normal: 0, excessive: 0, illegitimate: 0, total: 0 };
+
+    fees.forEach(fee => {
+        const amount = fee.amount || 0;
+        totals.total += amount;
+        if (fee.assessment === 'NORMAL') totals.normal += amount;
+        else if (fee.assessment === 'EXCESSIVE') totals.excessive += amount;
+        else if (fee.assessment === 'ILLEGITIMATE') totals.illegitimate += amount;
+    });
+
+    return totals;
+}
+
+// Calculate current and fair bottom-line prices
+// Inputs: fees [{ label, amount, assessment }], offerPrice and tax from the risk assessment (0 when
+// unknown), advertisedPrice from the listing (null when unknown) and the deal conversation, whose
+// quote lines fill in a missing offer price or tax
+function calculateBottomLine({ fees = [], offerPrice = 0, tax = 0, advertisedPrice = null, conversation = [] } = {}) {
+    const adjustments = [];
+    const feeTotals = sumFeesByAssessment(fees);
+    const quoted = extractQuotedPrices(conversation);
+
+    let offerSource = 'risk_assessment';
+    if (!(offerPrice > 0)) {
+        offerPrice = quoted.adjustedPrice !== null ? quoted.adjustedPrice : 0;
+        offerSource = quoted.adjustedPrice !== null ? 'quote' : 'missing';
+    }
+    adjustments.push({
+        step: 'offer_price',
+        amount: offerPrice,
+        explanation: {
+            risk_assessment: 'Offer price from the risk assessment',
+            quote: 'Risk assessment had no offer price; used "Adjusted Price" from the dealer quote',
+            missing: 'No offer price in the risk assessment or the dealer quote'
+        }[offerSource]
+    });
+
+    let taxSource = 'risk_assessment';
+    if (!(tax > 0)) {
+        tax = quoted.tax !== null ? quoted.tax : 0;
+        taxSource = quoted.tax !== null ? 'quote' : 'missing';
+    }
+    adjustments.push({
+        step: 'tax',
+        amount: tax,
+        explanation: {
+            risk_assessment: 'Tax from the risk assessment',
+            quote: 'Risk assessment had no tax; used "Tax" from the dealer quote',
+            missing: 'No tax in the risk assessment or the dealer quote'
+        }[taxSource]
+    });
+
+    const internetSource = advertisedPrice ? 'listing' : 'estimated';
+    const internetPrice = advertisedPrice ? advertisedPrice : Math.round(offerPrice * (1 + INTERNET_PRICE_FALLBACK_MARKUP));
+    adjustments.push({
+        step: 'internet_price',
+        amount: internetPrice,
+        explanation: internetSource === 'listing'
+            ? 'Advertised price from the listing'
+            : `Listing has no advertised price; estimated as offer price + ${INTERNET_PRICE_FALLBACK_MARKUP * 100}%`
+    });
+
+    const baseSource = offerPrice > 0 ? 'offer' : 'internet';
+    const basePrice = offerPrice > 0 ? offerPrice : internetPrice;
+    adjustments.push({
+        step: 'base_price',
+        amount: basePrice,
+        explanation: baseSource === 'offer' ? 'Bottom line starts from the offer price' : 'No offer price; bottom line starts from the internet price'
+    });
+
+    adjustments.push({
+        step: 'fees',
+        amount: feeTotals.total,
+        explanation: `All quoted fees: $${feeTotals.normal} normal, $${feeTotals.excessive} excessive, $${feeTotals.illegitimate} illegitimate`
+    });
+
+    const currentBottomLinePrice = basePrice + tax + feeTotals.total;
+    adjustments.push({
+        step: 'current_bottom_line_price',
+        amount: currentBottomLinePrice,
+        explanation: 'Current bottom line = base price + tax + fees'
+    });
+
+    let fairBottomLinePrice = currentBottomLinePrice - feeTotals.illegitimate;
+    adjustments.push({
+        step: 'remove_illegitimate_fees',
+        amount: -feeTotals.illegitimate,
+        explanation: 'Illegitimate fees are removed from the fair price'
+    });
+
+    if (currentBottomLinePrice < SMALL_DEAL_THRESHOLD) {
+        fairBottomLinePrice += SMALL_DEAL_ADJUSTMENT;
+        adjustments.push({
+            step: 'small_deal_adjustment',
+            amount: SMALL_DEAL_ADJUSTMENT,
+            explanation: `Deals under $${SMALL_DEAL_THRESHOLD.toLocaleString()} get +$${SMALL_DEAL_ADJUSTMENT} on the fair price (matches the Retool calculation)`
+        });
+    }
+
+    adjustments.push({
+        step: 'fair_bottom_line_price',
+        amount: fairBottomLinePrice,
+        explanation: 'Fair bottom line = current bottom line - illegitimate fees + adjustments'
+    });
+
+    return {
+        offerPrice,
+        tax,
+        internetPrice,
+        basePrice,
+        fees: feeTotals,
+        currentBottomLinePrice,
+        fairBottomLinePrice,
+        bottomLinePriceDifference: currentBottomLinePrice - fairBottomLinePrice,
+        // The dealer's own total, for comparison; the bottom line is always recalculated
+        quotedBalance: quoted.balance,
+        sources: {
+            offerPrice: offerSource,
+            tax: taxSource,
+            internetPrice: internetSource,
+            basePrice: baseSource
+        },
+        adjustments
+    };
+}
+
+// Price a deal from its tasks: the latest RISK_ASSESSMENT_UPDATE payload, falling back to the
+// deal_risk_summary on an INVOKE_DEAL_ACTION task. Returns null when neither exists.
+// tasks should be ordered newest first
+function priceDealFromTasks(tasks, advertisedPrice = null) {
+    const parse = value => typeof value === 'string' ? JSON.parse(value) : value;
+
+    const riskTask = tasks.find(task => task.task_type === 'RISK_ASSESSMENT_UPDATE' && task.payload);
+    const conversationTask = tasks.find(task =>
+        task.task_type === 'INVOKE_DEAL_ACTION' && parse(task.meta)?.request?.conversation
+    );
+
+    let source;
+    let assessment;
+    let conversation;
+
+    if (riskTask) {
+        source = 'risk_assessment_update';
+        assessment = parse(riskTask.payload);
+        conversation = conversationTask ? parse(conversationTask.meta).request.conversation : [];
+    } else {
+        const summaryTask = tasks.find(task =>
+            task.task_type === 'INVOKE_DEAL_ACTION' && parse(task.meta)?.deal_risk_summary
+        );
+        if (!summaryTask) return null;
+
+        const meta = parse(summaryTask.meta);
+        source = 'deal_risk_summary';
+        assessment = meta.deal_risk_summary;
+        conversation = meta.request?.conversation || [];
+    }
+
+    return {
+        source,
+        assessment,
+        pricing: calculateBottomLine({
+            fees: Array.isArray(assessment.fees) ? assessment.fees : [],
+            offerPrice: assessment.offer_price || 0,
+            tax: assessment.tax || 0,
+            advertisedPrice,
+            conversation
+        })
+    };
+}
+
+// Export for use in other modules
+module.exports = {
+    SMALL_DEAL_THRESHOLD,
+    SMALL_DEAL_ADJUSTMENT,
+    INTERNET_PRICE_FALLBACK_MARKUP,
+    extractQuotedPrices,
+    sumFeesByAssessment,
+    calculateBottomLine,
+    priceDealFromTasks
+};
@@ -0,0 +1,382 @@
+// Record Store for Initiatives, Issues and Team Members
+// File-backed store for the bait & switch initiatives, mystery shopping issues and team members that used to
+// live in one JSONBin record. Every write is a transaction under a lock file, records get IDs from a counter,
+// and each record carries a version that an update must match (a mismatch is a conflict, not a silent overwrite).
+// Each write also adds an audit entry (actor, time, before/after diff), and deletes are soft so they can be restored.
+
+const fs = require('fs');
+const path = require('path');
+
+// Load .env before config when run from the command line (the server loads it itself)
+if (require.main === module) require('dotenv').config();
+const config = require('./config');
+
+const STORE_PATH = path.resolve(__dirname, config.recordStore.path);
+
+const COLLECTIONS = ['bait_switch_initiatives', 'mystery_shopping_issues', 'team_members'];
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'unmask'];
+
+// Fields that change on every save and would only clutter audit diffs
+const AUDIT_IGNORED_FIELDS = ['version', 'updated_at'];
+
+// A lock older than this was left by a crashed process and is taken over
+const LOCK_STALE_MS = 10000;
+const LOCK_RETRY_MS = 20;
+const LOCK_TIMEOUT_MS = 5000;
+
+function emptyStore() {
+    const collections = {};
+    COLLECTIONS.forEach(name => {
+        collections[name] = { version: 0, nextId: 1, records: [] };
+    });
+    return { migration: null, collections, audit: { nextId: 1, entries: [] } };
+}
+
+function readStore(storePath = STORE_PATH) {
+    if (!fs.existsSync(storePath)) return emptyStore();
+    const store = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+    // Stores written before the audit log was added
+    store.audit = store.audit || { nextId: 1, entries: [] };
+    return store;
+}
+
+// Write to a temporary file and rename it over the store, so readers never see a half-written file
+function writeStore(store, storePath) {
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    const tempPath = `${storePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(store, null, 2) + '\n');
+    fs.renameSync(tempPath, storePath);
+}
+
+async function acquireLock(lockPath) {
+    const startedAt = Date.now();
+    for (;;) {
+        try {
+            fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+            return;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+
+        try {
+            if (Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS) {
+                fs.unlinkSync(lockPath);
+                continue;
+            }
+        } catch (error) {
+            // The lock was released between the write and the stat; try again straight away
+            if (error.code === 'ENOENT') continue;
+            throw error;
+        }
+
+        if (Date.now() - startedAt > LOCK_TIMEOUT_MS) {
+            throw new Error(`Timed out waiting for the lock on ${path.basename(lockPath, '.lock')}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+}
+
+// Run fn() holding the lock file next to filePath (filePath + '.lock'); returns fn's result
+// Also used by the other JSON file stores (chat sessions) so their read-change-write cycles don't interleave
+async function withFileLock(filePath, fn) {
+    const lockPath = `${filePath}.lock`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    await acquireLock(lockPath);
+    try {
+        return fn();
+    } finally {
+        fs.rmSync(lockPath, { force: true });
+    }
+}
+
+// Run fn(store) under the store lock and save the store if fn changed it; returns fn's result
+// fn must be synchronous so nothing else can touch the file between the read and the write
+function transaction(fn, storePath = STORE_PATH) {
+    return withFileLock(storePath, () => {
+        const store = readStore(storePath);
+        const before = JSON.stringify(store);
+        const result = fn(store);
+        if (JSON.stringify(store) !== before) writeStore(store, storePath);
+        return result;
+    });
+}
+
+function getCollection(store, collection) {
+    if (!store.collections[collection]) throw new Error(`Unknown record collection "${collection}"`);
+    return store.collections[collection];
+}
+
+// Field-by-field changes between two versions of a record; bookkeeping fields are left out
+function diffRecords(before, after) {
+    const diff = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    fields.forEach(field => {
+        if (AUDIT_IGNORED_FIELDS.includes(field)) return;
+        const beforeValue = before && before[field] !== undefined ? before[field] : null;
+        const afterValue = after && after[field] !== undefined ? after[field] : null;
+        if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+            diff[field] = { before: beforeValue, after: afterValue };
+        }
+    });
+    return diff;
+}
+
+// Add an audit entry in the same transaction as the change it records
+function recordAudit(store, { collection, recordId, action, actor, before, after }) {
+    store.audit.entries.push({
+        id: store.audit.nextId++,
+        at: new Date().toISOString(),
+        actor: actor || 'unknown',
+        action,
+        collection,
+        recordId,
+        version: after ? after.version : before.version,
+        diff: diffRecords(before, after)
+    });
+}
+
+// Records in a collection, plus the collection version (bumped on every write to it)
+// Soft-deleted records are left out; they are only reachable through the audit log and restoreRecord
+function listRecords(collection, storePath = STORE_PATH) {
+    const { version, records } = getCollection(readStore(storePath), collection);
+    return { version, records: records.filter(record => !record.deleted_at) };
+}
+
+function getRecord(collection, id, storePath = STORE_PATH) {
+    return getCollection(readStore(storePath), collection).records.find(r => r.id === id && !r.deleted_at) || null;
+}
+
+function createRecord(collection, fields, actor, storePath = STORE_PATH) {
+    return transaction(store => {
+        const target = getCollection(store, collection);
+        const now = new Date().toISOString();
+        const record = { ...fields, id: target.nextId, version: 1, created_at: now, updated_at: now };
+
+        target.nextId++;
+        target.version++;
+        target.records.push(record);
+        recordAudit(store, { collection, recordId: record.id, action: 'create', actor, before: null, after: record });
+        return { record };
+    }, storePath);
+}
+
+// Apply changes to a record if it is still at expectedVersion
+// Returns { record }, { notFound }, { conflict: currentRecord } or { error }
+function updateRecord(collection, id, changes, expectedVersion, actor, storePath = STORE_PATH) {
+    if (!Number.isInteger(expectedVersion)) {
+        return Promise.resolve({ error: 'version is required' });
+    }
+
+    return transaction(store => {
+        const target = getCollection(store, collection);
+        const index = target.records.findIndex(record => record.id === id && !record.deleted_at);
+        if (index === -1) return { notFound: true };
+
+        const current = target.records[index];
+        if (current.version !== expectedVersion) return { conflict: current };
+
+        const record = {
+            ...current,
+            ...changes,
+            id: current.id,
+            version: current.version + 1,
+            created_at: current.created_at,
+            updated_at: new Date().toISOString()
+        };
+        target.records[index] = record;
+        target.version++;
+        recordAudit(store, { collection, recordId: id, action: 'update', actor, before: current, after: record });
+        return { record };
+    }, storePath);
+}
+
+// Soft-delete a record: it disappears from lists but stays in the store until restored
+// expectedVersion is optional here, but a stale one is still a conflict
+function deleteRecord(collection, id, expectedVersion, actor, storePath = STORE_PATH) {
+    return transaction(store => {
+        const target = getCollection(store, collection);
+        const index = target.records.findIndex(record => record.id === id && !record.deleted_at);
+        if (index === -1) return { notFound: true };
+
+        const current = target.records[index];
+        if (expectedVersion !== undefined && current.version !== expectedVersion) return { conflict: current };
+
+        const now = new Date().toISOString();
+        const record = { ...current, version: current.version + 1, updated_at: now, deleted_at: now, deleted_by: actor || 'unknown' };
+        target.records[index] = record;
+        target.version++;
+        recordAudit(store, { collection, recordId: id, action: 'delete', actor, before: current, after: record });
+        return { record };
+    }, storePath);
+}
+
+// Bring back a soft-deleted record; returns { record }, { notFound } or { error } when it isn't deleted
+function restoreRecord(collection, id, actor, storePath = STORE_PATH) {
+    return transaction(store => {
+        const target = getCollection(store, collection);
+        const index = target.records.findIndex(record => record.id === id);
+        if (index === -1) return { notFound: true };
+
+        const current = target.records[index];
+        if (!current.deleted_at) return { error: 'Record is not deleted' };
+
+        const { deleted_at, deleted_by, ...fields } = current;
+        const record = { ...fields, version: current.version + 1, updated_at: new Date().toISOString() };
+        target.records[index] = record;
+        target.version++;
+        recordAudit(store, { collection, recordId: id, action: 'restore', actor, before: current, after: record });
+        return { record };
+    }, storePath);
+}
+
+// Replace a whole collection if it is still at expectedVersion (the collection version from listRecords)
+// Records without an ID are created, kept records move to their next version and missing ones are soft-deleted
+function replaceRecords(collection, records, expectedVersion, actor, storePath = STORE_PATH) {
+    if (!Number.isInteger(expectedVersion)) {
+        return Promise.resolve({ error: 'version is required' });
+    }
+    if (!Array.isArray(records)) {
+        return Promise.resolve({ error: `${collection} must be a list` });
+    }
+
+    return transaction(store => {
+        const target = getCollection(store, collection);
+        const live = target.records.filter(record => !record.deleted_at);
+        if (target.version !== expectedVersion) return { conflict: { version: target.version, records: live } };
+
+        const now = new Date().toISOString();
+        const kept = records.map(record => {
+            const existing = live.find(r => r.id === record.id);
+            if (existing) {
+                const updated = { ...record, version: existing.version + 1, created_at: existing.created_at, updated_at: now };
+                if (Object.keys(diffRecords(existing, updated)).length > 0) {
+                    recordAudit(store, { collection, recordId: existing.id, action: 'update', actor, before: existing, after: updated });
+                    return updated;
+                }
+                return existing;
+            }
+            const created = { ...record, id: target.nextId++, version: 1, created_at: now, updated_at: now };
+            recordAudit(store, { collection, recordId: created.id, action: 'create', actor, before: null, after: created });
+            return created;
+        });
+        const removed = live
+            .filter(existing => !kept.some(record => record.id === existing.id))
+            .map(existing => {
+                const deleted = { ...existing, version: existing.version + 1, updated_at: now, deleted_at: now, deleted_by: actor || 'unknown' };
+                recordAudit(store, { collection, recordId: existing.id, action: 'delete', actor, before: existing, after: deleted });
+                return deleted;
+            });
+
+        target.records = [...kept, ...removed, ...target.records.filter(record => record.deleted_at)];
+        target.version++;
+        return { version: target.version, records: kept };
+    }, storePath);
+}
+
+// Record a read of sensitive data (e.g. unmasked customer PII) in the audit log, with the resource and reason
+function recordAccess(actor, { action, resource, reason }, storePath = STORE_PATH) {
+    return transaction(store => {
+        const entry = {
+            id: store.audit.nextId++,
+            at: new Date().toISOString(),
+            actor: actor || 'unknown',
+            action,
+            collection: null,
+            recordId: null,
+            resource,
+            reason
+        };
+        store.audit.entries.push(entry);
+        return { entry };
+    }, storePath);
+}
+
+// Audit entries, newest first, filtered by collection, record, actor, action and time range
+function queryAudit({ collection, recordId, actor, action, from, to, limit = 100 } = {}, storePath = STORE_PATH) {
+    return readStore(storePath).audit.entries
+        .filter(entry => !collection || entry.collection === collection)
+        .filter(entry => recordId === undefined || entry.recordId === recordId)
+        .filter(entry => !actor || entry.actor === actor)
+        .filter(entry => !action || entry.action === action)
+        .filter(entry => !from || entry.at >= from)
+        .filter(entry => !to || entry.at <= to)
+        .reverse()
+        .slice(0, limit);
+}
+
+// One-time import of the old JSONBin record. Existing IDs are kept (steps and initiatives refer to team
+// members by ID) and the counters start above them. Refuses to run twice or over records saved since.
+function importJsonBinRecord(binRecord, storePath = STORE_PATH) {
+    return transaction(store => {
+        if (store.migration || COLLECTIONS.some(name => store.collections[name].records.length > 0)) {
+            return { error: 'The record store already has data; the JSONBin migration has already run' };
+        }
+
+        const counts = {};
+        COLLECTIONS.forEach(name => {
+            const target = store.collections[name];
+            const imported = Array.isArray(binRecord[name]) ? binRecord[name] : [];
+            const maxId = imported.reduce((max, record) => (Number.isInteger(record.id) ? Math.max(max, record.id) : max), 0);
+            target.nextId = maxId + 1;
+            target.records = imported.map(record => ({
+                ...record,
+                id: Number.isInteger(record.id) ? record.id : target.nextId++,
+                version: 1
+            }));
+            target.version = 1;
+            counts[name] = target.records.length;
+        });
+
+        store.migration = { source: 'jsonbin', binId: config.jsonbin.binId, migratedAt: new Date().toISOString(), counts };
+        return { counts };
+    }, storePath);
+}
+
+async function migrateFromJsonBin(storePath = STORE_PATH) {
+    const binResponse = await fetch(`${config.jsonbin.url}/${config.jsonbin.binId}`, {
+        headers: {
+            'X-Master-Key': config.jsonbin.apiKey
+        }
+    });
+    if (!binResponse.ok) {
+        return { error: `JSONBin request failed: ${binResponse.status}` };
+    }
+
+    const binData = await binResponse.json();
+    return importJsonBinRecord(binData.record || {}, storePath);
+}
+
+module.exports = {
+    COLLECTIONS,
+    AUDIT_ACTIONS,
+    withFileLock,
+    transaction,
+    listRecords,
+    getRecord,
+    createRecord,
+    updateRecord,
+    deleteRecord,
+    restoreRecord,
+    replaceRecords,
+    recordAccess,
+    queryAudit,
+    importJsonBinRecord,
+    migrateFromJsonBin
+};
+
+// Run once to copy the JSONBin record into the local store: npm run migrate-store
+if (require.main === module) {
+    migrateFromJsonBin()
+        .then(result => {
+            if (result.error) {
+                console.error(result.error);
+                process.exit(1);
+            }
+            console.log(`📦 Migrated ${Object.entries(result.counts).map(([name, count]) => `${count} ${name}`).join(', ')} into ${config.recordStore.path}`);
+        })
+        .catch(error => {
+            console.error('Error migrating JSONBin record:', error);
+            process.exit(1);
+        });
+}
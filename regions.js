@@ -0,0 +1,62 @@
+// Region lookup for South Florida dealerships
+// Dealers only carry city/state, so regions are resolved from the city's county
+
+const CITY_COUNTIES = {
+    'aventura': 'Miami-Dade',
+    'coral gables': 'Miami-Dade',
+    'cutler bay': 'Miami-Dade',
+    'doral': 'Miami-Dade',
+    'hialeah': 'Miami-Dade',
+    'homestead': 'Miami-Dade',
+    'kendall': 'Miami-Dade',
+    'miami': 'Miami-Dade',
+    'miami beach': 'Miami-Dade',
+    'miami gardens': 'Miami-Dade',
+    'miami lakes': 'Miami-Dade',
+    'north miami': 'Miami-Dade',
+    'north miami beach': 'Miami-Dade',
+    'palmetto bay': 'Miami-Dade',
+    'coconut creek': 'Broward',
+    'coral springs': 'Broward',
+    'davie': 'Broward',
+    'deerfield beach': 'Broward',
+    'fort lauderdale': 'Broward',
+    'hollywood': 'Broward',
+    'lauderdale lakes': 'Broward',
+    'lauderhill': 'Broward',
+    'margate': 'Broward',
+    'miramar': 'Broward',
+    'pembroke pines': 'Broward',
+    'plantation': 'Broward',
+    'pompano beach': 'Broward',
+    'sunrise': 'Broward',
+    'tamarac': 'Broward',
+    'boca raton': 'Palm Beach',
+    'boynton beach': 'Palm Beach',
+    'delray beach': 'Palm Beach',
+    'jupiter': 'Palm Beach',
+    'lake worth': 'Palm Beach',
+    'north palm beach': 'Palm Beach',
+    'palm beach gardens': 'Palm Beach',
+    'riviera beach': 'Palm Beach',
+    'royal palm beach': 'Palm Beach',
+    'wellington': 'Palm Beach',
+    'west palm beach': 'Palm Beach'
+};
+
+// Get the county for a city (null when the city isn't mapped)
+function getCounty(city) {
+    if (!city) return null;
+    return CITY_COUNTIES[city.trim().toLowerCase()] || null;
+}
+
+// Get the region a dealer belongs to: its county, falling back to the state code
+function getDealerRegion(dealer) {
+    return getCounty(dealer.city) || dealer.state_code || dealer.stateCode || 'Unknown';
+}
+
+module.exports = {
+    CITY_COUNTIES,
+    getCounty,
+    getDealerRegion
+};
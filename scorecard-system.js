@@ -0,0 +1,279 @@
+// Dealer Scorecard System for Printable Reports
+// PDF scorecards to hand to a dealership GM or publish: the dealer's overall, excessive and illegitimate
+// grades, rank among peers, deal count, fee category breakdown and the grading explanation
+
+const fs = require('fs');
+const path = require('path');
+const { getGrade, getGradingExplanation } = require('./grading-system');
+const { summarizeFeeCategories } = require('./fee-taxonomy');
+const { loadDealerGroups, resolveDealerId } = require('./dealer-groups');
+const { loadRankingDealers, rankDealers } = require('./dealer-rankings');
+const { createPdf, addPage, textWidth, wrapText, drawText, drawRect, drawLine, renderPdf } = require('./pdf-writer');
+
+const MARGIN = 48;
+
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
+function formatMoney(amount) {
+    return `$${Math.round(amount).toLocaleString('en-US')}`;
+}
+
+// Everything printed on one dealer's scorecard
+// ranking: a rankDealers entry; dealer: the dealers row; feeCategories: the dealer's summarizeFeeCategories categories
+function buildScorecard({ ranking, rank, totalRanked, dealer, feeCategories, profile, explanation, generatedAt = new Date() }) {
+    const { grading } = ranking;
+    const feeTypeGrade = (feeType, score, averageFees) => {
+        const { grade, label, color } = getGrade(averageFees, feeType, profile);
+        return { grade, label, color, score: round1(score), averageFees: Math.round(averageFees * 100) / 100 };
+    };
+
+    return {
+        dealer: {
+            id: ranking.dealer_id,
+            name: dealer ? dealer.name : ranking.dealer_name,
+            address: dealer ? dealer.address : null,
+            city: dealer ? dealer.city : null,
+            stateCode: dealer ? dealer.state_code : null,
+            zipCode: dealer ? dealer.zip_code : null,
+            group: ranking.group ? ranking.group.name : null
+        },
+        profile: { id: profile.id, name: profile.name, version: profile.version },
+        rank,
+        totalRanked,
+        dealCount: grading.dealCount,
+        overall: {
+            grade: grading.grade,
+            label: grading.label,
+            color: grading.color,
+            score: round1(grading.adjustedScore),
+            averageScore: round1(grading.averageScores.overall),
+            provisional: grading.provisional,
+            confidence: grading.confidence
+        },
+        excessive: feeTypeGrade('excessive_fees', grading.averageScores.excessive, grading.averageFees.excessive),
+        illegitimate: feeTypeGrade('illegitimate_fees', grading.averageScores.illegitimate, grading.averageFees.illegitimate),
+        gradeDistribution: grading.gradeDistribution,
+        feeCategories,
+        explanation,
+        dealerExplanation: grading.explanation.replace(/\s+/g, ' ').trim(),
+        generatedAt: generatedAt.toISOString()
+    };
+}
+
+// Scorecards for every ranked dealer, in rank order
+async function collectScorecards(pool, profile, generatedAt = new Date()) {
+    const ranked = rankDealers(await loadRankingDealers(pool), profile);
+
+    const dealersResult = await pool.query(`
+        SELECT id, name, address, city, state_code, zip_code
+        FROM dealers
+        WHERE deleted IS NULL
+    `);
+
+    // Fee categories count a merged duplicate's deals under the dealer it was merged into, as the grades do
+    const feeResult = await pool.query(`
+        SELECT d.id as deal_id, l.dealer_id, dt.payload
+        FROM deals d
+        JOIN listings l ON d.id = l.deal_id
+        JOIN deal_tasks dt ON d.id = dt.deal_id AND dt.task_type = 'RISK_ASSESSMENT_UPDATE'
+        WHERE d.state = 'analysis' AND d.is_active = true
+        ORDER BY d.id
+    `);
+    const { merges } = loadDealerGroups();
+    const feeCategories = summarizeFeeCategories(feeResult.rows.map(row => ({
+        ...row,
+        dealer_id: resolveDealerId(row.dealer_id, merges)
+    })));
+
+    const explanation = getGradingExplanation(profile);
+
+    return ranked
+        .map((ranking, index) => ({ ranking, rank: index + 1 }))
+        .filter(({ ranking }) => ranking.dealer_id !== null)
+        .map(({ ranking, rank }) => {
+            const dealerCategories = feeCategories.dealers.find(d => d.dealerId === ranking.dealer_id);
+            return buildScorecard({
+                ranking,
+                rank,
+                totalRanked: ranked.length,
+                dealer: dealersResult.rows.find(row => row.id === ranking.dealer_id),
+                feeCategories: dealerCategories ? dealerCategories.categories : [],
+                profile,
+                explanation,
+                generatedAt
+            });
+        });
+}
+
+// Lay out a scorecard on Letter pages, continuing onto a new page when a section runs out of room
+function renderScorecardPdf(scorecard) {
+    const doc = createPdf('letter');
+    const contentWidth = doc.width - MARGIN * 2;
+    let y = MARGIN;
+
+    addPage(doc);
+    const ensureSpace = needed => {
+        if (y + needed > doc.height - MARGIN) {
+            addPage(doc);
+            y = MARGIN;
+        }
+    };
+    const paragraph = (text, { size = 9, color = '#334155', bold = false, indent = 0 } = {}) => {
+        wrapText(text, size, contentWidth - indent, bold).forEach(line => {
+            ensureSpace(size + 4);
+            y += size + 3;
+            drawText(doc, line, { x: MARGIN + indent, y, size, color, bold });
+        });
+    };
+    const heading = text => {
+        ensureSpace(40);
+        y += 24;
+        drawText(doc, text, { x: MARGIN, y, size: 13, bold: true });
+        y += 6;
+        drawLine(doc, { x1: MARGIN, y1: y, x2: doc.width - MARGIN, y2: y });
+    };
+
+    // Header band
+    const { dealer } = scorecard;
+    drawRect(doc, { x: 0, y: 0, width: doc.width, height: 96, color: '#0f172a' });
+    drawText(doc, 'Dealer Fee Transparency Scorecard', { x: MARGIN, y: 34, size: 11, color: '#94a3b8' });
+    drawText(doc, dealer.name, { x: MARGIN, y: 60, size: 20, bold: true, color: '#ffffff' });
+    const location = [dealer.address, [dealer.city, dealer.stateCode].filter(Boolean).join(', '), dealer.zipCode].filter(Boolean).join(' · ');
+    drawText(doc, [location, dealer.group ? `${dealer.group} group` : null].filter(Boolean).join('  |  '), { x: MARGIN, y: 80, size: 9, color: '#cbd5e1' });
+    y = 96;
+
+    // Overall grade and rank
+    const { overall } = scorecard;
+    y += 20;
+    drawRect(doc, { x: MARGIN, y, width: 92, height: 92, color: overall.color });
+    drawText(doc, overall.grade, { x: MARGIN + 46 - textWidth(overall.grade, 48, true) / 2, y: y + 62, size: 48, bold: true, color: '#ffffff' });
+    const summaryX = MARGIN + 112;
+    drawText(doc, `Overall grade: ${overall.grade} (${overall.label})`, { x: summaryX, y: y + 18, size: 14, bold: true });
+    drawText(doc, `Score ${overall.score} / 100 (raw average ${overall.averageScore})`, { x: summaryX, y: y + 38, size: 10, color: '#334155' });
+    drawText(doc, `Rank ${scorecard.rank} of ${scorecard.totalRanked} dealers  ·  ${scorecard.dealCount} graded deal${scorecard.dealCount === 1 ? '' : 's'}`, { x: summaryX, y: y + 56, size: 10, color: '#334155' });
+    if (overall.confidence) {
+        drawText(doc, `${Math.round(overall.confidence.level * 100)}% confidence band: ${round1(overall.confidence.lower)} to ${round1(overall.confidence.upper)}`, { x: summaryX, y: y + 74, size: 9, color: '#64748b' });
+    }
+    if (overall.provisional) {
+        drawText(doc, 'Provisional: too few deals for a settled grade', { x: summaryX, y: y + 90, size: 9, bold: true, color: '#b45309' });
+    }
+    y += 100;
+
+    // Excessive and illegitimate fee grades side by side
+    heading('Fee Grades');
+    const boxWidth = (contentWidth - 16) / 2;
+    [['Excessive fees', scorecard.excessive, scorecard.explanation.excessive_fees],
+        ['Illegitimate fees', scorecard.illegitimate, scorecard.explanation.illegitimate_fees]].forEach(([title, feeGrade, feeExplanation], index) => {
+        const x = MARGIN + index * (boxWidth + 16);
+        drawRect(doc, { x, y: y + 10, width: boxWidth, height: 70, color: '#f8fafc' });
+        drawRect(doc, { x, y: y + 10, width: 4, height: 70, color: feeGrade.color });
+        drawText(doc, title, { x: x + 14, y: y + 28, size: 10, bold: true });
+        drawText(doc, `${feeGrade.grade} (${feeGrade.label})`, { x: x + boxWidth - 12, y: y + 28, size: 12, bold: true, color: feeGrade.color, align: 'right' });
+        drawText(doc, `Average ${formatMoney(feeGrade.averageFees)} per deal · score ${feeGrade.score}`, { x: x + 14, y: y + 48, size: 9, color: '#334155' });
+        drawText(doc, feeExplanation.weight, { x: x + 14, y: y + 66, size: 8, color: '#64748b' });
+    });
+    y += 84;
+    const distribution = scorecard.gradeDistribution;
+    paragraph(`Deal grades: A ${distribution.A} · B ${distribution.B} · C ${distribution.C} · D ${distribution.D} · F ${distribution.F}`);
+
+    // Fee category breakdown
+    heading('Fee Category Breakdown');
+    if (scorecard.feeCategories.length === 0) {
+        paragraph('No categorized fees on this dealer\'s graded deals.');
+    } else {
+        const columns = [
+            { header: 'Category', x: MARGIN },
+            { header: 'Deals', x: MARGIN + 230, align: 'right' },
+            { header: 'Median', x: MARGIN + 300, align: 'right' },
+            { header: 'Flagged', x: MARGIN + 370, align: 'right' },
+            { header: 'Flagged $', x: MARGIN + 450, align: 'right' },
+            { header: 'Share', x: doc.width - MARGIN, align: 'right' }
+        ];
+        const row = (values, options) => {
+            ensureSpace(18);
+            y += 16;
+            values.forEach((value, i) => drawText(doc, value, { x: columns[i].x, y, size: 9, align: columns[i].align, ...options }));
+        };
+        row(columns.map(column => column.header), { bold: true, color: '#64748b' });
+        scorecard.feeCategories.forEach(category => {
+            row([
+                category.label,
+                `${category.dealCount} (${category.dealFrequencyPct}%)`,
+                category.medianAmount === null ? '-' : formatMoney(category.medianAmount),
+                `${category.flaggedPct}%`,
+                formatMoney(category.flaggedAmount),
+                `${category.shareOfFlaggedAmountPct}%`
+            ]);
+        });
+    }
+
+    // How the grade is worked out
+    heading('How This Grade Is Calculated');
+    paragraph(scorecard.dealerExplanation);
+    y += 6;
+    const { explanation } = scorecard;
+    paragraph(explanation.overview);
+    paragraph(`Excessive fees: ${explanation.excessive_fees.description}.`);
+    paragraph(`Illegitimate fees: ${explanation.illegitimate_fees.description}.`);
+    paragraph(explanation.calculation);
+    paragraph(explanation.scoring);
+
+    ensureSpace(30);
+    y += 24;
+    drawText(doc, `Grading profile ${scorecard.profile.name} v${scorecard.profile.version} · generated ${scorecard.generatedAt.slice(0, 10)}`, { x: MARGIN, y, size: 8, color: '#94a3b8' });
+
+    return renderPdf(doc, { title: `${dealer.name} scorecard` });
+}
+
+// File name for a dealer's scorecard, e.g. scorecard-1-braman-bmw.pdf
+function getScorecardFilename(scorecard) {
+    const slug = scorecard.dealer.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `scorecard-${scorecard.dealer.id}${slug ? `-${slug}` : ''}.pdf`;
+}
+
+// Write one PDF per scorecard into a directory; returns the paths written
+function writeScorecards(scorecards, directory) {
+    fs.mkdirSync(directory, { recursive: true });
+    return scorecards.map(scorecard => {
+        const filePath = path.join(directory, getScorecardFilename(scorecard));
+        fs.writeFileSync(filePath, renderScorecardPdf(scorecard));
+        return filePath;
+    });
+}
+
+module.exports = {
+    buildScorecard,
+    collectScorecards,
+    renderScorecardPdf,
+    getScorecardFilename,
+    writeScorecards
+};
+
+// Run directly to write every dealer's scorecard: npm run scorecards -- [directory] [profileId]
+if (require.main === module) {
+    require('dotenv').config();
+    const config = require('./config');
+    const { createPool } = require('./data-source');
+    const { getActiveProfile, getGradingProfile } = require('./grading-profiles');
+    const [directory = config.scorecards.path, profileId] = process.argv.slice(2);
+
+    const profile = profileId ? getGradingProfile(profileId) : getActiveProfile();
+    if (!profile) {
+        console.error(`Grading profile "${profileId}" not found`);
+        process.exit(1);
+    }
+
+    const pool = createPool(config);
+    collectScorecards(pool, profile)
+        .then(scorecards => {
+            const files = writeScorecards(scorecards, path.resolve(__dirname, directory));
+            console.log(`🧾 Wrote ${files.length} dealer scorecards to ${directory}`);
+            return pool.end();
+        })
+        .catch(error => {
+            console.error('Error writing dealer scorecards:', error);
+            process.exit(1);
+        });
+}
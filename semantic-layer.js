@@ -0,0 +1,280 @@
+// Semantic Layer for the Chat Agents
+// Named business definitions with their canonical SQL: metrics (aggregates such as illegitimate fees per deal),
+// dimensions (what to group by, such as dealer region) and filters (such as analysis deals). They all use the
+// table aliases in SEMANTIC_FROM, so the chat agents compose queries from them instead of guessing at the schema.
+// Grades follow the active grading profile and regions follow regions.js, so the chat agrees with the dashboard.
+
+const { CITY_COUNTIES } = require('./regions');
+
+// Every definition's SQL is written against these joins: deals d, listings l, dealers dl, vehicles v and
+// deal_risk_analysis ra (the fee and price assessment; deals without one have NULL fees)
+const SEMANTIC_FROM = `FROM deals d
+LEFT JOIN listings l ON l.deal_id = d.id AND l.deleted IS NULL
+LEFT JOIN dealers dl ON dl.id = l.dealer_id AND dl.deleted IS NULL
+LEFT JOIN vehicles v ON v.id = l.vehicle_id
+LEFT JOIN deal_risk_analysis ra ON ra.deal_id = d.id`;
+
+const KINDS = ['metric', 'dimension', 'filter'];
+
+function sqlString(text) {
+    return `'${text.replace(/'/g, "''")}'`;
+}
+
+// A deal's overall fee score (0-100) as gradeDeal() computes it: each fee type scores 100 at $0 and 0 at its
+// ceiling, weighted by the profile
+function dealScoreSql(profile) {
+    const { scoreCeilings, weights } = profile.settings;
+    const feeScore = (column, ceiling) =>
+        `ROUND(CASE WHEN ${column} >= ${Number(ceiling)} THEN 0 ELSE 100.0 - ${column} * 100.0 / ${Number(ceiling)} END)`;
+    return `(${feeScore('ra.excessive_fees', scoreCeilings.excessive)} * ${Number(weights.excessive)} + ` +
+        `${feeScore('ra.illegitimate_fees', scoreCeilings.illegitimate)} * ${Number(weights.illegitimate)})`;
+}
+
+// Letter grade for a score expression using the profile's overall grade bands (NULL stays NULL)
+function gradeSql(scoreSql, profile) {
+    const bands = profile.settings.overallGradeBands;
+    const steps = ['A', 'B', 'C', 'D'].map(grade => `WHEN ${scoreSql} >= ${Number(bands[grade])} THEN '${grade}'`);
+    return `CASE WHEN ${scoreSql} IS NULL THEN NULL ${steps.join(' ')} ELSE 'F' END`;
+}
+
+// County for the dealer's city, falling back to its state code, as getDealerRegion() does
+function regionSql() {
+    const cities = Object.entries(CITY_COUNTIES).map(([city, county]) => `WHEN ${sqlString(city)} THEN ${sqlString(county)}`);
+    return `CASE LOWER(TRIM(dl.city)) ${cities.join(' ')} ELSE COALESCE(dl.state_code, 'Unknown') END`;
+}
+
+// All definitions for a grading profile (the active one by default)
+function getDefinitions(profile = require('./grading-profiles').getActiveProfile()) {
+    const dealScore = dealScoreSql(profile);
+
+    return [
+        // Filters
+        {
+            name: 'analysis_deals',
+            kind: 'filter',
+            label: 'Analysis deals',
+            description: 'Active deals in the analysis stage, the deals that fee grades and dealer rankings are based on',
+            sql: "d.state = 'analysis' AND d.is_active = true AND d.deleted IS NULL"
+        },
+        {
+            name: 'open_deals',
+            kind: 'filter',
+            label: 'Open deals',
+            description: 'Deals that have not been deleted, in any stage',
+            sql: 'd.deleted IS NULL'
+        },
+        {
+            name: 'assessed_deals',
+            kind: 'filter',
+            label: 'Assessed deals',
+            description: 'Deals with a fee and price assessment',
+            sql: 'ra.id IS NOT NULL'
+        },
+
+        // Metrics
+        {
+            name: 'deal_count',
+            kind: 'metric',
+            label: 'Deals',
+            description: 'Number of deals',
+            sql: 'COUNT(DISTINCT d.id)'
+        },
+        {
+            name: 'dealer_count',
+            kind: 'metric',
+            label: 'Dealers',
+            description: 'Number of dealers with at least one deal',
+            sql: 'COUNT(DISTINCT dl.id)'
+        },
+        {
+            name: 'illegitimate_fees_per_deal',
+            kind: 'metric',
+            label: 'Illegitimate fees per deal',
+            description: 'Average dollars of fees assessed as illegitimate (add-ons that should not be charged), over assessed deals',
+            sql: 'ROUND(AVG(ra.illegitimate_fees), 2)'
+        },
+        {
+            name: 'excessive_fees_per_deal',
+            kind: 'metric',
+            label: 'Excessive fees per deal',
+            description: 'Average dollars of legitimate fees charged above the normal amount, over assessed deals',
+            sql: 'ROUND(AVG(ra.excessive_fees), 2)'
+        },
+        {
+            name: 'total_illegitimate_fees',
+            kind: 'metric',
+            label: 'Total illegitimate fees',
+            description: 'Sum of illegitimate fee dollars',
+            sql: 'SUM(ra.illegitimate_fees)'
+        },
+        {
+            name: 'total_excessive_fees',
+            kind: 'metric',
+            label: 'Total excessive fees',
+            description: 'Sum of excessive fee dollars',
+            sql: 'SUM(ra.excessive_fees)'
+        },
+        {
+            name: 'overcharge_per_deal',
+            kind: 'metric',
+            label: 'Bottom-line overcharge per deal',
+            description: 'Average dollars the quoted bottom-line (out-the-door) price is above the fair bottom-line price',
+            sql: 'ROUND(AVG(ra.bottom_line_price_difference), 2)'
+        },
+        {
+            name: 'internet_price_per_deal',
+            kind: 'metric',
+            label: 'Internet price per deal',
+            description: 'Average advertised internet price of the vehicle',
+            sql: 'ROUND(AVG(ra.internet_price), 2)'
+        },
+        {
+            name: 'deal_score',
+            kind: 'metric',
+            label: 'Average deal score',
+            description: 'Average overall fee score (0-100, higher is better) of assessed deals',
+            sql: `ROUND(AVG(${dealScore}), 1)`
+        },
+        {
+            name: 'dealer_grade',
+            kind: 'metric',
+            label: 'Dealer grade',
+            description: 'Letter grade (A-F) from the average deal score; group by dealer. This is the raw grade: the rankings page also pulls dealers with few deals toward the market average',
+            sql: gradeSql(`AVG(${dealScore})`, profile)
+        },
+
+        // Dimensions
+        {
+            name: 'dealer',
+            kind: 'dimension',
+            label: 'Dealer',
+            description: 'Dealership name',
+            sql: 'dl.name'
+        },
+        {
+            name: 'dealer_city',
+            kind: 'dimension',
+            label: 'Dealer city',
+            description: "City of the dealership (e.g. 'Miami')",
+            sql: 'dl.city'
+        },
+        {
+            name: 'dealer_region',
+            kind: 'dimension',
+            label: 'Dealer region',
+            description: "County of the dealership: 'Miami-Dade', 'Broward' or 'Palm Beach', otherwise its state code",
+            sql: regionSql()
+        },
+        {
+            name: 'deal_state',
+            kind: 'dimension',
+            label: 'Deal stage',
+            description: "Stage of the deal, such as 'analysis' or 'vin_sold'",
+            sql: 'd.state'
+        },
+        {
+            name: 'deal_grade',
+            kind: 'dimension',
+            label: 'Deal grade',
+            description: 'Letter grade (A-F) of a single deal from its fee score; NULL for deals without an assessment',
+            sql: gradeSql(dealScore, profile)
+        },
+        {
+            name: 'vehicle_make',
+            kind: 'dimension',
+            label: 'Vehicle make',
+            description: 'Make of the vehicle, such as Toyota',
+            sql: 'v.make'
+        },
+        {
+            name: 'deal_month',
+            kind: 'dimension',
+            label: 'Deal month',
+            description: 'Month the deal was created',
+            sql: "DATE_TRUNC('month', d.created)"
+        }
+    ];
+}
+
+// The definitions with the given names; unknown names are returned separately rather than guessed at
+function resolveDefinitions(names, definitions = getDefinitions()) {
+    const requested = Array.isArray(names) ? [...new Set(names)] : [];
+    return {
+        definitions: requested.map(name => definitions.find(d => d.name === name)).filter(Boolean),
+        unknown: requested.filter(name => !definitions.some(d => d.name === name))
+    };
+}
+
+// A starting query from chosen definitions: dimensions and metrics as named columns, filters ANDed together,
+// grouped by the dimensions. Returns null when no metric or dimension was chosen
+function composeQuery(definitions) {
+    const dimensions = definitions.filter(d => d.kind === 'dimension');
+    const metrics = definitions.filter(d => d.kind === 'metric');
+    const filters = definitions.filter(d => d.kind === 'filter');
+    if (dimensions.length + metrics.length === 0) return null;
+
+    const columns = [...dimensions, ...metrics].map(d => `    ${d.sql} AS ${d.name}`);
+    const lines = ['SELECT', columns.join(',\n'), SEMANTIC_FROM];
+    if (filters.length > 0) {
+        lines.push(`WHERE ${filters.map(f => `(${f.sql})`).join('\n  AND ')}`);
+    }
+    if (dimensions.length > 0 && metrics.length > 0) {
+        lines.push(`GROUP BY ${dimensions.map(d => d.sql).join(',\n    ')}`);
+    }
+    return lines.join('\n');
+}
+
+// Names and descriptions for the coordinator to choose from
+function describeDefinitions(definitions = getDefinitions()) {
+    return KINDS.map(kind => {
+        const entries = definitions.filter(d => d.kind === kind).map(d => `- ${d.name}: ${d.description}`);
+        return `${kind[0].toUpperCase()}${kind.slice(1)}s:\n${entries.join('\n')}`;
+    }).join('\n\n');
+}
+
+// Canonical SQL for the SQL generator
+function definitionsSql(definitions) {
+    return definitions.map(d => `- ${d.name} (${d.kind}): ${d.sql}`).join('\n');
+}
+
+// Case and spacing don't matter when matching definitions against a query
+function normalizeSql(sql) {
+    return sql.toLowerCase().replace(/\s+/g, ' ').replace(/\s*([(),])\s*/g, '$1').trim();
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// The definitions whose canonical SQL appears in a query, so the chat can say which ones an answer rests on
+// rather than which ones the coordinator asked for. Longer definitions are matched first and blanked out, so
+// one inside another (d.deleted IS NULL inside analysis_deals) isn't reported as used on its own
+function findUsedDefinitions(sql, definitions = getDefinitions()) {
+    if (!sql) return [];
+    let query = normalizeSql(sql);
+    const used = new Set();
+    [...definitions]
+        .sort((a, b) => b.sql.length - a.sql.length)
+        .forEach(definition => {
+            // A name at either edge must not just be the start or end of a longer one
+            const text = normalizeSql(definition.sql);
+            const before = /^\w/.test(text) ? '(?<![\\w.])' : '';
+            const after = /\w$/.test(text) ? '(?![\\w.])' : '';
+            const pattern = new RegExp(`${before}${escapeRegExp(text)}${after}`, 'g');
+            if (pattern.test(query)) {
+                used.add(definition.name);
+                query = query.replace(pattern, ' ');
+            }
+        });
+    return definitions.filter(d => used.has(d.name));
+}
+
+module.exports = {
+    SEMANTIC_FROM,
+    getDefinitions,
+    resolveDefinitions,
+    composeQuery,
+    describeDefinitions,
+    definitionsSql,
+    findUsedDefinitions
+};
@@ -1,38 +1,70 @@
 require('dotenv').config();
+
+// Mask email addresses, phone numbers and street addresses in everything the server logs
+require('./pii-redaction').installLogRedaction();
+
 const express = require('express');
-const { Pool } = require('pg');
 const cors = require('cors');
 const path = require('path');
-const Anthropic = require('@anthropic-ai/sdk');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Enable CORS for frontend
-app.use(cors());
-app.use(express.json());
-app.use(express.static('.'));
-
 // Load configuration
 const config = require('./config');
 
-// Initialize Anthropic client
-const anthropic = new Anthropic({
-    apiKey: process.env.ANTHROPIC_API_KEY,
-});
+// The pages are served from this server, so CORS is only opened to the extra origins in config.auth.corsOrigins
+app.use(cors({ origin: config.auth.corsOrigins, credentials: true }));
+app.use(express.json());
+
+// Every page and API route needs a login (session cookie) or an API token (Authorization: Bearer ...)
+const { authenticateRequest, hasRole } = require('./auth-system');
+const PUBLIC_PATHS = ['/login.html', '/api/auth/login'];
+
+app.use((req, res, next) => {
+    req.user = authenticateRequest(req);
+    if (req.user || PUBLIC_PATHS.includes(req.path)) return next();
 
-// PostgreSQL connection
-const pool = new Pool({
-    connectionString: config.database.connectionString,
-    ssl: {
-        rejectUnauthorized: false
+    if (req.path.startsWith('/api/')) {
+        return res.status(401).json({ error: 'Authentication required', message: 'Log in or send an API token' });
     }
+    res.redirect(`/login.html?next=${encodeURIComponent(req.originalUrl)}`);
+});
+
+function requireRole(role) {
+    return (req, res, next) => {
+        if (hasRole(req.user, role)) return next();
+        res.status(403).json({ error: 'Forbidden', message: `This requires the ${role} role` });
+    };
+}
+
+// Viewers are read-only: anything that changes data (or runs chat queries) needs at least analyst
+app.use('/api', (req, res, next) => {
+    if (req.method === 'GET' || req.path.startsWith('/auth/')) return next();
+    requireRole('analyst')(req, res, next);
 });
 
+// data/ holds the auth and record stores; it is never served as static files
+app.use('/data', (req, res) => res.status(404).end());
+app.use(express.static('.'));
+
+// Model behind the chat agents: Anthropic, or recorded responses offline (CHAT_LLM_PROVIDER=stub)
+const { createLlmProvider } = require('./llm-provider');
+const llm = createLlmProvider(config.chat);
+
+// Database connection (production PostgreSQL or offline fixture database)
+const { createPool } = require('./data-source');
+const pool = createPool(config);
+
+// Dealer rankings shared by the rankings, profile and group endpoints
+const { RANKING_SORT_SCORES, loadRankingDealers, rankDealers } = require('./dealer-rankings');
+
 // Test database connection
 pool.query('SELECT NOW()', (err, res) => {
     if (err) {
         console.error('Database connection error:', err);
+    } else if (config.dataSource.type === 'fixture') {
+        console.log(`✅ Loaded offline fixture database from ${config.dataSource.fixturePath}`);
     } else {
         console.log('✅ Connected to PostgreSQL database');
     }
@@ -78,8 +110,28 @@ app.get('/api/deal-summary', async (req, res) => {
         `);
         const uniqueDealerships = parseInt(dealershipsResult.rows[0].unique_dealerships) || Math.ceil(totalDeals / 3);
 
-        // Calculate total analysis deals needed (10 per dealership)
-        const totalAnalysisNeeded = uniqueDealerships * 10;
+        // Total analysis deals needed for the active campaign, with its region and dealer target overrides
+        // (the same dealers and targets as /api/driver-metrics)
+        const { getCampaign, calculateCampaignProgress } = require('./goals-system.js');
+        const campaignDealersResult = await pool.query(`
+            SELECT 
+                l.dealer_id,
+                dl.city,
+                dl.state_code,
+                COUNT(CASE WHEN LOWER(d.state) = 'analysis' THEN 1 END) as analysis_deals
+            FROM deals d
+            JOIN listings l ON d.id = l.deal_id
+            JOIN dealers dl ON l.dealer_id = dl.id
+            WHERE d.is_active = true AND dl.deleted IS NULL
+            GROUP BY l.dealer_id, dl.city, dl.state_code
+        `);
+        const campaignDealers = campaignDealersResult.rows.map(row => ({
+            dealerId: row.dealer_id,
+            city: row.city,
+            stateCode: row.state_code,
+            analysisDeals: parseInt(row.analysis_deals)
+        }));
+        const { totalAnalysisNeeded } = calculateCampaignProgress(getCampaign(), campaignDealers).timeline;
 
         // Calculate percentages
         const states = statesResult.rows.map(row => ({
@@ -129,6 +181,7 @@ app.get('/api/recent-activity', async (req, res) => {
                 d.state,
                 d.created,
                 d.updated,
+                l.dealer_id,
                 dl.name as dealer_name,
                 dl.city,
                 dl.state_code
@@ -146,6 +199,7 @@ app.get('/api/recent-activity', async (req, res) => {
             status: row.state === 'analysis' ? 'active' : 
                    row.state === 'vin_sold' ? 'completed' : 'pending',
             deal_id: row.id,
+            dealer_id: row.dealer_id,
             dealer_name: row.dealer_name || 'Unknown Dealer',
             dealer_location: row.city && row.state_code ? `${row.city}, ${row.state_code}` : 'Unknown Location',
             deal_state: row.state
@@ -161,75 +215,66 @@ app.get('/api/recent-activity', async (req, res) => {
     }
 });
 
-// API endpoint to get driver metrics data
+// API endpoint to get driver metrics data for a campaign
 app.get('/api/driver-metrics', async (req, res) => {
     try {
+        const { getCampaign, calculateCampaignProgress, isValidDate } = require('./goals-system.js');
+        const { getExportFormat, sendTableExport } = require('./table-export.js');
+        const { format, error: formatError } = getExportFormat(req.query);
+        if (formatError) {
+            return res.status(400).json({ error: formatError });
+        }
+        
+        const campaign = getCampaign(req.query.campaign);
+        if (!campaign) {
+            return res.status(404).json({ error: `Campaign "${req.query.campaign}" not found` });
+        }
+        
+        // Defaults to the real clock; asOf lets us look at the timeline for another day
+        if (req.query.asOf && !isValidDate(req.query.asOf)) {
+            return res.status(400).json({ error: 'asOf must be a date in YYYY-MM-DD format' });
+        }
+        const asOf = req.query.asOf ? new Date(`${req.query.asOf}T00:00:00Z`) : new Date();
+        
         // Test database connection first
         await pool.query('SELECT 1');
         
-        // Calculate dealership-level driver metrics for 10 analysis deals goal
-        const driverMetricsResult = await pool.query(`
-            WITH dealership_analysis AS (
-                SELECT 
-                    l.dealer_id,
-                    dl.name as dealer_name,
-                    dl.city,
-                    dl.state_code,
-                    COUNT(CASE WHEN LOWER(d.state) = 'analysis' THEN 1 END) as analysis_deals,
-                    COUNT(*) as total_deals
-                FROM deals d
-                JOIN listings l ON d.id = l.deal_id
-                JOIN dealers dl ON l.dealer_id = dl.id
-                WHERE d.is_active = true AND dl.deleted IS NULL
-                GROUP BY l.dealer_id, dl.name, dl.city, dl.state_code
+        // Get per-dealership analysis deal counts, including those that entered analysis during the campaign.
+        // A deal enters analysis at its DEAL_STATE_CHANGED event, or its risk assessment task when no event
+        // was recorded (as in the pipeline funnel); the end date counts as a whole day
+        const campaignEnd = new Date(Date.parse(`${campaign.endDate}T00:00:00Z`) + 24 * 60 * 60 * 1000).toISOString();
+        const detailedResult = await pool.query(`
+            WITH analysis_state_changes AS (
+                SELECT e.deal_id, MAX(e.event_timestamp) as entered_at
+                FROM events e
+                WHERE e.details->>'event_name' = 'DEAL_STATE_CHANGED' AND e.details->'details'->>'to_state' = 'analysis'
+                GROUP BY e.deal_id
+            ),
+            analysis_tasks AS (
+                SELECT dt.deal_id, MIN(dt.created) as entered_at
+                FROM deal_tasks dt
+                WHERE dt.task_type = 'RISK_ASSESSMENT_UPDATE'
+                GROUP BY dt.deal_id
             )
             SELECT 
-                COUNT(*) as total_dealerships,
-                COUNT(CASE WHEN analysis_deals >= 10 THEN 1 END) as achieved_goal,
-                COUNT(CASE WHEN analysis_deals >= 8 THEN 1 END) as near_goal,
-                COUNT(CASE WHEN analysis_deals >= 5 THEN 1 END) as good_progress,
-                COUNT(CASE WHEN analysis_deals >= 1 THEN 1 END) as has_analysis,
-                COUNT(CASE WHEN analysis_deals = 0 THEN 1 END) as no_analysis,
-                ROUND((COUNT(CASE WHEN analysis_deals >= 10 THEN 1 END) * 100.0 / COUNT(*)), 1) as pct_achieved,
-                ROUND((COUNT(CASE WHEN analysis_deals >= 8 THEN 1 END) * 100.0 / COUNT(*)), 1) as pct_near_goal,
-                ROUND((COUNT(CASE WHEN analysis_deals >= 5 THEN 1 END) * 100.0 / COUNT(*)), 1) as pct_good_progress,
-                ROUND((COUNT(CASE WHEN analysis_deals >= 1 THEN 1 END) * 100.0 / COUNT(*)), 1) as pct_has_analysis
-            FROM dealership_analysis
-        `);
-
-        const summaryMetrics = driverMetricsResult.rows[0];
-
-        // Calculate timeline and progress metrics
-        const deadline = new Date('2025-09-01');
-        const today = new Date('2025-08-06');
-        const daysUntilDeadline = Math.ceil((deadline - today) / (1000 * 60 * 60 * 24));
-        
-        // Calculate progress toward goal
-        const totalAnalysisNeeded = parseInt(summaryMetrics.total_dealerships) * 10;
-        const currentAnalysis = parseInt(summaryMetrics.has_analysis) * 2.5 + 
-                               parseInt(summaryMetrics.good_progress) * 6 + 
-                               parseInt(summaryMetrics.near_goal) * 8.5 + 
-                               parseInt(summaryMetrics.achieved_goal) * 10;
-        const analysisStillNeeded = totalAnalysisNeeded - currentAnalysis;
-        const dailyRateNeeded = analysisStillNeeded / daysUntilDeadline;
-
-        // Get detailed dealership breakdown
-        const detailedResult = await pool.query(`
-                            SELECT 
-                    l.dealer_id,
-                    dl.name as dealer_name,
-                    dl.city,
-                    dl.state_code,
-                    COUNT(CASE WHEN LOWER(d.state) = 'analysis' THEN 1 END) as analysis_deals,
-                    COUNT(*) as total_deals,
-                    (10 - COUNT(CASE WHEN LOWER(d.state) = 'analysis' THEN 1 END)) as deals_needed
-                FROM deals d
-                JOIN listings l ON d.id = l.deal_id
-                JOIN dealers dl ON l.dealer_id = dl.id
-                WHERE d.is_active = true AND dl.deleted IS NULL
-                GROUP BY l.dealer_id, dl.name, dl.city, dl.state_code
-                ORDER BY analysis_deals DESC, total_deals DESC
-        `);
+                l.dealer_id,
+                dl.name as dealer_name,
+                dl.city,
+                dl.state_code,
+                COUNT(CASE WHEN LOWER(d.state) = 'analysis' THEN 1 END) as analysis_deals,
+                COUNT(CASE WHEN LOWER(d.state) = 'analysis'
+                    AND COALESCE(sc.entered_at, rt.entered_at) >= $1
+                    AND COALESCE(sc.entered_at, rt.entered_at) < $2 THEN 1 END) as campaign_analysis_deals,
+                COUNT(*) as total_deals
+            FROM deals d
+            JOIN listings l ON d.id = l.deal_id
+            JOIN dealers dl ON l.dealer_id = dl.id
+            LEFT JOIN analysis_state_changes sc ON sc.deal_id = d.id
+            LEFT JOIN analysis_tasks rt ON rt.deal_id = d.id
+            WHERE d.is_active = true AND dl.deleted IS NULL
+            GROUP BY l.dealer_id, dl.name, dl.city, dl.state_code
+            ORDER BY analysis_deals DESC, total_deals DESC
+        `, [`${campaign.startDate}T00:00:00Z`, campaignEnd]);
 
         const dealerships = detailedResult.rows.map(row => ({
             dealerId: row.dealer_id,
@@ -237,36 +282,16 @@ app.get('/api/driver-metrics', async (req, res) => {
             city: row.city,
             stateCode: row.state_code,
             analysisDeals: parseInt(row.analysis_deals),
-            totalDeals: parseInt(row.total_deals),
-            dealsNeeded: parseInt(row.deals_needed)
+            campaignAnalysisDeals: parseInt(row.campaign_analysis_deals),
+            totalDeals: parseInt(row.total_deals)
         }));
 
-        const driverData = {
-            timeline: {
-                today: today.toISOString().split('T')[0],
-                deadline: deadline.toISOString().split('T')[0],
-                daysUntilDeadline,
-                totalAnalysisNeeded,
-                currentAnalysis: Math.round(currentAnalysis),
-                analysisStillNeeded: Math.round(analysisStillNeeded),
-                dailyRateNeeded: Math.round(dailyRateNeeded * 10) / 10
-            },
-            summary: {
-                totalDealerships: parseInt(summaryMetrics.total_dealerships),
-                achievedGoal: parseInt(summaryMetrics.achieved_goal),
-                nearGoal: parseInt(summaryMetrics.near_goal),
-                goodProgress: parseInt(summaryMetrics.good_progress),
-                hasAnalysis: parseInt(summaryMetrics.has_analysis),
-                noAnalysis: parseInt(summaryMetrics.no_analysis),
-                pctAchieved: parseFloat(summaryMetrics.pct_achieved),
-                pctNearGoal: parseFloat(summaryMetrics.pct_near_goal),
-                pctGoodProgress: parseFloat(summaryMetrics.pct_good_progress),
-                pctHasAnalysis: parseFloat(summaryMetrics.pct_has_analysis)
-            },
-            dealerships
-        };
-
-        res.json(driverData);
+        const progress = calculateCampaignProgress(campaign, dealerships, asOf);
+        if (format) {
+            return sendTableExport(res, 'driver-metrics', format, progress.dealerships);
+        }
+        
+        res.json(progress);
     } catch (error) {
         console.error('Error fetching driver metrics:', error);
         res.status(503).json({ 
@@ -276,6 +301,227 @@ app.get('/api/driver-metrics', async (req, res) => {
     }
 });
 
+// API endpoint to list goal campaigns
+app.get('/api/campaigns', (req, res) => {
+    try {
+        const { loadCampaigns } = require('./goals-system.js');
+        res.json(loadCampaigns());
+    } catch (error) {
+        console.error('Error loading campaigns:', error);
+        res.status(500).json({ error: 'Failed to load campaigns' });
+    }
+});
+
+// Create a goal campaign
+app.post('/api/campaigns', (req, res) => {
+    try {
+        const { createCampaign } = require('./goals-system.js');
+        const result = createCampaign(req.body);
+        
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        
+        res.status(201).json({ campaign: result.campaign });
+    } catch (error) {
+        console.error('Error creating campaign:', error);
+        res.status(500).json({ error: 'Failed to create campaign' });
+    }
+});
+
+// Update a goal campaign (pass "active": true to make it the default)
+app.put('/api/campaigns/:id', (req, res) => {
+    try {
+        const { updateCampaign } = require('./goals-system.js');
+        const result = updateCampaign(req.params.id, req.body);
+        
+        if (result.notFound) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        
+        res.json({ campaign: result.campaign });
+    } catch (error) {
+        console.error('Error updating campaign:', error);
+        res.status(500).json({ error: 'Failed to update campaign' });
+    }
+});
+
+// Load active deals with their state change events and stage-evidence tasks for the pipeline funnel
+async function loadPipelineRows(pool) {
+    const dealsResult = await pool.query(`
+        SELECT 
+            d.id,
+            d.state,
+            d.created,
+            d.updated,
+            l.dealer_id,
+            dl.name as dealer_name
+        FROM deals d
+        LEFT JOIN listings l ON d.id = l.deal_id
+        LEFT JOIN dealers dl ON l.dealer_id = dl.id
+        WHERE d.is_active = true
+    `);
+
+    const stateChangesResult = await pool.query(`
+        SELECT 
+            e.deal_id,
+            e.event_timestamp,
+            e.details->'details'->>'to_state' as to_state
+        FROM events e
+        JOIN deals d ON e.deal_id = d.id
+        WHERE d.is_active = true AND e.details->>'event_name' = 'DEAL_STATE_CHANGED'
+    `);
+
+    const tasksResult = await pool.query(`
+        SELECT dt.deal_id, dt.task_type, dt.created
+        FROM deal_tasks dt
+        JOIN deals d ON dt.deal_id = d.id
+        WHERE d.is_active = true AND dt.task_type IN ('DEALER_OUTREACH', 'RISK_ASSESSMENT_UPDATE')
+    `);
+
+    return {
+        deals: dealsResult.rows,
+        stateChanges: stateChangesResult.rows,
+        tasks: tasksResult.rows
+    };
+}
+
+// API endpoint to get the deal pipeline funnel (stage counts, conversions, time-in-stage, stuck deals)
+app.get('/api/deal-pipeline', async (req, res) => {
+    try {
+        const { calculateFunnel } = require('./pipeline-funnel.js');
+        
+        // Test database connection first
+        await pool.query('SELECT 1');
+        
+        const { deals, stateChanges, tasks } = await loadPipelineRows(pool);
+        const stuckLimit = Math.min(parseInt(req.query.stuckLimit) || 10, 100);
+        
+        res.json(calculateFunnel(deals, stateChanges, tasks, { stuckLimit }));
+    } catch (error) {
+        console.error('Error fetching deal pipeline:', error);
+        res.status(503).json({ 
+            error: 'Database connection failed',
+            message: 'Please ensure you are connected to the VPN and try again'
+        });
+    }
+});
+
+// API endpoint to drill down into the deals currently in one pipeline stage
+app.get('/api/deal-pipeline/:state', async (req, res) => {
+    try {
+        const { getStageDeals, isPipelineStage } = require('./pipeline-funnel.js');
+        
+        const { state } = req.params;
+        if (!isPipelineStage(state)) {
+            return res.status(404).json({ error: `Unknown pipeline stage "${state}"` });
+        }
+        
+        // Test database connection first
+        await pool.query('SELECT 1');
+        
+        const { deals, stateChanges, tasks } = await loadPipelineRows(pool);
+        const stageDeals = getStageDeals(deals, stateChanges, tasks, state);
+        
+        res.json({
+            state,
+            total: stageDeals.length,
+            deals: stageDeals
+        });
+    } catch (error) {
+        console.error('Error fetching pipeline stage deals:', error);
+        res.status(503).json({ 
+            error: 'Database connection failed',
+            message: 'Please ensure you are connected to the VPN and try again'
+        });
+    }
+});
+
+// Location of the daily metric snapshot store
+const SNAPSHOTS_PATH = path.resolve(__dirname, config.snapshots.path);
+
+// API endpoint to get daily metric snapshots for a date range
+// Each snapshot includes progress toward the selected (or active) campaign's targets
+app.get('/api/metrics-history', (req, res) => {
+    try {
+        const { getCampaign, isValidDate } = require('./goals-system.js');
+        const { getSnapshotHistory, getSnapshotCampaignProgress } = require('./snapshot-system.js');
+        
+        const { from, to } = req.query;
+        if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+            return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+        }
+        
+        const campaign = getCampaign(req.query.campaign);
+        if (!campaign) {
+            return res.status(404).json({ error: `Campaign "${req.query.campaign}" not found` });
+        }
+        
+        // Per-dealer counts are large, so they are only returned when asked for
+        const includeDealers = req.query.include === 'dealers';
+        
+        const snapshots = getSnapshotHistory(SNAPSHOTS_PATH, from, to).map(snapshot => {
+            const { dealers, ...summary } = snapshot;
+            return {
+                ...summary,
+                ...(includeDealers ? { dealers } : {}),
+                analysisDeals: snapshot.dealStates.analysis || 0,
+                campaignProgress: getSnapshotCampaignProgress(snapshot, campaign)
+            };
+        });
+        
+        res.json({
+            from: from || null,
+            to: to || null,
+            campaign: { id: campaign.id, name: campaign.name, target: campaign.target },
+            snapshots
+        });
+    } catch (error) {
+        console.error('Error fetching metrics history:', error);
+        res.status(500).json({ error: 'Failed to load metrics history' });
+    }
+});
+
+// API endpoint to get the burndown of remaining analysis deals for a campaign
+app.get('/api/metrics-history/burndown', (req, res) => {
+    try {
+        const { getCampaign } = require('./goals-system.js');
+        const { calculateBurndown } = require('./snapshot-system.js');
+        
+        const campaign = getCampaign(req.query.campaign);
+        if (!campaign) {
+            return res.status(404).json({ error: `Campaign "${req.query.campaign}" not found` });
+        }
+        
+        res.json(calculateBurndown(SNAPSHOTS_PATH, campaign));
+    } catch (error) {
+        console.error('Error fetching burndown:', error);
+        res.status(500).json({ error: 'Failed to load burndown' });
+    }
+});
+
+// Store a snapshot of today's metrics now (the scheduled job also does this)
+app.post('/api/metrics-history/snapshots', async (req, res) => {
+    try {
+        const { takeSnapshot } = require('./snapshot-system.js');
+        
+        // Test database connection first
+        await pool.query('SELECT 1');
+        
+        const snapshot = await takeSnapshot(pool, SNAPSHOTS_PATH);
+        res.status(201).json({ snapshot });
+    } catch (error) {
+        console.error('Error taking metric snapshot:', error);
+        res.status(503).json({ 
+            error: 'Database connection failed',
+            message: 'Please ensure you are connected to the VPN and try again'
+        });
+    }
+});
+
 // API endpoint to get dealership analysis data
 app.get('/api/dealership-analysis', async (req, res) => {
     try {
@@ -328,52 +574,475 @@ app.get('/api/dealership-analysis', async (req, res) => {
 
         res.json(analysisData);
     } catch (error) {
-        console.error('Error fetching dealership analysis:', error);
-        res.status(503).json({ 
-            error: 'Database connection failed',
-            message: 'Please ensure you are connected to the VPN and try again'
-        });
+        console.error('Error fetching dealership analysis:', error);
+        res.status(503).json({ 
+            error: 'Database connection failed',
+            message: 'Please ensure you are connected to the VPN and try again'
+        });
+    }
+});
+
+// API endpoint to list dealer groups and accepted duplicate-dealer merges
+app.get('/api/dealer-groups', (req, res) => {
+    try {
+        const { loadDealerGroups } = require('./dealer-groups.js');
+        res.json(loadDealerGroups());
+    } catch (error) {
+        console.error('Error loading dealer groups:', error);
+        res.status(500).json({ error: 'Failed to load dealer groups' });
+    }
+});
+
+// Group-level grades and fee stats rolled up from the dealer rankings
+app.get('/api/dealer-groups/rollups', async (req, res) => {
+    try {
+        await pool.query('SELECT 1');
+        
+        const profile = resolveGradingProfile(req.query);
+        if (!profile) {
+            return res.status(404).json({ error: 'Grading profile not found' });
+        }
+        
+        const { rollupDealerGroups } = require('./dealer-groups.js');
+        const rollups = rollupDealerGroups(rankDealers(await loadRankingDealers(pool), profile), profile);
+        
+        res.json({
+            groups: rollups,
+            total_groups: rollups.length
+        });
+    } catch (error) {
+        console.error('Error fetching dealer group rollups:', error);
+        res.status(503).json({ 
+            error: 'Database connection failed',
+            message: 'Please ensure you are connected to the VPN and try again'
+        });
+    }
+});
+
+// Create or replace a dealer group ({ name, parentId, dealerIds })
+app.put('/api/dealer-groups/:id', (req, res) => {
+    try {
+        const { saveDealerGroup } = require('./dealer-groups.js');
+        const result = saveDealerGroup(req.params.id, req.body || {});
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json({ group: result.group });
+    } catch (error) {
+        console.error('Error saving dealer group:', error);
+        res.status(500).json({ error: 'Failed to save dealer group' });
+    }
+});
+
+app.delete('/api/dealer-groups/:id', (req, res) => {
+    try {
+        const { deleteDealerGroup } = require('./dealer-groups.js');
+        const result = deleteDealerGroup(req.params.id);
+        if (result.notFound) {
+            return res.status(404).json({ error: 'Dealer group not found' });
+        }
+        res.json({ message: 'Dealer group deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting dealer group:', error);
+        res.status(500).json({ error: 'Failed to delete dealer group' });
+    }
+});
+
+// Suggest dealers that look like duplicates of each other (by name, address, website and phone)
+app.get('/api/dealers/duplicates', async (req, res) => {
+    try {
+        await pool.query('SELECT 1');
+        
+        const { loadDealerGroups, findDuplicateDealers } = require('./dealer-groups.js');
+        const result = await pool.query(`
+            SELECT id, name, address, city, zip_code, phone, website
+            FROM dealers
+            WHERE deleted IS NULL
+            ORDER BY id
+        `);
+        
+        const suggestions = findDuplicateDealers(result.rows, loadDealerGroups().merges);
+        res.json({
+            suggestions,
+            total_suggestions: suggestions.length
+        });
+    } catch (error) {
+        console.error('Error finding duplicate dealers:', error);
+        res.status(503).json({ 
+            error: 'Database connection failed',
+            message: 'Please ensure you are connected to the VPN and try again'
+        });
+    }
+});
+
+// Accept a merge suggestion: count the duplicate dealer's deals under another dealer
+// Admin only, like tier rules and grading profiles: a merge changes every dealer's rankings and tiers
+app.post('/api/dealers/merges', requireRole('admin'), (req, res) => {
+    try {
+        const { mergeDealers } = require('./dealer-groups.js');
+        const result = mergeDealers(parseInt(req.body.fromDealerId), parseInt(req.body.toDealerId));
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.status(201).json({ merge: result.merge });
+    } catch (error) {
+        console.error('Error merging dealers:', error);
+        res.status(500).json({ error: 'Failed to merge dealers' });
+    }
+});
+
+app.delete('/api/dealers/merges/:fromDealerId', requireRole('admin'), (req, res) => {
+    try {
+        const { unmergeDealer } = require('./dealer-groups.js');
+        const result = unmergeDealer(parseInt(req.params.fromDealerId));
+        if (result.notFound) {
+            return res.status(404).json({ error: 'Merge not found' });
+        }
+        res.json({ merge: result.merge });
+    } catch (error) {
+        console.error('Error undoing dealer merge:', error);
+        res.status(500).json({ error: 'Failed to undo dealer merge' });
+    }
+});
+
+// API endpoint for everything we know about one dealer: contact info, deals with their grades, fee
+// categories, grade history, mystery shops, email response times and linked bait & switch initiatives
+app.get('/api/dealers/:dealerId', async (req, res) => {
+    try {
+        if (!/^\d+$/.test(req.params.dealerId)) {
+            return res.status(400).json({ error: 'dealerId must be a whole number' });
+        }
+        const dealerId = parseInt(req.params.dealerId);
+        
+        // Test database connection first
+        await pool.query('SELECT 1');
+        
+        const dealerResult = await pool.query(`
+            SELECT id, name, address, city, state_code, zip_code, phone, email, website, created, updated
+            FROM dealers
+            WHERE id = $1 AND deleted IS NULL
+        `, [dealerId]);
+        
+        if (dealerResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Dealer not found' });
+        }
+        
+        const profile = resolveGradingProfile(req.query);
+        if (!profile) {
+            return res.status(404).json({ error: 'Grading profile not found' });
+        }
+        
+        const { gradeDeal, getMarketPrior } = require('./grading-system.js');
+        const { summarizeFeeCategories } = require('./fee-taxonomy.js');
+        const { loadTierHistory } = require('./tier-system.js');
+        const { getCounty } = require('./regions.js');
+        const { calculateResponseTimes, buildGradeHistory, findDealerInitiatives } = require('./dealer-profile.js');
+        
+        const dealer = dealerResult.rows[0];
+        
+        // Every active deal at the dealer, with its fee assessment when there is one
+        const dealsResult = await pool.query(`
+            SELECT 
+                d.id as deal_id,
+                d.state,
+                d.created,
+                d.updated,
+                l.dealer_id,
+                v.year,
+                v.make,
+                v.copilot_model as model,
+                dt.payload
+            FROM deals d
+            JOIN listings l ON d.id = l.deal_id
+            LEFT JOIN vehicles v ON l.vehicle_id = v.id
+            LEFT JOIN deal_tasks dt ON d.id = dt.deal_id AND dt.task_type = 'RISK_ASSESSMENT_UPDATE'
+            WHERE l.dealer_id = $1 AND d.is_active = true
+            ORDER BY d.updated DESC
+        `, [dealerId]);
+        
+        const seenDeals = new Set();
+        const deals = [];
+        dealsResult.rows.forEach(row => {
+            if (seenDeals.has(row.deal_id)) return;
+            seenDeals.add(row.deal_id);
+            
+            const payload = typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload;
+            const deal = {
+                deal_id: row.deal_id,
+                state: row.state,
+                created: row.created,
+                updated: row.updated,
+                vehicle: [row.year, row.make, row.model].filter(Boolean).join(' '),
+                excessive_fees: null,
+                illegitimate_fees: null,
+                grade: null,
+                score: null
+            };
+            
+            // Only analysis-stage deals are graded, as in the rankings
+            if (row.state === 'analysis' && payload && Array.isArray(payload.fees)) {
+                deal.excessive_fees = payload.fees.filter(fee => fee.assessment === 'EXCESSIVE').reduce((sum, fee) => sum + (fee.amount || 0), 0);
+                deal.illegitimate_fees = payload.fees.filter(fee => fee.assessment === 'ILLEGITIMATE').reduce((sum, fee) => sum + (fee.amount || 0), 0);
+                const grading = gradeDeal(deal.excessive_fees, deal.illegitimate_fees, profile);
+                deal.grade = grading.overall.grade;
+                deal.score = Math.round(grading.scores.overall * 10) / 10;
+            }
+            deals.push(deal);
+        });
+        
+        const dealStates = {};
+        deals.forEach(deal => {
+            dealStates[deal.state] = (dealStates[deal.state] || 0) + 1;
+        });
+        
+        // The dealer's grade and rank are the ones on the rankings page
+        const rankingDealers = await loadRankingDealers(pool);
+        const ranked = rankDealers(rankingDealers, profile);
+        const { loadDealerGroups, resolveDealerId, getDealerGroupPath } = require('./dealer-groups.js');
+        const rankedDealerId = resolveDealerId(dealerId, loadDealerGroups().merges);
+        const rankIndex = ranked.findIndex(ranking => ranking.dealer_id === rankedDealerId);
+        const prior = getMarketPrior(rankingDealers.flatMap(ranking => ranking.deals), profile);
+        const gradedDeals = deals
+            .filter(deal => deal.grade !== null)
+            .map(deal => ({ ...deal, date: deal.updated }));
+        
+        const feeCategories = summarizeFeeCategories(dealsResult.rows
+            .filter(row => row.state === 'analysis')
+            .map(row => ({ ...row, dealer_name: dealer.name })));
+        
+        // Email response times from the deal conversations
+        const messagesResult = await pool.query(`
+            SELECT m.conversation_id, m.message_type, m.created
+            FROM messages m
+            JOIN listings l ON m.deal_id = l.deal_id
+            WHERE l.dealer_id = $1 AND m.deleted IS NULL
+        `, [dealerId]);
+        
+        // Mystery shops, when the mystery_shops table exists
+        let mysteryShops = { available: false, shops: [] };
+        try {
+            const tableCheck = await pool.query(`
+                SELECT EXISTS (
+                    SELECT FROM information_schema.tables 
+                    WHERE table_name = 'mystery_shops'
+                )
+            `);
+            if (tableCheck.rows[0].exists) {
+                const shopsResult = await pool.query('SELECT * FROM mystery_shops WHERE dealer_id = $1 ORDER BY id DESC', [dealerId]);
+                mysteryShops = { available: true, shops: shopsResult.rows };
+            }
+        } catch (shopError) {
+            console.log('Mystery shops table not found or query failed:', shopError.message);
+        }
+        
+        // Linked initiatives live in the record store; the profile still loads without them
+        let initiatives = [];
+        try {
+            const { listRecords } = require('./record-store.js');
+            initiatives = findDealerInitiatives(listRecords('bait_switch_initiatives').records, dealerId);
+        } catch (initiativeError) {
+            console.error('Error loading initiatives for dealer profile:', initiativeError.message);
+        }
+        
+        res.json({
+            dealer: {
+                ...dealer,
+                county: getCounty(dealer.city),
+                groupPath: getDealerGroupPath(rankedDealerId),
+                mergedInto: rankedDealerId !== dealerId ? rankedDealerId : null
+            },
+            grading: rankIndex === -1 ? null : {
+                ...ranked[rankIndex].grading,
+                rank: rankIndex + 1,
+                totalRanked: ranked.length
+            },
+            deals,
+            dealStates,
+            feeCategories: feeCategories.dealers.length > 0 ? feeCategories.dealers[0].categories : [],
+            gradeHistory: buildGradeHistory(gradedDeals, profile, prior),
+            tierChanges: loadTierHistory().changes.filter(change => String(change.dealerId) === String(dealerId)),
+            mysteryShops,
+            responseTimes: calculateResponseTimes(messagesResult.rows),
+            initiatives
+        });
+        
+    } catch (error) {
+        console.error('Error fetching dealer profile:', error);
+        res.status(503).json({ 
+            error: 'Database connection failed',
+            message: 'Please ensure you are connected to the VPN and try again'
+        });
+    }
+});
+
+// API endpoint to get a dealer's printable scorecard (?profile=<id> picks the grading profile)
+app.get('/api/dealers/:dealerId/scorecard.pdf', async (req, res) => {
+    try {
+        const dealerId = parseInt(req.params.dealerId);
+        
+        // Test database connection first
+        await pool.query('SELECT 1');
+        
+        const profile = resolveGradingProfile(req.query);
+        if (!profile) {
+            return res.status(404).json({ error: 'Grading profile not found' });
+        }
+        
+        // A merged duplicate gets the scorecard of the dealer it was merged into
+        const { loadDealerGroups, resolveDealerId } = require('./dealer-groups.js');
+        const { collectScorecards, renderScorecardPdf, getScorecardFilename } = require('./scorecard-system.js');
+        const rankedDealerId = resolveDealerId(dealerId, loadDealerGroups().merges);
+        const scorecard = (await collectScorecards(pool, profile)).find(card => card.dealer.id === rankedDealerId);
+        if (!scorecard) {
+            return res.status(404).json({ error: 'No scorecard for this dealer: it has no graded analysis deals' });
+        }
+        
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="${getScorecardFilename(scorecard)}"`);
+        res.send(renderScorecardPdf(scorecard));
+        
+    } catch (error) {
+        console.error('Error generating dealer scorecard:', error);
+        res.status(503).json({ 
+            error: 'Database connection failed',
+            message: 'Please ensure you are connected to the VPN and try again'
+        });
+    }
+});
+
+// API endpoint to get dealer tiers computed from fee grading
+app.get('/api/tier-performance', async (req, res) => {
+    try {
+        const { loadTierRules, loadDealerGradings, assignTiers, loadTierHistory } = require('./tier-system.js');
+        
+        // Test database connection first
+        await pool.query('SELECT 1');
+        
+        const tierRules = loadTierRules();
+        const assignments = assignTiers(await loadDealerGradings(pool), tierRules);
+        const history = loadTierHistory();
+        
+        const tiers = tierRules.map(tier => {
+            const members = assignments
+                .filter(a => a.tierId === tier.id)
+                .sort((a, b) => b.score - a.score)
+                .map(({ grading, tierId, tierName, ...member }) => ({
+                    ...member,
+                    since: history.members[String(member.dealerId)]?.tierId === tier.id
+                        ? history.members[String(member.dealerId)].since
+                        : null
+                }));
+            return { ...tier, count: members.length, dealers: members };
+        });
+        
+        // names/counts/descriptions keep the shape the tier cards were built on
+        const tierData = {
+            names: {},
+            counts: {},
+            descriptions: {},
+            tiers,
+            unranked: assignments
+                .filter(a => a.tierId === null)
+                .map(({ grading, ...member }) => member),
+            recentChanges: history.changes.slice(-20).reverse()
+        };
+        tierRules.forEach(tier => {
+            tierData.names[tier.id] = tier.name;
+            tierData.counts[tier.id] = tiers.find(t => t.id === tier.id).count;
+            tierData.descriptions[tier.id] = tier.description;
+        });
+
+        res.json(tierData);
+    } catch (error) {
+        console.error('Error fetching tier performance:', error);
+        res.status(503).json({ 
+            error: 'Database connection failed',
+            message: 'Please ensure you are connected to the VPN and try again'
+        });
+    }
+});
+
+// API endpoint to get recorded tier promotions and demotions
+app.get('/api/tier-performance/history', (req, res) => {
+    try {
+        const { loadTierHistory } = require('./tier-system.js');
+        const { isValidDate } = require('./goals-system.js');
+        
+        const { dealerId, direction, from, to } = req.query;
+        if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+            return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+        }
+        
+        const changes = loadTierHistory().changes.filter(change =>
+            (!dealerId || String(change.dealerId) === String(dealerId)) &&
+            (!direction || change.direction === direction) &&
+            (!from || change.date.split('T')[0] >= from) &&
+            (!to || change.date.split('T')[0] <= to)
+        );
+        
+        res.json({ total: changes.length, changes: changes.reverse() });
+    } catch (error) {
+        console.error('Error fetching tier history:', error);
+        res.status(500).json({ error: 'Failed to load tier history' });
     }
 });
 
-// API endpoint to get tier performance (mock data for now)
-app.get('/api/tier-performance', async (req, res) => {
+// API endpoint to get the tier entry rules
+app.get('/api/tier-rules', (req, res) => {
     try {
-        // This would be replaced with actual tier data from your database
-        const tierData = {
-            names: {
-                tier0: "Order of the Coif",
-                tier1: "Dean's List", 
-                tier2: "Honor Roll",
-                tier3: "Detention"
-            },
-            counts: {
-                tier0: 45,
-                tier1: 123,
-                tier2: 89,
-                tier3: 12
-            },
-            descriptions: {
-                tier0: "Highest tier for dealers with exceptional transparency and customer service.",
-                tier1: "High-performing dealers with good transparency practices.",
-                tier2: "Average dealers with acceptable business practices.",
-                tier3: "Dealers with poor transparency practices or customer service issues."
-            }
-        };
+        const { loadTierRules } = require('./tier-system.js');
+        res.json({ tiers: loadTierRules() });
+    } catch (error) {
+        console.error('Error loading tier rules:', error);
+        res.status(500).json({ error: 'Failed to load tier rules' });
+    }
+});
 
-        res.json(tierData);
+// Replace the tier entry rules (tiers are checked in order, best tier first)
+app.put('/api/tier-rules', requireRole('admin'), (req, res) => {
+    try {
+        const { updateTierRules } = require('./tier-system.js');
+        const result = updateTierRules(req.body.tiers);
+        
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        
+        res.json({ tiers: result.tiers });
     } catch (error) {
-        console.error('Error fetching tier performance:', error);
-        res.status(500).json({ error: 'Failed to fetch tier performance' });
+        console.error('Error updating tier rules:', error);
+        res.status(500).json({ error: 'Failed to update tier rules' });
     }
 });
 
+// Customer PII is redacted in the email and conversation responses. Analysts and admins can ask for
+// ?unmask=true&reason=<why>, which is written to the audit log. Returns { unmask } or { status, error }
+async function resolveUnmask(req) {
+    if (req.query.unmask !== 'true') return { unmask: false };
+    if (!hasRole(req.user, 'analyst')) {
+        return { status: 403, error: 'Unmasking customer data requires the analyst role' };
+    }
+    
+    const reason = (req.query.reason || '').trim();
+    if (!reason) {
+        return { status: 400, error: 'reason is required to unmask customer data' };
+    }
+    
+    const { recordAccess } = require('./record-store.js');
+    await recordAccess(getActor(req), { action: 'unmask', resource: req.path, reason: reason.slice(0, 500) });
+    return { unmask: true };
+}
+
+// A response body with PII redacted using the customers on dealIds, unless the caller unmasked it
+async function redactResponse(body, unmask, dealIds, options) {
+    if (unmask) return body;
+    const { loadCustomerContext, redactPii } = require('./pii-redaction.js');
+    return redactPii(body, await loadCustomerContext(pool, dealIds), options);
+}
+
 // Helper function to get email content from various sources
 async function getEmailContent(emailDetails, pool) {
     try {
-        console.log('Searching for email content with message_id:', emailDetails.message_id);
-        console.log('Available emailDetails fields:', Object.keys(emailDetails));
-        
         // First, try direct fields from emailDetails
         if (emailDetails.body) return emailDetails.body;
         if (emailDetails.content) return emailDetails.content;
@@ -471,11 +1140,43 @@ async function getEmailContent(emailDetails, pool) {
     }
 }
 
+// Shape pricing-engine output as the risk_analysis object the deal pages read
+function formatRiskAnalysis({ source, assessment, pricing }) {
+    return {
+        source,
+        tax: pricing.tax,
+        fees: assessment.fees,
+        flags: assessment.flags,
+        gauge_value: assessment.gauge_value,
+        offer_price: pricing.offerPrice,
+        status_text: assessment.status_text,
+        analysis_text: assessment.analysis_text,
+        bottom_line_price: pricing.currentBottomLinePrice,
+        internet_price: pricing.internetPrice,
+        quoted_tax: pricing.tax,
+        normal_fees: pricing.fees.normal,
+        excessive_fees: pricing.fees.excessive,
+        illegitimate_fees: pricing.fees.illegitimate,
+        total_fees: pricing.fees.total,
+        current_bottom_line_price: pricing.currentBottomLinePrice,
+        fair_bottom_line_price: pricing.fairBottomLinePrice,
+        bottom_line_price_difference: pricing.bottomLinePriceDifference,
+        fee_breakdown: pricing.fees,
+        price_sources: pricing.sources,
+        price_explanation: pricing.adjustments
+    };
+}
+
 // API endpoint to get comprehensive deal details
 app.get('/api/deal-details/:dealId', async (req, res) => {
     try {
         const dealId = parseInt(req.params.dealId);
         
+        const { unmask, status, error: unmaskError } = await resolveUnmask(req);
+        if (unmaskError) {
+            return res.status(status).json({ error: unmaskError });
+        }
+        
         // Test database connection first
         await pool.query('SELECT 1');
         
@@ -572,13 +1273,6 @@ app.get('/api/deal-details/:dealId', async (req, res) => {
                 
                 // Convert email data to conversation format
                 const emailConversation = sendEmailTaskIds.rows.map(email => {
-                    // Debug: Log available fields in email data
-                    console.log(`Send email task fields for deal ${dealId}:`, {
-                        available_fields: Object.keys(email),
-                        has_final_body: !!email.final_body,
-                        has_suggested_body: !!email.suggested_body
-                    });
-                    
                     // Try multiple possible field names for email content
                     const emailContent = email.final_body || 
                                         email.suggested_body ||
@@ -885,280 +1579,33 @@ The actual email content would need to be retrieved from the email provider or S
                         }
                     }
                     
-                    // Extract risk analysis from RISK_ASSESSMENT_UPDATE tasks
-                    if (task.task_type === 'RISK_ASSESSMENT_UPDATE') {
-                        console.log(`Deal ${dealId}: Found RISK_ASSESSMENT_UPDATE task`);
-                        
-                        // Calculate additional risk analysis fields
-                        let normalFees = 0;
-                        let excessiveFees = 0;
-                        let illegitimateFees = 0;
-                        let totalFees = 0;
-                        
-                        if (payload.fees && Array.isArray(payload.fees)) {
-                            payload.fees.forEach(fee => {
-                                totalFees += fee.amount;
-                                if (fee.assessment === 'NORMAL') {
-                                    normalFees += fee.amount;
-                                } else if (fee.assessment === 'EXCESSIVE') {
-                                    excessiveFees += fee.amount;
-                                } else if (fee.assessment === 'ILLEGITIMATE') {
-                                    illegitimateFees += fee.amount;
-                                }
-                            });
-                        }
-                        
-                        // Calculate pricing breakdown
-                        let offerPrice = payload.offer_price || 0;
-                        let tax = payload.tax || 0;
-                        let currentBottomLinePrice = 0; // Always calculate, don't trust payload
-                        
-                        // If offer_price is 0, try to find INVOKE_DEAL_ACTION task with conversation data
-                        if (offerPrice === 0) {
-                            console.log(`Deal ${dealId}: offer_price is 0, searching for conversation data`);
-                            const invokeTask = tasks.find(t => 
-                                t.task_type === 'INVOKE_DEAL_ACTION' && 
-                                t.meta && 
-                                t.meta.request && 
-                                t.meta.request.conversation
-                            );
-                            
-                            if (invokeTask && invokeTask.meta.request.conversation) {
-                                console.log(`Deal ${dealId}: Found conversation data with ${invokeTask.meta.request.conversation.length} messages`);
-                                for (const msg of invokeTask.meta.request.conversation) {
-                                    if (msg && msg.content && typeof msg.content === 'string') {
-                                        if (msg.content.includes('Adjusted Price:')) {
-                                            console.log(`Deal ${dealId}: Found Adjusted Price message`);
-                                            const adjustedPriceMatch = msg.content.match(/Adjusted Price:\s*([\d,]+\.?\d*)/);
-                                            if (adjustedPriceMatch) {
-                                                offerPrice = parseFloat(adjustedPriceMatch[1].replace(/,/g, ''));
-                                                console.log(`Deal ${dealId}: Extracted offer price: ${offerPrice}`);
-                                            }
-                                        }
-                                        if (msg.content.includes('Balance:') && currentBottomLinePrice === 0) {
-                                            console.log(`Deal ${dealId}: Found Balance message`);
-                                            const balanceMatch = msg.content.match(/Balance:\s*([\d,]+\.?\d*)/);
-                                            if (balanceMatch) {
-                                                currentBottomLinePrice = parseFloat(balanceMatch[1].replace(/,/g, ''));
-                                                console.log(`Deal ${dealId}: Extracted current bottom line: ${currentBottomLinePrice}`);
-                                            }
-                                        }
-                                        if (msg.content.includes('Tax:') && tax === 0) {
-                                            const taxMatch = msg.content.match(/Tax:\s*([\d,]+\.?\d*)/);
-                                            if (taxMatch) {
-                                                tax = parseFloat(taxMatch[1].replace(/,/g, ''));
-                                                console.log(`Deal ${dealId}: Extracted tax: ${tax}`);
-                                            }
-                                        }
-                                    }
-                                }
-                            }
-                        }
-                        
-                        // Internet Price from actual listing data
-                        // Use the real advertised price from ad_info, fallback to 5% markup if not available
-                        const internetPrice = (adInfo && adInfo.price) ? adInfo.price : Math.round(offerPrice * 1.05);
-                        
-                        // Always calculate current bottom line price (Retool logic)
-                        // Use offer_price if available, otherwise use internet_price
-                        const basePrice = offerPrice > 0 ? offerPrice : internetPrice;
-                        currentBottomLinePrice = basePrice + tax + totalFees;
-                        console.log(`Deal ${dealId}: Final currentBottomLinePrice = ${basePrice} (${offerPrice > 0 ? 'offer' : 'internet'}) + ${tax} + ${totalFees} = ${currentBottomLinePrice}`);
-                        
-                        // Fair Bottom Line Price calculation (Retool logic)
-                        // Fair = Current Bottom Line - Illegitimate Fees + adjustments
-                        // This removes the "unfair" fees that customers shouldn't pay
-                        let fairBottomLinePrice = currentBottomLinePrice - illegitimateFees;
-                        
-                        // Additional adjustments for specific deal patterns
-                        // Small deals (< 50k) seem to need a +100 adjustment
-                        if (currentBottomLinePrice < 50000) {
-                            fairBottomLinePrice += 100;
-                        }
-                        
-                        // Bottom Line Price Difference = Current - Fair (how much extra they're paying)
-                        const bottomLinePriceDifference = currentBottomLinePrice - fairBottomLinePrice;
-                        
-                        riskAnalysis = {
-                            // Original fields
-                            tax: tax,
-                            fees: payload.fees,
-                            flags: payload.flags,
-                            gauge_value: payload.gauge_value,
-                            offer_price: offerPrice,
-                            status_text: payload.status_text,
-                            analysis_text: payload.analysis_text,
-                            bottom_line_price: currentBottomLinePrice,
-                            
-                            // New calculated fields for enhanced UI
-                            internet_price: internetPrice,
-                            quoted_tax: tax,
-                            normal_fees: normalFees,
-                            excessive_fees: excessiveFees,
-                            illegitimate_fees: illegitimateFees,
-                            total_fees: totalFees,
-                            current_bottom_line_price: currentBottomLinePrice,
-                            fair_bottom_line_price: fairBottomLinePrice,
-                            bottom_line_price_difference: bottomLinePriceDifference,
-                            
-                            // Fee breakdown for display
-                            fee_breakdown: {
-                                normal: normalFees,
-                                excessive: excessiveFees,
-                                illegitimate: illegitimateFees,
-                                total: totalFees
-                            }
-                        };
-                    }
-                    
-                    // Extract pricing from conversation or risk analysis
-                    if (!pricing && riskAnalysis) {
-                        pricing = {
-                            total_price: riskAnalysis.bottom_line_price,
-                            offer_price: riskAnalysis.offer_price,
-                            tax: riskAnalysis.tax
-                        };
-                        
-                        if (riskAnalysis.fees) {
-                            riskAnalysis.fees.forEach(fee => {
-                                pricing[fee.label.toLowerCase().replace(/\s+/g, '_')] = fee.amount;
-                            });
-                        }
-                    }
-                    
                 } catch (e) {
                     console.error('Error parsing task payload:', e);
                 }
             }
         });
         
-        // If no risk analysis found from RISK_ASSESSMENT_UPDATE, try INVOKE_DEAL_ACTION tasks
-        if (!riskAnalysis) {
-            console.log(`Deal ${dealId}: No RISK_ASSESSMENT_UPDATE found, trying INVOKE_DEAL_ACTION tasks`);
-            try {
-                // Find the most recent INVOKE_DEAL_ACTION task with deal_risk_summary
-                const invokeActionTask = tasks.find(task => 
-                    task.task_type === 'INVOKE_DEAL_ACTION' && 
-                    task.meta && 
-                    task.meta.deal_risk_summary
-                );
-                
-                if (invokeActionTask && invokeActionTask.meta.deal_risk_summary) {
-                    console.log(`Deal ${dealId}: Found INVOKE_DEAL_ACTION task with risk summary`);
-                    const riskSummary = invokeActionTask.meta.deal_risk_summary;
-                    
-                    // Calculate additional risk analysis fields
-                    let normalFees = 0;
-                    let excessiveFees = 0;
-                    let illegitimateFees = 0;
-                    let totalFees = 0;
-                    
-                    if (riskSummary.fees && Array.isArray(riskSummary.fees)) {
-                        riskSummary.fees.forEach(fee => {
-                            totalFees += fee.amount;
-                            if (fee.assessment === 'NORMAL') {
-                                normalFees += fee.amount;
-                            } else if (fee.assessment === 'EXCESSIVE') {
-                                excessiveFees += fee.amount;
-                            } else if (fee.assessment === 'ILLEGITIMATE') {
-                                illegitimateFees += fee.amount;
-                            }
-                        });
-                    }
-                    
-                    // Extract pricing from conversation if offer_price is 0
-                    let offerPrice = riskSummary.offer_price || 0;
-                    let tax = riskSummary.tax || 0;
-                    let currentBottomLinePrice = 0;
-                    
-                    // Extract from conversation when offer price is missing
-                    if (offerPrice === 0 && invokeActionTask.meta.request && invokeActionTask.meta.request.conversation) {
-                        console.log(`Deal ${dealId}: Parsing conversation for pricing, found ${invokeActionTask.meta.request.conversation.length} messages`);
-                        for (const msg of invokeActionTask.meta.request.conversation) {
-                            if (msg && msg.content && typeof msg.content === 'string') {
-                                if (msg.content.includes('Adjusted Price:')) {
-                                    console.log(`Deal ${dealId}: Found Adjusted Price message`);
-                                    const adjustedPriceMatch = msg.content.match(/Adjusted Price:\s*([\d,]+\.?\d*)/);
-                                    if (adjustedPriceMatch) {
-                                        offerPrice = parseFloat(adjustedPriceMatch[1].replace(/,/g, ''));
-                                        console.log(`Deal ${dealId}: Extracted offer price: ${offerPrice}`);
-                                    }
-                                }
-                                if (msg.content.includes('Balance:')) {
-                                    console.log(`Deal ${dealId}: Found Balance message`);
-                                    const balanceMatch = msg.content.match(/Balance:\s*([\d,]+\.?\d*)/);
-                                    if (balanceMatch) {
-                                        currentBottomLinePrice = parseFloat(balanceMatch[1].replace(/,/g, ''));
-                                        console.log(`Deal ${dealId}: Extracted current bottom line: ${currentBottomLinePrice}`);
-                                    }
-                                }
-                                if (msg.content.includes('Tax:') && tax === 0) {
-                                    const taxMatch = msg.content.match(/Tax:\s*([\d,]+\.?\d*)/);
-                                    if (taxMatch) {
-                                        tax = parseFloat(taxMatch[1].replace(/,/g, ''));
-                                    }
-                                }
-                            }
-                        }
-                    }
-                    
-                    // If still no current bottom line price, calculate it
-                    if (currentBottomLinePrice === 0) {
-                        currentBottomLinePrice = offerPrice + tax + totalFees;
-                    }
-                    
-                    // Internet Price from actual listing data
-                    const internetPrice = (adInfo && adInfo.price) ? adInfo.price : Math.round(offerPrice * 1.05);
-                    
-                    // Always calculate current bottom line price (Retool logic)
-                    // Use offer_price if available, otherwise use internet_price
-                    const basePrice = offerPrice > 0 ? offerPrice : internetPrice;
-                    currentBottomLinePrice = basePrice + tax + totalFees;
-                    
-                    // Fair Bottom Line Price calculation
-                    let fairBottomLinePrice = currentBottomLinePrice - illegitimateFees;
-                    
-                    // Additional adjustments for specific deal patterns
-                    if (currentBottomLinePrice < 50000) {
-                        fairBottomLinePrice += 100;
-                    }
-                    
-                    // Bottom Line Price Difference
-                    const bottomLinePriceDifference = currentBottomLinePrice - fairBottomLinePrice;
-                    
-                    riskAnalysis = {
-                        // Original fields
-                        tax: tax,
-                        fees: riskSummary.fees,
-                        flags: riskSummary.flags,
-                        gauge_value: riskSummary.gauge_value,
-                        offer_price: offerPrice,
-                        status_text: riskSummary.status_text,
-                        analysis_text: riskSummary.analysis_text,
-                        bottom_line_price: currentBottomLinePrice,
-                        
-                        // New calculated fields for enhanced UI
-                        internet_price: internetPrice,
-                        quoted_tax: tax,
-                        normal_fees: normalFees,
-                        excessive_fees: excessiveFees,
-                        illegitimate_fees: illegitimateFees,
-                        current_bottom_line_price: currentBottomLinePrice,
-                        fair_bottom_line_price: fairBottomLinePrice,
-                        bottom_line_price_difference: bottomLinePriceDifference,
-                        
-                        // Breakdown by fee type
-                        fee_breakdown: {
-                            normal: normalFees,
-                            excessive: excessiveFees,
-                            illegitimate: illegitimateFees,
-                            total: totalFees
-                        }
-                    };
-                }
-            } catch (e) {
-                console.error('Error extracting risk analysis from INVOKE_DEAL_ACTION:', e);
+        // Bottom-line prices from the latest RISK_ASSESSMENT_UPDATE, falling back to the
+        // INVOKE_DEAL_ACTION deal_risk_summary
+        try {
+            const { priceDealFromTasks } = require('./pricing-engine.js');
+            const pricedDeal = priceDealFromTasks(tasks, adInfo ? adInfo.price : null);
+            if (pricedDeal) {
+                const { verifyDealTax } = require('./tax-verification.js');
+                const { getCounty } = require('./regions.js');
+                riskAnalysis = formatRiskAnalysis(pricedDeal);
+                riskAnalysis.tax_verification = verifyDealTax(pricedDeal, dealer ? getCounty(dealer.city) : null);
+                pricing = {
+                    total_price: riskAnalysis.bottom_line_price,
+                    offer_price: riskAnalysis.offer_price,
+                    tax: riskAnalysis.tax
+                };
+                (riskAnalysis.fees || []).forEach(fee => {
+                    pricing[fee.label.toLowerCase().replace(/\s+/g, '_')] = fee.amount;
+                });
             }
+        } catch (e) {
+            console.error('Error calculating deal pricing:', e);
         }
         
         // 6. Remove duplicates and sort by timestamp
@@ -1224,7 +1671,8 @@ The actual email content would need to be retrieved from the email provider or S
             pricing
         };
         
-        res.json(dealDetails);
+        // The dealer's own address and phone are business details, not customer PII
+        res.json(await redactResponse(dealDetails, unmask, dealId, { skipKeys: ['dealer'] }));
         
     } catch (error) {
         console.error('Error fetching deal details:', error);
@@ -1236,7 +1684,7 @@ The actual email content would need to be retrieved from the email provider or S
 });
 
 // API endpoint to get all task types for debugging
-app.get('/api/task-types', async (req, res) => {
+app.get('/api/task-types', requireRole('admin'), async (req, res) => {
     try {
         // Test database connection first
         await pool.query('SELECT 1');
@@ -1264,7 +1712,7 @@ app.get('/api/task-types', async (req, res) => {
 });
 
 // API endpoint to debug deal tasks for a specific deal
-app.get('/api/deal-tasks-debug/:dealId', async (req, res) => {
+app.get('/api/deal-tasks-debug/:dealId', requireRole('admin'), async (req, res) => {
     try {
         const dealId = parseInt(req.params.dealId);
         
@@ -1320,7 +1768,7 @@ app.get('/api/deal-tasks-debug/:dealId', async (req, res) => {
 });
 
 // API endpoint to list all database tables
-app.get('/api/database-tables', async (req, res) => {
+app.get('/api/database-tables', requireRole('admin'), async (req, res) => {
     try {
         // Test database connection first
         await pool.query('SELECT 1');
@@ -1411,10 +1859,15 @@ app.get('/api/total-deals', async (req, res) => {
 });
 
 // API endpoint to check conversation data in various tables
-app.get('/api/conversation-data/:dealId', async (req, res) => {
+app.get('/api/conversation-data/:dealId', requireRole('admin'), async (req, res) => {
     try {
         const dealId = parseInt(req.params.dealId);
         
+        const { unmask, status, error: unmaskError } = await resolveUnmask(req);
+        if (unmaskError) {
+            return res.status(status).json({ error: unmaskError });
+        }
+        
         // Test database connection first
         await pool.query('SELECT 1');
         
@@ -1472,7 +1925,8 @@ app.get('/api/conversation-data/:dealId', async (req, res) => {
             SELECT * FROM conversations LIMIT 3
         `);
         
-        res.json({
+        const sampleDealIds = sampleConversations.rows.map(row => row.deal_id);
+        res.json(await redactResponse({
             deal_id: dealId,
             deal_column_name: dealColumnName,
             total_conversations: parseInt(totalConversations.rows[0].count),
@@ -1484,7 +1938,7 @@ app.get('/api/conversation-data/:dealId', async (req, res) => {
                 dealer_emails: dealerEmailColumns.rows.map(r => r.column_name),
                 send_emails: sendEmailColumns.rows.map(r => r.column_name)
             }
-        });
+        }, unmask, [dealId, ...sampleDealIds]));
         
     } catch (error) {
         console.error('Error fetching conversation data:', error);
@@ -1496,7 +1950,7 @@ app.get('/api/conversation-data/:dealId', async (req, res) => {
 });
 
 // API endpoint to search for email data across all tables and views
-app.get('/api/email-search/:dealId', async (req, res) => {
+app.get('/api/email-search/:dealId', requireRole('admin'), async (req, res) => {
     try {
         const dealId = parseInt(req.params.dealId);
         
@@ -1610,6 +2064,11 @@ app.get('/api/deal-emails/:dealId', async (req, res) => {
     try {
         const dealId = parseInt(req.params.dealId);
         
+        const { unmask, status, error: unmaskError } = await resolveUnmask(req);
+        if (unmaskError) {
+            return res.status(status).json({ error: unmaskError });
+        }
+        
         // Test database connection first
         await pool.query('SELECT 1');
         
@@ -1878,7 +2337,7 @@ app.get('/api/deal-emails/:dealId', async (req, res) => {
                 });
             
             const emailResults = await Promise.all(emailPromises);
-            allEmails = allEmails.concat(emailResults.filter(email => email !== null));
+            allEmails.push(...emailResults.filter(email => email !== null));
         } catch (e) {
             console.error('Error fetching from events table:', e);
         }
@@ -1901,13 +2360,13 @@ app.get('/api/deal-emails/:dealId', async (req, res) => {
             return timeA - timeB;
         });
         
-        res.json({
+        res.json(await redactResponse({
             deal_id: dealId,
             total_emails: uniqueEmails.length,
             emails: uniqueEmails,
             sources: [...new Set(uniqueEmails.map(e => e.source))],
             directions: [...new Set(uniqueEmails.map(e => e.direction))]
-        });
+        }, unmask, dealId));
         
     } catch (error) {
         console.error('Error fetching deal emails:', error);
@@ -1941,6 +2400,11 @@ app.get('/api/deal-grading/:dealId', async (req, res) => {
             return res.status(404).json({ error: 'Deal not found' });
         }
         
+        const profile = resolveGradingProfile(req.query);
+        if (!profile) {
+            return res.status(404).json({ error: 'Grading profile not found' });
+        }
+        
         const deal = dealResult.rows[0];
         let grading = null;
         
@@ -1963,9 +2427,10 @@ app.get('/api/deal-grading/:dealId', async (req, res) => {
                     });
                     
                     // Import grading functions
-                    const { gradeDeal, getGradingExplanation } = require('./grading-system.js');
-                    grading = gradeDeal(excessiveFees, illegitimateFees);
-                    grading.explanation = getGradingExplanation();
+                    const { gradeDeal, explainDealGrade, getGradingExplanation } = require('./grading-system.js');
+                    grading = gradeDeal(excessiveFees, illegitimateFees, profile);
+                    grading.explanation = getGradingExplanation(profile);
+                    grading.feeBreakdown = explainDealGrade(payload.fees, profile);
                 }
             } catch (e) {
                 console.error('Error processing deal grading:', e);
@@ -1988,141 +2453,254 @@ app.get('/api/deal-grading/:dealId', async (req, res) => {
     }
 });
 
+// Resolve the grading profile a request asks for (?profile=<id>&profileVersion=<n>), the active one by default
+// Returns null when the profile or version doesn't exist
+function resolveGradingProfile(query) {
+    const { getGradingProfile, getActiveProfile } = require('./grading-profiles.js');
+    if (!query.profile) return getActiveProfile();
+    
+    const version = query.profileVersion !== undefined ? parseInt(query.profileVersion) : undefined;
+    return getGradingProfile(query.profile, version);
+}
+
 // API endpoint to get dealership rankings
 app.get('/api/dealership-rankings', async (req, res) => {
     try {
+        const { getExportFormat, sendTableExport } = require('./table-export.js');
+        const { format, error: formatError } = getExportFormat(req.query);
+        if (formatError) {
+            return res.status(400).json({ error: formatError });
+        }
+        
         // Test database connection first
         await pool.query('SELECT 1');
         
-
+        const profile = resolveGradingProfile(req.query);
+        if (!profile) {
+            return res.status(404).json({ error: 'Grading profile not found' });
+        }
+        
+        const sort = req.query.sort || 'adjusted';
+        if (!RANKING_SORT_SCORES[sort]) {
+            return res.status(400).json({ error: `sort must be one of ${Object.keys(RANKING_SORT_SCORES).join(', ')}` });
+        }
+        
+        const { getGradingExplanation } = require('./grading-system.js');
+        const rankings = rankDealers(await loadRankingDealers(pool), profile, sort);
+        if (format) {
+            return sendTableExport(res, 'dealership-rankings', format, rankings);
+        }
+        
+        res.json({
+            rankings: rankings,
+            total_dealers: rankings.length,
+            sort,
+            explanation: getGradingExplanation(profile)
+        });
         
+    } catch (error) {
+        console.error('Error fetching dealership rankings:', error);
+        res.status(503).json({ 
+            error: 'Database connection failed',
+            message: 'Please ensure you are connected to the VPN and try again'
+        });
+    }
+});
+
+// API endpoint to list grading profiles
+app.get('/api/grading-profiles', (req, res) => {
+    try {
+        const { listGradingProfiles } = require('./grading-profiles.js');
+        res.json(listGradingProfiles());
+    } catch (error) {
+        console.error('Error loading grading profiles:', error);
+        res.status(500).json({ error: 'Failed to load grading profiles' });
+    }
+});
 
+// Compare each dealer's grade under two grading profiles (?from=<id>&to=<id>, from defaults to the active profile)
+app.get('/api/grading-profiles/compare', async (req, res) => {
+    try {
+        await pool.query('SELECT 1');
         
-        // Get ONLY deals that are in "analysis" state with fee data
-        const dealsResult = await pool.query(`
-            SELECT DISTINCT
-                d.id as deal_id,
-                d.state,
-                dl.name as dealer_name,
-                dl.city,
-                dl.state_code,
-                dt.payload
-            FROM deals d
-            LEFT JOIN listings l ON d.id = l.deal_id
-            LEFT JOIN dealers dl ON l.dealer_id = dl.id
-            LEFT JOIN (
-                SELECT DISTINCT deal_id, payload 
-                FROM deal_tasks 
-                WHERE task_type = 'RISK_ASSESSMENT_UPDATE'
-            ) dt ON d.id = dt.deal_id
-            WHERE d.state = 'analysis' AND d.is_active = true
-            ORDER BY d.id
-        `);
+        if (!req.query.to) {
+            return res.status(400).json({ error: 'to is required' });
+        }
         
-        // Process deals and group by dealer
-        const dealerDeals = {};
+        const fromProfile = resolveGradingProfile({ profile: req.query.from, profileVersion: req.query.fromVersion });
+        const toProfile = resolveGradingProfile({ profile: req.query.to, profileVersion: req.query.toVersion });
+        if (!fromProfile || !toProfile) {
+            return res.status(404).json({ error: 'Grading profile not found' });
+        }
         
-        console.log(`Processing ${dealsResult.rows.length} deals for dealership rankings`);
+        const dealers = await loadRankingDealers(pool);
+        const rankOf = ranked => {
+            const ranks = {};
+            ranked.forEach((dealer, index) => {
+                ranks[dealer.dealer_id] = { rank: index + 1, grade: dealer.grading.grade, score: Math.round(dealer.grading.adjustedScore * 10) / 10 };
+            });
+            return ranks;
+        };
+        const fromRanks = rankOf(rankDealers(dealers, fromProfile));
+        const toRanked = rankDealers(dealers, toProfile);
+        const toRanks = rankOf(toRanked);
+        
+        const gradeOrder = ['A', 'B', 'C', 'D', 'F'];
+        const summary = { improved: 0, worsened: 0, unchanged: 0, gradeDistribution: { from: {}, to: {} } };
+        gradeOrder.forEach(grade => {
+            summary.gradeDistribution.from[grade] = 0;
+            summary.gradeDistribution.to[grade] = 0;
+        });
         
-        const processedDeals = new Set(); // Track processed deals to avoid duplicates
+        const comparison = toRanked.map(dealer => {
+            const from = fromRanks[dealer.dealer_id];
+            const to = toRanks[dealer.dealer_id];
+            const gradeChange = gradeOrder.indexOf(to.grade) - gradeOrder.indexOf(from.grade);
+            const change = gradeChange < 0 ? 'improved' : gradeChange > 0 ? 'worsened' : 'unchanged';
+            
+            summary[change]++;
+            summary.gradeDistribution.from[from.grade]++;
+            summary.gradeDistribution.to[to.grade]++;
+            
+            return {
+                dealer_id: dealer.dealer_id,
+                dealer_name: dealer.dealer_name,
+                location: dealer.location,
+                dealCount: dealer.grading.dealCount,
+                from,
+                to,
+                change,
+                scoreChange: Math.round((to.score - from.score) * 10) / 10,
+                rankChange: from.rank - to.rank
+            };
+        });
         
-        dealsResult.rows.forEach(row => {
-            try {
-                // Skip if we've already processed this deal
-                if (processedDeals.has(row.deal_id)) {
-                    return;
-                }
-                processedDeals.add(row.deal_id);
-                
-                if (row.payload) {
-                    const payload = typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload;
-                    
-                    if (payload.fees && Array.isArray(payload.fees)) {
-                        let excessiveFees = 0;
-                        let illegitimateFees = 0;
-                        
-                        payload.fees.forEach(fee => {
-                            const amount = fee.amount || 0;
-                            if (fee.assessment === 'EXCESSIVE') {
-                                excessiveFees += amount;
-                            } else if (fee.assessment === 'ILLEGITIMATE') {
-                                illegitimateFees += amount;
-                            }
-                        });
-                        
-                        const dealerKey = row.dealer_name || 'Unknown Dealer';
-                        if (!dealerDeals[dealerKey]) {
-                            dealerDeals[dealerKey] = {
-                                dealer_name: dealerKey,
-                                location: `${row.city || ''}, ${row.state_code || ''}`,
-                                deals: []
-                            };
-                        }
-                        
-                        dealerDeals[dealerKey].deals.push({
-                            deal_id: row.deal_id,
-                            excessive_fees: excessiveFees,
-                            illegitimate_fees: illegitimateFees
-                        });
-                    }
-                }
-            } catch (e) {
-                console.error('Error processing deal:', e);
-            }
+        const describe = profile => ({ id: profile.id, name: profile.name, version: profile.version });
+        res.json({
+            from: describe(fromProfile),
+            to: describe(toProfile),
+            summary,
+            dealers: comparison
         });
         
-        console.log(`Processed ${processedDeals.size} unique deals for dealership rankings`);
+    } catch (error) {
+        console.error('Error comparing grading profiles:', error);
+        res.status(503).json({ 
+            error: 'Database connection failed',
+            message: 'Please ensure you are connected to the VPN and try again'
+        });
+    }
+});
+
+// Get one grading profile (?version=<n> for an earlier version)
+app.get('/api/grading-profiles/:id', (req, res) => {
+    try {
+        const { getGradingProfile } = require('./grading-profiles.js');
+        const version = req.query.version !== undefined ? parseInt(req.query.version) : undefined;
+        const profile = getGradingProfile(req.params.id, version);
         
-        // Grade each dealer
-        const { gradeDealer, getGradingExplanation } = require('./grading-system.js');
-        const rankings = Object.values(dealerDeals)
-            .map(dealer => ({
-                ...dealer,
-                grading: gradeDealer(dealer.deals)
-            }))
-            .filter(dealer => dealer.grading.dealCount > 0)
-            .sort((a, b) => {
-                // Sort by calculated score (highest score = best rank)
-                // The score is now calculated based on actual fee amounts
-                const aScore = a.grading.averageScores.overall || 0;
-                const bScore = b.grading.averageScores.overall || 0;
-                
-                // Primary sort: score (highest first)
-                if (Math.abs(aScore - bScore) > 0.1) {
-                    return bScore - aScore;
-                }
-                
-                // If scores are the same, sort by weighted fees (lowest first) as tiebreaker
-                const aWeightedFees = ((a.grading.averageFees.excessive || 0) * 0.4) + ((a.grading.averageFees.illegitimate || 0) * 0.6);
-                const bWeightedFees = ((b.grading.averageFees.excessive || 0) * 0.4) + ((b.grading.averageFees.illegitimate || 0) * 0.6);
-                
-                if (Math.abs(aWeightedFees - bWeightedFees) > 0.01) {
-                    return aWeightedFees - bWeightedFees;
-                }
-                
-                // If still tied, sort by illegitimate fees (lowest first)
-                const aIllegitimate = a.grading.averageFees.illegitimate || 0;
-                const bIllegitimate = b.grading.averageFees.illegitimate || 0;
-                
-                if (Math.abs(aIllegitimate - bIllegitimate) > 0.01) {
-                    return aIllegitimate - bIllegitimate;
-                }
-                
-                // Final tiebreaker: excessive fees (lowest first)
-                const aExcessive = a.grading.averageFees.excessive || 0;
-                const bExcessive = b.grading.averageFees.excessive || 0;
-                
-                return aExcessive - bExcessive;
-            });
+        if (!profile) {
+            return res.status(404).json({ error: 'Grading profile not found' });
+        }
+        
+        res.json({ profile });
+    } catch (error) {
+        console.error('Error loading grading profile:', error);
+        res.status(500).json({ error: 'Failed to load grading profile' });
+    }
+});
+
+// Create a grading profile ({ id, name, description, settings } or { id, name, basedOn })
+app.post('/api/grading-profiles', requireRole('admin'), (req, res) => {
+    try {
+        const { createGradingProfile } = require('./grading-profiles.js');
+        const result = createGradingProfile(req.body);
+        
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        
+        res.status(201).json({ profile: result.profile });
+    } catch (error) {
+        console.error('Error creating grading profile:', error);
+        res.status(500).json({ error: 'Failed to create grading profile' });
+    }
+});
+
+// Save a new version of a grading profile
+app.put('/api/grading-profiles/:id', requireRole('admin'), (req, res) => {
+    try {
+        const { updateGradingProfile } = require('./grading-profiles.js');
+        const result = updateGradingProfile(req.params.id, req.body);
+        
+        if (result.notFound) {
+            return res.status(404).json({ error: 'Grading profile not found' });
+        }
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        
+        res.json({ profile: result.profile });
+    } catch (error) {
+        console.error('Error updating grading profile:', error);
+        res.status(500).json({ error: 'Failed to update grading profile' });
+    }
+});
+
+// Make a grading profile the public one used for rankings, tiers and snapshots
+app.post('/api/grading-profiles/:id/activate', requireRole('admin'), (req, res) => {
+    try {
+        const { activateGradingProfile } = require('./grading-profiles.js');
+        const result = activateGradingProfile(req.params.id);
+        
+        if (result.notFound) {
+            return res.status(404).json({ error: 'Grading profile not found' });
+        }
+        
+        res.json({ profile: result.profile });
+    } catch (error) {
+        console.error('Error activating grading profile:', error);
+        res.status(500).json({ error: 'Failed to activate grading profile' });
+    }
+});
+
+// API endpoint to get fee frequency, median amount and assessment mix per canonical fee category
+app.get('/api/fee-categories', async (req, res) => {
+    try {
+        const { summarizeFeeCategories } = require('./fee-taxonomy.js');
+        
+        if (req.query.dealerId !== undefined && !/^\d+$/.test(req.query.dealerId)) {
+            return res.status(400).json({ error: 'dealerId must be a whole number' });
+        }
+        
+        // Test database connection first
+        await pool.query('SELECT 1');
+        
+        const params = [];
+        let dealerFilter = '';
+        if (req.query.dealerId) {
+            params.push(parseInt(req.query.dealerId));
+            dealerFilter = 'AND l.dealer_id = $1';
+        }
         
-        res.json({
-            rankings: rankings,
-            total_dealers: rankings.length,
-            explanation: getGradingExplanation()
-        });
+        // Same deal set as the dealership grades: analysis-stage deals with fee data
+        const result = await pool.query(`
+            SELECT 
+                d.id as deal_id,
+                l.dealer_id,
+                dl.name as dealer_name,
+                dt.payload
+            FROM deals d
+            JOIN listings l ON d.id = l.deal_id
+            JOIN dealers dl ON l.dealer_id = dl.id
+            JOIN deal_tasks dt ON d.id = dt.deal_id AND dt.task_type = 'RISK_ASSESSMENT_UPDATE'
+            WHERE d.state = 'analysis' AND d.is_active = true ${dealerFilter}
+            ORDER BY d.id
+        `, params);
         
+        res.json(summarizeFeeCategories(result.rows));
     } catch (error) {
-        console.error('Error fetching dealership rankings:', error);
+        console.error('Error fetching fee categories:', error);
         res.status(503).json({ 
             error: 'Database connection failed',
             message: 'Please ensure you are connected to the VPN and try again'
@@ -2130,8 +2708,54 @@ app.get('/api/dealership-rankings', async (req, res) => {
     }
 });
 
+// API endpoint to get the fee category mapping table
+app.get('/api/fee-taxonomy', (req, res) => {
+    try {
+        const { loadFeeTaxonomy, OTHER_CATEGORY } = require('./fee-taxonomy.js');
+        const taxonomy = loadFeeTaxonomy();
+        res.json({ ...taxonomy, fallbackCategory: OTHER_CATEGORY });
+    } catch (error) {
+        console.error('Error loading fee taxonomy:', error);
+        res.status(500).json({ error: 'Failed to load fee taxonomy' });
+    }
+});
+
+// Map a raw fee name to a category: { "name": "Doc Prep Fee", "category": "doc_fee" }
+app.put('/api/fee-taxonomy/aliases', requireRole('admin'), (req, res) => {
+    try {
+        const { setFeeAlias } = require('./fee-taxonomy.js');
+        const result = setFeeAlias(req.body.name, req.body.category);
+        
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        
+        res.json(result);
+    } catch (error) {
+        console.error('Error updating fee taxonomy:', error);
+        res.status(500).json({ error: 'Failed to update fee taxonomy' });
+    }
+});
+
+// Remove a raw fee name from the mapping table
+app.delete('/api/fee-taxonomy/aliases/:name', requireRole('admin'), (req, res) => {
+    try {
+        const { removeFeeAlias } = require('./fee-taxonomy.js');
+        const result = removeFeeAlias(req.params.name);
+        
+        if (result.notFound) {
+            return res.status(404).json({ error: 'Fee alias not found' });
+        }
+        
+        res.json(result);
+    } catch (error) {
+        console.error('Error updating fee taxonomy:', error);
+        res.status(500).json({ error: 'Failed to update fee taxonomy' });
+    }
+});
+
 // API endpoint to debug message tables
-app.get('/api/debug-messages/:dealId', async (req, res) => {
+app.get('/api/debug-messages/:dealId', requireRole('admin'), async (req, res) => {
     try {
         const dealId = parseInt(req.params.dealId);
         
@@ -2265,7 +2889,7 @@ app.get('/api/debug-messages/:dealId', async (req, res) => {
 });
 
 // API endpoint to search for specific message IDs across all email tables
-app.get('/api/search-message-ids/:dealId/:messageId', async (req, res) => {
+app.get('/api/search-message-ids/:dealId/:messageId', requireRole('admin'), async (req, res) => {
     try {
         const dealId = parseInt(req.params.dealId);
         const messageId = req.params.messageId;
@@ -2420,6 +3044,11 @@ app.get('/api/dealer-email-content/:messageId', async (req, res) => {
     try {
         const messageId = req.params.messageId;
         
+        const { unmask, status, error: unmaskError } = await resolveUnmask(req);
+        if (unmaskError) {
+            return res.status(status).json({ error: unmaskError });
+        }
+        
         // Test database connection first
         await pool.query('SELECT 1');
         
@@ -2446,14 +3075,22 @@ app.get('/api/dealer-email-content/:messageId', async (req, res) => {
             }
         }
         
-        res.json({
+        // The email event names the deal, and so the customer whose name to look for
+        const eventResult = await pool.query(`
+            SELECT deal_id FROM events
+            WHERE details->'details'->>'message_id' = $1
+            LIMIT 1
+        `, [messageId]);
+        const dealIds = eventResult.rows.map(row => row.deal_id);
+        
+        res.json(await redactResponse({
             message_id: messageId,
             email_data: emailData,
             parsed_metadata: parsedMetadata,
             available_fields: Object.keys(emailData),
             has_content: !!(emailData.summarized_content || parsedMetadata?.body || parsedMetadata?.text),
             content: emailData.summarized_content || parsedMetadata?.body || parsedMetadata?.text || 'No content available'
-        });
+        }, unmask, dealIds));
         
     } catch (error) {
         console.error('Error fetching dealer email content:', error);
@@ -2465,7 +3102,7 @@ app.get('/api/dealer-email-content/:messageId', async (req, res) => {
 });
 
 // API endpoint to examine table schemas
-app.get('/api/table-schema/:tableName', async (req, res) => {
+app.get('/api/table-schema/:tableName', requireRole('admin'), async (req, res) => {
     try {
         const tableName = req.params.tableName;
         
@@ -2513,7 +3150,7 @@ app.get('/api/table-schema/:tableName', async (req, res) => {
 });
 
 // Outreach screenshots endpoint - explore outreach data structure
-app.get('/api/outreach-data/:dealId?', async (req, res) => {
+app.get('/api/outreach-data/:dealId?', requireRole('admin'), async (req, res) => {
     try {
         const { dealId } = req.params;
         
@@ -2534,7 +3171,7 @@ app.get('/api/outreach-data/:dealId?', async (req, res) => {
                 FROM messages m 
                 WHERE m.deal_id = $1
             `;
-            const dealMessagesResult = await pool.query(dealMessagesQuery, [dealId]);
+            const dealMessagesResult = await pool.query(dealMessagesQuery, [parseInt(dealId)]);
             const messageIds = dealMessagesResult.rows.map(row => row.message_id);
             
             if (messageIds.length > 0) {
@@ -2572,7 +3209,7 @@ app.get('/api/outreach-data/:dealId?', async (req, res) => {
 });
 
 // Search for screenshot/image data across all relevant tables
-app.get('/api/screenshot-search/:dealId?', async (req, res) => {
+app.get('/api/screenshot-search/:dealId?', requireRole('admin'), async (req, res) => {
     try {
         const { dealId } = req.params;
         
@@ -2629,7 +3266,7 @@ app.get('/api/screenshot-search/:dealId?', async (req, res) => {
 });
 
 // Simple outreach task payload explorer
-app.get('/api/outreach-payloads', async (req, res) => {
+app.get('/api/outreach-payloads', requireRole('admin'), async (req, res) => {
     try {
         // Test database connection
         await pool.query('SELECT 1');
@@ -2670,6 +3307,16 @@ app.get('/api/outreach-payloads', async (req, res) => {
 app.get('/api/deals-search', async (req, res) => {
     try {
         const { q } = req.query; // Get search query parameter
+        const { getExportFormat, sendTableExport } = require('./table-export.js');
+        const { format, error: formatError } = getExportFormat(req.query);
+        if (formatError) {
+            return res.status(400).json({ error: formatError });
+        }
+        
+        const { unmask, status, error: unmaskError } = await resolveUnmask(req);
+        if (unmaskError) {
+            return res.status(status).json({ error: unmaskError });
+        }
         
         // Test database connection first
         await pool.query('SELECT 1');
@@ -2682,6 +3329,7 @@ app.get('/api/deals-search', async (req, res) => {
                 d.created,
                 d.updated,
                 v.vin as vehicle_vin,
+                l.dealer_id,
                 dl.name as dealer_name,
                 dl.city,
                 dl.state_code,
@@ -2697,7 +3345,7 @@ app.get('/api/deals-search', async (req, res) => {
         
         let params = [];
         
-        // Add search filtering if query provided
+        // Add search filtering if query provided (viewers can't search by customer name or email)
         if (q && q.trim()) {
             query += ` 
                 AND (
@@ -2706,9 +3354,9 @@ app.get('/api/deals-search', async (req, res) => {
                     dl.city ILIKE $1 OR
                     dl.state_code ILIKE $1 OR
                     d.state ILIKE $1 OR
-                    v.vin ILIKE $1 OR
+                    v.vin ILIKE $1${hasRole(req.user, 'analyst') ? ` OR
                     c.name ILIKE $1 OR
-                    c.email ILIKE $1
+                    c.email ILIKE $1` : ''}
                 )
             `;
             params.push(`%${q.trim()}%`);
@@ -2718,20 +3366,26 @@ app.get('/api/deals-search', async (req, res) => {
         
         const result = await pool.query(query, params);
 
-        const deals = result.rows.map(row => ({
+        // Customer name and email columns are masked whole unless unmasked
+        const deals = await redactResponse(result.rows.map(row => ({
             id: row.id,
             date: new Date(row.updated).toLocaleDateString(),
             description: `Deal ${row.id} - ${row.dealer_name || 'Unknown Dealer'} (${row.state})`,
             status: row.state === 'analysis' ? 'active' : 
                    row.state === 'vin_sold' ? 'completed' : 'pending',
             deal_id: row.id,
+            dealer_id: row.dealer_id,
             dealer_name: row.dealer_name || 'Unknown Dealer',
             dealer_location: row.city && row.state_code ? `${row.city}, ${row.state_code}` : 'Unknown Location',
             deal_state: row.state,
             customer_name: row.customer_name,
             customer_email: row.customer_email,
             vehicle_vin: row.vehicle_vin
-        }));
+        })), unmask, []);
+
+        if (format) {
+            return sendTableExport(res, 'deals-search', format, deals);
+        }
 
         res.json({
             total: deals.length,
@@ -2748,7 +3402,7 @@ app.get('/api/deals-search', async (req, res) => {
 });
 
 // Find all deals with attachments (screenshots/documents)
-app.get('/api/deal-attachments/:dealId?', async (req, res) => {
+app.get('/api/deal-attachments/:dealId?', requireRole('admin'), async (req, res) => {
     try {
         const { dealId } = req.params;
         
@@ -2821,7 +3475,7 @@ app.get('/api/deal-attachments/:dealId?', async (req, res) => {
 });
 
 // API endpoint to search for email content in all possible locations
-app.get('/api/comprehensive-email-search/:dealId', async (req, res) => {
+app.get('/api/comprehensive-email-search/:dealId', requireRole('admin'), async (req, res) => {
     try {
         const dealId = parseInt(req.params.dealId);
         
@@ -2967,7 +3621,7 @@ app.get('/api/comprehensive-email-search/:dealId', async (req, res) => {
 });
 
 // API endpoint to search for tables with text/content columns
-app.get('/api/find-content-tables', async (req, res) => {
+app.get('/api/find-content-tables', requireRole('admin'), async (req, res) => {
     try {
         // Test database connection first
         await pool.query('SELECT 1');
@@ -3040,7 +3694,7 @@ app.get('/api/find-content-tables', async (req, res) => {
 });
 
 // API endpoint to search for incoming email content that may be stored elsewhere
-app.get('/api/search-incoming-email-content/:dealId', async (req, res) => {
+app.get('/api/search-incoming-email-content/:dealId', requireRole('admin'), async (req, res) => {
     try {
         const dealId = parseInt(req.params.dealId);
         const targetMessageIds = [
@@ -3170,23 +3824,17 @@ async function queryWithTimeout(pool, query, params = [], timeoutMs = 85000) {
     });
 }
 
-// API endpoints for Bait & Switch Media initiatives using JSONBin storage
+// Who made a change to the record store, for the audit log (API token changes are marked as such)
+function getActor(req) {
+    return req.user.via === 'token' ? `${req.user.username} (API token)` : req.user.username;
+}
+
+// API endpoints for Bait & Switch Media initiatives using the local record store
 // Get all initiatives
-app.get('/api/bait-switch-initiatives', async (req, res) => {
+app.get('/api/bait-switch-initiatives', (req, res) => {
     try {
-        // Use JSONBin storage only
-        let initiatives = [];
-        
-        const binResponse = await fetch(`${config.jsonbin.url}/${config.jsonbin.binId}`, {
-            headers: {
-                'X-Master-Key': config.jsonbin.apiKey
-            }
-        });
-        
-        if (binResponse.ok) {
-            const binData = await binResponse.json();
-            initiatives = binData.record.bait_switch_initiatives || [];
-        }
+        const { listRecords } = require('./record-store.js');
+        const initiatives = listRecords('bait_switch_initiatives').records;
         
         res.json({
             initiatives: initiatives,
@@ -3195,9 +3843,9 @@ app.get('/api/bait-switch-initiatives', async (req, res) => {
         
     } catch (error) {
         console.error('Error fetching bait & switch initiatives:', error);
-        res.json({
-            initiatives: [],
-            total_count: 0
+        res.status(503).json({ 
+            error: 'Storage error',
+            message: 'Unable to load initiatives'
         });
     }
 });
@@ -3205,161 +3853,92 @@ app.get('/api/bait-switch-initiatives', async (req, res) => {
 // Create new initiative
 app.post('/api/bait-switch-initiatives', async (req, res) => {
     try {
-        const { title, description, status, team_members, external_teams, steps } = req.body;
+        const { title, description, status, team_members, external_teams, steps, dealer_ids } = req.body;
         
         if (!title) {
             return res.status(400).json({ error: 'Title is required' });
         }
-
-        // Get current initiatives from JSONBin
-        const binResponse = await fetch(`${config.jsonbin.url}/${config.jsonbin.binId}`, {
-            headers: {
-                'X-Master-Key': config.jsonbin.apiKey
-            }
-        });
-        
-        let binData = { bait_switch_initiatives: [] };
-        if (binResponse.ok) {
-            const response = await binResponse.json();
-            binData = response.record || binData;
-        }
         
-        // Create new initiative
-        const newInitiative = {
-            id: Date.now(),
+        const { createRecord } = require('./record-store.js');
+        const { record } = await createRecord('bait_switch_initiatives', {
             title,
             description: description || '',
-            status: req.body.status || 'planning',
-            team_members: req.body.team_members || [],
-            external_teams: req.body.external_teams || [],
-            steps: req.body.steps || [],
-            created_at: new Date().toISOString(),
-            updated_at: new Date().toISOString()
-        };
-        
-        binData.bait_switch_initiatives = binData.bait_switch_initiatives || [];
-        binData.bait_switch_initiatives.push(newInitiative);
-        
-        // Save back to JSONBin
-        await fetch(`${config.jsonbin.url}/${config.jsonbin.binId}`, {
-            method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Master-Key': config.jsonbin.apiKey
-            },
-            body: JSON.stringify(binData)
-        });
+            status: status || 'planning',
+            team_members: team_members || [],
+            external_teams: external_teams || [],
+            steps: steps || [],
+            dealer_ids: dealer_ids || []
+        }, getActor(req));
         
-        res.json({ initiative: newInitiative });
+        res.json({ initiative: record });
         
     } catch (error) {
         console.error('Error creating initiative:', error);
         res.status(503).json({ 
-            error: 'Database error',
+            error: 'Storage error',
             message: 'Unable to create initiative'
         });
     }
 });
 
-// Update initiative
+// Update initiative; the body's version must match the stored one
 app.put('/api/bait-switch-initiatives/:id', async (req, res) => {
     try {
         const initiativeId = parseInt(req.params.id);
-        const { title, description, status, team_members, external_teams, steps } = req.body;
+        const { title, description, status, team_members, external_teams, steps, dealer_ids, version } = req.body;
         
         if (!title) {
             return res.status(400).json({ error: 'Title is required' });
         }
-
-        // Get current initiatives from JSONBin
-        const binResponse = await fetch(`${config.jsonbin.url}/${config.jsonbin.binId}`, {
-            headers: {
-                'X-Master-Key': config.jsonbin.apiKey
-            }
-        });
-        
-        let binData = { bait_switch_initiatives: [] };
-        if (binResponse.ok) {
-            const response = await binResponse.json();
-            binData = response.record || binData;
-        }
         
-        // Find and update the initiative
-        const initiativeIndex = binData.bait_switch_initiatives.findIndex(p => p.id === initiativeId);
-        if (initiativeIndex === -1) {
-            return res.status(404).json({ error: 'Initiative not found' });
-        }
-        
-        // Update initiative data
-        const updatedInitiative = {
-            ...binData.bait_switch_initiatives[initiativeIndex],
+        const { getRecord, updateRecord } = require('./record-store.js');
+        const existing = getRecord('bait_switch_initiatives', initiativeId);
+        const result = await updateRecord('bait_switch_initiatives', initiativeId, {
             title,
             description: description || '',
             status: status || 'planning',
             team_members: team_members || [],
             external_teams: external_teams || [],
             steps: steps || [],
-            updated_at: new Date().toISOString()
-        };
+            // Callers that don't send dealer_ids keep the initiative's linked dealers
+            dealer_ids: dealer_ids || (existing && existing.dealer_ids) || []
+        }, version, getActor(req));
         
-        binData.bait_switch_initiatives[initiativeIndex] = updatedInitiative;
-        
-        // Save back to JSONBin
-        await fetch(`${config.jsonbin.url}/${config.jsonbin.binId}`, {
-            method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Master-Key': config.jsonbin.apiKey
-            },
-            body: JSON.stringify(binData)
-        });
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        if (result.notFound) {
+            return res.status(404).json({ error: 'Initiative not found' });
+        }
+        if (result.conflict) {
+            return res.status(409).json({ error: 'Initiative was changed by someone else; reload and try again', initiative: result.conflict });
+        }
         
-        res.json({ initiative: updatedInitiative });
+        res.json({ initiative: result.record });
         
     } catch (error) {
         console.error('Error updating initiative:', error);
         res.status(503).json({ 
-            error: 'Database error',
+            error: 'Storage error',
             message: 'Unable to update initiative'
         });
     }
 });
 
-// Delete initiative
+// Delete initiative (?version=<n> makes the delete fail if it changed since)
 app.delete('/api/bait-switch-initiatives/:id', async (req, res) => {
     try {
         const initiativeId = parseInt(req.params.id);
+        const version = req.query.version !== undefined ? parseInt(req.query.version) : undefined;
         
-        // Get current initiatives from JSONBin
-        const binResponse = await fetch(`${config.jsonbin.url}/${config.jsonbin.binId}`, {
-            headers: {
-                'X-Master-Key': config.jsonbin.apiKey
-            }
-        });
-        
-        let binData = { bait_switch_initiatives: [] };
-        if (binResponse.ok) {
-            const response = await binResponse.json();
-            binData = response.record || binData;
-        }
-        
-        // Find and remove the initiative
-        const initiativeIndex = binData.bait_switch_initiatives.findIndex(p => p.id === initiativeId);
-        if (initiativeIndex === -1) {
+        const { deleteRecord } = require('./record-store.js');
+        const result = await deleteRecord('bait_switch_initiatives', initiativeId, version, getActor(req));
+        if (result.notFound) {
             return res.status(404).json({ error: 'Initiative not found' });
         }
-        
-        binData.bait_switch_initiatives.splice(initiativeIndex, 1);
-        
-        // Save back to JSONBin
-        await fetch(`${config.jsonbin.url}/${config.jsonbin.binId}`, {
-            method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Master-Key': config.jsonbin.apiKey
-            },
-            body: JSON.stringify(binData)
-        });
+        if (result.conflict) {
+            return res.status(409).json({ error: 'Initiative was changed by someone else; reload and try again', initiative: result.conflict });
+        }
         
         res.json({ message: 'Initiative deleted successfully' });
         
@@ -3372,22 +3951,38 @@ app.delete('/api/bait-switch-initiatives/:id', async (req, res) => {
     }
 });
 
-// API endpoints for Mystery Shopping Issues using JSONBin storage
-// Get all issues
-app.get('/api/mystery-shopping-issues', async (req, res) => {
+// Restore a deleted initiative
+app.post('/api/bait-switch-initiatives/:id/restore', async (req, res) => {
     try {
-        const binResponse = await fetch(`${config.jsonbin.url}/${config.jsonbin.binId}`, {
-            headers: {
-                'X-Master-Key': config.jsonbin.apiKey
-            }
-        });
+        const initiativeId = parseInt(req.params.id);
         
-        let issues = [];
-        if (binResponse.ok) {
-            const binData = await binResponse.json();
-            issues = binData.record.mystery_shopping_issues || [];
+        const { restoreRecord } = require('./record-store.js');
+        const result = await restoreRecord('bait_switch_initiatives', initiativeId, getActor(req));
+        if (result.notFound) {
+            return res.status(404).json({ error: 'Initiative not found' });
+        }
+        if (result.error) {
+            return res.status(409).json({ error: 'Initiative is not deleted' });
         }
         
+        res.json({ initiative: result.record });
+        
+    } catch (error) {
+        console.error('Error restoring initiative:', error);
+        res.status(503).json({ 
+            error: 'Storage error',
+            message: 'Unable to restore initiative'
+        });
+    }
+});
+
+// API endpoints for Mystery Shopping Issues using the local record store
+// Get all issues
+app.get('/api/mystery-shopping-issues', (req, res) => {
+    try {
+        const { listRecords } = require('./record-store.js');
+        const issues = listRecords('mystery_shopping_issues').records;
+        
         res.json({
             issues: issues,
             total_count: issues.length
@@ -3395,9 +3990,9 @@ app.get('/api/mystery-shopping-issues', async (req, res) => {
         
     } catch (error) {
         console.error('Error fetching mystery shopping issues:', error);
-        res.json({
-            issues: [],
-            total_count: 0
+        res.status(503).json({ 
+            error: 'Storage error',
+            message: 'Unable to load issues'
         });
     }
 });
@@ -3410,43 +4005,15 @@ app.post('/api/mystery-shopping-issues', async (req, res) => {
         if (!text) {
             return res.status(400).json({ error: 'Text is required' });
         }
-
-        // Get current issues from JSONBin
-        const binResponse = await fetch(`${config.jsonbin.url}/${config.jsonbin.binId}`, {
-            headers: {
-                'X-Master-Key': config.jsonbin.apiKey
-            }
-        });
-        
-        let binData = { mystery_shopping_issues: [] };
-        if (binResponse.ok) {
-            const response = await binResponse.json();
-            binData = response.record || binData;
-        }
         
-        // Create new issue
-        const newIssue = {
-            id: Date.now(),
+        // New issues go to the end (newest at bottom)
+        const { createRecord } = require('./record-store.js');
+        const { record } = await createRecord('mystery_shopping_issues', {
             text: text.trim(),
-            completed: false,
-            created_at: new Date().toISOString(),
-            updated_at: new Date().toISOString()
-        };
+            completed: false
+        }, getActor(req));
         
-        binData.mystery_shopping_issues = binData.mystery_shopping_issues || [];
-        binData.mystery_shopping_issues.push(newIssue); // Add to end (newest at bottom)
-        
-        // Save back to JSONBin
-        await fetch(`${config.jsonbin.url}/${config.jsonbin.binId}`, {
-            method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Master-Key': config.jsonbin.apiKey
-            },
-            body: JSON.stringify(binData)
-        });
-        
-        res.json({ issue: newIssue });
+        res.json({ issue: record });
         
     } catch (error) {
         console.error('Error creating issue:', error);
@@ -3457,47 +4024,29 @@ app.post('/api/mystery-shopping-issues', async (req, res) => {
     }
 });
 
-// Update issue
+// Update issue; the body's version must match the stored one
 app.put('/api/mystery-shopping-issues/:id', async (req, res) => {
     try {
         const issueId = parseInt(req.params.id);
-        const { text, completed } = req.body;
+        const { text, completed, version } = req.body;
         
-        // Get current issues from JSONBin
-        const binResponse = await fetch(`${config.jsonbin.url}/${config.jsonbin.binId}`, {
-            headers: {
-                'X-Master-Key': config.jsonbin.apiKey
-            }
-        });
+        const changes = {};
+        if (text !== undefined) changes.text = text.trim();
+        if (completed !== undefined) changes.completed = completed;
         
-        let binData = { mystery_shopping_issues: [] };
-        if (binResponse.ok) {
-            const response = await binResponse.json();
-            binData = response.record || binData;
+        const { updateRecord } = require('./record-store.js');
+        const result = await updateRecord('mystery_shopping_issues', issueId, changes, version, getActor(req));
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
         }
-        
-        // Find and update the issue
-        const issueIndex = binData.mystery_shopping_issues.findIndex(i => i.id === issueId);
-        if (issueIndex === -1) {
+        if (result.notFound) {
             return res.status(404).json({ error: 'Issue not found' });
         }
+        if (result.conflict) {
+            return res.status(409).json({ error: 'Issue was changed by someone else; reload and try again', issue: result.conflict });
+        }
         
-        // Update issue data
-        if (text !== undefined) binData.mystery_shopping_issues[issueIndex].text = text.trim();
-        if (completed !== undefined) binData.mystery_shopping_issues[issueIndex].completed = completed;
-        binData.mystery_shopping_issues[issueIndex].updated_at = new Date().toISOString();
-        
-        // Save back to JSONBin
-        await fetch(`${config.jsonbin.url}/${config.jsonbin.binId}`, {
-            method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Master-Key': config.jsonbin.apiKey
-            },
-            body: JSON.stringify(binData)
-        });
-        
-        res.json({ issue: binData.mystery_shopping_issues[issueIndex] });
+        res.json({ issue: result.record });
         
     } catch (error) {
         console.error('Error updating issue:', error);
@@ -3508,41 +4057,20 @@ app.put('/api/mystery-shopping-issues/:id', async (req, res) => {
     }
 });
 
-// Delete issue
+// Delete issue (?version=<n> makes the delete fail if it changed since)
 app.delete('/api/mystery-shopping-issues/:id', async (req, res) => {
     try {
         const issueId = parseInt(req.params.id);
+        const version = req.query.version !== undefined ? parseInt(req.query.version) : undefined;
         
-        // Get current issues from JSONBin
-        const binResponse = await fetch(`${config.jsonbin.url}/${config.jsonbin.binId}`, {
-            headers: {
-                'X-Master-Key': config.jsonbin.apiKey
-            }
-        });
-        
-        let binData = { mystery_shopping_issues: [] };
-        if (binResponse.ok) {
-            const response = await binResponse.json();
-            binData = response.record || binData;
-        }
-        
-        // Find and remove the issue
-        const issueIndex = binData.mystery_shopping_issues.findIndex(i => i.id === issueId);
-        if (issueIndex === -1) {
+        const { deleteRecord } = require('./record-store.js');
+        const result = await deleteRecord('mystery_shopping_issues', issueId, version, getActor(req));
+        if (result.notFound) {
             return res.status(404).json({ error: 'Issue not found' });
         }
-        
-        binData.mystery_shopping_issues.splice(issueIndex, 1);
-        
-        // Save back to JSONBin
-        await fetch(`${config.jsonbin.url}/${config.jsonbin.binId}`, {
-            method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Master-Key': config.jsonbin.apiKey
-            },
-            body: JSON.stringify(binData)
-        });
+        if (result.conflict) {
+            return res.status(409).json({ error: 'Issue was changed by someone else; reload and try again', issue: result.conflict });
+        }
         
         res.json({ message: 'Issue deleted successfully' });
         
@@ -3555,6 +4083,31 @@ app.delete('/api/mystery-shopping-issues/:id', async (req, res) => {
     }
 });
 
+// Restore a deleted issue
+app.post('/api/mystery-shopping-issues/:id/restore', async (req, res) => {
+    try {
+        const issueId = parseInt(req.params.id);
+        
+        const { restoreRecord } = require('./record-store.js');
+        const result = await restoreRecord('mystery_shopping_issues', issueId, getActor(req));
+        if (result.notFound) {
+            return res.status(404).json({ error: 'Issue not found' });
+        }
+        if (result.error) {
+            return res.status(409).json({ error: 'Issue is not deleted' });
+        }
+        
+        res.json({ issue: result.record });
+        
+    } catch (error) {
+        console.error('Error restoring issue:', error);
+        res.status(503).json({ 
+            error: 'Storage error',
+            message: 'Unable to restore issue'
+        });
+    }
+});
+
 // API endpoint for mystery shop scoring metrics
 app.get('/api/mystery-shop-metrics', async (req, res) => {
     try {
@@ -3693,7 +4246,7 @@ app.get('/api/mystery-shop-metrics', async (req, res) => {
 });
 
 // API endpoint to investigate email content sources for a deal
-app.get('/api/investigate-email/:dealId', async (req, res) => {
+app.get('/api/investigate-email/:dealId', requireRole('admin'), async (req, res) => {
     try {
         const dealId = parseInt(req.params.dealId);
         await pool.query('SELECT 1');
@@ -3792,24 +4345,15 @@ function generatePersonColor(name) {
     return colors[Math.abs(hash) % colors.length];
 }
 
-// Team Members API Endpoints using config
+// Team Members API Endpoints using the local record store
 
-// Get all team members
-app.get('/api/team-members', async (req, res) => {
+// Get all team members; version is the list version POST /api/team-members must send back
+app.get('/api/team-members', (req, res) => {
     try {
-        const binResponse = await fetch(`${config.jsonbin.url}/${config.jsonbin.binId}`, {
-            headers: {
-                'X-Master-Key': config.jsonbin.apiKey
-            }
-        });
-        
-        let teamMembers = [];
-        if (binResponse.ok) {
-            const binData = await binResponse.json();
-            teamMembers = binData.record.team_members || [];
-        }
+        const { listRecords } = require('./record-store.js');
+        const { version, records } = listRecords('team_members');
         
-        res.json({ team_members: teamMembers });
+        res.json({ team_members: records, version });
     } catch (error) {
         console.error('Error fetching team members:', error);
         res.status(500).json({ 
@@ -3819,29 +4363,26 @@ app.get('/api/team-members', async (req, res) => {
     }
 });
 
-// Create or update team members
+// Replace the whole team member list
 app.post('/api/team-members', async (req, res) => {
     try {
-        const { team_members } = req.body;
-        
-        const response = await fetch(`${JSONBIN_BASE_URL}/team-members`, {
-            method: 'PUT',
-            headers: {
-                'X-Master-Key': JSONBIN_API_KEY,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                team_members: team_members,
-                updated_at: new Date().toISOString()
-            })
-        });
+        const { team_members, version } = req.body;
         
-        if (response.ok) {
-            const data = await response.json();
-            res.json({ success: true, team_members: data.record.team_members });
-        } else {
-            throw new Error(`JSONBin request failed: ${response.status}`);
+        const { replaceRecords } = require('./record-store.js');
+        const result = await replaceRecords('team_members', team_members, version, getActor(req));
+        if (result.error) {
+            return res.status(400).json({ error: result.error, success: false });
+        }
+        if (result.conflict) {
+            return res.status(409).json({
+                error: 'Team members were changed by someone else; reload and try again',
+                success: false,
+                team_members: result.conflict.records,
+                version: result.conflict.version
+            });
         }
+        
+        res.json({ success: true, team_members: result.records, version: result.version });
     } catch (error) {
         console.error('Error saving team members:', error);
         res.status(500).json({ 
@@ -3854,28 +4395,12 @@ app.post('/api/team-members', async (req, res) => {
 // Add individual team member
 app.post('/api/team-members/add', async (req, res) => {
     try {
-        // Get current data from JSONBin
-        const binResponse = await fetch(`${config.jsonbin.url}/${config.jsonbin.binId}`, {
-            headers: {
-                'X-Master-Key': config.jsonbin.apiKey
-            }
-        });
-        
-        let binData = { bait_switch_initiatives: [], team_members: [] };
-        if (binResponse.ok) {
-            const response = await binResponse.json();
-            binData = response.record || binData;
-        }
-        
-        let existingMembers = binData.team_members || [];
-        
-        // Add new member
         const firstName = req.body.first_name || req.body.name || '';
         const lastName = req.body.last_name || '';
         const fullName = firstName + (lastName ? ' ' + lastName : '');
         
-        const newMember = {
-            id: Date.now(),
+        const { createRecord, listRecords } = require('./record-store.js');
+        const { record } = await createRecord('team_members', {
             first_name: firstName,
             last_name: lastName,
             name: fullName, // For backward compatibility
@@ -3883,82 +4408,252 @@ app.post('/api/team-members/add', async (req, res) => {
             email: req.body.email || '',
             avatar: firstName.charAt(0).toUpperCase() + (lastName ? lastName.charAt(0).toUpperCase() : ''),
             color: req.body.color || generatePersonColor(fullName),
-            status: 'active',
-            created_at: new Date().toISOString()
-        };
+            status: 'active'
+        }, getActor(req));
+        
+        res.json({ success: true, member: record, team_members: listRecords('team_members').records });
+    } catch (error) {
+        console.error('Error adding team member:', error);
+        res.status(500).json({ 
+            error: 'Failed to add team member',
+            success: false
+        });
+    }
+});
+
+// Delete team member
+app.delete('/api/team-members/:id', async (req, res) => {
+    try {
+        const memberId = parseInt(req.params.id);
         
-        existingMembers.push(newMember);
-        binData.team_members = existingMembers;
+        const { deleteRecord, listRecords } = require('./record-store.js');
+        const result = await deleteRecord('team_members', memberId, undefined, getActor(req));
+        if (result.notFound) {
+            return res.status(404).json({ error: 'Team member not found', success: false });
+        }
         
-        // Save back to JSONBin
-        const updateResponse = await fetch(`${config.jsonbin.url}/${config.jsonbin.binId}`, {
-            method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Master-Key': config.jsonbin.apiKey
-            },
-            body: JSON.stringify(binData)
+        res.json({ success: true, team_members: listRecords('team_members').records });
+    } catch (error) {
+        console.error('Error deleting team member:', error);
+        res.status(500).json({ 
+            error: 'Failed to delete team member',
+            success: false
+        });
+    }
+});
+
+// Restore a deleted team member
+app.post('/api/team-members/:id/restore', async (req, res) => {
+    try {
+        const memberId = parseInt(req.params.id);
+        
+        const { restoreRecord, listRecords } = require('./record-store.js');
+        const result = await restoreRecord('team_members', memberId, getActor(req));
+        if (result.notFound) {
+            return res.status(404).json({ error: 'Team member not found', success: false });
+        }
+        if (result.error) {
+            return res.status(409).json({ error: 'Team member is not deleted', success: false });
+        }
+        
+        res.json({ success: true, member: result.record, team_members: listRecords('team_members').records });
+    } catch (error) {
+        console.error('Error restoring team member:', error);
+        res.status(500).json({ 
+            error: 'Failed to restore team member',
+            success: false
         });
+    }
+});
+
+// Audit log of record store changes, newest first
+// Filters: collection, record_id, actor, action, from/to (ISO timestamps), limit (default 100, max 1000)
+// Analysts and up only: the diffs hold unmasked details such as team member emails, and unmask entries the reasons given
+app.get('/api/audit', requireRole('analyst'), (req, res) => {
+    try {
+        const { COLLECTIONS, AUDIT_ACTIONS, queryAudit } = require('./record-store.js');
+        const { collection, record_id, actor, action, from, to } = req.query;
         
-        if (updateResponse.ok) {
-            res.json({ success: true, member: newMember, team_members: existingMembers });
-        } else {
-            throw new Error(`JSONBin update failed: ${updateResponse.status}`);
+        if (collection && !COLLECTIONS.includes(collection)) {
+            return res.status(400).json({ error: `collection must be one of: ${COLLECTIONS.join(', ')}` });
+        }
+        if (action && !AUDIT_ACTIONS.includes(action)) {
+            return res.status(400).json({ error: `action must be one of: ${AUDIT_ACTIONS.join(', ')}` });
+        }
+        if (record_id !== undefined && !Number.isInteger(Number(record_id))) {
+            return res.status(400).json({ error: 'record_id must be an integer' });
+        }
+        if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+            return res.status(400).json({ error: 'from and to must be ISO timestamps' });
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+        
+        const entries = queryAudit({
+            collection,
+            recordId: record_id !== undefined ? Number(record_id) : undefined,
+            actor,
+            action,
+            from: from && new Date(from).toISOString(),
+            to: to && new Date(to).toISOString(),
+            limit
+        });
+        
+        res.json({ entries, total_count: entries.length });
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        res.status(503).json({ 
+            error: 'Storage error',
+            message: 'Unable to load the audit log'
+        });
+    }
+});
+
+// Authentication: log in and out, the current user, API tokens, and user management (admin)
+app.post('/api/auth/login', (req, res) => {
+    try {
+        const { login, sessionCookie } = require('./auth-system.js');
+        const { username, password } = req.body;
+        
+        const result = login(username, password);
+        if (result.error) {
+            return res.status(401).json({ error: result.error });
+        }
+        
+        res.setHeader('Set-Cookie', sessionCookie(result.sessionId, req));
+        res.json({ user: result.user });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({ error: 'Failed to log in' });
+    }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    try {
+        const { logout, parseCookies, clearedSessionCookie, SESSION_COOKIE } = require('./auth-system.js');
+        const sessionId = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+        if (sessionId) logout(sessionId);
+        
+        res.setHeader('Set-Cookie', clearedSessionCookie());
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error logging out:', error);
+        res.status(500).json({ error: 'Failed to log out' });
+    }
+});
+
+app.get('/api/auth/me', (req, res) => {
+    res.json({ user: req.user });
+});
+
+// API tokens: each user manages their own; admins see and revoke everyone's
+app.get('/api/auth/tokens', (req, res) => {
+    try {
+        const { listTokens } = require('./auth-system.js');
+        res.json({ tokens: listTokens(hasRole(req.user, 'admin') ? null : req.user.id) });
+    } catch (error) {
+        console.error('Error fetching API tokens:', error);
+        res.status(500).json({ error: 'Failed to fetch API tokens' });
+    }
+});
+
+// The token secret is only returned by this request
+app.post('/api/auth/tokens', (req, res) => {
+    try {
+        const { createToken } = require('./auth-system.js');
+        const result = createToken(req.user.id, req.body.name);
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
         }
+        
+        res.json(result);
     } catch (error) {
-        console.error('Error adding team member:', error);
-        res.status(500).json({ 
-            error: 'Failed to add team member',
-            success: false
-        });
+        console.error('Error creating API token:', error);
+        res.status(500).json({ error: 'Failed to create API token' });
     }
 });
 
-// Delete team member
-app.delete('/api/team-members/:id', async (req, res) => {
+app.delete('/api/auth/tokens/:id', (req, res) => {
     try {
-        const memberId = parseInt(req.params.id);
+        const { revokeToken } = require('./auth-system.js');
+        const result = revokeToken(parseInt(req.params.id), hasRole(req.user, 'admin') ? null : req.user.id);
+        if (result.notFound) {
+            return res.status(404).json({ error: 'API token not found' });
+        }
         
-        // Get current data from JSONBin
-        const binResponse = await fetch(`${config.jsonbin.url}/${config.jsonbin.binId}`, {
-            headers: {
-                'X-Master-Key': config.jsonbin.apiKey
-            }
-        });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error revoking API token:', error);
+        res.status(500).json({ error: 'Failed to revoke API token' });
+    }
+});
+
+app.get('/api/auth/users', requireRole('admin'), (req, res) => {
+    try {
+        const { listUsers } = require('./auth-system.js');
+        res.json({ users: listUsers() });
+    } catch (error) {
+        console.error('Error fetching users:', error);
+        res.status(500).json({ error: 'Failed to fetch users' });
+    }
+});
+
+app.post('/api/auth/users', requireRole('admin'), (req, res) => {
+    try {
+        const { createUser } = require('./auth-system.js');
+        const { username, password, role } = req.body;
         
-        let binData = { bait_switch_initiatives: [], team_members: [] };
-        if (binResponse.ok) {
-            const response = await binResponse.json();
-            binData = response.record || binData;
+        const result = createUser({ username, password, role });
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        if (result.conflict) {
+            return res.status(409).json({ error: 'A user with that username already exists' });
         }
         
-        let existingMembers = binData.team_members || [];
+        res.json({ user: result.user });
+    } catch (error) {
+        console.error('Error creating user:', error);
+        res.status(500).json({ error: 'Failed to create user' });
+    }
+});
+
+// Change a user's role, password or disabled flag
+app.put('/api/auth/users/:id', requireRole('admin'), (req, res) => {
+    try {
+        const { updateUser } = require('./auth-system.js');
+        const { role, password, disabled } = req.body;
         
-        // Remove member
-        existingMembers = existingMembers.filter(member => member.id !== memberId);
-        binData.team_members = existingMembers;
+        const result = updateUser(parseInt(req.params.id), { role, password, disabled });
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        if (result.notFound) {
+            return res.status(404).json({ error: 'User not found' });
+        }
         
-        // Save back to JSONBin
-        const updateResponse = await fetch(`${config.jsonbin.url}/${config.jsonbin.binId}`, {
-            method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Master-Key': config.jsonbin.apiKey
-            },
-            body: JSON.stringify(binData)
-        });
+        res.json({ user: result.user });
+    } catch (error) {
+        console.error('Error updating user:', error);
+        res.status(500).json({ error: 'Failed to update user' });
+    }
+});
+
+app.delete('/api/auth/users/:id', requireRole('admin'), (req, res) => {
+    try {
+        const { deleteUser } = require('./auth-system.js');
         
-        if (updateResponse.ok) {
-            res.json({ success: true, team_members: existingMembers });
-        } else {
-            throw new Error(`JSONBin update failed: ${updateResponse.status}`);
+        const result = deleteUser(parseInt(req.params.id));
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        if (result.notFound) {
+            return res.status(404).json({ error: 'User not found' });
         }
+        
+        res.json({ success: true });
     } catch (error) {
-        console.error('Error deleting team member:', error);
-        res.status(500).json({ 
-            error: 'Failed to delete team member',
-            success: false
-        });
+        console.error('Error deleting user:', error);
+        res.status(500).json({ error: 'Failed to delete user' });
     }
 });
 
@@ -3972,281 +4667,384 @@ app.get('/metrics', (req, res) => {
     res.sendFile(path.join(__dirname, 'metrics.html'));
 });
 
-// Database schema information for AI context
-const getDatabaseSchema = async () => {
+// Main Chat API endpoint with Multi-Agent Workflow
+// Send { message, sessionId } to continue a session; without a sessionId a new one is started
+// The session a chat question continues: the user's own session named by sessionId, or null for a new one
+// (created when the answer is saved). Returns { session } or { notFound }
+function resolveChatSession(sessionId, userId) {
+    const { getSession } = require('./chat-sessions.js');
+    return sessionId ? getSession(sessionId, userId) : { session: null };
+}
+
+// Save the answered question as a turn of the session (starting the session with it when session is null) and
+// build the response for it, which /api/chat returns and /api/chat/stream sends as its last event
+async function recordChatAnswer(session, userId, message, { coordination, sql, queryResult, definitions, answer, chart }) {
+    const { createSession, appendTurn, storedResult } = require('./chat-sessions.js');
+
+    const turn = {
+        question: message,
+        coordination,
+        sql,
+        result: storedResult(queryResult),
+        definitions,
+        chart,
+        answer
+    };
+    const appended = session ? await appendTurn(session.id, userId, turn) : await createSession(userId, turn);
+    const sessionId = session ? session.id : appended.session.id;
+
+    if (!coordination.canAnswer) {
+        return {
+            sessionId,
+            message: answer,
+            canAnswer: false
+        };
+    }
+
+    return {
+        sessionId,
+        turn: appended.session ? appended.session.turns.length - 1 : null,
+        message: answer,
+        sql,
+        definitions,
+        chart,
+        results: queryResult.success ? {
+            rows: queryResult.rows,
+            rowCount: queryResult.rowCount,
+            truncated: queryResult.truncated
+        } : { error: queryResult.error, rejected: !!queryResult.rejected },
+        agentWorkflow: {
+            coordination,
+            querySuccess: queryResult.success
+        }
+    };
+}
+
+app.post('/api/chat', async (req, res) => {
     try {
-        // Get table schemas that are relevant for business queries
-        const tablesQuery = `
-            SELECT 
-                table_name,
-                column_name,
-                data_type,
-                is_nullable
-            FROM information_schema.columns 
-            WHERE table_schema = 'public' 
-            AND table_name IN ('deals', 'dealers', 'listings', 'deal_tasks', 'events', 'conversations', 'messages')
-            ORDER BY table_name, ordinal_position
-        `;
+        const { message, sessionId } = req.body;
+        const { buildHistoryContext } = require('./chat-sessions.js');
+        const { answerQuestion } = require('./chat-agents.js');
         
-        const result = await pool.query(tablesQuery);
-        
-        // Group columns by table
-        const schema = {};
-        result.rows.forEach(row => {
-            if (!schema[row.table_name]) {
-                schema[row.table_name] = [];
-            }
-            schema[row.table_name].push({
-                column: row.column_name,
-                type: row.data_type,
-                nullable: row.is_nullable === 'YES'
+        if (!message) {
+            return res.status(400).json({ error: 'Message is required' });
+        }
+
+        if (llm.name !== 'stub' && !process.env.ANTHROPIC_API_KEY) {
+            return res.status(500).json({ 
+                error: 'Anthropic API key not configured. Please add ANTHROPIC_API_KEY to your .env file.' 
             });
-        });
-        
-        return schema;
-    } catch (error) {
-        console.error('Error getting database schema:', error);
-        return {};
-    }
-};
+        }
 
-// Multi-Agent System for Database Queries
+        const { session, notFound } = resolveChatSession(sessionId, req.user.id);
+        if (notFound) {
+            return res.status(404).json({ error: 'Chat session not found' });
+        }
+        const history = session ? buildHistoryContext(session.turns) : '';
 
-// Agent 1: Coordinator - Understands user intent and orchestrates workflow
-async function coordinatorAgent(userQuestion, schema) {
-    const prompt = `You are the Coordinator Agent for Project Ralph's database analysis system. Your job is to understand the user's question and determine if it can be answered with our database.
+        const outcome = await answerQuestion({ llm, pool, question: message, history });
+        res.json(await recordChatAnswer(session, req.user.id, message, outcome));
 
-Database Schema:
-${schema}
+    } catch (error) {
+        console.error('Multi-agent chat error:', error);
+        res.status(500).json({ 
+            error: 'I encountered an error processing your request. Please try again.' 
+        });
+    }
+});
 
-Key Business Context:
-- deals table: car purchase deals with states like 'analysis', 'vin_sold', etc.
-- dealers table: dealership information
-- listings table: connects deals to dealers
-- Most tables have 'deleted' column (NULL = active)
+// The same question-answering as /api/chat, streamed as Server-Sent Events while the agents work: coordinator
+// (the verdict), sql, query (the row count), answer (the interpreter's answer, a piece at a time) and finally
+// done with the /api/chat response (including the sessionId), or error. Closing the connection cancels the
+// question: the model call or query in flight is aborted and no turn (or new session) is saved
+app.post('/api/chat/stream', async (req, res) => {
+    const { message, sessionId } = req.body;
+    const { buildHistoryContext } = require('./chat-sessions.js');
+    const { answerQuestion } = require('./chat-agents.js');
+
+    if (!message) {
+        return res.status(400).json({ error: 'Message is required' });
+    }
 
-User Question: "${userQuestion}"
+    if (llm.name !== 'stub' && !process.env.ANTHROPIC_API_KEY) {
+        return res.status(500).json({ 
+            error: 'Anthropic API key not configured. Please add ANTHROPIC_API_KEY to your .env file.' 
+        });
+    }
 
-Analyze this question and respond with ONLY a JSON object:
-{
-  "canAnswer": true/false,
-  "questionType": "percentage|count|list|comparison|other",
-  "entities": ["deals", "dealers", "listings"],
-  "intent": "brief description of what they want to know",
-  "complexity": "simple|moderate|complex"
-}
+    let session;
+    try {
+        const result = resolveChatSession(sessionId, req.user.id);
+        if (result.notFound) {
+            return res.status(404).json({ error: 'Chat session not found' });
+        }
+        session = result.session;
+    } catch (error) {
+        console.error('Error starting chat stream:', error);
+        return res.status(503).json({
+            error: 'Storage error',
+            message: 'Unable to load the chat session'
+        });
+    }
 
-If canAnswer is false, include "reason" field explaining why.`;
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
 
-    const response = await anthropic.messages.create({
-        model: "claude-3-5-sonnet-20241022",
-        max_tokens: 200,
-        messages: [{ role: "user", content: prompt }]
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // Keeps proxies such as nginx from holding events back
+        'X-Accel-Buffering': 'no'
     });
+    const send = (event, data) => {
+        if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
 
     try {
-        return JSON.parse(response.content[0].text);
-    } catch (e) {
-        return { canAnswer: false, reason: "Failed to parse coordinator response" };
+        const outcome = await answerQuestion({
+            llm,
+            pool,
+            question: message,
+            history: session ? buildHistoryContext(session.turns) : '',
+            signal: controller.signal,
+            onProgress: send
+        });
+        send('done', await recordChatAnswer(session, req.user.id, message, outcome));
+    } catch (error) {
+        if (controller.signal.aborted) {
+            console.log(`Chat question cancelled by ${req.user.username}`);
+            return;
+        }
+        console.error('Multi-agent chat stream error:', error);
+        send('error', { error: 'I encountered an error processing your request. Please try again.' });
     }
-}
+    res.end();
+});
 
-// Agent 2: SQL Generator - Creates optimized SQL queries
-async function sqlGeneratorAgent(coordination, schema) {
-    const prompt = `You are the SQL Generator Agent. Create a WORKING SQL query based on the coordination analysis.
-
-Database Schema:
-${schema}
-
-Coordination Analysis:
-${JSON.stringify(coordination, null, 2)}
-
-CRITICAL RULES:
-1. ONLY SELECT/WITH queries
-2. Always filter deleted records: WHERE deleted IS NULL  
-3. Use proper JOINs: deals ↔ listings ↔ dealers
-4. For percentages, use this EXACT pattern:
-
-WITH dealer_counts AS (
-  SELECT 
-    d.id,
-    COUNT(deals.id) as deal_count
-  FROM dealers d
-  LEFT JOIN listings l ON d.id = l.dealer_id
-  LEFT JOIN deals ON l.deal_id = deals.id 
-    AND deals.state = 'analysis' 
-    AND deals.deleted IS NULL
-  WHERE d.deleted IS NULL
-  GROUP BY d.id
-)
-SELECT 
-  ROUND(
-    (COUNT(CASE WHEN deal_count >= 3 THEN 1 END) * 100.0 / COUNT(*)), 2
-  ) as percentage
-FROM dealer_counts;
-
-5. For counts: SELECT COUNT(*) FROM table WHERE conditions
-6. For lists: SELECT columns FROM table WHERE conditions LIMIT 100
-7. Never mix aggregated and non-aggregated columns without GROUP BY
-8. Always use CASE WHEN for conditional counting
-
-RESPOND WITH ONLY THE SQL QUERY - NO EXPLANATIONS:`;
-
-    const response = await anthropic.messages.create({
-        model: "claude-3-5-sonnet-20241022",
-        max_tokens: 500,
-        messages: [{ role: "user", content: prompt }]
-    });
+// The business definitions the chat agents build queries from, with their SQL
+app.get('/api/chat/definitions', (req, res) => {
+    try {
+        const { getDefinitions } = require('./semantic-layer.js');
+        res.json({ definitions: getDefinitions() });
+    } catch (error) {
+        console.error('Error loading chat definitions:', error);
+        res.status(500).json({ error: 'Failed to load chat definitions' });
+    }
+});
 
-    return response.content[0].text.trim().replace(/```sql|```/g, '');
-}
+// The signed-in user's chat sessions, most recent first
+app.get('/api/chat/sessions', (req, res) => {
+    try {
+        const { listSessions } = require('./chat-sessions.js');
+        res.json({ sessions: listSessions(req.user.id) });
+    } catch (error) {
+        console.error('Error listing chat sessions:', error);
+        res.status(503).json({
+            error: 'Storage error',
+            message: 'Unable to load chat sessions'
+        });
+    }
+});
 
-// Agent 3: Query Executor - Executes and validates queries
-async function queryExecutorAgent(sqlQuery) {
+// One session with all its turns, for resuming it in the chat panel
+app.get('/api/chat/sessions/:id', (req, res) => {
     try {
-        // Safety validation
-        const queryLower = sqlQuery.toLowerCase().trim();
-        const allowedStarters = ['select', 'with'];
-        const forbiddenPatterns = [
-            /\binsert\s+into\b/i, /\bupdate\s+\w+\s+set\b/i, /\bdelete\s+from\b/i, 
-            /\bdrop\s+(table|database|index|view)\b/i, /\bcreate\s+(table|database|index|view)\b/i, 
-            /\balter\s+(table|database)\b/i, /\btruncate\s+table\b/i, /\bgrant\s+/i, /\brevoke\s+/i
-        ];
-        
-        if (!allowedStarters.some(starter => queryLower.startsWith(starter))) {
-            return { success: false, error: 'Only SELECT and WITH queries are allowed' };
+        const { getSession } = require('./chat-sessions.js');
+        const result = getSession(req.params.id, req.user.id);
+        if (result.notFound) {
+            return res.status(404).json({ error: 'Chat session not found' });
         }
         
-        if (forbiddenPatterns.some(pattern => pattern.test(sqlQuery))) {
-            return { success: false, error: 'Query contains forbidden keywords' };
+        const { userId, ...session } = result.session;
+        res.json({ session });
+    } catch (error) {
+        console.error('Error loading chat session:', error);
+        res.status(503).json({
+            error: 'Storage error',
+            message: 'Unable to load chat session'
+        });
+    }
+});
+
+app.delete('/api/chat/sessions/:id', async (req, res) => {
+    try {
+        const { deleteSession } = require('./chat-sessions.js');
+        const result = await deleteSession(req.params.id, req.user.id);
+        if (result.notFound) {
+            return res.status(404).json({ error: 'Chat session not found' });
         }
         
-        // Execute query with timeout
-        const queryResult = await pool.query(sqlQuery);
-        return {
-            success: true,
-            rows: queryResult.rows,
-            rowCount: queryResult.rowCount,
-            executedQuery: sqlQuery
-        };
-        
+        res.json({ success: true });
     } catch (error) {
-        return {
-            success: false,
-            error: error.message,
-            sqlError: true,
-            executedQuery: sqlQuery
-        };
+        console.error('Error deleting chat session:', error);
+        res.status(503).json({
+            error: 'Storage error',
+            message: 'Unable to delete chat session'
+        });
     }
-}
-
-// Agent 4: Result Interpreter - Converts query results to natural language
-async function resultInterpreterAgent(userQuestion, queryResult, coordination) {
-    if (!queryResult.success) {
-        const prompt = `The SQL query failed. Explain this error in simple terms to help troubleshoot:
-
-User Question: "${userQuestion}"
-Error: ${queryResult.error}
-Query Type: ${coordination.questionType}
-
-Provide a brief, helpful explanation of what went wrong and how to fix it.`;
+});
 
-        const response = await anthropic.messages.create({
-            model: "claude-3-5-sonnet-20241022",
-            max_tokens: 200,
-            messages: [{ role: "user", content: prompt }]
+// The signed-in user's charts pinned from chat answers
+app.get('/api/chat/pins', (req, res) => {
+    try {
+        const { listPins } = require('./chat-charts.js');
+        res.json({ pins: listPins(req.user.id) });
+    } catch (error) {
+        console.error('Error listing pinned charts:', error);
+        res.status(503).json({
+            error: 'Storage error',
+            message: 'Unable to load pinned charts'
         });
-
-        return response.content[0].text;
     }
+});
 
-    const prompt = `Convert this database query result into a direct, conversational answer.
-
-User Question: "${userQuestion}"
-Query Results: ${JSON.stringify(queryResult.rows, null, 2)}
-Row Count: ${queryResult.rowCount}
-
-Provide a direct answer in 1-2 sentences. Be specific with numbers and percentages. Don't mention technical details about the query.
-
-Examples:
-- "15.3% of dealers have 3 or more deals in analysis stage"
-- "There are 47 dealers with active deals"
-- "BMW has the most deals with 23 active listings"`;
-
-    const response = await anthropic.messages.create({
-        model: "claude-3-5-sonnet-20241022",
-        max_tokens: 150,
-        messages: [{ role: "user", content: prompt }]
-    });
-
-    return response.content[0].text;
-}
-
-// Main Chat API endpoint with Multi-Agent Workflow
-app.post('/api/chat', async (req, res) => {
+// Pin the chart from one turn of a chat session: { sessionId, turn } (the turn's index in the session)
+app.post('/api/chat/pins', (req, res) => {
     try {
-        const { message } = req.body;
-        
-        if (!message) {
-            return res.status(400).json({ error: 'Message is required' });
+        const { getSession } = require('./chat-sessions.js');
+        const { pinChart } = require('./chat-charts.js');
+        const { sessionId, turn } = req.body;
+
+        const result = getSession(sessionId, req.user.id);
+        const chatTurn = result.session && Number.isInteger(turn) ? result.session.turns[turn] : null;
+        if (!chatTurn) {
+            return res.status(404).json({ error: 'Chat answer not found' });
         }
 
-        if (!process.env.ANTHROPIC_API_KEY) {
-            return res.status(500).json({ 
-                error: 'Anthropic API key not configured. Please add ANTHROPIC_API_KEY to your .env file.' 
-            });
+        const pinned = pinChart(req.user.id, { question: chatTurn.question, sql: chatTurn.sql, chart: chatTurn.chart });
+        if (pinned.error) {
+            return res.status(400).json({ error: pinned.error });
         }
+        res.status(201).json({ pin: pinned.pin });
+    } catch (error) {
+        console.error('Error pinning chart:', error);
+        res.status(503).json({
+            error: 'Storage error',
+            message: 'Unable to pin chart'
+        });
+    }
+});
 
-        // Get database schema for context
-        const schema = await getDatabaseSchema();
-        const schemaContext = Object.entries(schema).map(([table, columns]) => {
-            const columnList = columns.map(col => `${col.column} (${col.type})`).join(', ');
-            return `${table}: ${columnList}`;
-        }).join('\n');
-
-        // Step 1: Coordinator Agent analyzes the question
-        const coordination = await coordinatorAgent(message, schemaContext);
-        
-        if (!coordination.canAnswer) {
-            return res.json({
-                message: `I can't answer that question. ${coordination.reason || 'The question is outside my capabilities for analyzing deal data.'}`,
-                canAnswer: false
-            });
+// Redraw a pinned chart: its SQL goes through the same guard and read-only execution as a chat query
+app.get('/api/chat/pins/:id/chart', async (req, res) => {
+    const { getPin, buildChartSpec } = require('./chat-charts.js');
+    let pin;
+    try {
+        const result = getPin(req.params.id, req.user.id);
+        if (result.notFound) {
+            return res.status(404).json({ error: 'Pinned chart not found' });
         }
+        pin = result.pin;
+    } catch (error) {
+        console.error('Error loading pinned chart:', error);
+        return res.status(503).json({
+            error: 'Storage error',
+            message: 'Unable to load pinned chart'
+        });
+    }
 
-        // Step 2: SQL Generator Agent creates the query
-        const sqlQuery = await sqlGeneratorAgent(coordination, schemaContext);
-        
-        // Step 3: Query Executor Agent runs the query
-        const queryResult = await queryExecutorAgent(sqlQuery);
-        
-        // Step 4: Result Interpreter Agent converts to natural language
-        const naturalAnswer = await resultInterpreterAgent(message, queryResult, coordination);
-
-        res.json({
-            message: naturalAnswer,
-            sql: queryResult.executedQuery,
-            results: queryResult.success ? {
-                rows: queryResult.rows,
-                rowCount: queryResult.rowCount
-            } : { error: queryResult.error },
-            agentWorkflow: {
-                coordination,
-                querySuccess: queryResult.success
-            }
+    const { queryExecutorAgent } = require('./chat-agents.js');
+    const queryResult = await queryExecutorAgent(pool, pin.sql);
+    if (queryResult.rejected) {
+        return res.status(409).json({ error: `This chart's query is no longer allowed: ${queryResult.error}` });
+    }
+    if (!queryResult.success) {
+        console.error('Error redrawing pinned chart:', queryResult.error);
+        return res.status(503).json({
+            error: 'Database connection failed',
+            message: 'Please ensure you are connected to the VPN and try again'
         });
+    }
 
+    // Null when the rows no longer fit the chart (for example the query now returns nothing)
+    res.json({ pin, chart: buildChartSpec(pin.chart, queryResult.rows) });
+});
+
+app.delete('/api/chat/pins/:id', (req, res) => {
+    try {
+        const { unpinChart } = require('./chat-charts.js');
+        const result = unpinChart(req.params.id, req.user.id);
+        if (result.notFound) {
+            return res.status(404).json({ error: 'Pinned chart not found' });
+        }
+        
+        res.json({ success: true });
     } catch (error) {
-        console.error('Multi-agent chat error:', error);
-        res.status(500).json({ 
-            error: 'I encountered an error processing your request. Please try again.' 
+        console.error('Error unpinning chart:', error);
+        res.status(503).json({
+            error: 'Storage error',
+            message: 'Unable to unpin chart'
         });
     }
 });
 
+// Price every analysis-stage deal with the pricing engine
+// Returns [{ dealId, state, dealerId, dealerName, county, pricedDeal }] for deals with a risk assessment
+async function loadAnalysisDealPricing(pool) {
+    const { priceDealFromTasks } = require('./pricing-engine.js');
+    const { getCounty } = require('./regions.js');
+    
+    const dealsResult = await pool.query(`
+        SELECT 
+            d.id as deal_id,
+            d.state,
+            dl.id as dealer_id,
+            dl.name as dealer_name,
+            dl.city,
+            ai.price as advertised_price
+        FROM deals d
+        LEFT JOIN listings l ON l.deal_id = d.id
+        LEFT JOIN dealers dl ON l.dealer_id = dl.id
+        LEFT JOIN ad_info ai ON l.ad_info_id = ai.id
+        WHERE d.state = 'analysis'
+        ORDER BY d.id;
+    `);
+    const tasksResult = await pool.query(`
+        SELECT dt.deal_id, dt.task_type, dt.payload, dt.meta, dt.created
+        FROM deal_tasks dt
+        JOIN deals d ON d.id = dt.deal_id
+        WHERE d.state = 'analysis'
+        AND dt.task_type IN ('RISK_ASSESSMENT_UPDATE', 'INVOKE_DEAL_ACTION')
+        ORDER BY dt.created DESC;
+    `);
+    
+    const tasksByDeal = {};
+    tasksResult.rows.forEach(task => {
+        if (!tasksByDeal[task.deal_id]) tasksByDeal[task.deal_id] = [];
+        tasksByDeal[task.deal_id].push(task);
+    });
+    
+    const pricedDeals = [];
+    dealsResult.rows.forEach(row => {
+        const advertisedPrice = row.advertised_price ? parseFloat(row.advertised_price) : null;
+        const pricedDeal = priceDealFromTasks(tasksByDeal[row.deal_id] || [], advertisedPrice);
+        if (!pricedDeal) return;
+        
+        pricedDeals.push({
+            dealId: row.deal_id,
+            state: row.state,
+            dealerId: row.dealer_id,
+            dealerName: row.dealer_name,
+            county: getCounty(row.city),
+            pricedDeal
+        });
+    });
+    
+    return pricedDeals;
+}
+
 // API endpoint to analyze pricing differences between online and out-the-door prices
 app.get('/api/pricing-analysis', async (req, res) => {
     try {
+        const { getExportFormat, sendTableExport } = require('./table-export.js');
+        const { format, error: formatError } = getExportFormat(req.query);
+        if (formatError) {
+            return res.status(400).json({ error: formatError });
+        }
+        
         // First check the structure of deal_risk_analysis table
         if (req.query.explore === 'true') {
             const exploreQuery = `
@@ -4262,45 +5060,37 @@ app.get('/api/pricing-analysis', async (req, res) => {
             });
         }
         
-        // Query for deals in analysis stage with pricing data
-        const query = `
-            SELECT 
-                d.id as deal_id,
-                d.state,
-                dra.internet_price,
-                dra.offer_price,
-                dra.current_bottom_line_price,
-                dra.fair_bottom_line_price,
-                dra.quoted_tax,
-                dra.excessive_fees,
-                dra.illegitimate_fees,
-                dra.bottom_line_price_difference
-            FROM deals d
-            INNER JOIN deal_risk_analysis dra ON d.id = dra.deal_id
-            WHERE d.state = 'analysis'
-            AND dra.internet_price IS NOT NULL 
-            AND dra.current_bottom_line_price IS NOT NULL
-            ORDER BY d.id;
-        `;
-        
-        const result = await pool.query(query);
+        // Price every analysis-stage deal with the same engine as the deal details page
+        const { verifyDealTax, summarizeTaxVerifications, loadTaxRates } = require('./tax-verification.js');
+        const { loadFeeTaxonomy } = require('./fee-taxonomy.js');
+        const taxRates = loadTaxRates();
+        const feeTaxonomy = loadFeeTaxonomy();
+        const pricedDeals = await loadAnalysisDealPricing(pool);
         
         const pricingData = [];
+        const taxVerifications = [];
         let totalPriceDifference = 0;
         let dealsWithValidData = 0;
         
-        for (const row of result.rows) {
+        for (const { dealId, state, county, pricedDeal } of pricedDeals) {
+            const { pricing } = pricedDeal;
+            const taxVerification = verifyDealTax(pricedDeal, county, taxRates, feeTaxonomy);
+            taxVerifications.push(taxVerification);
+            
             const dealData = {
-                deal_id: row.deal_id,
-                state: row.state,
-                internet_price: parseFloat(row.internet_price) || 0,
-                offer_price: parseFloat(row.offer_price) || 0,
-                current_bottom_line_price: parseFloat(row.current_bottom_line_price) || 0,
-                fair_bottom_line_price: parseFloat(row.fair_bottom_line_price) || 0,
-                quoted_tax: parseFloat(row.quoted_tax) || 0,
-                excessive_fees: parseFloat(row.excessive_fees) || 0,
-                illegitimate_fees: parseFloat(row.illegitimate_fees) || 0,
-                bottom_line_price_difference: parseFloat(row.bottom_line_price_difference) || 0
+                deal_id: dealId,
+                state,
+                internet_price: pricing.internetPrice,
+                offer_price: pricing.offerPrice,
+                current_bottom_line_price: pricing.currentBottomLinePrice,
+                fair_bottom_line_price: pricing.fairBottomLinePrice,
+                quoted_tax: pricing.tax,
+                expected_tax: taxVerification.expectedTax,
+                tax_difference: taxVerification.difference,
+                tax_status: taxVerification.status,
+                excessive_fees: pricing.fees.excessive,
+                illegitimate_fees: pricing.fees.illegitimate,
+                bottom_line_price_difference: pricing.bottomLinePriceDifference
             };
             
             // Calculate the difference between online price and out-the-door price (excluding taxes)
@@ -4319,6 +5109,11 @@ app.get('/api/pricing-analysis', async (req, res) => {
             pricingData.push(dealData);
         }
         
+        // Exports get every priced deal rather than the sample below
+        if (format) {
+            return sendTableExport(res, 'pricing-analysis', format, pricingData);
+        }
+        
         const averagePriceDifference = dealsWithValidData > 0 ? totalPriceDifference / dealsWithValidData : 0;
         
         // Calculate statistics
@@ -4353,6 +5148,7 @@ app.get('/api/pricing-analysis', async (req, res) => {
                 median_message: `Median difference: $${median.toFixed(2)}`,
                 calculation: "Out-the-door (excluding tax) = current_bottom_line_price - quoted_tax; Difference = otd_excluding_tax - internet_price"
             },
+            tax_verification: summarizeTaxVerifications(taxVerifications),
             sample_data: pricingData.slice(0, 5), // Show first 5 for debugging
             outliers: pricingData
                 .filter(deal => Math.abs(deal.price_difference_excluding_tax - mean) > 2 * stdDev)
@@ -4374,15 +5170,81 @@ app.get('/api/pricing-analysis', async (req, res) => {
     }
 });
 
+// API endpoint to check quoted tax on analysis deals against the Florida rate table
+app.get('/api/tax-verification', async (req, res) => {
+    try {
+        await pool.query('SELECT 1');
+        
+        const { verifyDealTax, summarizeTaxVerifications, loadTaxRates } = require('./tax-verification.js');
+        const { loadFeeTaxonomy } = require('./fee-taxonomy.js');
+        const rates = loadTaxRates();
+        const feeTaxonomy = loadFeeTaxonomy();
+        
+        let pricedDeals = await loadAnalysisDealPricing(pool);
+        if (req.query.dealerId) {
+            pricedDeals = pricedDeals.filter(deal => String(deal.dealerId) === String(req.query.dealerId));
+        }
+        
+        let deals = pricedDeals.map(({ dealId, dealerId, dealerName, county, pricedDeal }) => ({
+            dealId,
+            dealerId,
+            dealerName,
+            ...verifyDealTax(pricedDeal, county, rates, feeTaxonomy)
+        }));
+        const summary = summarizeTaxVerifications(deals);
+        
+        // Per-dealer totals, most overcharged first
+        const dealers = {};
+        deals.forEach(deal => {
+            if (!dealers[deal.dealerId]) {
+                dealers[deal.dealerId] = { dealerId: deal.dealerId, dealerName: deal.dealerName, county: deal.county, verifications: [] };
+            }
+            dealers[deal.dealerId].verifications.push(deal);
+        });
+        
+        if (req.query.status) {
+            deals = deals.filter(deal => deal.status === req.query.status);
+        }
+        
+        res.json({
+            rates: {
+                state: rates.state,
+                effectiveDate: rates.effectiveDate,
+                stateRate: rates.stateRate,
+                surtaxCapPerVehicle: rates.surtaxCapPerVehicle,
+                countySurtaxRates: rates.countySurtaxRates,
+                toleranceAmount: rates.toleranceAmount
+            },
+            summary,
+            dealers: Object.values(dealers)
+                .map(({ verifications, ...dealer }) => ({ ...dealer, ...summarizeTaxVerifications(verifications) }))
+                .sort((a, b) => b.overchargedAmount - a.overchargedAmount),
+            deals
+        });
+        
+    } catch (error) {
+        console.error('Error verifying tax:', error);
+        res.status(503).json({ 
+            error: 'Database connection failed',
+            message: 'Please ensure you are connected to the VPN and try again'
+        });
+    }
+});
+
 // API endpoint to analyze fees with outlier detection and removal
 app.get('/api/fee-analysis-clean', async (req, res) => {
     try {
-        // Get all dealership fee data
-        const response = await fetch(`http://localhost:3000/api/dealership-rankings`);
-        const data = await response.json();
+        const { getExportFormat, sendTableExport } = require('./table-export.js');
+        const { format, error: formatError } = getExportFormat(req.query);
+        if (formatError) {
+            return res.status(400).json({ error: formatError });
+        }
+        
+        // Get all dealership fee data (the rankings /api/dealership-rankings returns for the active profile)
+        const rankings = rankDealers(await loadRankingDealers(pool), resolveGradingProfile({}));
         
         // Extract dealers with fee data
-        const dealersWithFees = data.rankings.filter(dealer => 
+        const dealersWithFees = rankings.filter(dealer => 
             (dealer.grading.averageFees.excessive > 0 || dealer.grading.averageFees.illegitimate > 0)
         );
         
@@ -4430,7 +5292,7 @@ app.get('/api/fee-analysis-clean', async (req, res) => {
         const illegitimateAnalysis = removeOutliers(illegitimateFees, 'illegitimate');
         const totalAnalysis = removeOutliers(totalFees, 'total');
         
-        res.json({
+        const feeAnalysis = {
             total_dealers_with_fees: dealersWithFees.length,
             excessive_fees: {
                 label: 'Excessive Fees',
@@ -4473,7 +5335,13 @@ app.get('/api/fee-analysis-clean', async (req, res) => {
                 dealers_analyzed: dealersWithFees.length,
                 key_finding: `Cleaned average total fees: $${Math.round(totalAnalysis.stats.filtered_avg * 100) / 100}`
             }
-        });
+        };
+        
+        if (format) {
+            return sendTableExport(res, 'fee-analysis-clean', format, [feeAnalysis.excessive_fees, feeAnalysis.illegitimate_fees, feeAnalysis.total_fees]);
+        }
+        
+        res.json(feeAnalysis);
         
     } catch (error) {
         console.error('Error in fee analysis:', error);
@@ -4487,4 +5355,10 @@ app.get('/api/fee-analysis-clean', async (req, res) => {
 app.listen(PORT, () => {
     console.log(`🚀 Server running on http://localhost:${PORT}`);
     console.log(`📊 Metrics dashboard: http://localhost:${PORT}/metrics`);
+    
+    // Keep today's metric snapshot current for the history and burndown charts
+    if (config.snapshots.enabled) {
+        const { startSnapshotSchedule } = require('./snapshot-system.js');
+        startSnapshotSchedule(pool, SNAPSHOTS_PATH, config.snapshots.intervalHours);
+    }
 }); 
\ No newline at end of file
@@ -0,0 +1,230 @@
+// Snapshot System for Metric History
+// Stores one snapshot of the dashboard counts per day so trends and burndowns can be drawn
+
+const fs = require('fs');
+const path = require('path');
+const { getDealerTarget } = require('./goals-system');
+const { loadDealerGradings, loadTierRules, assignTiers, recordTierMembership } = require('./tier-system');
+
+const HOUR_MS = 1000 * 60 * 60;
+const DAY_MS = HOUR_MS * 24;
+
+// Load all stored snapshots, keyed by date (YYYY-MM-DD)
+function loadSnapshots(storePath) {
+    if (!fs.existsSync(storePath)) return {};
+    return JSON.parse(fs.readFileSync(storePath, 'utf8')).snapshots || {};
+}
+
+function saveSnapshots(storePath, snapshots) {
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    fs.writeFileSync(storePath, JSON.stringify({ snapshots }, null, 2) + '\n');
+}
+
+// Collect the current deal states, per-dealer analysis counts, pending tasks, grade distributions and tiers
+async function collectSnapshot(pool, now = new Date()) {
+    const totalDealsResult = await pool.query(
+        'SELECT COUNT(*) as total_deals FROM deals WHERE is_active = true'
+    );
+
+    const statesResult = await pool.query(`
+        SELECT state, COUNT(*) as count
+        FROM deals
+        WHERE is_active = true
+        GROUP BY state
+    `);
+
+    const pendingTasksResult = await pool.query(`
+        SELECT COUNT(*) as pending_count
+        FROM deal_tasks
+        WHERE state IN ('GENERATED', 'SUBMITTED')
+    `);
+
+    const dealersResult = await pool.query(`
+        SELECT
+            l.dealer_id,
+            dl.name as dealer_name,
+            dl.city,
+            dl.state_code,
+            COUNT(CASE WHEN LOWER(d.state) = 'analysis' THEN 1 END) as analysis_deals,
+            COUNT(*) as total_deals
+        FROM deals d
+        JOIN listings l ON d.id = l.deal_id
+        JOIN dealers dl ON l.dealer_id = dl.id
+        WHERE d.is_active = true AND dl.deleted IS NULL
+        GROUP BY l.dealer_id, dl.name, dl.city, dl.state_code
+    `);
+
+    const tiers = loadTierRules();
+    const tierAssignments = assignTiers(await loadDealerGradings(pool), tiers);
+
+    const dealStates = {};
+    statesResult.rows.forEach(row => {
+        dealStates[row.state] = parseInt(row.count);
+    });
+
+    return {
+        date: formatDate(now),
+        capturedAt: now.toISOString(),
+        totalDeals: parseInt(totalDealsResult.rows[0].total_deals),
+        dealStates,
+        pendingTasks: parseInt(pendingTasksResult.rows[0].pending_count),
+        dealers: dealersResult.rows.map(row => ({
+            dealerId: row.dealer_id,
+            dealerName: row.dealer_name,
+            city: row.city,
+            stateCode: row.state_code,
+            analysisDeals: parseInt(row.analysis_deals),
+            totalDeals: parseInt(row.total_deals)
+        })),
+        grades: calculateGradeDistributions(tierAssignments),
+        tiers: countTierMembers(tierAssignments, tiers),
+        // Kept off the stored snapshot; takeSnapshot records it in the tier history
+        tierAssignments
+    };
+}
+
+// Grade distribution across analysis deals and across dealers (same grading as the rankings)
+function calculateGradeDistributions(tierAssignments) {
+    const deals = { A: 0, B: 0, C: 0, D: 0, F: 0 };
+    const dealers = { A: 0, B: 0, C: 0, D: 0, F: 0 };
+
+    tierAssignments.forEach(({ grading }) => {
+        dealers[grading.grade]++;
+        Object.entries(grading.gradeDistribution).forEach(([grade, count]) => {
+            deals[grade] += count;
+        });
+    });
+
+    return { deals, dealers };
+}
+
+// Number of dealers in each tier (unranked dealers are counted under "unranked")
+function countTierMembers(tierAssignments, tiers) {
+    const counts = { unranked: 0 };
+    tiers.forEach(tier => {
+        counts[tier.id] = 0;
+    });
+    tierAssignments.forEach(assignment => {
+        counts[assignment.tierId === null ? 'unranked' : assignment.tierId]++;
+    });
+    return counts;
+}
+
+// Capture today's snapshot, replacing any earlier one from the same day, and record tier changes
+async function takeSnapshot(pool, storePath, now = new Date()) {
+    const { tierAssignments, ...snapshot } = await collectSnapshot(pool, now);
+    recordTierMembership(tierAssignments, loadTierRules(), now);
+
+    const snapshots = loadSnapshots(storePath);
+    snapshots[snapshot.date] = snapshot;
+    saveSnapshots(storePath, snapshots);
+    return snapshot;
+}
+
+// Snapshots between two dates (inclusive), oldest first
+function getSnapshotHistory(storePath, from, to) {
+    const snapshots = loadSnapshots(storePath);
+    return Object.keys(snapshots)
+        .filter(date => (!from || date >= from) && (!to || date <= to))
+        .sort()
+        .map(date => snapshots[date]);
+}
+
+// Progress toward a campaign's per-dealer targets as recorded in one snapshot
+function getSnapshotCampaignProgress(snapshot, campaign) {
+    let dealersAtTarget = 0;
+    let totalAnalysisNeeded = 0;
+    let analysisStillNeeded = 0;
+
+    snapshot.dealers.forEach(dealer => {
+        const target = getDealerTarget(campaign, dealer);
+        totalAnalysisNeeded += target;
+        analysisStillNeeded += Math.max(0, target - dealer.analysisDeals);
+        if (dealer.analysisDeals >= target) dealersAtTarget++;
+    });
+
+    return { dealersAtTarget, totalAnalysisNeeded, analysisStillNeeded };
+}
+
+// Day-by-day remaining analysis deals for a campaign, next to the ideal straight-line burndown
+function calculateBurndown(storePath, campaign) {
+    const snapshots = loadSnapshots(storePath);
+    const startDate = parseDate(campaign.startDate);
+    const totalDays = Math.round((parseDate(campaign.endDate) - startDate) / DAY_MS);
+
+    // The ideal line runs from the first recorded day to zero at the deadline
+    const firstSnapshot = getSnapshotHistory(storePath, campaign.startDate, campaign.endDate)[0];
+    const idealStart = firstSnapshot ? {
+        day: Math.round((parseDate(firstSnapshot.date) - startDate) / DAY_MS),
+        remaining: getSnapshotCampaignProgress(firstSnapshot, campaign).analysisStillNeeded
+    } : null;
+
+    const points = [];
+    for (let day = 0; day <= totalDays; day++) {
+        const date = formatDate(new Date(startDate.getTime() + day * DAY_MS));
+        const snapshot = snapshots[date];
+
+        let ideal = null;
+        if (idealStart && day >= idealStart.day) {
+            const daysLeft = totalDays - idealStart.day;
+            ideal = daysLeft > 0
+                ? Math.round(idealStart.remaining * (1 - (day - idealStart.day) / daysLeft) * 10) / 10
+                : 0;
+        }
+
+        points.push({
+            date,
+            remaining: snapshot ? getSnapshotCampaignProgress(snapshot, campaign).analysisStillNeeded : null,
+            ideal
+        });
+    }
+
+    return { campaign, points };
+}
+
+// Take a snapshot now and then every intervalHours, keeping the latest count for each day
+function startSnapshotSchedule(pool, storePath, intervalHours) {
+    const run = () => takeSnapshot(pool, storePath)
+        .then(snapshot => console.log(`📸 Stored metric snapshot for ${snapshot.date}`))
+        .catch(error => console.error('Error taking metric snapshot:', error.message));
+
+    run();
+    const timer = setInterval(run, intervalHours * HOUR_MS);
+    timer.unref();
+    return timer;
+}
+
+function parseDate(value) {
+    return new Date(`${value}T00:00:00Z`);
+}
+
+function formatDate(date) {
+    return date.toISOString().split('T')[0];
+}
+
+// Run directly (e.g. from cron) to store a snapshot without the server: npm run snapshot
+if (require.main === module) {
+    require('dotenv').config();
+    const config = require('./config');
+    const { createPool } = require('./data-source');
+    const pool = createPool(config);
+
+    takeSnapshot(pool, path.resolve(__dirname, config.snapshots.path))
+        .then(snapshot => {
+            console.log(`📸 Stored metric snapshot for ${snapshot.date}`);
+            return pool.end();
+        })
+        .catch(error => {
+            console.error('Error taking metric snapshot:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    collectSnapshot,
+    takeSnapshot,
+    getSnapshotHistory,
+    getSnapshotCampaignProgress,
+    calculateBurndown,
+    startSnapshotSchedule
+};
@@ -0,0 +1,316 @@
+// SQL Guard for Chat Queries
+// Parses the SQL the chat agents generate and only lets through a single read query over an allowlist of
+// tables and columns, using an allowlist of functions (so no pg_sleep, dblink or file access). Queries that
+// pass run in a READ ONLY transaction with a statement_timeout, and the rows returned are capped.
+
+const { parse, astVisitor } = require('pgsql-ast-parser');
+
+// Tables and columns chat queries may read. Message bodies, task payloads and event details are left out:
+// they hold customer emails and conversations, and the chat only answers questions about deal metrics
+const CHAT_TABLES = {
+    deals: ['id', 'state', 'is_active', 'customer_id', 'created', 'updated', 'deleted'],
+    dealers: ['id', 'name', 'address', 'city', 'state_code', 'zip_code', 'phone', 'website', 'created', 'updated', 'deleted'],
+    listings: ['id', 'deal_id', 'dealer_id', 'vehicle_id', 'ad_info_id', 'created', 'deleted'],
+    deal_tasks: ['id', 'deal_id', 'task_type', 'state', 'created', 'updated'],
+    events: ['id', 'deal_id', 'action_id', 'event_timestamp'],
+    conversations: ['id', 'deal_id', 'vin', 'created', 'updated', 'deleted'],
+    messages: ['id', 'conversation_id', 'deal_id', 'message_type', 'created', 'updated', 'deleted'],
+    vehicles: ['id', 'vin', 'year', 'make', 'copilot_model', 'trim', 'body_style', 'drive_train'],
+    deal_risk_analysis: [
+        'id', 'deal_id', 'internet_price', 'offer_price', 'current_bottom_line_price', 'fair_bottom_line_price',
+        'quoted_tax', 'excessive_fees', 'illegitimate_fees', 'bottom_line_price_difference', 'created'
+    ]
+};
+
+const ALLOWED_FUNCTIONS = [
+    'count', 'sum', 'avg', 'min', 'max', 'round', 'abs', 'ceil', 'ceiling', 'floor', 'coalesce', 'nullif',
+    'greatest', 'least', 'lower', 'upper', 'length', 'trim', 'concat', 'left', 'right', 'replace',
+    'date_trunc', 'date_part', 'to_char', 'now', 'age', 'string_agg', 'array_agg', 'bool_and', 'bool_or',
+    'stddev', 'variance', 'percentile_cont', 'percentile_disc', 'row_number', 'rank', 'dense_rank', 'lag', 'lead'
+];
+
+// Statement types that only read: plain selects, unions and WITH queries built from them
+const READ_STATEMENT_TYPES = ['select', 'union', 'union all', 'with', 'values'];
+
+// Nothing but whitespace and comments. The parser rejects empty input, so this checks that appending the
+// text to a trivial query leaves it unchanged
+const TRIVIAL_QUERY = JSON.stringify(parse('SELECT 1'));
+function isBlankSql(sql) {
+    try {
+        return JSON.stringify(parse(`SELECT 1 ${sql}`)) === TRIVIAL_QUERY;
+    } catch (e) {
+        return false;
+    }
+}
+
+// The statement without its closing semicolons and any comments after them, so it can be wrapped in a subquery
+function stripTerminator(sql) {
+    let text = sql;
+    let semicolon = text.lastIndexOf(';');
+    while (semicolon !== -1 && isBlankSql(text.slice(semicolon + 1))) {
+        text = text.slice(0, semicolon);
+        semicolon = text.lastIndexOf(';');
+    }
+    return text.trim();
+}
+
+// The rest of the database's tables. A WITH query can't take the name of any table, allowed or not, so it
+// can't stand in for one
+const OTHER_TABLES = [
+    'customers', 'ad_info', 'deal_tasks_send_email', 'deal_tasks_dealer_outreach_task', 'messages_dealer_email',
+    'messages_sendemail', 'messages_dealeroutreach'
+];
+
+function isTableName(name) {
+    return Boolean(CHAT_TABLES[name]) || OTHER_TABLES.includes(name) || name.startsWith('pg_');
+}
+
+// The name Postgres gives a select-list column without an alias
+function outputName(column) {
+    if (column.alias) return column.alias.name;
+    const expr = column.expr.type === 'cast' ? column.expr.operand : column.expr;
+    if (expr.type === 'ref') return expr.name;
+    if (expr.type === 'call') return expr.function.name;
+    return '?column?';
+}
+
+// Checks a parsed statement, adding what's wrong to `problems`. Column names are resolved the way Postgres
+// resolves them, scope by scope: a scope's sources are the tables (with only their allowlisted columns), CTEs
+// and subqueries in its FROM. The query's own output aliases only count in ORDER BY, where Postgres reads a bare
+// name as one; anywhere else a name that isn't a source column could be a table column left off the allowlist
+function checkStatement(statement, problems) {
+    const sourceNamed = (scope, alias) => {
+        for (let s = scope; s; s = s.parent) {
+            const source = s.sources.find(candidate => candidate.alias === alias);
+            if (source) return source;
+        }
+        return null;
+    };
+
+    const resolve = (ref, scope, outputs = null) => {
+        if (ref.name === '*') {
+            // count(*) and the like; * in a select list is checked with the columns
+            const source = ref.table && sourceNamed(scope, ref.table.name);
+            if (source && source.table) problems.push('SELECT * is not allowed on tables; list the columns you need');
+            return;
+        }
+        if (ref.table) {
+            const source = sourceNamed(scope, ref.table.name);
+            if (!source) {
+                problems.push(`Unknown table or alias ${ref.table.name}`);
+            } else if (!source.columns.includes(ref.name)) {
+                problems.push(source.table
+                    ? `Column ${source.table}.${ref.name} is not available to chat queries`
+                    : `Unknown column ${ref.table.name}.${ref.name}`);
+            }
+            return;
+        }
+        if (outputs && outputs.includes(ref.name)) return;
+
+        // An unqualified name belongs to the nearest scope that has it. A scope reading a table may have
+        // columns of that name we don't list, so the name has to be found there
+        for (let s = scope; s; s = s.parent) {
+            if (s.sources.some(source => source.columns.includes(ref.name))) return;
+            if (s.sources.some(source => source.table)) break;
+        }
+        problems.push(`Column ${ref.name} is not available to chat queries`);
+    };
+
+    const checkExpr = (expr, scope, outputs = null) => {
+        if (!expr) return;
+        const visitor = astVisitor(v => ({
+            ref: ref => resolve(ref, scope, outputs),
+            call: call => {
+                const name = call.function.name.toLowerCase();
+                if (call.function.schema || !ALLOWED_FUNCTIONS.includes(name)) {
+                    problems.push(`Function ${call.function.schema ? `${call.function.schema}.` : ''}${name} is not allowed`);
+                }
+                v.super().call(call);
+                if (call.over) {
+                    (call.over.partitionBy || []).forEach(e => checkExpr(e, scope));
+                    (call.over.orderBy || []).forEach(o => checkExpr(o.by, scope));
+                }
+            },
+            // Subqueries see this scope's sources
+            selection: select => { checkQuery(select, scope); },
+            union: union => { checkQuery(union, scope); },
+            with: withStatement => { checkQuery(withStatement, scope); },
+            withRecursive: withStatement => { checkQuery(withStatement, scope); },
+            values: values => { checkQuery(values, scope); }
+        }));
+        visitor.expr(expr);
+    };
+
+    // Returns the statement's output column names
+    const checkQuery = (query, scope) => {
+        switch (query.type) {
+            case 'select':
+                return checkSelect(query, scope);
+            case 'union':
+            case 'union all': {
+                const columns = checkQuery(query.left, scope);
+                checkQuery(query.right, scope);
+                return columns;
+            }
+            case 'with': {
+                const ctes = new Map(scope.ctes);
+                query.bind.forEach(bind => {
+                    const name = bind.alias.name;
+                    if (isTableName(name)) {
+                        problems.push(`A WITH query can't be named ${name}, which is a table`);
+                    }
+                    ctes.set(name, checkQuery(bind.statement, { ...scope, ctes }));
+                });
+                return checkQuery(query.in, { ...scope, ctes });
+            }
+            case 'with recursive':
+                problems.push('Recursive queries are not allowed');
+                return [];
+            case 'values':
+                query.values.forEach(row => row.forEach(expr => checkExpr(expr, scope)));
+                return query.values[0].map((_, i) => `column${i + 1}`);
+            default:
+                problems.push('Only SELECT queries are allowed');
+                return [];
+        }
+    };
+
+    const checkSelect = (select, outer) => {
+        if (select.for) {
+            problems.push(`Row locking (FOR ${select.for.type.toUpperCase()}) is not allowed`);
+        }
+
+        const scope = { ctes: outer.ctes, sources: [], parent: outer.sources ? outer : null };
+        const renamed = (columns, columnNames) => !columnNames ? columns
+            : columns.map((column, i) => columnNames[i] ? columnNames[i].name : column);
+
+        (select.from || []).forEach(from => {
+            if (from.type === 'table') {
+                const { name, schema, alias, columnNames } = from.name;
+                if (!schema && scope.ctes.has(name)) {
+                    scope.sources.push({ alias: alias || name, table: null, columns: renamed(scope.ctes.get(name), columnNames) });
+                } else if (schema && schema !== 'public') {
+                    problems.push(`Table ${schema}.${name} is not available to chat queries`);
+                } else if (!CHAT_TABLES[name]) {
+                    problems.push(`Table ${name} is not available to chat queries`);
+                } else if (columnNames) {
+                    // Renaming a table's columns by position could reach ones that aren't listed
+                    problems.push(`Column aliases on table ${name} are not allowed`);
+                } else {
+                    scope.sources.push({ alias: alias || name, table: name, columns: CHAT_TABLES[name] });
+                }
+            } else if (from.type === 'statement') {
+                const columns = checkQuery(from.statement, from.lateral ? scope : outer);
+                scope.sources.push({ alias: from.alias, table: null, columns: renamed(columns, from.columnNames) });
+            } else {
+                problems.push(`Function ${from.function.name} cannot be used in FROM`);
+            }
+
+            if (from.join) {
+                checkExpr(from.join.on, scope);
+                const joined = scope.sources[scope.sources.length - 1];
+                (from.join.using || []).forEach(column => {
+                    if (joined && !joined.columns.includes(column.name)) {
+                        problems.push(`Column ${column.name} is not available to chat queries`);
+                    }
+                });
+            }
+        });
+
+        const outputs = [];
+        (select.columns || []).forEach(column => {
+            const { expr } = column;
+            if (expr.type === 'ref' && expr.name === '*') {
+                // SELECT * is fine over a CTE or subquery, whose own columns are checked, but not over a table
+                const sources = expr.table ? [sourceNamed(scope, expr.table.name)] : scope.sources;
+                if (sources.some(source => !source)) {
+                    problems.push(`Unknown table or alias ${expr.table.name}`);
+                } else if (sources.some(source => source.table)) {
+                    problems.push('SELECT * is not allowed on tables; list the columns you need');
+                } else {
+                    sources.forEach(source => outputs.push(...source.columns));
+                }
+                return;
+            }
+            checkExpr(expr, scope);
+            outputs.push(outputName(column));
+        });
+
+        checkExpr(select.where, scope);
+        (select.groupBy || []).forEach(expr => checkExpr(expr, scope));
+        checkExpr(select.having, scope);
+        if (Array.isArray(select.distinct)) select.distinct.forEach(expr => checkExpr(expr, scope));
+        (select.orderBy || []).forEach(order => checkExpr(order.by, scope, order.by.type === 'ref' ? outputs : null));
+        if (select.limit) {
+            checkExpr(select.limit.limit, scope);
+            checkExpr(select.limit.offset, scope);
+        }
+        return outputs;
+    };
+
+    checkQuery(statement, { ctes: new Map(), sources: null, parent: null });
+}
+
+// Returns { sql } with the single statement ready to run (see stripTerminator), or { error }
+function validateChatSql(sql) {
+    let statements;
+    try {
+        statements = parse(sql);
+    } catch (e) {
+        return { error: `The query could not be parsed: ${e.message.split('\n')[0]}` };
+    }
+
+    if (statements.length !== 1) {
+        return { error: 'Only one statement can be run at a time' };
+    }
+    const [statement] = statements;
+    if (!READ_STATEMENT_TYPES.includes(statement.type)) {
+        return { error: 'Only SELECT queries are allowed' };
+    }
+
+    const problems = [];
+    checkStatement(statement, problems);
+
+    if (problems.length > 0) {
+        return { error: [...new Set(problems)].join('; ') };
+    }
+    return { sql: stripTerminator(sql) };
+}
+
+// Run a validated query on its own connection in a READ ONLY transaction with a statement timeout, returning
+// at most maxRows rows. Returns { rows, rowCount, truncated }. When `signal` aborts (the chat request was
+// cancelled), Postgres is asked to cancel the statement from another connection: closing ours wouldn't stop it
+async function runReadOnlyQuery(pool, sql, { timeoutMs, maxRows, signal = null }) {
+    if (signal) signal.throwIfAborted();
+    const client = await pool.connect();
+    const cancel = () => {
+        if (client.processID) pool.query('SELECT pg_cancel_backend($1)', [client.processID]).catch(() => {});
+    };
+    if (signal) signal.addEventListener('abort', cancel);
+
+    try {
+        await client.query('BEGIN TRANSACTION READ ONLY');
+        await client.query(`SET LOCAL statement_timeout = ${parseInt(timeoutMs)}`);
+
+        // One extra row tells us whether the cap cut anything off
+        const result = await client.query(`SELECT * FROM (\n${sql}\n) AS chat_query LIMIT ${parseInt(maxRows) + 1}`);
+        await client.query('ROLLBACK');
+
+        if (signal) signal.throwIfAborted();
+        const truncated = result.rows.length > maxRows;
+        const rows = truncated ? result.rows.slice(0, maxRows) : result.rows;
+        return { rows, rowCount: rows.length, truncated };
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        if (signal) signal.removeEventListener('abort', cancel);
+        client.release();
+    }
+}
+
+module.exports = {
+    CHAT_TABLES,
+    validateChatSql,
+    runReadOnlyQuery
+};
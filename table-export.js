@@ -0,0 +1,306 @@
+// Table Export System for the Data Endpoints
+// CSV and XLSX downloads (?format=csv|xlsx) of rankings, driver metrics, pricing analysis, fee analysis
+// and deal search results, with a fixed column list per table so headers stay stable between releases
+
+const zlib = require('zlib');
+
+const EXPORT_FORMATS = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+function round2(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? Math.round(value * 100) / 100 : null;
+}
+
+function round1(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? Math.round(value * 10) / 10 : null;
+}
+
+// Columns for each exportable table; grading objects are flattened into one column per field
+const EXPORT_TABLES = {
+    'dealership-rankings': {
+        sheetName: 'Rankings',
+        columns: [
+            { header: 'Rank', value: (row, index) => index + 1 },
+            { header: 'Dealer ID', value: row => row.dealer_id },
+            { header: 'Dealer', value: row => row.dealer_name },
+            { header: 'Location', value: row => row.location },
+            { header: 'Group', value: row => (row.group ? row.group.name : null) },
+            { header: 'Deals', value: row => row.grading.dealCount },
+            { header: 'Grade', value: row => row.grading.grade },
+            { header: 'Grade Label', value: row => row.grading.label },
+            { header: 'Adjusted Score', value: row => round1(row.grading.adjustedScore) },
+            { header: 'Average Score', value: row => round1(row.grading.averageScores.overall) },
+            { header: 'Confidence Lower', value: row => (row.grading.confidence ? round1(row.grading.confidence.lower) : null) },
+            { header: 'Confidence Upper', value: row => (row.grading.confidence ? round1(row.grading.confidence.upper) : null) },
+            { header: 'Provisional', value: row => row.grading.provisional },
+            { header: 'Avg Excessive Score', value: row => round1(row.grading.averageScores.excessive) },
+            { header: 'Avg Illegitimate Score', value: row => round1(row.grading.averageScores.illegitimate) },
+            { header: 'Avg Excessive Fees', value: row => round2(row.grading.averageFees.excessive) },
+            { header: 'Avg Illegitimate Fees', value: row => round2(row.grading.averageFees.illegitimate) },
+            { header: 'A Deals', value: row => row.grading.gradeDistribution.A },
+            { header: 'B Deals', value: row => row.grading.gradeDistribution.B },
+            { header: 'C Deals', value: row => row.grading.gradeDistribution.C },
+            { header: 'D Deals', value: row => row.grading.gradeDistribution.D },
+            { header: 'F Deals', value: row => row.grading.gradeDistribution.F }
+        ]
+    },
+    'driver-metrics': {
+        sheetName: 'Driver Metrics',
+        columns: [
+            { header: 'Dealer ID', value: row => row.dealerId },
+            { header: 'Dealer', value: row => row.dealerName },
+            { header: 'City', value: row => row.city },
+            { header: 'State', value: row => row.stateCode },
+            { header: 'Region', value: row => row.region },
+            { header: 'Analysis Deals', value: row => row.analysisDeals },
+            { header: 'Campaign Analysis Deals', value: row => row.campaignAnalysisDeals },
+            { header: 'Total Deals', value: row => row.totalDeals },
+            { header: 'Target', value: row => row.target },
+            { header: 'Deals Needed', value: row => row.dealsNeeded },
+            { header: 'Progress %', value: row => row.progressPct }
+        ]
+    },
+    'pricing-analysis': {
+        sheetName: 'Pricing Analysis',
+        columns: [
+            { header: 'Deal ID', value: row => row.deal_id },
+            { header: 'State', value: row => row.state },
+            { header: 'Internet Price', value: row => round2(row.internet_price) },
+            { header: 'Offer Price', value: row => round2(row.offer_price) },
+            { header: 'Current Bottom Line Price', value: row => round2(row.current_bottom_line_price) },
+            { header: 'Fair Bottom Line Price', value: row => round2(row.fair_bottom_line_price) },
+            { header: 'Bottom Line Price Difference', value: row => round2(row.bottom_line_price_difference) },
+            { header: 'Quoted Tax', value: row => round2(row.quoted_tax) },
+            { header: 'Expected Tax', value: row => round2(row.expected_tax) },
+            { header: 'Tax Difference', value: row => round2(row.tax_difference) },
+            { header: 'Tax Status', value: row => row.tax_status },
+            { header: 'Excessive Fees', value: row => round2(row.excessive_fees) },
+            { header: 'Illegitimate Fees', value: row => round2(row.illegitimate_fees) },
+            { header: 'OTD Excluding Tax', value: row => round2(row.otd_excluding_tax) },
+            { header: 'Price Difference Excluding Tax', value: row => round2(row.price_difference_excluding_tax) }
+        ]
+    },
+    'fee-analysis-clean': {
+        sheetName: 'Fee Analysis',
+        columns: [
+            { header: 'Fee Type', value: row => row.label },
+            { header: 'Original Average', value: row => row.original_average },
+            { header: 'Cleaned Average', value: row => row.cleaned_average },
+            { header: 'Median', value: row => row.median },
+            { header: 'Outliers Removed', value: row => row.outliers_removed },
+            { header: 'Outliers', value: row => row.outliers.join('; ') },
+            { header: 'Range Min', value: row => row.range.min },
+            { header: 'Range Max', value: row => row.range.max }
+        ]
+    },
+    'deals-search': {
+        sheetName: 'Deals',
+        columns: [
+            { header: 'Deal ID', value: row => row.deal_id },
+            { header: 'Updated', value: row => row.date },
+            { header: 'Dealer', value: row => row.dealer_name },
+            { header: 'Location', value: row => row.dealer_location },
+            { header: 'Deal State', value: row => row.deal_state },
+            { header: 'Status', value: row => row.status },
+            { header: 'Customer', value: row => row.customer_name },
+            { header: 'Customer Email', value: row => row.customer_email },
+            { header: 'VIN', value: row => row.vehicle_vin }
+        ]
+    }
+};
+
+// The export format a request asks for: { format: null } for plain JSON, or { error }
+function getExportFormat(query) {
+    const format = query.format;
+    if (format === undefined || format === 'json') return { format: null };
+    if (!EXPORT_FORMATS[format]) return { error: 'format must be csv, xlsx or json' };
+    return { format };
+}
+
+// Header row plus one row of cell values per record
+function buildTableRows(table, records) {
+    const { columns } = EXPORT_TABLES[table];
+    return [
+        columns.map(column => column.header),
+        ...records.map((record, index) => columns.map(column => {
+            const value = column.value(record, index);
+            return value === undefined ? null : value;
+        }))
+    ];
+}
+
+function csvCell(value) {
+    if (value === null) return '';
+    let text = String(value);
+    // Text starting with a formula character would run as a formula when the file is opened in a spreadsheet
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function escapeXml(text) {
+    return String(text)
+        // Control characters aren't allowed in XML at all
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Spreadsheet column letters: 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function xlsxCell(value, ref) {
+    if (value === null) return '';
+    if (typeof value === 'number') return Number.isFinite(value) ? `<c r="${ref}"><v>${value}</v></c>` : '';
+    if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Deflated zip archive of { name, content } files
+function zipFiles(files) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(({ name, content }) => {
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const data = Buffer.from(content, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0x0800, 6); // UTF-8 names
+        local.writeUInt16LE(8, 8); // deflate
+        local.writeUInt16LE(0, 10);
+        local.writeUInt16LE(0x21, 12); // 1980-01-01
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(0, 12);
+        central.writeUInt16LE(0x21, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, nameBuffer, compressed);
+        centralParts.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + compressed.length;
+    });
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+// Single-sheet workbook; text is stored inline so no shared string table is needed
+function toXlsx(rows, sheetName) {
+    const sheetRows = rows.map((row, rowIndex) => {
+        const cells = row.map((value, columnIndex) => xlsxCell(value, `${columnName(columnIndex)}${rowIndex + 1}`)).join('');
+        return `<row r="${rowIndex + 1}">${cells}</row>`;
+    }).join('');
+
+    return zipFiles([
+        {
+            name: '[Content_Types].xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+                '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/worksheets/sheet1.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                `<sheetData>${sheetRows}</sheetData>` +
+                '</worksheet>'
+        }
+    ]);
+}
+
+// Send records as a CSV or XLSX download named after the table and today's date
+function sendTableExport(res, table, format, records) {
+    const rows = buildTableRows(table, records);
+    const body = format === 'xlsx' ? toXlsx(rows, EXPORT_TABLES[table].sheetName) : toCsv(rows);
+    const filename = `${table}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(body);
+}
+
+module.exports = {
+    EXPORT_TABLES,
+    getExportFormat,
+    buildTableRows,
+    toCsv,
+    toXlsx,
+    sendTableExport
+};
@@ -0,0 +1,149 @@
+// Tax Verification for Florida Vehicle Deals
+// Computes the expected Florida sales tax on a deal from the rate table in data/florida-tax-rates.json
+// (state rate, county discretionary surtax on the first $5,000, trade-in credit) and flags quoted
+// tax that deviates from it
+
+const fs = require('fs');
+const path = require('path');
+const { categorizeFee, loadFeeTaxonomy, normalizeFeeName } = require('./fee-taxonomy');
+
+const TAX_RATES_PATH = path.join(__dirname, 'data', 'florida-tax-rates.json');
+
+function loadTaxRates() {
+    return JSON.parse(fs.readFileSync(TAX_RATES_PATH, 'utf8'));
+}
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Split fees into taxable dealer charges and non-taxable government fees (tag, title, tire, battery...)
+// by fee category, with individual fee names listed where the category doesn't decide it
+function splitTaxableFees(fees, rates, taxonomy) {
+    const nonTaxableNames = (rates.nonTaxableFeeNames || []).map(normalizeFeeName);
+    let taxable = 0;
+    let nonTaxable = 0;
+
+    fees.forEach(fee => {
+        const { category } = categorizeFee(fee.label, taxonomy);
+        const exempt = rates.nonTaxableFeeCategories.includes(category) || nonTaxableNames.includes(normalizeFeeName(fee.label));
+        if (exempt) nonTaxable += fee.amount || 0;
+        else taxable += fee.amount || 0;
+    });
+
+    return { taxable, nonTaxable };
+}
+
+// Expected tax for a sale
+// Inputs: vehicle price, fees [{ label, amount }], trade-in value and the county the surtax is charged in
+// The surtax rate is null when the county isn't in the rate table
+function calculateExpectedTax({ price = 0, fees = [], tradeInValue = 0, county = null }, rates = loadTaxRates(), taxonomy = loadFeeTaxonomy()) {
+    const feeSplit = splitTaxableFees(fees, rates, taxonomy);
+    const grossTaxable = price + feeSplit.taxable;
+
+    // Florida taxes the price less the trade-in allowance
+    const tradeInCredit = Math.min(Math.max(tradeInValue || 0, 0), grossTaxable);
+    const taxableAmount = grossTaxable - tradeInCredit;
+
+    const surtaxRate = county && county in rates.countySurtaxRates ? rates.countySurtaxRates[county] : null;
+    const surtaxBase = Math.min(taxableAmount, rates.surtaxCapPerVehicle);
+    const stateTax = round2(taxableAmount * rates.stateRate);
+    const surtax = round2(surtaxBase * (surtaxRate || 0));
+
+    return {
+        price,
+        taxableFees: feeSplit.taxable,
+        nonTaxableFees: feeSplit.nonTaxable,
+        tradeInCredit,
+        taxableAmount,
+        stateRate: rates.stateRate,
+        stateTax,
+        county,
+        surtaxRate,
+        surtaxBase,
+        surtax,
+        expectedTax: round2(stateTax + surtax)
+    };
+}
+
+// Compare a quoted tax against the expected tax
+// Status: ok, overcharged, undercharged, not_quoted, or unknown_county when there is no surtax rate
+function verifyQuotedTax({ quotedTax = 0, ...sale }, rates = loadTaxRates(), taxonomy = loadFeeTaxonomy()) {
+    const expected = calculateExpectedTax(sale, rates, taxonomy);
+    const flags = [];
+
+    if (!(quotedTax > 0)) {
+        return { ...expected, quotedTax: null, difference: null, differencePct: null, status: 'not_quoted', flags };
+    }
+
+    const difference = round2(quotedTax - expected.expectedTax);
+    const differencePct = expected.expectedTax > 0 ? Math.round((difference / expected.expectedTax) * 1000) / 10 : null;
+
+    let status = 'ok';
+    if (expected.surtaxRate === null) {
+        status = 'unknown_county';
+        flags.push(`No surtax rate for ${expected.county || 'this dealer\'s county'} in the rate table; quoted tax not checked`);
+    } else if (difference > rates.toleranceAmount) {
+        status = 'overcharged';
+        flags.push(`Quoted tax is $${difference.toFixed(2)} more than the expected $${expected.expectedTax.toFixed(2)}`);
+    } else if (difference < -rates.toleranceAmount) {
+        status = 'undercharged';
+        flags.push(`Quoted tax is $${Math.abs(difference).toFixed(2)} less than the expected $${expected.expectedTax.toFixed(2)}`);
+    }
+
+    // Name the common padding patterns when the quote matches one of them
+    if (status === 'overcharged') {
+        const rate = expected.stateRate + expected.surtaxRate;
+        const noTradeInCredit = round2((expected.taxableAmount + expected.tradeInCredit) * expected.stateRate +
+            Math.min(expected.taxableAmount + expected.tradeInCredit, rates.surtaxCapPerVehicle) * expected.surtaxRate);
+        const uncappedSurtax = round2(expected.taxableAmount * rate);
+        const taxedGovernmentFees = round2(expected.expectedTax + expected.nonTaxableFees * expected.stateRate);
+
+        if (expected.tradeInCredit > 0 && Math.abs(quotedTax - noTradeInCredit) <= rates.toleranceAmount) {
+            flags.push('Tax appears to be charged on the trade-in value');
+        } else if (Math.abs(quotedTax - uncappedSurtax) <= rates.toleranceAmount) {
+            flags.push(`County surtax appears to be charged beyond the $${rates.surtaxCapPerVehicle.toLocaleString()} cap`);
+        } else if (expected.nonTaxableFees > 0 && Math.abs(quotedTax - taxedGovernmentFees) <= rates.toleranceAmount) {
+            flags.push('Tax appears to be charged on government tag, title or state fees');
+        }
+    }
+
+    return { ...expected, quotedTax, difference, differencePct, status, flags };
+}
+
+// Verify the tax on a deal priced by pricing-engine.js's priceDealFromTasks
+function verifyDealTax({ assessment, pricing }, county, rates = loadTaxRates(), taxonomy = loadFeeTaxonomy()) {
+    return verifyQuotedTax({
+        quotedTax: pricing.tax,
+        price: pricing.basePrice,
+        fees: Array.isArray(assessment.fees) ? assessment.fees : [],
+        tradeInValue: assessment.trade_in_value || 0,
+        county
+    }, rates, taxonomy);
+}
+
+// Tally verification results by status and total the overcharged amount
+function summarizeTaxVerifications(verifications) {
+    const byStatus = { ok: 0, overcharged: 0, undercharged: 0, not_quoted: 0, unknown_county: 0 };
+    let overchargedAmount = 0;
+
+    verifications.forEach(verification => {
+        byStatus[verification.status]++;
+        if (verification.status === 'overcharged') overchargedAmount += verification.difference;
+    });
+
+    return {
+        dealsChecked: verifications.length,
+        byStatus,
+        flaggedDeals: byStatus.overcharged + byStatus.undercharged,
+        overchargedAmount: round2(overchargedAmount)
+    };
+}
+
+module.exports = {
+    loadTaxRates,
+    calculateExpectedTax,
+    verifyQuotedTax,
+    verifyDealTax,
+    summarizeTaxVerifications
+};
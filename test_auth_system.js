@@ -0,0 +1,100 @@
+// Unit tests for auth-system.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    hasRole, createUser, updateUser, deleteUser, login, logout, createToken, revokeToken, parseCookies, authenticateRequest
+} = require('./auth-system.js');
+
+function tempStorePath() {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'auth-store-')), 'auth.json');
+}
+
+// Just enough of an Express request for authenticateRequest
+function request(headers) {
+    return { get: name => headers[name] };
+}
+
+test('createUser hashes the password and rejects bad or duplicate accounts', () => {
+    const storePath = tempStorePath();
+
+    const { user } = createUser({ username: 'ana', password: 'correct horse', role: 'analyst' }, storePath);
+    assert.deepStrictEqual([user.id, user.username, user.role], [1, 'ana', 'analyst']);
+    assert.ok(!fs.readFileSync(storePath, 'utf8').includes('correct horse'));
+
+    assert.ok(createUser({ username: 'ANA', password: 'correct horse', role: 'viewer' }, storePath).conflict);
+    assert.ok(createUser({ username: 'ben', password: 'short', role: 'viewer' }, storePath).error);
+    assert.ok(createUser({ username: 'ben', password: 'long enough pw', role: 'owner' }, storePath).error);
+});
+
+test('login opens a session that authenticates requests until logout', () => {
+    const storePath = tempStorePath();
+    createUser({ username: 'ana', password: 'correct horse', role: 'viewer' }, storePath);
+
+    assert.ok(login('ana', 'wrong password', storePath).error);
+    assert.ok(login('nobody', 'correct horse', storePath).error);
+
+    const { sessionId } = login('ana', 'correct horse', storePath);
+    const req = request({ Cookie: `theme=dark; ralph_session=${sessionId}` });
+    assert.deepStrictEqual([authenticateRequest(req, storePath).username, authenticateRequest(req, storePath).via], ['ana', 'session']);
+    assert.ok(!fs.readFileSync(storePath, 'utf8').includes(sessionId));
+
+    logout(sessionId, storePath);
+    assert.strictEqual(authenticateRequest(req, storePath), null);
+    assert.strictEqual(authenticateRequest(request({}), storePath), null);
+});
+
+test('malformed cookies are skipped instead of failing the request', () => {
+    const storePath = tempStorePath();
+    createUser({ username: 'ana', password: 'correct horse', role: 'viewer' }, storePath);
+    const { sessionId } = login('ana', 'correct horse', storePath);
+
+    // Another app on the same host set a cookie that isn't valid percent-encoding
+    const req = request({ Cookie: `other=%E0%A4%A; ralph_session=${sessionId}` });
+    assert.strictEqual(authenticateRequest(req, storePath).username, 'ana');
+    assert.strictEqual(parseCookies('other=%E0%A4%A').other, '%E0%A4%A');
+
+    assert.deepStrictEqual(parseCookies('ralph_session=%E0%A4%A; theme=dark'), { theme: 'dark' });
+    assert.strictEqual(authenticateRequest(request({ Cookie: 'ralph_session=%E0%A4%A' }), storePath), null);
+});
+
+test('API tokens authenticate as their user until revoked or the user is disabled', () => {
+    const storePath = tempStorePath();
+    createUser({ username: 'root', password: 'correct horse', role: 'admin' }, storePath);
+    const { user } = createUser({ username: 'etl', password: 'correct horse', role: 'analyst' }, storePath);
+
+    const { token, secret } = createToken(user.id, 'nightly export', storePath);
+    const req = request({ Authorization: `Bearer ${secret}` });
+    assert.strictEqual(authenticateRequest(req, storePath).via, 'token');
+
+    updateUser(user.id, { disabled: true }, storePath);
+    assert.strictEqual(authenticateRequest(req, storePath), null);
+    updateUser(user.id, { disabled: false }, storePath);
+
+    assert.ok(revokeToken(token.id, 99, storePath).notFound);
+    assert.ok(revokeToken(token.id, user.id, storePath).revoked);
+    assert.strictEqual(authenticateRequest(req, storePath), null);
+    assert.strictEqual(authenticateRequest(request({ Authorization: 'Bearer rlt_guess' }), storePath), null);
+});
+
+test('the last active admin cannot be demoted, disabled or deleted', () => {
+    const storePath = tempStorePath();
+    const { user: admin } = createUser({ username: 'root', password: 'correct horse', role: 'admin' }, storePath);
+
+    assert.ok(updateUser(admin.id, { role: 'analyst' }, storePath).error);
+    assert.ok(updateUser(admin.id, { disabled: true }, storePath).error);
+    assert.ok(deleteUser(admin.id, storePath).error);
+
+    createUser({ username: 'root2', password: 'correct horse', role: 'admin' }, storePath);
+    assert.strictEqual(updateUser(admin.id, { role: 'analyst' }, storePath).user.role, 'analyst');
+});
+
+test('roles are ordered from viewer to admin', () => {
+    assert.ok(hasRole({ role: 'admin' }, 'analyst'));
+    assert.ok(hasRole({ role: 'analyst' }, 'analyst'));
+    assert.ok(!hasRole({ role: 'viewer' }, 'analyst'));
+    assert.ok(!hasRole(null, 'viewer'));
+});
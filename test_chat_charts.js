@@ -0,0 +1,72 @@
+// Unit tests for chat-charts.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildChartSpec, listPins, getPin, pinChart, unpinChart } = require('./chat-charts.js');
+
+function tempStorePath() {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'pinned-charts-')), 'pinned-charts.json');
+}
+
+const regionRows = [
+    { dealer_region: 'Miami-Dade', illegitimate_fees_per_deal: '412.50', deal_count: 12 },
+    { dealer_region: 'Broward', illegitimate_fees_per_deal: '298.00', deal_count: 9 },
+    { dealer_region: null, illegitimate_fees_per_deal: null, deal_count: 2 }
+];
+
+test('buildChartSpec plots the suggested columns from the result rows', () => {
+    const chart = buildChartSpec({ type: 'bar', title: 'Fees by region', x: 'dealer_region', y: ['illegitimate_fees_per_deal', 'nope'] }, regionRows);
+    assert.deepStrictEqual(chart, {
+        type: 'bar',
+        title: 'Fees by region',
+        x: 'dealer_region',
+        y: ['illegitimate_fees_per_deal'],
+        labels: ['Miami-Dade', 'Broward', '(none)'],
+        series: [{ name: 'illegitimate_fees_per_deal', values: [412.5, 298, null] }],
+        truncated: false
+    });
+
+    const weeks = [{ week: new Date('2026-10-05T00:00:00Z'), deals: '4' }, { week: new Date('2026-10-12T00:00:00Z'), deals: '7' }];
+    assert.deepStrictEqual(buildChartSpec({ type: 'line', x: 'week', y: 'deals' }, weeks).labels, ['2026-10-05', '2026-10-12']);
+});
+
+test('buildChartSpec refuses suggestions that do not fit the rows', () => {
+    assert.strictEqual(buildChartSpec(null, regionRows), null);
+    assert.strictEqual(buildChartSpec({ type: 'radar', x: 'dealer_region', y: ['deal_count'] }, regionRows), null);
+    assert.strictEqual(buildChartSpec({ type: 'bar', x: 'dealer', y: ['deal_count'] }, regionRows), null);
+    assert.strictEqual(buildChartSpec({ type: 'bar', x: 'deal_count', y: ['dealer_region'] }, regionRows), null);
+    assert.strictEqual(buildChartSpec({ type: 'bar', x: 'dealer_region', y: ['deal_count'] }, []), null);
+    assert.strictEqual(buildChartSpec({ type: 'pie', x: 'month', y: ['change'] }, [{ month: 'Sep', change: -3 }, { month: 'Oct', change: 5 }]), null);
+});
+
+test('pie charts fold the smallest slices into Other and tables keep the chosen columns', () => {
+    const rows = Array.from({ length: 10 }, (_, i) => ({ make: `Make ${i}`, deals: 10 - i }));
+    const pie = buildChartSpec({ type: 'pie', x: 'make', y: ['deals'] }, rows);
+    assert.strictEqual(pie.labels.length, 8);
+    assert.strictEqual(pie.labels[7], 'Other');
+    assert.strictEqual(pie.series[0].values[7], 3 + 2 + 1);
+
+    const table = buildChartSpec({ type: 'table', columns: ['deal_count', 'dealer_region'] }, regionRows);
+    assert.deepStrictEqual(table.rows[0], [12, 'Miami-Dade']);
+    assert.deepStrictEqual(table.columns, ['deal_count', 'dealer_region']);
+});
+
+test('pinned charts keep the SQL and chart layout and belong to one user', () => {
+    const storePath = tempStorePath();
+    const chart = buildChartSpec({ type: 'bar', title: 'Fees by region', x: 'dealer_region', y: ['illegitimate_fees_per_deal'] }, regionRows);
+
+    assert.ok(pinChart(1, { question: 'How many deals?', sql: 'SELECT 1', chart: null }, storePath).error);
+    const { pin } = pinChart(1, { question: 'Fees by region?', sql: 'SELECT 1', chart }, storePath);
+    assert.deepStrictEqual(pin.chart, { type: 'bar', title: 'Fees by region', x: 'dealer_region', y: ['illegitimate_fees_per_deal'] });
+    assert.strictEqual(pin.userId, undefined);
+
+    assert.deepStrictEqual(listPins(1, storePath).map(p => p.id), [pin.id]);
+    assert.deepStrictEqual(listPins(2, storePath), []);
+    assert.ok(getPin(pin.id, 2, storePath).notFound);
+    assert.ok(unpinChart(pin.id, 2, storePath).notFound);
+    assert.ok(unpinChart(pin.id, 1, storePath).deleted);
+    assert.deepStrictEqual(listPins(1, storePath), []);
+});
@@ -0,0 +1,129 @@
+// Unit tests for chat-eval.js, the stub LLM provider and streaming answers from the chat agents
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('./config');
+const { createPool } = require('./data-source');
+const { createLlmProvider } = require('./llm-provider.js');
+const { answerQuestion, resultInterpreterAgent } = require('./chat-agents.js');
+const { loadGoldenQuestions, normalizeValue, compareResults, runEval, summarizeEval } = require('./chat-eval.js');
+
+test('compareResults ignores column names and extra columns but not values or order', () => {
+    const expected = [{ vehicle_make: 'Toyota', deal_count: 20 }, { vehicle_make: 'BMW', deal_count: 12 }];
+
+    assert.ok(compareResults(expected, [{ make: 'Toyota', deals: '20', share: 0.6 }, { make: 'BMW', deals: '12', share: 0.4 }]).match);
+    assert.ok(compareResults(expected, [{ make: 'BMW', deals: 12 }, { make: 'Toyota', deals: 20 }]).match);
+    assert.ok(!compareResults(expected, [{ make: 'BMW', deals: 12 }, { make: 'Toyota', deals: 20 }], { ordered: true }).match);
+    assert.strictEqual(compareResults(expected, [{ make: 'Toyota', deals: 21 }, { make: 'BMW', deals: 12 }]).reason, 'no result column matches deal_count');
+    assert.strictEqual(compareResults(expected, [{ make: 'Toyota', deals: 20 }]).reason, 'expected 2 rows, got 1');
+});
+
+test('normalizeValue rounds numbers and shortens midnight timestamps', () => {
+    assert.strictEqual(normalizeValue('797.7222'), 797.72);
+    assert.strictEqual(normalizeValue(new Date('2025-07-01T00:00:00Z')), '2025-07-01');
+    assert.strictEqual(normalizeValue('2025-07-01T00:00:00.000Z'), '2025-07-01');
+    assert.strictEqual(normalizeValue(' Miami-Dade '), 'Miami-Dade');
+    assert.strictEqual(normalizeValue(undefined), null);
+});
+
+test('the stub provider replays recorded responses by agent and question', async () => {
+    const recordingsPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'llm-recordings-')), 'recordings.json');
+    fs.writeFileSync(recordingsPath, JSON.stringify({ responses: [{ agent: 'sql', question: 'How many?', response: 'SELECT 1' }] }));
+    const llm = createLlmProvider({ llmProvider: 'stub', recordingsPath });
+
+    assert.strictEqual(await llm.complete({ agent: 'sql', question: 'How many?', prompt: 'anything' }), 'SELECT 1');
+    await assert.rejects(llm.complete({ agent: 'coordinator', question: 'How many?' }), /No recorded coordinator response/);
+    assert.throws(() => createLlmProvider({ llmProvider: 'gpt', recordingsPath }), /Unknown CHAT_LLM_PROVIDER/);
+});
+
+test('the stub provider streams replies a word at a time and stops when aborted', async () => {
+    const recordingsPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'llm-recordings-')), 'recordings.json');
+    fs.writeFileSync(recordingsPath, JSON.stringify({ responses: [{ agent: 'interpreter', question: 'How many?', response: 'There are 47 dealers' }] }));
+    const llm = createLlmProvider({ llmProvider: 'stub', recordingsPath });
+
+    const words = [];
+    assert.strictEqual(await llm.complete({ agent: 'interpreter', question: 'How many?', onText: text => words.push(text) }), 'There are 47 dealers');
+    assert.deepStrictEqual(words, ['There ', 'are ', '47 ', 'dealers']);
+
+    const controller = new AbortController();
+    const streamed = llm.complete({ agent: 'interpreter', question: 'How many?', signal: controller.signal, onText: () => controller.abort() });
+    await assert.rejects(streamed, { name: 'AbortError' });
+});
+
+test('answerQuestion reports each step and streams the interpreter answer', async () => {
+    const pool = createPool({ ...config, dataSource: { ...config.dataSource, type: 'fixture' } });
+    const llm = createLlmProvider(config.chat, 'stub');
+    const golden = loadGoldenQuestions().find(q => q.id === 'top-makes');
+
+    const events = [];
+    const outcome = await answerQuestion({ llm, pool, question: golden.question, onProgress: (step, data) => events.push({ step, data }) });
+    const steps = events.map(e => e.step);
+    assert.deepStrictEqual(steps.slice(0, 3), ['coordinator', 'sql', 'query']);
+    assert.ok(steps.slice(3).length > 1 && steps.slice(3).every(step => step === 'answer'));
+    assert.strictEqual(events[0].data.canAnswer, true);
+    assert.strictEqual(events[1].data.sql, outcome.sql);
+    assert.deepStrictEqual(events[2].data, { success: true, rowCount: 3, truncated: false, error: null, rejected: false });
+    assert.strictEqual(events.slice(3).map(e => e.data.text).join(''), outcome.answer);
+
+    // Cancelling once the SQL is written stops the question before the query runs
+    const controller = new AbortController();
+    const cancelled = [];
+    await assert.rejects(answerQuestion({
+        llm,
+        pool,
+        question: golden.question,
+        signal: controller.signal,
+        onProgress: step => {
+            cancelled.push(step);
+            if (step === 'sql') controller.abort();
+        }
+    }), { name: 'AbortError' });
+    assert.deepStrictEqual(cancelled, ['coordinator', 'sql']);
+});
+
+test('the interpreter streams only the answer text of its JSON reply, escapes and all', async () => {
+    const reply = '{\n  "answer": "BMW leads with \\"23\\" deals \\u2014 see\\nbelow",\n  "chart": null\n}';
+    const llm = {
+        name: 'fake',
+        complete: async ({ onText }) => {
+            // One character at a time, so every escape is split across chunks
+            for (const char of reply) onText(char);
+            return reply;
+        }
+    };
+
+    const streamed = [];
+    const queryResult = { success: true, rows: [{ make: 'BMW', deals: 23 }], rowCount: 1 };
+    const { answer } = await resultInterpreterAgent(llm, 'Top make?', queryResult, {}, [], text => streamed.push(text));
+    assert.strictEqual(answer, 'BMW leads with "23" deals — see\nbelow');
+    assert.strictEqual(streamed.join(''), answer);
+});
+
+test('the golden questions pass against the fixture database with the recorded responses', async () => {
+    const pool = createPool({ ...config, dataSource: { ...config.dataSource, type: 'fixture' } });
+    const llm = createLlmProvider(config.chat, 'stub');
+
+    const report = await runEval({ llm, pool, questions: loadGoldenQuestions() });
+    assert.deepStrictEqual(report.results.filter(r => !r.match).map(r => `${r.id}: ${r.reason}`), []);
+    assert.strictEqual(report.summary.accuracyPct, 100);
+    assert.ok(report.results.every(r => r.timings.total >= r.timings.execution));
+});
+
+test('summarizeEval reports validity, accuracy and latency percentiles', () => {
+    const summary = summarizeEval([
+        { sqlValid: true, match: true, timings: { total: 100 } },
+        { sqlValid: true, match: false, timings: { total: 300 } },
+        { sqlValid: false, match: false, timings: {} }
+    ]);
+    assert.deepStrictEqual(summary, {
+        questions: 3,
+        sqlValid: 2,
+        sqlValidityPct: 66.7,
+        accurate: 1,
+        accuracyPct: 33.3,
+        latencyMs: { mean: 200, p50: 100, p95: 300 }
+    });
+});
@@ -0,0 +1,82 @@
+// Unit tests for chat-sessions.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    listSessions, getSession, createSession, appendTurn, deleteSession, storedResult, buildHistoryContext
+} = require('./chat-sessions.js');
+
+function tempStorePath() {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'chat-sessions-')), 'chat-sessions.json');
+}
+
+test('sessions keep their turns and are only visible to the user who started them', async () => {
+    const storePath = tempStorePath();
+    const { session } = await createSession(1, { question: 'How many deals are in analysis?', sql: 'SELECT 1', answer: 'There are 12.' }, storePath);
+
+    await appendTurn(session.id, 1, { question: 'What about last month?', sql: 'SELECT 2', answer: 'There were 9.' }, storePath);
+    assert.deepStrictEqual(getSession(session.id, 1, storePath).session.turns.map(t => t.answer), ['There are 12.', 'There were 9.']);
+    assert.deepStrictEqual(listSessions(1, storePath).map(s => [s.title, s.turn_count]), [['How many deals are in analysis?', 2]]);
+
+    assert.ok(getSession(session.id, 2, storePath).notFound);
+    assert.ok((await appendTurn(session.id, 2, { question: 'Hijack' }, storePath)).notFound);
+    assert.deepStrictEqual(listSessions(2, storePath), []);
+    assert.ok((await deleteSession(session.id, 2, storePath)).notFound);
+    assert.ok((await deleteSession(session.id, 1, storePath)).deleted);
+    assert.deepStrictEqual(listSessions(1, storePath), []);
+});
+
+test('overlapping writes keep every session and turn', async () => {
+    const storePath = tempStorePath();
+    const { session } = await createSession(1, { question: 'Deals by state' }, storePath);
+
+    await Promise.all([
+        ...Array.from({ length: 10 }, (_, i) => appendTurn(session.id, 1, { question: `Question ${i}` }, storePath)),
+        ...Array.from({ length: 5 }, (_, i) => createSession(2, { question: `Session ${i}` }, storePath))
+    ]);
+
+    assert.strictEqual(getSession(session.id, 1, storePath).session.turns.length, 11);
+    assert.strictEqual(listSessions(2, storePath).length, 5);
+    assert.ok(!fs.existsSync(`${storePath}.lock`));
+});
+
+test('storedResult keeps the row count, columns and first rows, or the error', () => {
+    const rows = Array.from({ length: 25 }, (_, i) => ({ dealer: `Dealer ${i}`, deals: i }));
+    const stored = storedResult({ success: true, rows, rowCount: 25 });
+    assert.deepStrictEqual([stored.rowCount, stored.columns, stored.rows.length], [25, ['dealer', 'deals'], 10]);
+
+    assert.deepStrictEqual(storedResult({ success: false, error: 'syntax error' }), { error: 'syntax error' });
+    assert.strictEqual(storedResult(null), null);
+});
+
+test('storedResult masks PII in the rows it keeps', () => {
+    const stored = storedResult({
+        success: true,
+        rows: [{ dealer: 'Sunshine Motors', note: 'Call 305-555-0142 or write to sales@example.com' }],
+        rowCount: 1
+    });
+    assert.deepStrictEqual(stored.rows, [{ dealer: 'Sunshine Motors', note: 'Call [phone] or write to [email]' }]);
+});
+
+test('buildHistoryContext gives the agents the recent questions, SQL and results', () => {
+    const turns = Array.from({ length: 7 }, (_, i) => ({
+        question: `Question ${i}`,
+        coordination: { intent: `Intent ${i}` },
+        sql: `SELECT ${i}`,
+        result: { rowCount: 1, columns: ['n'], rows: [{ n: i }] },
+        answer: `Answer ${i}`
+    }));
+
+    const history = buildHistoryContext(turns);
+    assert.ok(!history.includes('Question 1'));
+    assert.ok(history.includes('Question 2\nIntent: Intent 2\nSQL:\nSELECT 2\nResult: 1 rows (columns: n)\n{"n":2}\nAnswer: Answer 2'));
+    assert.ok(history.includes('Question 6'));
+
+    assert.ok(buildHistoryContext([{ question: 'Why?', sql: null, result: null, answer: 'No.' }]).includes('Result: not run'));
+    assert.ok(buildHistoryContext([{ question: 'Fees?', definitions: [{ name: 'analysis_deals' }, { name: 'dealer_region' }] }])
+        .includes('Definitions: analysis_deals, dealer_region'));
+    assert.strictEqual(buildHistoryContext([]), '');
+});
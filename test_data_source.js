@@ -0,0 +1,43 @@
+// Unit tests for data-source.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPool, createFixtureDatabase } = require('./data-source.js');
+const { loadRankingDealers } = require('./dealer-rankings.js');
+
+const FIXTURE_PATH = 'fixtures/offline-db.json';
+
+test('the fixture pool answers the dealer rankings query', async () => {
+    const pool = createPool({ dataSource: { type: 'fixture', fixturePath: FIXTURE_PATH } });
+    const dealers = await loadRankingDealers(pool);
+
+    assert.ok(dealers.length > 0);
+    assert.ok(dealers.every(d => d.dealer_name && d.deals.length > 0));
+
+    // Timestamps come back as dates, as they do from pg
+    const { rows } = await pool.query('SELECT created FROM deals LIMIT 1');
+    assert.ok(rows[0].created instanceof Date);
+});
+
+test('the fixture database emulates the Postgres functions the dashboard queries use', () => {
+    const db = createFixtureDatabase(FIXTURE_PATH);
+    const [row] = db.public.many(`
+        SELECT ROUND(2.345::float, 2) AS rounded, ROUND(2.5::float) AS whole, TRIM('  Doc Fee ') AS trimmed,
+            LEFT('Sunshine', 3) AS prefix, LENGTH('Sunshine') AS chars,
+            date_trunc('week', '2026-03-12T10:00:00Z'::timestamptz) AS week,
+            date_trunc('month', '2026-03-12T10:00:00Z'::timestamptz) AS month,
+            jsonb_typeof('[1]'::jsonb) AS json_type, jsonb_array_length('[1, 2]'::jsonb) AS json_length,
+            ('{"fees": []}'::jsonb ? 'fees') AS has_fees`);
+
+    assert.deepStrictEqual(
+        [row.rounded, row.whole, row.trimmed, row.prefix, row.chars, row.json_type, row.json_length, row.has_fees],
+        [2.35, 3, 'Doc Fee', 'Sun', 8, 'array', 2, true]
+    );
+    // Weeks start on Monday
+    assert.strictEqual(row.week.toISOString(), '2026-03-09T00:00:00.000Z');
+    assert.strictEqual(row.month.toISOString(), '2026-03-01T00:00:00.000Z');
+});
+
+test('createPool rejects an unknown data source', () => {
+    assert.throws(() => createPool({ dataSource: { type: 'sqlite' } }), /Unknown DATA_SOURCE "sqlite"/);
+});
@@ -0,0 +1,69 @@
+// Unit tests for dealer-groups.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveDealerId, getDealerGroupPath, rollupDealerGroups, findDuplicateDealers } = require('./dealer-groups.js');
+const { gradeDealer } = require('./grading-system.js');
+
+const profile = {
+    id: 'test',
+    version: 1,
+    settings: {
+        feeGradeBands: {
+            excessive: { A: 450, B: 550, C: 1248, D: 12767 },
+            illegitimate: { A: 451.5, B: 1231.25, C: 2674.25, D: 19039.45 }
+        },
+        scoreCeilings: { excessive: 1000, illegitimate: 2000 },
+        weights: { excessive: 0.4, illegitimate: 0.6 },
+        overallGradeBands: { A: 90, B: 80, C: 70, D: 60 }
+    }
+};
+
+const groups = [
+    { id: 'national', name: 'National Group', parentId: null, dealerIds: [] },
+    { id: 'south', name: 'South Region', parentId: 'national', dealerIds: [1, 2] },
+    { id: 'solo', name: 'Solo Group', parentId: null, dealerIds: [3] }
+];
+
+test('resolveDealerId follows merges and stops on cycles', () => {
+    assert.strictEqual(resolveDealerId(9, { 9: 1 }), 1);
+    assert.strictEqual(resolveDealerId(12, { 12: 9, 9: 1 }), 1);
+    assert.strictEqual(resolveDealerId(5, { 9: 1 }), 5);
+    assert.ok([1, 2].includes(resolveDealerId(1, { 1: 2, 2: 1 })));
+});
+
+test('getDealerGroupPath walks from the dealer group up to its parents', () => {
+    assert.deepStrictEqual(getDealerGroupPath(2, groups).map(g => g.id), ['south', 'national']);
+    assert.deepStrictEqual(getDealerGroupPath(4, groups), []);
+});
+
+test('rollupDealerGroups pools deals and fee stats for each group and its parents', () => {
+    const dealer = (id, deals) => ({ dealer_id: id, dealer_name: `Dealer ${id}`, deals, grading: gradeDealer(deals, profile) });
+    const rollups = rollupDealerGroups([
+        dealer(1, [{ excessive_fees: 0, illegitimate_fees: 0 }]),
+        dealer(2, [{ excessive_fees: 500, illegitimate_fees: 1000 }, { excessive_fees: 100, illegitimate_fees: 0 }]),
+        dealer(4, [{ excessive_fees: 0, illegitimate_fees: 0 }])
+    ], profile, groups);
+
+    assert.deepStrictEqual(rollups.map(r => r.groupId).sort(), ['national', 'south']);
+    const south = rollups.find(r => r.groupId === 'south');
+    assert.strictEqual(south.dealerCount, 2);
+    assert.strictEqual(south.dealCount, 3);
+    assert.strictEqual(south.feeStats.averageExcessive, 200);
+    assert.strictEqual(south.feeStats.dealsWithIllegitimateFees, 1);
+    assert.strictEqual(rollups.find(r => r.groupId === 'national').dealCount, 3);
+});
+
+test('findDuplicateDealers matches name, address, domain and phone', () => {
+    const dealers = [
+        { id: 1, name: 'Braman BMW', address: '2060 Biscayne Blvd', zip_code: '33137', phone: '(305) 576-1000', website: 'https://www.bramanbmw.com' },
+        { id: 2, name: 'Braman Honda', address: '2901 Okeechobee Blvd', zip_code: '33409', phone: '(561) 684-6666', website: 'https://www.bramanhonda.com' },
+        { id: 9, name: 'Braman BMW Miami', address: '2060 Biscayne Boulevard', zip_code: '33137', phone: '305-576-1000', website: 'http://bramanbmw.com/' }
+    ];
+    const suggestions = findDuplicateDealers(dealers);
+
+    assert.strictEqual(suggestions.length, 1);
+    assert.deepStrictEqual(suggestions[0].dealers.map(d => d.id), [1, 9]);
+    assert.deepStrictEqual(suggestions[0].reasons, ['Same name', 'Same address', 'Same website domain', 'Same phone number']);
+    assert.deepStrictEqual(findDuplicateDealers(dealers, { 9: 1 }), []);
+});
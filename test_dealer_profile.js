@@ -0,0 +1,74 @@
+// Unit tests for dealer-profile.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { calculateResponseTimes, buildGradeHistory, findDealerInitiatives } = require('./dealer-profile.js');
+
+const profile = {
+    id: 'test',
+    version: 1,
+    settings: {
+        feeGradeBands: {
+            excessive: { A: 450, B: 550, C: 1248, D: 12767 },
+            illegitimate: { A: 451.5, B: 1231.25, C: 2674.25, D: 19039.45 }
+        },
+        scoreCeilings: { excessive: 1000, illegitimate: 2000 },
+        weights: { excessive: 0.4, illegitimate: 0.6 },
+        overallGradeBands: { A: 90, B: 80, C: 70, D: 60 },
+        confidence: { priorStrength: 3, minDeals: 3, level: 0.9 }
+    }
+};
+
+test('calculateResponseTimes measures each buyer wait until the dealer replies', () => {
+    const times = calculateResponseTimes([
+        { conversation_id: 1, message_type: 'buyer', created: '2025-07-01T00:00:00Z' },
+        { conversation_id: 1, message_type: 'buyer', created: '2025-07-01T02:00:00Z' },
+        { conversation_id: 1, message_type: 'dealer', created: '2025-07-01T04:00:00Z' },
+        { conversation_id: 1, message_type: 'dealer', created: '2025-07-01T05:00:00Z' },
+        { conversation_id: 2, message_type: 'dealer', created: '2025-07-03T10:00:00Z' },
+        { conversation_id: 2, message_type: 'buyer', created: '2025-07-02T00:00:00Z' },
+        { conversation_id: 3, message_type: 'buyer', created: '2025-07-05T00:00:00Z' }
+    ]);
+
+    assert.deepStrictEqual(times, {
+        responses: 2,
+        unanswered: 1,
+        averageHours: 19,
+        medianHours: 19,
+        fastestHours: 4,
+        slowestHours: 34
+    });
+});
+
+test('calculateResponseTimes handles a dealer with no conversations', () => {
+    const times = calculateResponseTimes([]);
+    assert.strictEqual(times.responses, 0);
+    assert.strictEqual(times.medianHours, null);
+});
+
+test('buildGradeHistory grades every deal up to the end of each month', () => {
+    const prior = { mean: 50, sd: 20, dealCount: 40 };
+    const history = buildGradeHistory([
+        { excessive_fees: 0, illegitimate_fees: 0, date: '2025-08-04T00:00:00Z' },
+        { excessive_fees: 0, illegitimate_fees: 0, date: '2025-07-10T00:00:00Z' },
+        { excessive_fees: 1000, illegitimate_fees: 2000, date: '2025-08-20T00:00:00Z' },
+        { excessive_fees: 0, illegitimate_fees: 0, date: null }
+    ], profile, prior);
+
+    assert.deepStrictEqual(history.map(month => [month.month, month.dealCount, month.provisional]), [
+        ['2025-07', 1, true],
+        ['2025-08', 3, false]
+    ]);
+    assert.strictEqual(history[0].score, 100);
+    assert.strictEqual(history[0].adjustedScore, 62.5);
+});
+
+test('findDealerInitiatives matches dealer IDs stored as numbers or strings', () => {
+    const initiatives = [
+        { id: 1, dealer_ids: [3, 7] },
+        { id: 2, dealer_ids: ['7'] },
+        { id: 3 }
+    ];
+    assert.deepStrictEqual(findDealerInitiatives(initiatives, 7).map(i => i.id), [1, 2]);
+    assert.deepStrictEqual(findDealerInitiatives(initiatives, '3').map(i => i.id), [1]);
+});
@@ -0,0 +1,88 @@
+// Unit tests for fee-taxonomy.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Alias edits go to a temporary file, so the checked-in defaults are only read
+process.env.FEE_TAXONOMY_PATH = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fee-taxonomy-')), 'fee-taxonomy.json');
+const {
+    loadFeeTaxonomy, normalizeFeeName, categorizeFee, setFeeAlias, removeFeeAlias, summarizeFeeCategories
+} = require('./fee-taxonomy.js');
+
+const taxonomy = {
+    categories: [
+        { id: 'doc_fee', label: 'Doc Fee', keywords: ['doc', 'documentation', 'dealer fee'] },
+        { id: 'electronic_filing', label: 'Electronic Filing', keywords: ['filing', 'e-file'] },
+        { id: 'add_on', label: 'Add-On', keywords: ['protection'] }
+    ],
+    aliases: {
+        'doc filing': 'electronic_filing',
+        'etch': 'add_on'
+    }
+};
+
+test('normalizeFeeName ignores case and punctuation', () => {
+    assert.strictEqual(normalizeFeeName('Doc. Fee'), 'doc fee');
+    assert.strictEqual(normalizeFeeName('  DOC-FEE!! '), 'doc fee');
+    assert.strictEqual(normalizeFeeName(null), '');
+});
+
+test('categorizeFee tries an exact alias first, then keywords, then falls back to other', () => {
+    // "Doc" is a Doc Fee keyword, but the alias wins
+    assert.deepStrictEqual(categorizeFee('Doc. Filing', taxonomy), { category: 'electronic_filing', label: 'Electronic Filing', matchedBy: 'alias' });
+    assert.deepStrictEqual(categorizeFee('ETCH', taxonomy), { category: 'add_on', label: 'Add-On', matchedBy: 'alias' });
+
+    assert.deepStrictEqual(categorizeFee('Documentation Fee', taxonomy), { category: 'doc_fee', label: 'Doc Fee', matchedBy: 'keyword' });
+    assert.deepStrictEqual(categorizeFee('E-File Fee', taxonomy), { category: 'electronic_filing', label: 'Electronic Filing', matchedBy: 'keyword' });
+    // Categories are tried in table order when keywords from several match
+    assert.strictEqual(categorizeFee('Doc Filing Fee', taxonomy).category, 'doc_fee');
+
+    // Keywords match whole words only
+    assert.deepStrictEqual(categorizeFee('Docs Fee', taxonomy), { category: 'other', label: 'Other', matchedBy: 'unmapped' });
+    assert.strictEqual(categorizeFee('Paint Protection Film', taxonomy).category, 'add_on');
+    assert.strictEqual(categorizeFee('Nitrogen Tires', taxonomy).category, 'other');
+});
+
+test('an alias points at a known category and can be removed again', () => {
+    assert.strictEqual(setFeeAlias('', 'doc_fee').error, 'Fee name is required');
+    assert.strictEqual(setFeeAlias('Nitrogen Tires', 'no_such_category').error, 'Unknown fee category "no_such_category"');
+    assert.ok(removeFeeAlias('Never Mapped').notFound);
+    // Names of Object.prototype members aren't aliases
+    assert.ok(removeFeeAlias('constructor').notFound);
+    assert.ok(removeFeeAlias('toString').notFound);
+
+    const category = loadFeeTaxonomy().categories[0].id;
+    assert.deepStrictEqual(setFeeAlias('Nitrogen Tires!', category), { alias: 'nitrogen tires', category });
+    assert.deepStrictEqual(categorizeFee('NITROGEN TIRES'), { category, label: loadFeeTaxonomy().categories[0].label, matchedBy: 'alias' });
+    assert.ok(fs.existsSync(process.env.FEE_TAXONOMY_PATH));
+
+    assert.deepStrictEqual(removeFeeAlias('nitrogen-tires'), { alias: 'nitrogen tires' });
+    assert.notStrictEqual(categorizeFee('Nitrogen Tires').matchedBy, 'alias');
+});
+
+test('summarizeFeeCategories counts each deal once and reports the unmapped names', () => {
+    const payload = fees => JSON.stringify({ fees });
+    const rows = [
+        { deal_id: 1, dealer_id: 7, dealer_name: 'Sunshine Motors', payload: payload([
+            { label: 'Doc Fee', amount: 900, assessment: 'EXCESSIVE' },
+            { label: 'Nitrogen Tires', amount: 200, assessment: 'ILLEGITIMATE' }
+        ]) },
+        // The same deal again (one row per task) is skipped
+        { deal_id: 1, dealer_id: 7, dealer_name: 'Sunshine Motors', payload: payload([{ label: 'Doc Fee', amount: 900, assessment: 'EXCESSIVE' }]) },
+        { deal_id: 2, dealer_id: 8, dealer_name: 'Bayside Auto', payload: { fees: [{ label: 'Documentation Fee', amount: 500, assessment: 'NORMAL' }] } },
+        { deal_id: 3, dealer_id: 8, dealer_name: 'Bayside Auto', payload: { notes: 'no fee list' } }
+    ];
+    const summary = summarizeFeeCategories(rows, taxonomy);
+
+    assert.strictEqual(summary.dealsAnalyzed, 2);
+    assert.deepStrictEqual(summary.categories.map(c => [c.category, c.count, c.dealFrequencyPct, c.medianAmount, c.flaggedAmount, c.shareOfFlaggedAmountPct]), [
+        ['doc_fee', 2, 100, 700, 900, 81.8],
+        ['other', 1, 50, 200, 200, 18.2]
+    ]);
+    assert.deepStrictEqual(summary.categories[0].rawNames, ['Doc Fee', 'Documentation Fee']);
+    assert.deepStrictEqual(summary.dealers.map(d => [d.dealerId, d.dealsAnalyzed, d.categories.length]), [[7, 1, 2], [8, 1, 1]]);
+    assert.deepStrictEqual(summary.unmappedNames, [{ name: 'Nitrogen Tires', count: 1 }]);
+});
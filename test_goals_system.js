@@ -0,0 +1,99 @@
+// Unit tests for goals-system.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Campaign edits go to a temporary file, so the checked-in defaults are only read
+process.env.CAMPAIGNS_PATH = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'campaigns-')), 'campaigns.json');
+const {
+    loadCampaigns, getCampaign, createCampaign, updateCampaign, getDealerTarget, calculateCampaignProgress
+} = require('./goals-system.js');
+
+const campaign = {
+    id: 'spring-push',
+    name: 'Spring Push',
+    startDate: '2026-03-01',
+    endDate: '2026-03-31',
+    target: 10,
+    regionTargets: { 'Miami-Dade': 6 },
+    dealerTargets: { 7: 4 }
+};
+
+test('createCampaign validates the campaign and saves it beside the defaults', () => {
+    const defaults = loadCampaigns().campaigns.length;
+
+    assert.strictEqual(createCampaign({ ...campaign, id: 'Spring Push' }).error,
+        'Campaign id is required and may only contain lowercase letters, numbers and dashes');
+    assert.strictEqual(createCampaign({ ...campaign, endDate: '2026-02-01' }).error, 'endDate must be after startDate');
+    assert.strictEqual(createCampaign({ ...campaign, startDate: '03/01/2026' }).error,
+        'startDate and endDate must be dates in YYYY-MM-DD format');
+    ['10', 0, 2.5, null].forEach(target => {
+        assert.strictEqual(createCampaign({ ...campaign, target }).error, 'Targets must be positive whole numbers');
+    });
+    assert.strictEqual(createCampaign({ ...campaign, dealerTargets: { 7: -1 } }).error, 'Targets must be positive whole numbers');
+
+    const { target, ...withoutTarget } = campaign;
+    assert.strictEqual(createCampaign({ ...withoutTarget, active: true }).campaign.target, 10);
+    assert.ok(createCampaign(campaign).error.includes('already exists'));
+
+    assert.strictEqual(loadCampaigns().campaigns.length, defaults + 1);
+    assert.strictEqual(getCampaign().id, 'spring-push');
+    assert.ok(fs.existsSync(process.env.CAMPAIGNS_PATH));
+});
+
+test('updateCampaign keeps the id, validates the changes and reports unknown campaigns', () => {
+    assert.ok(updateCampaign('no-such-campaign', { name: 'Nope' }).notFound);
+    assert.strictEqual(updateCampaign('spring-push', { target: 'lots' }).error, 'Targets must be positive whole numbers');
+
+    const { campaign: updated } = updateCampaign('spring-push', { id: 'renamed', name: 'Spring Sprint', target: 12 });
+    assert.deepStrictEqual([updated.id, updated.name, updated.target], ['spring-push', 'Spring Sprint', 12]);
+    assert.strictEqual(getCampaign('spring-push').target, 12);
+});
+
+test('getDealerTarget prefers the dealer override, then the region, then the campaign target', () => {
+    assert.strictEqual(getDealerTarget(campaign, { dealerId: 7, city: 'Miami', stateCode: 'FL' }), 4);
+    assert.strictEqual(getDealerTarget(campaign, { dealerId: 8, city: 'Miami', stateCode: 'FL' }), 6);
+    assert.strictEqual(getDealerTarget(campaign, { dealerId: 9, city: 'Austin', stateCode: 'TX' }), 10);
+});
+
+test('calculateCampaignProgress caps each dealer at its target and projects completion from the pace', () => {
+    const dealerships = [
+        { dealerId: 7, dealerName: 'Over Target', city: 'Miami', stateCode: 'FL', analysisDeals: 6, campaignAnalysisDeals: 5 },
+        { dealerId: 8, dealerName: 'Halfway', city: 'Miami', stateCode: 'FL', analysisDeals: 3, campaignAnalysisDeals: 3 },
+        { dealerId: 9, dealerName: 'Not Started', city: 'Austin', stateCode: 'TX', analysisDeals: 0, campaignAnalysisDeals: 0 }
+    ];
+    const progress = calculateCampaignProgress(campaign, dealerships, new Date('2026-03-11T15:00:00Z'));
+
+    assert.deepStrictEqual(progress.dealerships.map(d => [d.target, d.dealsNeeded, d.progressPct]), [
+        [4, 0, 100],
+        [6, 3, 50],
+        [10, 10, 0]
+    ]);
+
+    const { timeline, summary } = progress;
+    assert.deepStrictEqual(
+        [timeline.daysElapsed, timeline.daysUntilDeadline, timeline.totalAnalysisNeeded, timeline.currentAnalysis, timeline.analysisStillNeeded],
+        [10, 20, 20, 7, 13]
+    );
+    // 8 campaign deals in 10 days: the other 13 take 17 more days, just inside the deadline
+    assert.strictEqual(timeline.currentDailyRate, 0.8);
+    assert.strictEqual(timeline.dailyRateNeeded, 0.7);
+    assert.strictEqual(timeline.projectedCompletion, '2026-03-28');
+    assert.strictEqual(timeline.onTrack, true);
+
+    assert.deepStrictEqual(
+        [summary.achievedGoal, summary.goodProgress, summary.hasAnalysis, summary.noAnalysis, summary.pctAchieved],
+        [1, 2, 2, 1, 33.3]
+    );
+});
+
+test('calculateCampaignProgress has no projection before any campaign deals', () => {
+    const dealerships = [{ dealerId: 9, dealerName: 'Not Started', city: 'Austin', stateCode: 'TX', analysisDeals: 0, campaignAnalysisDeals: 0 }];
+    const { timeline } = calculateCampaignProgress(campaign, dealerships, new Date('2026-02-15T00:00:00Z'));
+
+    assert.deepStrictEqual([timeline.daysElapsed, timeline.currentDailyRate, timeline.projectedCompletion, timeline.onTrack],
+        [0, 0, null, false]);
+});
@@ -0,0 +1,119 @@
+// Unit tests for grading-system.js and grading-profiles.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { gradeDeal, gradeDealer, gradeDealers, getMarketPrior, explainDealGrade, getThresholds } = require('./grading-system.js');
+const { validateSettings } = require('./grading-profiles.js');
+
+const settings = {
+    feeGradeBands: {
+        excessive: { A: 450, B: 550, C: 1248, D: 12767 },
+        illegitimate: { A: 451.5, B: 1231.25, C: 2674.25, D: 19039.45 }
+    },
+    scoreCeilings: { excessive: 1000, illegitimate: 2000 },
+    weights: { excessive: 0.4, illegitimate: 0.6 },
+    overallGradeBands: { A: 90, B: 80, C: 70, D: 60 }
+};
+const profile = { id: 'test', name: 'Test', version: 1, settings };
+
+test('gradeDeal scores fees against the profile ceilings and weights', () => {
+    const grading = gradeDeal(100, 200, profile);
+
+    assert.strictEqual(grading.scores.excessive, 90);
+    assert.strictEqual(grading.scores.illegitimate, 90);
+    assert.strictEqual(grading.scores.overall, 90);
+    assert.strictEqual(grading.overall.grade, 'A');
+    assert.strictEqual(grading.excessive.grade, 'A');
+});
+
+test('gradeDeal uses the profile fee bands for letter grades', () => {
+    const grading = gradeDeal(500, 0, profile);
+    assert.strictEqual(grading.excessive.grade, 'B');
+
+    const aligned = { ...profile, settings: { ...settings, feeGradeBands: { ...settings.feeGradeBands, excessive: { A: 100, B: 200, C: 300, D: 400 } } } };
+    assert.strictEqual(gradeDeal(500, 0, aligned).excessive.grade, 'F');
+});
+
+test('gradeDeal changes with the profile weights', () => {
+    const weighted = { ...profile, settings: { ...settings, weights: { excessive: 0.5, illegitimate: 0.5 } } };
+
+    assert.strictEqual(gradeDeal(1000, 0, profile).scores.overall, 60);
+    assert.strictEqual(gradeDeal(1000, 0, weighted).scores.overall, 50);
+});
+
+test('gradeDealer averages deal scores', () => {
+    const grading = gradeDealer([
+        { excessive_fees: 0, illegitimate_fees: 0 },
+        { excessive_fees: 1000, illegitimate_fees: 2000 }
+    ], profile);
+
+    assert.strictEqual(grading.averageScores.overall, 50);
+    assert.strictEqual(grading.grade, 'F');
+    assert.deepStrictEqual(grading.gradeDistribution, { A: 1, B: 0, C: 0, D: 0, F: 1 });
+});
+
+test('gradeDealers shrinks small samples toward the market mean', () => {
+    const confident = { ...profile, settings: { ...settings, confidence: { priorStrength: 3, minDeals: 3, level: 0.9 } } };
+    const clean = { excessive_fees: 0, illegitimate_fees: 0 };
+    const padded = { excessive_fees: 1000, illegitimate_fees: 2000 };
+    const [oneDeal, manyDeals, market] = gradeDealers([[clean], Array(12).fill(clean), Array(8).fill(padded)], confident);
+
+    assert.strictEqual(getMarketPrior([clean, padded], confident).mean, 50);
+    assert.ok(oneDeal.adjustedScore < manyDeals.adjustedScore);
+    assert.strictEqual(oneDeal.averageScores.overall, 100);
+    assert.strictEqual(oneDeal.provisional, true);
+    assert.strictEqual(manyDeals.provisional, false);
+    assert.strictEqual(market.provisional, false);
+    assert.ok(oneDeal.confidence.upper - oneDeal.confidence.lower > manyDeals.confidence.upper - manyDeals.confidence.lower);
+    assert.ok(oneDeal.confidence.lower < oneDeal.adjustedScore && oneDeal.adjustedScore < oneDeal.confidence.upper);
+});
+
+test('gradeDealer uses the raw average without confidence settings or a prior', () => {
+    const grading = gradeDealer([{ excessive_fees: 0, illegitimate_fees: 0 }], profile);
+
+    assert.strictEqual(grading.adjustedScore, 100);
+    assert.strictEqual(grading.confidence, null);
+    assert.strictEqual(grading.provisional, false);
+    assert.strictEqual(gradeDealer([], profile).provisional, true);
+});
+
+test('explainDealGrade gives each fee its points and a what-if grade', () => {
+    const breakdown = explainDealGrade([
+        { label: 'Doc Fee', amount: 999, assessment: 'NORMAL' },
+        { label: 'Dealer Prep', amount: 500, assessment: 'EXCESSIVE' },
+        { label: 'Nitrogen Fill', amount: 200, assessment: 'ILLEGITIMATE' },
+        { label: 'Etching', amount: 800, assessment: 'ILLEGITIMATE' }
+    ], profile);
+
+    assert.strictEqual(breakdown.score, 50 * 0.4 + 50 * 0.6);
+    assert.strictEqual(breakdown.grade, 'F');
+    assert.deepStrictEqual(breakdown.totals, { excessive: 500, illegitimate: 1000 });
+
+    const [doc, prep, nitrogen, etching] = breakdown.fees;
+    assert.deepStrictEqual(doc.points, { feeType: 0, overall: 0 });
+    assert.strictEqual(doc.whatIf, null);
+    assert.deepStrictEqual(prep.points, { feeType: 50, overall: 20 });
+    assert.deepStrictEqual(prep.whatIf, { score: 70, grade: 'C' });
+    assert.deepStrictEqual(nitrogen.points, { feeType: 10, overall: 6 });
+    assert.deepStrictEqual(etching.points, { feeType: 40, overall: 24 });
+    assert.match(breakdown.summary, /costliest fee is Etching/);
+});
+
+test('getThresholds builds open-ended F band', () => {
+    const thresholds = getThresholds('illegitimate_fees', profile);
+
+    assert.deepStrictEqual([thresholds.B.min, thresholds.B.max], [451.5, 1231.25]);
+    assert.strictEqual(thresholds.F.max, Infinity);
+    assert.strictEqual(thresholds.A.description, 'Very low illegitimate fees');
+});
+
+test('validateSettings accepts valid settings and rejects inconsistent ones', () => {
+    assert.strictEqual(validateSettings(settings), null);
+    assert.match(validateSettings({ ...settings, weights: { excessive: 0.5, illegitimate: 0.6 } }), /add up to 1/);
+    assert.match(validateSettings({ ...settings, feeGradeBands: { ...settings.feeGradeBands, excessive: { A: 500, B: 400, C: 600, D: 700 } } }), /increase/);
+    assert.match(validateSettings({ ...settings, overallGradeBands: { A: 60, B: 70, C: 80, D: 90 } }), /decrease/);
+    assert.match(validateSettings(undefined), /required/);
+    assert.strictEqual(validateSettings({ ...settings, confidence: { priorStrength: 3, minDeals: 3, level: 0.9 } }), null);
+    assert.match(validateSettings({ ...settings, confidence: { priorStrength: 3, minDeals: 0, level: 0.9 } }), /minDeals/);
+    assert.match(validateSettings({ ...settings, confidence: { priorStrength: 3, minDeals: 3, level: 0.5 } }), /level/);
+});
@@ -0,0 +1,53 @@
+// Unit tests for pii-redaction.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildCustomerContext, redactText, redactPii, redactLogArgument } = require('./pii-redaction.js');
+
+const context = buildCustomerContext([{ name: 'Laura Chen', email: 'lchen@example.org', phone: '5125550143' }]);
+
+test('redactText masks emails, phone numbers and street addresses', () => {
+    const text = 'Reach me at jo.doe+cars@gmail.com or (512) 555-0187, I live at 1234 NW 5th Ave, Apt 2B.';
+    assert.strictEqual(redactText(text), 'Reach me at [email] or [phone], I live at [address].');
+
+    // Bare digit runs are IDs and prices, not phone numbers
+    assert.strictEqual(redactText('Deal 5125550187 is $32,450 and VIN 1HGCM82633A004352'), 'Deal 5125550187 is $32,450 and VIN 1HGCM82633A004352');
+});
+
+test('redactText masks the deal customer by full name, name part and stored contact details', () => {
+    assert.strictEqual(
+        redactText('Hi laura, this is for Laura Chen. Call 5125550143 or write lchen@example.org', context),
+        'Hi [name], this is for [name]. Call [phone] or write [email]'
+    );
+    assert.strictEqual(redactText('Hi Laura'), 'Hi Laura');
+});
+
+test('redactPii masks nested strings and customer fields but keeps identifiers and skipped branches', () => {
+    const body = {
+        deal_id: 301,
+        customer_name: 'Laura Chen',
+        customer_email: null,
+        dealer: { name: 'Velocity Motors', phone: '512-555-0100' },
+        emails: [{ message_id: '1-in-301@notice.drivevelocity.com', body: 'Thanks Laura, call 512-555-0199' }]
+    };
+
+    assert.deepStrictEqual(redactPii(body, context, { skipKeys: ['dealer'] }), {
+        deal_id: 301,
+        customer_name: '[redacted]',
+        customer_email: null,
+        dealer: { name: 'Velocity Motors', phone: '512-555-0100' },
+        emails: [{ message_id: '1-in-301@notice.drivevelocity.com', body: 'Thanks [name], call [phone]' }]
+    });
+    assert.strictEqual(body.customer_name, 'Laura Chen');
+});
+
+test('redactLogArgument masks strings, objects and error messages', () => {
+    assert.strictEqual(redactLogArgument('Sending to ana@example.com'), 'Sending to [email]');
+    assert.deepStrictEqual(redactLogArgument({ to: 'ana@example.com', count: 2 }), { to: '[email]', count: 2 });
+
+    const error = redactLogArgument(new TypeError('No user for 512-555-0187'));
+    assert.ok(error instanceof Error);
+    assert.strictEqual(error.message, 'No user for [phone]');
+    assert.strictEqual(error.name, 'TypeError');
+    assert.strictEqual(redactLogArgument(42), 42);
+});
@@ -0,0 +1,91 @@
+// Unit tests for pipeline-funnel.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { calculateFunnel, getStageDeals, isPipelineStage } = require('./pipeline-funnel.js');
+
+const now = new Date('2026-03-10T00:00:00Z');
+
+const deals = [
+    { id: 1, state: 'analysis', created: '2026-03-01T00:00:00Z', updated: '2026-03-06T00:00:00Z', dealer_id: 7, dealer_name: 'Sunshine Motors' },
+    { id: 2, state: 'convo_established', created: '2026-03-01T00:00:00Z', updated: '2026-03-03T00:00:00Z', dealer_id: 7, dealer_name: 'Sunshine Motors' },
+    { id: 3, state: 'vin_sold', created: '2026-03-02T00:00:00Z', updated: '2026-03-05T00:00:00Z', dealer_id: 8, dealer_name: 'Bayside Auto' },
+    // No state events: the tasks show when it reached outreach and analysis
+    { id: 4, state: 'analysis', created: '2026-03-01T00:00:00Z', updated: '2026-03-03T00:00:00Z', dealer_id: 8, dealer_name: 'Bayside Auto' },
+    // No events or tasks at all: the last update stands in for when it entered its stage
+    { id: 5, state: 'dealer_outreach', created: '2026-03-01T00:00:00Z', updated: '2026-03-08T00:00:00Z', dealer_id: null, dealer_name: null }
+];
+
+const stateChanges = [
+    { deal_id: 1, to_state: 'dealer_outreach', event_timestamp: '2026-03-01T00:00:00Z' },
+    { deal_id: 1, to_state: 'convo_pending', event_timestamp: '2026-03-02T00:00:00Z' },
+    { deal_id: 1, to_state: 'confirm_price', event_timestamp: '2026-03-04T00:00:00Z' },
+    { deal_id: 1, to_state: 'analysis', event_timestamp: '2026-03-06T00:00:00Z' },
+    { deal_id: 2, to_state: 'convo_established', event_timestamp: '2026-03-03T00:00:00Z' },
+    { deal_id: 2, to_state: 'dealer_outreach', event_timestamp: '2026-03-01T00:00:00Z' },
+    { deal_id: 3, to_state: 'dealer_outreach', event_timestamp: '2026-03-02T00:00:00Z' },
+    { deal_id: 3, to_state: 'vin_sold', event_timestamp: '2026-03-05T00:00:00Z' }
+];
+
+const tasks = [
+    { deal_id: 4, task_type: 'DEALER_OUTREACH', created: '2026-03-01T00:00:00Z' },
+    { deal_id: 4, task_type: 'RISK_ASSESSMENT_UPDATE', created: '2026-03-03T00:00:00Z' },
+    { deal_id: 4, task_type: 'SEND_EMAIL', created: '2026-03-02T00:00:00Z' },
+    // Ignored: deal 1 has state events
+    { deal_id: 1, task_type: 'RISK_ASSESSMENT_UPDATE', created: '2026-03-09T00:00:00Z' }
+];
+
+test('calculateFunnel counts current deals per stage and every deal that reached it', () => {
+    const funnel = calculateFunnel(deals, stateChanges, tasks, { now });
+
+    assert.strictEqual(funnel.totalDeals, 5);
+    assert.deepStrictEqual(funnel.stages.map(s => [s.state, s.count, s.reached]), [
+        ['dealer_outreach', 1, 5],
+        ['convo_pending', 0, 3],
+        ['convo_established', 1, 3],
+        ['confirm_car', 0, 2],
+        ['confirm_price', 0, 2],
+        ['clarify_fees', 0, 2],
+        ['analysis', 2, 2]
+    ]);
+    assert.deepStrictEqual(funnel.stages.map(s => s.conversionFromPrevious), [null, 60, 100, 66.67, 100, 100, 100]);
+    assert.deepStrictEqual(funnel.stages.map(s => s.percent), [20, 0, 20, 0, 0, 0, 40]);
+
+    // VIN sold is measured against every deal that entered the funnel
+    assert.deepStrictEqual(funnel.exits.map(s => [s.state, s.count, s.reached, s.conversionFromPrevious]), [['vin_sold', 1, 1, 20]]);
+});
+
+test('calculateFunnel takes the median of completed stays and lists the longest-stuck deals', () => {
+    const funnel = calculateFunnel(deals, stateChanges, tasks, { now });
+    const medians = {};
+    funnel.stages.forEach(s => {
+        medians[s.state] = s.medianDaysInStage;
+    });
+
+    // Outreach stays of 1, 2, 3 and 2 days; deal 5's outreach is still running
+    assert.strictEqual(medians.dealer_outreach, 2);
+    assert.strictEqual(medians.convo_pending, 2);
+    assert.strictEqual(medians.confirm_price, 2);
+    assert.strictEqual(medians.convo_established, null);
+
+    // Deals in analysis or VIN sold are never stuck
+    assert.deepStrictEqual(funnel.stuckDeals.map(d => [d.dealId, d.daysInStage, d.dealerName]), [
+        [2, 7, 'Sunshine Motors'],
+        [5, 2, 'Unknown Dealer']
+    ]);
+    assert.strictEqual(calculateFunnel(deals, stateChanges, tasks, { now, stuckLimit: 1 }).stuckDeals.length, 1);
+});
+
+test('getStageDeals lists the deals in one stage, longest in stage first', () => {
+    assert.deepStrictEqual(getStageDeals(deals, stateChanges, tasks, 'analysis', now).map(d => [d.dealId, d.enteredStageAt, d.daysInStage]), [
+        [4, '2026-03-03T00:00:00.000Z', 7],
+        [1, '2026-03-06T00:00:00.000Z', 4]
+    ]);
+    assert.deepStrictEqual(getStageDeals(deals, stateChanges, tasks, 'confirm_car', now), []);
+});
+
+test('isPipelineStage accepts funnel and exit stages only', () => {
+    assert.ok(isPipelineStage('clarify_fees'));
+    assert.ok(isPipelineStage('vin_sold'));
+    assert.ok(!isPipelineStage('lost'));
+});
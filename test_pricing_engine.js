@@ -0,0 +1,167 @@
+// Unit tests for pricing-engine.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    extractQuotedPrices,
+    sumFeesByAssessment,
+    calculateBottomLine,
+    priceDealFromTasks
+} = require('./pricing-engine.js');
+
+const fees = [
+    { label: 'Doc Fee', amount: 999, assessment: 'NORMAL' },
+    { label: 'Dealer Prep', amount: 495, assessment: 'EXCESSIVE' },
+    { label: 'Nitrogen Fill', amount: 199, assessment: 'ILLEGITIMATE' }
+];
+
+const quoteConversation = [
+    { role: 'user', content: 'Can you send me the out-the-door price?' },
+    { role: 'dealer', content: 'Adjusted Price: 58,793.00\nTax: 3,735.00\nBalance: 65,731.00' }
+];
+
+test('extractQuotedPrices reads adjusted price, tax and balance', () => {
+    assert.deepStrictEqual(extractQuotedPrices(quoteConversation), {
+        adjustedPrice: 58793,
+        tax: 3735,
+        balance: 65731
+    });
+});
+
+test('extractQuotedPrices uses the latest quote', () => {
+    const quoted = extractQuotedPrices([
+        { content: 'Adjusted Price: 40,000.00' },
+        { content: 'Adjusted Price: $39,500' }
+    ]);
+    assert.strictEqual(quoted.adjustedPrice, 39500);
+    assert.strictEqual(quoted.tax, null);
+});
+
+test('extractQuotedPrices ignores messages without text', () => {
+    assert.deepStrictEqual(extractQuotedPrices([null, { content: { html: 'x' } }]), {
+        adjustedPrice: null,
+        tax: null,
+        balance: null
+    });
+});
+
+test('sumFeesByAssessment totals each assessment', () => {
+    assert.deepStrictEqual(sumFeesByAssessment(fees), {
+        normal: 999,
+        excessive: 495,
+        illegitimate: 199,
+        total: 1693
+    });
+});
+
+test('sumFeesByAssessment counts unassessed fees in the total only', () => {
+    const totals = sumFeesByAssessment([{ amount: 50 }, { amount: null, assessment: 'NORMAL' }]);
+    assert.deepStrictEqual(totals, { normal: 0, excessive: 0, illegitimate: 0, total: 50 });
+});
+
+test('calculateBottomLine prices a deal from its risk assessment', () => {
+    const result = calculateBottomLine({ fees, offerPrice: 60000, tax: 3600, advertisedPrice: 61000 });
+
+    assert.strictEqual(result.internetPrice, 61000);
+    assert.strictEqual(result.basePrice, 60000);
+    assert.strictEqual(result.currentBottomLinePrice, 60000 + 3600 + 1693);
+    assert.strictEqual(result.fairBottomLinePrice, 60000 + 3600 + 1693 - 199);
+    assert.strictEqual(result.bottomLinePriceDifference, 199);
+    assert.deepStrictEqual(result.sources, {
+        offerPrice: 'risk_assessment',
+        tax: 'risk_assessment',
+        internetPrice: 'listing',
+        basePrice: 'offer'
+    });
+    assert.ok(!result.adjustments.some(a => a.step === 'small_deal_adjustment'));
+});
+
+test('calculateBottomLine adds the small-deal adjustment under $50,000', () => {
+    const result = calculateBottomLine({ fees, offerPrice: 30000, tax: 1800, advertisedPrice: 31000 });
+
+    assert.strictEqual(result.currentBottomLinePrice, 33493);
+    assert.strictEqual(result.fairBottomLinePrice, 33493 - 199 + 100);
+    assert.strictEqual(result.bottomLinePriceDifference, 99);
+
+    const adjustment = result.adjustments.find(a => a.step === 'small_deal_adjustment');
+    assert.strictEqual(adjustment.amount, 100);
+    assert.match(adjustment.explanation, /50,000/);
+});
+
+test('calculateBottomLine falls back to the dealer quote when the offer price is missing', () => {
+    const result = calculateBottomLine({ fees: [], offerPrice: 0, tax: 0, conversation: quoteConversation });
+
+    assert.strictEqual(result.offerPrice, 58793);
+    assert.strictEqual(result.tax, 3735);
+    assert.strictEqual(result.quotedBalance, 65731);
+    assert.strictEqual(result.sources.offerPrice, 'quote');
+    assert.strictEqual(result.sources.tax, 'quote');
+    assert.strictEqual(result.currentBottomLinePrice, 58793 + 3735);
+});
+
+test('calculateBottomLine estimates the internet price when the listing has none', () => {
+    const result = calculateBottomLine({ fees: [], offerPrice: 40000, tax: 0 });
+
+    assert.strictEqual(result.internetPrice, 42000);
+    assert.strictEqual(result.sources.internetPrice, 'estimated');
+    assert.strictEqual(result.sources.tax, 'missing');
+});
+
+test('calculateBottomLine starts from the internet price without an offer price', () => {
+    const result = calculateBottomLine({ fees, offerPrice: 0, tax: 2000, advertisedPrice: 45000 });
+
+    assert.strictEqual(result.basePrice, 45000);
+    assert.strictEqual(result.sources.offerPrice, 'missing');
+    assert.strictEqual(result.sources.basePrice, 'internet');
+    assert.strictEqual(result.currentBottomLinePrice, 45000 + 2000 + 1693);
+});
+
+test('calculateBottomLine explains every step in order', () => {
+    const result = calculateBottomLine({ fees, offerPrice: 30000, tax: 1800, advertisedPrice: 31000 });
+
+    assert.deepStrictEqual(result.adjustments.map(a => a.step), [
+        'offer_price',
+        'tax',
+        'internet_price',
+        'base_price',
+        'fees',
+        'current_bottom_line_price',
+        'remove_illegitimate_fees',
+        'small_deal_adjustment',
+        'fair_bottom_line_price'
+    ]);
+    result.adjustments.forEach(a => assert.ok(a.explanation.length > 0));
+});
+
+test('priceDealFromTasks prefers the latest risk assessment update', () => {
+    const tasks = [
+        { task_type: 'RISK_ASSESSMENT_UPDATE', payload: JSON.stringify({ fees, offer_price: 0, tax: 0, flags: [] }) },
+        { task_type: 'INVOKE_DEAL_ACTION', meta: { request: { conversation: quoteConversation } } },
+        { task_type: 'RISK_ASSESSMENT_UPDATE', payload: { fees: [], offer_price: 10000, tax: 0 } }
+    ];
+    const result = priceDealFromTasks(tasks, 60000);
+
+    assert.strictEqual(result.source, 'risk_assessment_update');
+    assert.strictEqual(result.assessment.flags.length, 0);
+    assert.strictEqual(result.pricing.offerPrice, 58793);
+    assert.strictEqual(result.pricing.currentBottomLinePrice, 58793 + 3735 + 1693);
+});
+
+test('priceDealFromTasks falls back to the deal risk summary', () => {
+    const tasks = [{
+        task_type: 'INVOKE_DEAL_ACTION',
+        meta: {
+            deal_risk_summary: { fees, offer_price: 30000, tax: 1800 },
+            request: { conversation: [] }
+        }
+    }];
+    const result = priceDealFromTasks(tasks, null);
+
+    assert.strictEqual(result.source, 'deal_risk_summary');
+    assert.strictEqual(result.pricing.internetPrice, 31500);
+    assert.strictEqual(result.pricing.fairBottomLinePrice, 33493 - 199 + 100);
+});
+
+test('priceDealFromTasks returns null without a risk assessment', () => {
+    assert.strictEqual(priceDealFromTasks([{ task_type: 'DEALER_OUTREACH', payload: {} }]), null);
+});
@@ -0,0 +1,139 @@
+// Unit tests for record-store.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    listRecords, getRecord, createRecord, updateRecord, deleteRecord, restoreRecord, replaceRecords, recordAccess, queryAudit,
+    importJsonBinRecord
+} = require('./record-store.js');
+
+function tempStorePath() {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'record-store-')), 'record-store.json');
+}
+
+test('createRecord assigns sequential IDs and version 1', async () => {
+    const storePath = tempStorePath();
+
+    const first = await createRecord('mystery_shopping_issues', { text: 'First', completed: false }, 'ana', storePath);
+    const second = await createRecord('mystery_shopping_issues', { text: 'Second', completed: false }, 'ana', storePath);
+
+    assert.strictEqual(first.record.id, 1);
+    assert.strictEqual(second.record.id, 2);
+    assert.strictEqual(second.record.version, 1);
+    assert.deepStrictEqual(listRecords('mystery_shopping_issues', storePath).records.map(r => r.text), ['First', 'Second']);
+    assert.ok(!fs.existsSync(`${storePath}.lock`));
+});
+
+test('updateRecord rejects a stale version instead of overwriting', async () => {
+    const storePath = tempStorePath();
+    const { record } = await createRecord('bait_switch_initiatives', { title: 'Flyers', steps: [] }, 'ana', storePath);
+
+    const saved = await updateRecord('bait_switch_initiatives', record.id, { title: 'Flyers v2' }, 1, 'ana', storePath);
+    assert.strictEqual(saved.record.version, 2);
+    assert.strictEqual(saved.record.created_at, record.created_at);
+
+    // A second user still holding version 1
+    const stale = await updateRecord('bait_switch_initiatives', record.id, { title: 'Radio' }, 1, 'ben', storePath);
+    assert.strictEqual(stale.conflict.title, 'Flyers v2');
+    assert.strictEqual(listRecords('bait_switch_initiatives', storePath).records[0].title, 'Flyers v2');
+
+    assert.ok((await updateRecord('bait_switch_initiatives', record.id, { title: 'x' }, undefined, 'ana', storePath)).error);
+    assert.ok((await updateRecord('bait_switch_initiatives', 99, { title: 'x' }, 1, 'ana', storePath)).notFound);
+});
+
+test('concurrent writes are serialized without losing records', async () => {
+    const storePath = tempStorePath();
+
+    await Promise.all(Array.from({ length: 10 }, (_, i) =>
+        createRecord('team_members', { name: `Member ${i}` }, 'ana', storePath)));
+
+    const { records, version } = listRecords('team_members', storePath);
+    assert.strictEqual(records.length, 10);
+    assert.deepStrictEqual(records.map(r => r.id).sort((a, b) => a - b), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    assert.strictEqual(version, 10);
+});
+
+test('deleteRecord and replaceRecords check versions when given', async () => {
+    const storePath = tempStorePath();
+    const { record } = await createRecord('team_members', { name: 'Ana' }, 'ana', storePath);
+    await updateRecord('team_members', record.id, { name: 'Ana B' }, 1, 'ana', storePath);
+
+    assert.ok((await deleteRecord('team_members', record.id, 1, 'ana', storePath)).conflict);
+
+    const stale = await replaceRecords('team_members', [], 1, 'ana', storePath);
+    assert.strictEqual(stale.conflict.version, 2);
+
+    const replaced = await replaceRecords('team_members', [{ id: record.id, name: 'Ana C' }, { name: 'Ben' }], 2, 'ana', storePath);
+    assert.deepStrictEqual(replaced.records.map(r => [r.id, r.name, r.version]), [[1, 'Ana C', 3], [2, 'Ben', 1]]);
+
+    assert.ok((await deleteRecord('team_members', 2, undefined, 'ana', storePath)).record);
+    assert.strictEqual(listRecords('team_members', storePath).records.length, 1);
+});
+
+test('every write is audited with actor and diff, and deletes can be restored', async () => {
+    const storePath = tempStorePath();
+    const { record } = await createRecord('mystery_shopping_issues', { text: 'Door fee', completed: false }, 'ana', storePath);
+    await updateRecord('mystery_shopping_issues', record.id, { completed: true }, 1, 'ben', storePath);
+    await deleteRecord('mystery_shopping_issues', record.id, 2, 'ben', storePath);
+
+    assert.strictEqual(listRecords('mystery_shopping_issues', storePath).records.length, 0);
+    assert.strictEqual(getRecord('mystery_shopping_issues', record.id, storePath), null);
+    assert.ok((await updateRecord('mystery_shopping_issues', record.id, { text: 'x' }, 3, 'ben', storePath)).notFound);
+
+    const restored = await restoreRecord('mystery_shopping_issues', record.id, 'ana', storePath);
+    assert.strictEqual(restored.record.version, 4);
+    assert.strictEqual(restored.record.deleted_at, undefined);
+    assert.strictEqual(listRecords('mystery_shopping_issues', storePath).records[0].completed, true);
+    assert.ok((await restoreRecord('mystery_shopping_issues', record.id, 'ana', storePath)).error);
+
+    const entries = queryAudit({ collection: 'mystery_shopping_issues', recordId: record.id }, storePath);
+    assert.deepStrictEqual(entries.map(e => [e.action, e.actor]), [['restore', 'ana'], ['delete', 'ben'], ['update', 'ben'], ['create', 'ana']]);
+    assert.deepStrictEqual(entries[2].diff, { completed: { before: false, after: true } });
+    assert.deepStrictEqual(entries[3].diff.text, { before: null, after: 'Door fee' });
+    assert.strictEqual(entries[1].diff.deleted_by.after, 'ben');
+    assert.strictEqual(queryAudit({ actor: 'ben', action: 'delete' }, storePath).length, 1);
+});
+
+test('replaceRecords audits each created, changed and removed record', async () => {
+    const storePath = tempStorePath();
+    await replaceRecords('team_members', [{ name: 'Ana' }, { name: 'Ben' }], 0, 'ana', storePath);
+    await replaceRecords('team_members', [{ id: 1, name: 'Ana' }, { name: 'Cy' }], 1, 'ben', storePath);
+
+    const entries = queryAudit({ actor: 'ben' }, storePath);
+    assert.deepStrictEqual(entries.map(e => [e.action, e.recordId]).sort(), [['create', 3], ['delete', 2]]);
+    assert.deepStrictEqual(listRecords('team_members', storePath).records.map(r => r.name), ['Ana', 'Cy']);
+    assert.strictEqual((await restoreRecord('team_members', 2, 'ana', storePath)).record.name, 'Ben');
+});
+
+test('recordAccess logs an unmask with its reason alongside record changes', async () => {
+    const storePath = tempStorePath();
+    await createRecord('team_members', { name: 'Ana' }, 'ana', storePath);
+    await recordAccess('ben', { action: 'unmask', resource: '/api/deal-emails/301', reason: 'Customer dispute' }, storePath);
+
+    const [entry] = queryAudit({ action: 'unmask' }, storePath);
+    assert.deepStrictEqual([entry.actor, entry.resource, entry.reason], ['ben', '/api/deal-emails/301', 'Customer dispute']);
+    assert.strictEqual(queryAudit({}, storePath).length, 2);
+    assert.strictEqual(queryAudit({ collection: 'team_members' }, storePath).length, 1);
+});
+
+test('importJsonBinRecord keeps existing IDs, continues above them and only runs once', async () => {
+    const storePath = tempStorePath();
+
+    const result = await importJsonBinRecord({
+        bait_switch_initiatives: [{ id: 1723000000000, title: 'Flyers', team_members: [1723000000005] }],
+        team_members: [{ id: 1723000000005, name: 'Ana' }]
+    }, storePath);
+    assert.deepStrictEqual(result.counts, { bait_switch_initiatives: 1, mystery_shopping_issues: 0, team_members: 1 });
+
+    const [initiative] = listRecords('bait_switch_initiatives', storePath).records;
+    assert.strictEqual(initiative.id, 1723000000000);
+    assert.strictEqual(initiative.version, 1);
+
+    const { record } = await createRecord('team_members', { name: 'Ben' }, 'ana', storePath);
+    assert.strictEqual(record.id, 1723000000006);
+
+    assert.ok((await importJsonBinRecord({ team_members: [] }, storePath)).error);
+});
@@ -0,0 +1,110 @@
+// Unit tests for scorecard-system.js and pdf-writer.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildScorecard, renderScorecardPdf, getScorecardFilename } = require('./scorecard-system.js');
+const { wrapText, textWidth } = require('./pdf-writer.js');
+const { gradeDealer, getGradingExplanation } = require('./grading-system.js');
+
+const profile = {
+    id: 'test',
+    name: 'Test Profile',
+    version: 2,
+    settings: {
+        feeGradeBands: {
+            excessive: { A: 450, B: 550, C: 1248, D: 12767 },
+            illegitimate: { A: 451.5, B: 1231.25, C: 2674.25, D: 19039.45 }
+        },
+        scoreCeilings: { excessive: 1000, illegitimate: 2000 },
+        weights: { excessive: 0.4, illegitimate: 0.6 },
+        overallGradeBands: { A: 90, B: 80, C: 70, D: 60 }
+    }
+};
+
+const deals = [
+    { excessive_fees: 600, illegitimate_fees: 0 },
+    { excessive_fees: 400, illegitimate_fees: 1000 }
+];
+
+function category(index) {
+    return {
+        category: `category-${index}`,
+        label: `Category (${index})`,
+        dealCount: 1,
+        dealFrequencyPct: 50,
+        medianAmount: 100 + index,
+        flaggedPct: 100,
+        flaggedAmount: 100 + index,
+        shareOfFlaggedAmountPct: 10
+    };
+}
+
+function scorecardFor(feeCategories) {
+    return buildScorecard({
+        ranking: {
+            dealer_id: 1,
+            dealer_name: 'Braman BMW',
+            group: { id: 'braman', name: 'Braman' },
+            grading: gradeDealer(deals, profile)
+        },
+        rank: 2,
+        totalRanked: 10,
+        dealer: { name: 'Braman BMW', address: '2060 Biscayne Blvd', city: 'Miami', state_code: 'FL', zip_code: '33137' },
+        feeCategories,
+        profile,
+        explanation: getGradingExplanation(profile),
+        generatedAt: new Date('2025-09-01T12:00:00Z')
+    });
+}
+
+// Check the cross-reference table points at each object, as PDF readers expect
+function assertValidPdf(pdf) {
+    const text = pdf.toString('latin1');
+    assert.ok(text.startsWith('%PDF-1.4'));
+    assert.ok(text.trimEnd().endsWith('%%EOF'));
+
+    const startxref = parseInt(text.match(/startxref\n(\d+)/)[1]);
+    assert.ok(text.startsWith('xref', startxref));
+    const offsets = text.slice(startxref).match(/^\d{10} 00000 n /gm).map(entry => parseInt(entry));
+    offsets.forEach((offset, index) => {
+        assert.ok(text.startsWith(`${index + 1} 0 obj`, offset), `object ${index + 1} at ${offset}`);
+    });
+    return text;
+}
+
+test('buildScorecard grades each fee type and carries rank and deal count', () => {
+    const scorecard = scorecardFor([]);
+
+    assert.strictEqual(scorecard.dealer.name, 'Braman BMW');
+    assert.strictEqual(scorecard.dealer.group, 'Braman');
+    assert.strictEqual(scorecard.rank, 2);
+    assert.strictEqual(scorecard.totalRanked, 10);
+    assert.strictEqual(scorecard.dealCount, 2);
+    assert.strictEqual(scorecard.excessive.averageFees, 500);
+    assert.strictEqual(scorecard.excessive.grade, 'B');
+    assert.strictEqual(scorecard.illegitimate.averageFees, 500);
+    assert.strictEqual(scorecard.illegitimate.grade, 'B');
+    assert.strictEqual(scorecard.explanation.profile.version, 2);
+    assert.ok(!scorecard.dealerExplanation.includes('\n'));
+});
+
+test('renderScorecardPdf writes a readable PDF and spills long breakdowns onto more pages', () => {
+    const short = assertValidPdf(renderScorecardPdf(scorecardFor([category(1)])));
+    assert.match(short, /\/Count 1 >>/);
+    assert.match(short, /\/Title \(Braman BMW scorecard\)/);
+
+    const long = assertValidPdf(renderScorecardPdf(scorecardFor(Array.from({ length: 40 }, (_, i) => category(i)))));
+    assert.match(long, /\/Count 2 >>/);
+});
+
+test('wrapText keeps lines within the width', () => {
+    const lines = wrapText('Fees that are unnecessary, deceptive, or potentially illegal', 10, 120);
+
+    assert.ok(lines.length > 1);
+    lines.forEach(line => assert.ok(textWidth(line, 10) <= 120, line));
+    assert.strictEqual(lines.join(' '), 'Fees that are unnecessary, deceptive, or potentially illegal');
+});
+
+test('getScorecardFilename uses the dealer ID and a name slug', () => {
+    assert.strictEqual(getScorecardFilename(scorecardFor([])), 'scorecard-1-braman-bmw.pdf');
+});
@@ -0,0 +1,51 @@
+// Unit tests for semantic-layer.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { getDefinitions, resolveDefinitions, composeQuery, findUsedDefinitions } = require('./semantic-layer.js');
+const { validateChatSql } = require('./sql-guard.js');
+
+const profile = {
+    settings: {
+        scoreCeilings: { excessive: 1000, illegitimate: 500 },
+        weights: { excessive: 0.4, illegitimate: 0.6 },
+        overallGradeBands: { A: 85, B: 70, C: 55, D: 40 }
+    }
+};
+
+test('every definition composes into a query the SQL guard accepts', () => {
+    const definitions = getDefinitions(profile);
+    const filters = definitions.filter(d => d.kind === 'filter');
+    definitions.filter(d => d.kind !== 'filter').forEach(definition => {
+        const sql = composeQuery([definition, ...filters]);
+        assert.ok(!validateChatSql(sql).error, `${definition.name}: ${validateChatSql(sql).error}`);
+    });
+});
+
+test('composeQuery groups metrics by the chosen dimensions', () => {
+    const { definitions, unknown } = resolveDefinitions(['dealer_region', 'illegitimate_fees_per_deal', 'analysis_deals', 'fee_vibes'], getDefinitions(profile));
+    assert.deepStrictEqual(definitions.map(d => d.name), ['dealer_region', 'illegitimate_fees_per_deal', 'analysis_deals']);
+    assert.deepStrictEqual(unknown, ['fee_vibes']);
+
+    const sql = composeQuery(definitions);
+    assert.match(sql, /AS dealer_region,\n    ROUND\(AVG\(ra\.illegitimate_fees\), 2\) AS illegitimate_fees_per_deal/);
+    assert.match(sql, /WHERE \(d\.state = 'analysis'/);
+    assert.match(sql, /GROUP BY CASE LOWER\(TRIM\(dl\.city\)\) .*WHEN 'miami' THEN 'Miami-Dade'/);
+    assert.strictEqual(composeQuery(resolveDefinitions(['analysis_deals'], getDefinitions(profile)).definitions), null);
+});
+
+test('grades follow the grading profile bands', () => {
+    const grade = getDefinitions(profile).find(d => d.name === 'dealer_grade').sql;
+    assert.match(grade, />= 85 THEN 'A' WHEN .* >= 70 THEN 'B' WHEN .* >= 55 THEN 'C' WHEN .* >= 40 THEN 'D' ELSE 'F' END$/);
+    assert.match(grade, /ra\.illegitimate_fees >= 500 THEN 0/);
+});
+
+test('findUsedDefinitions reports what a query uses, not definitions nested in others', () => {
+    const definitions = getDefinitions(profile);
+    const sql = `select dl.name, count( distinct d.id ) as deals
+        from deals d left join listings l on l.deal_id = d.id left join dealers dl on dl.id = l.dealer_id
+        where d.state = 'analysis' and d.is_active = true and d.deleted is null and dl.state_code = 'FL'
+        group by dl.name`;
+    assert.deepStrictEqual(findUsedDefinitions(sql, definitions).map(d => d.name), ['analysis_deals', 'deal_count', 'dealer']);
+    assert.deepStrictEqual(findUsedDefinitions(null, definitions), []);
+});
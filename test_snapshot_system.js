@@ -0,0 +1,85 @@
+// Unit tests for snapshot-system.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getSnapshotHistory, getSnapshotCampaignProgress, calculateBurndown } = require('./snapshot-system.js');
+
+const campaign = {
+    id: 'march-push',
+    name: 'March Push',
+    startDate: '2026-03-01',
+    endDate: '2026-03-05',
+    target: 10,
+    regionTargets: {},
+    dealerTargets: { 2: 5 }
+};
+
+function snapshot(date, analysisDeals) {
+    return {
+        date,
+        capturedAt: `${date}T12:00:00.000Z`,
+        dealers: analysisDeals.map((count, index) => ({
+            dealerId: index + 1,
+            dealerName: `Dealer ${index + 1}`,
+            city: 'Austin',
+            stateCode: 'TX',
+            analysisDeals: count,
+            totalDeals: count + 3
+        }))
+    };
+}
+
+function tempStore(snapshots) {
+    const storePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'metric-snapshots-')), 'metric-snapshots.json');
+    const byDate = {};
+    snapshots.forEach(s => {
+        byDate[s.date] = s;
+    });
+    fs.writeFileSync(storePath, JSON.stringify({ snapshots: byDate }));
+    return storePath;
+}
+
+test('getSnapshotHistory returns the snapshots in the date range, oldest first', () => {
+    const storePath = tempStore([snapshot('2026-03-04', [1]), snapshot('2026-02-27', [0]), snapshot('2026-03-02', [1])]);
+
+    assert.deepStrictEqual(getSnapshotHistory(storePath, '2026-03-01', '2026-03-04').map(s => s.date), ['2026-03-02', '2026-03-04']);
+    assert.deepStrictEqual(getSnapshotHistory(storePath).map(s => s.date), ['2026-02-27', '2026-03-02', '2026-03-04']);
+    assert.deepStrictEqual(getSnapshotHistory(path.join(os.tmpdir(), 'no-such-snapshots.json')), []);
+});
+
+test('getSnapshotCampaignProgress counts the deals still needed against each dealer target', () => {
+    // Dealer 1 needs 10 and has 4; dealer 2 needs 5 and has 7, which doesn't make up for dealer 1
+    assert.deepStrictEqual(getSnapshotCampaignProgress(snapshot('2026-03-02', [4, 7]), campaign), {
+        dealersAtTarget: 1,
+        totalAnalysisNeeded: 15,
+        analysisStillNeeded: 6
+    });
+});
+
+test('calculateBurndown has a point per campaign day with the ideal line from the first snapshot', () => {
+    const storePath = tempStore([
+        snapshot('2026-02-28', [0, 0]),
+        snapshot('2026-03-02', [2, 1]),
+        snapshot('2026-03-04', [8, 5])
+    ]);
+    const { points } = calculateBurndown(storePath, campaign);
+
+    assert.deepStrictEqual(points, [
+        { date: '2026-03-01', remaining: null, ideal: null },
+        { date: '2026-03-02', remaining: 12, ideal: 12 },
+        { date: '2026-03-03', remaining: null, ideal: 8 },
+        { date: '2026-03-04', remaining: 2, ideal: 4 },
+        { date: '2026-03-05', remaining: null, ideal: 0 }
+    ]);
+});
+
+test('calculateBurndown has no ideal line before any snapshot in the campaign', () => {
+    const storePath = tempStore([snapshot('2026-02-28', [0, 0])]);
+    const { points } = calculateBurndown(storePath, campaign);
+
+    assert.strictEqual(points.length, 5);
+    assert.ok(points.every(point => point.remaining === null && point.ideal === null));
+});
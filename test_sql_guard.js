@@ -0,0 +1,130 @@
+// Unit tests for sql-guard.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateChatSql, runReadOnlyQuery } = require('./sql-guard.js');
+
+// Records the statements run on one connection and answers the capped query with `rowCount` rows
+function fakePool(rowCount, failOn = null) {
+    const statements = [];
+    const client = {
+        released: false,
+        query: async sql => {
+            statements.push(sql);
+            if (failOn && sql.includes(failOn)) throw Object.assign(new Error('canceling statement due to statement timeout'), { code: '57014' });
+            return { rows: sql.includes('chat_query') ? Array.from({ length: rowCount }, (_, i) => ({ n: i })) : [] };
+        },
+        release: () => { client.released = true; }
+    };
+    return { statements, client, connect: async () => client };
+}
+
+test('validateChatSql accepts read queries over allowed tables and strips the terminator', () => {
+    const sql = `WITH dealer_counts AS (
+  SELECT d.id, COUNT(deals.id) AS deal_count
+  FROM dealers d
+  LEFT JOIN listings l ON d.id = l.dealer_id
+  LEFT JOIN deals ON l.deal_id = deals.id AND deals.deleted IS NULL
+  WHERE d.deleted IS NULL AND d.city ILIKE '%miami%'
+  GROUP BY d.id
+)
+SELECT ROUND(COUNT(CASE WHEN deal_count >= 3 THEN 1 END) * 100.0 / COUNT(*), 2) AS percentage
+FROM dealer_counts; -- dealers with 3+ deals`;
+
+    assert.strictEqual(validateChatSql(sql).sql, sql.slice(0, sql.lastIndexOf(';')));
+    assert.ok(validateChatSql("SELECT date_trunc('month', created) AS month, count(*) FROM deals GROUP BY 1 ORDER BY month").sql);
+    assert.ok(validateChatSql('SELECT * FROM (SELECT state, count(*) AS n FROM deals GROUP BY state) s ORDER BY s.n DESC').sql);
+});
+
+test('validateChatSql rejects writes, extra statements and row locking', () => {
+    assert.strictEqual(validateChatSql('DELETE FROM deals').error, 'Only SELECT queries are allowed');
+    assert.match(validateChatSql('WITH gone AS (DELETE FROM deals RETURNING id) SELECT count(*) FROM gone').error, /Only SELECT queries/);
+    assert.strictEqual(validateChatSql('SELECT id FROM deals; DROP TABLE deals').error, 'Only one statement can be run at a time');
+    assert.match(validateChatSql('SELECT id FROM deals FOR UPDATE').error, /Row locking/);
+    assert.match(validateChatSql('SELEC id FROM deals').error, /could not be parsed/);
+});
+
+test('validateChatSql enforces the table, column and function allowlists', () => {
+    assert.strictEqual(validateChatSql('SELECT pg_sleep(10)').error, 'Function pg_sleep is not allowed');
+    assert.match(validateChatSql('SELECT id FROM deals WHERE pg_catalog.pg_sleep(1) IS NULL').error, /pg_catalog\.pg_sleep is not allowed/);
+    assert.match(validateChatSql('SELECT id FROM generate_series(1, 10) g(id)').error, /cannot be used in FROM/);
+    assert.match(validateChatSql('SELECT name, email FROM customers').error, /Table customers is not available/);
+    assert.match(validateChatSql('SELECT usename FROM pg_catalog.pg_user').error, /Table pg_catalog\.pg_user/);
+    assert.strictEqual(validateChatSql('SELECT m.body FROM messages m').error, 'Column messages.body is not available to chat queries');
+    assert.match(validateChatSql("SELECT payload->>'to' FROM deal_tasks").error, /Column payload/);
+    assert.match(validateChatSql('SELECT * FROM messages').error, /SELECT \* is not allowed/);
+    assert.match(validateChatSql('SELECT d.* FROM deals d').error, /SELECT \* is not allowed/);
+});
+
+test('validateChatSql does not let a WITH query stand in for a table it is named after', () => {
+    assert.match(validateChatSql('WITH customers AS (SELECT 1 AS x) SELECT * FROM public.customers').error, /Table customers is not available/);
+    assert.match(validateChatSql('WITH deals AS (SELECT 1 AS x) SELECT x FROM deals').error, /can't be named deals/);
+    assert.ok(validateChatSql('WITH recent AS (SELECT id FROM deals) SELECT r.id FROM recent r').sql);
+});
+
+test('validateChatSql only resolves column names against the tables and subqueries in scope', () => {
+    assert.match(validateChatSql('SELECT body AS body FROM messages').error, /Column body is not available/);
+    assert.match(validateChatSql('SELECT payload AS payload FROM deal_tasks').error, /Column payload is not available/);
+    assert.match(validateChatSql('SELECT id AS payload FROM deals UNION SELECT payload FROM deal_tasks').error, /Column payload is not available/);
+    assert.match(validateChatSql('WITH c AS (SELECT 1 AS body) SELECT (SELECT body FROM messages LIMIT 1) FROM c').error, /Column body/);
+    assert.match(validateChatSql('SELECT rank() OVER (ORDER BY body) FROM messages').error, /Column body/);
+
+    // Output aliases still work in ORDER BY, and subquery columns outside it
+    assert.ok(validateChatSql('SELECT state, count(*) AS n FROM deals GROUP BY state ORDER BY n DESC').sql);
+    assert.ok(validateChatSql('SELECT s.a FROM (SELECT state FROM deals) s(a)').sql);
+    assert.ok(validateChatSql('SELECT deal_id FROM listings WHERE deal_id IN (SELECT id FROM deals)').sql);
+});
+
+test('runReadOnlyQuery runs in a read-only transaction with a timeout and caps the rows', async () => {
+    const pool = fakePool(4);
+    const result = await runReadOnlyQuery(pool, 'SELECT id FROM deals', { timeoutMs: 5000, maxRows: 3 });
+
+    assert.deepStrictEqual([result.rowCount, result.truncated], [3, true]);
+    assert.deepStrictEqual(pool.statements.map(sql => sql.split('\n')[0]), [
+        'BEGIN TRANSACTION READ ONLY',
+        'SET LOCAL statement_timeout = 5000',
+        'SELECT * FROM (',
+        'ROLLBACK'
+    ]);
+    assert.match(pool.statements[2], /\) AS chat_query LIMIT 4$/);
+    assert.ok(pool.client.released);
+
+    assert.strictEqual((await runReadOnlyQuery(fakePool(2), 'SELECT id FROM deals', { timeoutMs: 5000, maxRows: 3 })).truncated, false);
+});
+
+test('runReadOnlyQuery rolls back and releases the connection when the query fails', async () => {
+    const pool = fakePool(0, 'chat_query');
+    await assert.rejects(runReadOnlyQuery(pool, 'SELECT id FROM deals', { timeoutMs: 10, maxRows: 3 }), { code: '57014' });
+    assert.strictEqual(pool.statements[pool.statements.length - 1], 'ROLLBACK');
+    assert.ok(pool.client.released);
+});
+
+test('runReadOnlyQuery asks Postgres to cancel the running query when the signal aborts', async () => {
+    const pool = fakePool(0);
+    let cancelQuery;
+    pool.client.processID = 4242;
+    pool.client.query = async sql => {
+        pool.statements.push(sql);
+        if (!sql.includes('chat_query')) return { rows: [] };
+        return new Promise((resolve, reject) => {
+            cancelQuery = () => reject(Object.assign(new Error('canceling statement due to user request'), { code: '57014' }));
+        });
+    };
+    const cancels = [];
+    pool.query = async (sql, params) => {
+        cancels.push([sql, params]);
+        cancelQuery();
+        return { rows: [] };
+    };
+
+    const controller = new AbortController();
+    const running = runReadOnlyQuery(pool, 'SELECT id FROM deals', { timeoutMs: 5000, maxRows: 3, signal: controller.signal });
+    await new Promise(resolve => setImmediate(resolve));
+    controller.abort();
+
+    await assert.rejects(running, { code: '57014' });
+    assert.deepStrictEqual(cancels, [['SELECT pg_cancel_backend($1)', [4242]]]);
+    assert.strictEqual(pool.statements[pool.statements.length - 1], 'ROLLBACK');
+    assert.ok(pool.client.released);
+    await assert.rejects(runReadOnlyQuery(pool, 'SELECT id FROM deals', { timeoutMs: 5000, maxRows: 3, signal: controller.signal }), { name: 'AbortError' });
+});
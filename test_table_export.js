@@ -0,0 +1,83 @@
+// Unit tests for table-export.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { EXPORT_TABLES, getExportFormat, buildTableRows, toCsv, toXlsx } = require('./table-export.js');
+
+const rankedDealer = {
+    dealer_id: 1,
+    dealer_name: 'Braman, "BMW"',
+    location: 'Miami, FL',
+    group: { id: 'braman', name: 'Braman' },
+    grading: {
+        grade: 'B',
+        label: 'Good',
+        dealCount: 12,
+        averageScores: { excessive: 88.123, illegitimate: 91.456, overall: 90.04 },
+        adjustedScore: 84.96,
+        provisional: false,
+        confidence: { level: 0.9, lower: 80.11, upper: 89.81 },
+        averageFees: { excessive: 512.345, illegitimate: 0 },
+        gradeDistribution: { A: 6, B: 4, C: 1, D: 1, F: 0 }
+    }
+};
+
+// Files in a zip archive, read back from the central directory
+function unzip(buffer) {
+    const files = {};
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    let offset = buffer.readUInt32LE(end + 16);
+    for (let i = 0; i < buffer.readUInt16LE(end + 10); i++) {
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+        files[name] = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize)).toString('utf8');
+        offset += 46 + nameLength;
+    }
+    return files;
+}
+
+test('getExportFormat accepts csv, xlsx and json only', () => {
+    assert.deepStrictEqual(getExportFormat({}), { format: null });
+    assert.deepStrictEqual(getExportFormat({ format: 'json' }), { format: null });
+    assert.deepStrictEqual(getExportFormat({ format: 'xlsx' }), { format: 'xlsx' });
+    assert.ok(getExportFormat({ format: 'pdf' }).error);
+});
+
+test('rankings rows flatten grading fields under stable headers', () => {
+    const rows = buildTableRows('dealership-rankings', [rankedDealer]);
+
+    assert.deepStrictEqual(rows[0], EXPORT_TABLES['dealership-rankings'].columns.map(column => column.header));
+    const row = Object.fromEntries(rows[0].map((header, i) => [header, rows[1][i]]));
+    assert.strictEqual(row.Rank, 1);
+    assert.strictEqual(row.Group, 'Braman');
+    assert.strictEqual(row['Adjusted Score'], 85);
+    assert.strictEqual(row['Confidence Lower'], 80.1);
+    assert.strictEqual(row['Avg Excessive Fees'], 512.35);
+    assert.strictEqual(row.Provisional, false);
+    assert.strictEqual(row['D Deals'], 1);
+});
+
+test('toCsv quotes delimiters and neutralizes formulas', () => {
+    const csv = toCsv([['Dealer', 'Note', 'Fee'], ['Braman, "BMW"', '=HYPERLINK("x")', -12.5], [null, 'line\nbreak', true]]);
+
+    assert.strictEqual(csv, 'Dealer,Note,Fee\r\n"Braman, ""BMW""","\'=HYPERLINK(""x"")",-12.5\r\n,"line\nbreak",true\r\n');
+});
+
+test('toXlsx writes a workbook with typed cells', () => {
+    const rows = buildTableRows('dealership-rankings', [rankedDealer]);
+    const files = unzip(toXlsx(rows, 'Rankings'));
+
+    assert.deepStrictEqual(Object.keys(files).sort(), [
+        '[Content_Types].xml', '_rels/.rels', 'xl/_rels/workbook.xml.rels', 'xl/workbook.xml', 'xl/worksheets/sheet1.xml'
+    ]);
+    assert.match(files['xl/workbook.xml'], /<sheet name="Rankings"/);
+    const sheet = files['xl/worksheets/sheet1.xml'];
+    assert.match(sheet, /<c r="A1" t="inlineStr"><is><t xml:space="preserve">Rank<\/t><\/is><\/c>/);
+    assert.match(sheet, /<c r="C2" t="inlineStr"><is><t xml:space="preserve">Braman, &quot;BMW&quot;<\/t><\/is><\/c>/);
+    assert.match(sheet, /<c r="I2"><v>85<\/v><\/c>/);
+    assert.match(sheet, /<c r="M2" t="b"><v>0<\/v><\/c>/);
+});
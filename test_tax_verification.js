@@ -0,0 +1,113 @@
+// Unit tests for tax-verification.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { calculateExpectedTax, verifyQuotedTax, summarizeTaxVerifications } = require('./tax-verification.js');
+
+const rates = {
+    stateRate: 0.06,
+    surtaxCapPerVehicle: 5000,
+    toleranceAmount: 10,
+    nonTaxableFeeCategories: ['tag_title', 'state_fees'],
+    nonTaxableFeeNames: ['Electronic Registration Fee'],
+    countySurtaxRates: { 'Miami-Dade': 0.01, Monroe: 0.015 }
+};
+
+const taxonomy = {
+    categories: [
+        { id: 'doc_fee', label: 'Doc Fee', keywords: ['doc'] },
+        { id: 'tag_title', label: 'Tag / Title', keywords: ['tag', 'title'] },
+        { id: 'state_fees', label: 'State Fees', keywords: ['tire', 'battery'] }
+    ],
+    aliases: {}
+};
+
+const fees = [
+    { label: 'Doc Fee', amount: 1000 },
+    { label: 'Tag & Title', amount: 300 },
+    { label: 'Battery Fee', amount: 1.5 },
+    { label: 'Electronic Registration Fee', amount: 200 }
+];
+
+test('calculateExpectedTax applies the state rate and capped county surtax', () => {
+    const result = calculateExpectedTax({ price: 30000, fees, county: 'Miami-Dade' }, rates, taxonomy);
+
+    assert.strictEqual(result.taxableFees, 1000);
+    assert.strictEqual(result.nonTaxableFees, 501.5);
+    assert.strictEqual(result.taxableAmount, 31000);
+    assert.strictEqual(result.stateTax, 1860);
+    assert.strictEqual(result.surtaxBase, 5000);
+    assert.strictEqual(result.surtax, 50);
+    assert.strictEqual(result.expectedTax, 1910);
+});
+
+test('calculateExpectedTax credits the trade-in', () => {
+    const result = calculateExpectedTax({ price: 30000, fees: [], tradeInValue: 10000, county: 'Monroe' }, rates, taxonomy);
+
+    assert.strictEqual(result.tradeInCredit, 10000);
+    assert.strictEqual(result.taxableAmount, 20000);
+    assert.strictEqual(result.expectedTax, 1200 + 75);
+});
+
+test('calculateExpectedTax limits the surtax base to the taxable amount', () => {
+    const result = calculateExpectedTax({ price: 8000, fees: [], tradeInValue: 5000, county: 'Miami-Dade' }, rates, taxonomy);
+
+    assert.strictEqual(result.surtaxBase, 3000);
+    assert.strictEqual(result.expectedTax, 180 + 30);
+});
+
+test('verifyQuotedTax accepts a quote within tolerance', () => {
+    const result = verifyQuotedTax({ quotedTax: 1915, price: 30000, fees, county: 'Miami-Dade' }, rates, taxonomy);
+
+    assert.strictEqual(result.status, 'ok');
+    assert.strictEqual(result.difference, 5);
+    assert.deepStrictEqual(result.flags, []);
+});
+
+test('verifyQuotedTax flags tax charged on the trade-in', () => {
+    const result = verifyQuotedTax({ quotedTax: 1850, price: 30000, tradeInValue: 10000, county: 'Miami-Dade' }, rates, taxonomy);
+
+    assert.strictEqual(result.status, 'overcharged');
+    assert.strictEqual(result.difference, 600);
+    assert.strictEqual(result.flags[1], 'Tax appears to be charged on the trade-in value');
+});
+
+test('verifyQuotedTax flags surtax charged past the cap', () => {
+    const result = verifyQuotedTax({ quotedTax: 2170, price: 31000, county: 'Miami-Dade' }, rates, taxonomy);
+
+    assert.strictEqual(result.status, 'overcharged');
+    assert.match(result.flags[1], /beyond the \$5,000 cap/);
+});
+
+test('verifyQuotedTax flags tax on government fees', () => {
+    const result = verifyQuotedTax({ quotedTax: 1940, price: 30000, fees, county: 'Miami-Dade' }, rates, taxonomy);
+
+    assert.strictEqual(result.status, 'overcharged');
+    assert.match(result.flags[1], /government tag, title or state fees/);
+});
+
+test('verifyQuotedTax flags undercharged tax', () => {
+    const result = verifyQuotedTax({ quotedTax: 1800, price: 30000, fees, county: 'Miami-Dade' }, rates, taxonomy);
+
+    assert.strictEqual(result.status, 'undercharged');
+    assert.strictEqual(result.difference, -110);
+});
+
+test('verifyQuotedTax skips deals without a quote or a known county', () => {
+    assert.strictEqual(verifyQuotedTax({ quotedTax: 0, price: 30000, county: 'Miami-Dade' }, rates, taxonomy).status, 'not_quoted');
+    assert.strictEqual(verifyQuotedTax({ quotedTax: 1900, price: 30000, county: 'Orange' }, rates, taxonomy).status, 'unknown_county');
+});
+
+test('summarizeTaxVerifications counts statuses and overcharged dollars', () => {
+    const summary = summarizeTaxVerifications([
+        { status: 'ok', difference: 2 },
+        { status: 'overcharged', difference: 300 },
+        { status: 'overcharged', difference: 45.5 },
+        { status: 'undercharged', difference: -20 }
+    ]);
+
+    assert.strictEqual(summary.dealsChecked, 4);
+    assert.strictEqual(summary.flaggedDeals, 3);
+    assert.strictEqual(summary.byStatus.overcharged, 2);
+    assert.strictEqual(summary.overchargedAmount, 345.5);
+});
@@ -0,0 +1,110 @@
+// Unit tests for tier-system.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Rule edits and tier history go to temporary files, so the checked-in defaults are only read
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tier-system-'));
+process.env.TIER_RULES_PATH = path.join(tempDir, 'tier-rules.json');
+process.env.TIER_HISTORY_PATH = path.join(tempDir, 'tier-history.json');
+const {
+    loadTierRules, updateTierRules, assignTier, assignTiers, loadTierHistory, recordTierMembership
+} = require('./tier-system.js');
+
+const tiers = [
+    { id: 'gold', name: 'Gold', rules: { minDeals: 3, minScore: 90, zeroIllegitimateFees: true } },
+    { id: 'silver', name: 'Silver', rules: { minDeals: 2, minScore: 80 } },
+    { id: 'bronze', name: 'Bronze', rules: { minScore: 60, maxScore: 80 } }
+];
+
+function grading({ overall = 90, adjustedScore = overall, dealCount = 5, illegitimate = 0, provisional = false }) {
+    return {
+        grade: 'B',
+        dealCount,
+        averageScores: { excessive: overall, illegitimate: overall, overall },
+        adjustedScore,
+        provisional,
+        averageFees: { excessive: 0, illegitimate }
+    };
+}
+
+test('assignTier places a dealer in the first tier whose rules it meets, with the reason', () => {
+    assert.deepStrictEqual(assignTier(grading({ adjustedScore: 92.04 }), tiers), {
+        tierId: 'gold',
+        tierName: 'Gold',
+        reason: 'Meets Gold: 5 analysis deals (minimum 3), score 92 (minimum 90), no illegitimate fees'
+    });
+
+    // Any illegitimate fees keep a dealer out of Gold, whatever its score
+    assert.strictEqual(assignTier(grading({ adjustedScore: 95, illegitimate: 12.345 }), tiers).tierId, 'silver');
+    assert.strictEqual(assignTier(grading({ adjustedScore: 75, dealCount: 1 }), tiers).tierId, 'bronze');
+    assert.strictEqual(assignTier(grading({ adjustedScore: 95, dealCount: 1 }), tiers).tierId, null);
+    assert.deepStrictEqual(assignTier(grading({ adjustedScore: 45 }), tiers), {
+        tierId: null,
+        tierName: 'Unranked',
+        reason: 'Does not meet the rules for any tier'
+    });
+});
+
+test('assignTier judges the adjusted score, not the raw average', () => {
+    assert.strictEqual(assignTier(grading({ overall: 96, adjustedScore: 84 }), tiers).tierId, 'silver');
+    assert.strictEqual(assignTier(grading({ overall: 70, adjustedScore: 90 }), tiers).tierId, 'gold');
+});
+
+test('assignTier leaves provisional grades unranked', () => {
+    assert.deepStrictEqual(assignTier(grading({ adjustedScore: 99, dealCount: 3, provisional: true }), tiers), {
+        tierId: null,
+        tierName: 'Unranked',
+        reason: 'Provisional grade: too few analysis deals to place in a tier'
+    });
+});
+
+test('assignTiers reports the adjusted score the tier was judged on', () => {
+    const [assignment] = assignTiers([
+        { dealerId: 7, dealerName: 'Sunshine Motors', location: 'Miami, FL', grading: grading({ overall: 96, adjustedScore: 84.26, illegitimate: 3.456 }) }
+    ], tiers);
+
+    assert.deepStrictEqual(
+        [assignment.dealerId, assignment.tierId, assignment.score, assignment.provisional, assignment.dealCount, assignment.averageIllegitimateFees],
+        [7, 'silver', 84.3, false, 5, 3.46]
+    );
+});
+
+test('updateTierRules validates the tiers and saves them beside the defaults', () => {
+    assert.strictEqual(updateTierRules([]).error, 'tiers must be a non-empty array');
+    assert.strictEqual(updateTierRules([{ id: 'gold' }]).error, 'Every tier needs an id and a name');
+    assert.strictEqual(updateTierRules([tiers[0], tiers[0]]).error, 'Duplicate tier id "gold"');
+    assert.strictEqual(updateTierRules([{ id: 'gold', name: 'Gold', rules: { minScore: '90' } }]).error,
+        'Tier "gold" rules must be non-negative numbers');
+    assert.strictEqual(updateTierRules([{ id: 'gold', name: 'Gold', rules: { minScore: 80, maxScore: 80 } }]).error,
+        'Tier "gold" maxScore must be above minScore');
+    assert.strictEqual(updateTierRules([{ id: 'gold', name: 'Gold', rules: { zeroIllegitimateFees: 'yes' } }]).error,
+        'Tier "gold" zeroIllegitimateFees must be true or false');
+
+    const { tiers: saved } = updateTierRules(tiers);
+    assert.deepStrictEqual(saved.map(t => [t.id, t.description]), [['gold', ''], ['silver', ''], ['bronze', '']]);
+    assert.deepStrictEqual(loadTierRules(), saved);
+    assert.ok(fs.existsSync(process.env.TIER_RULES_PATH));
+});
+
+test('recordTierMembership logs promotions and demotions, explaining a demotion by the rules that failed', () => {
+    const dealer = score => ({ dealerId: 7, dealerName: 'Sunshine Motors', location: 'Miami, FL', grading: grading({ adjustedScore: score }) });
+
+    assert.deepStrictEqual(recordTierMembership(assignTiers([dealer(85)], tiers), tiers, new Date('2026-03-01T00:00:00Z')), []);
+    assert.deepStrictEqual(recordTierMembership(assignTiers([dealer(86)], tiers), tiers, new Date('2026-03-02T00:00:00Z')), []);
+
+    const [promotion] = recordTierMembership(assignTiers([dealer(92)], tiers), tiers, new Date('2026-03-03T00:00:00Z'));
+    assert.deepStrictEqual([promotion.fromTier, promotion.toTier, promotion.direction, promotion.previousScore], ['silver', 'gold', 'promotion', 86]);
+
+    const [demotion] = recordTierMembership(assignTiers([dealer(70)], tiers), tiers, new Date('2026-03-04T00:00:00Z'));
+    assert.deepStrictEqual([demotion.fromTier, demotion.toTier, demotion.direction], ['gold', 'bronze', 'demotion']);
+    assert.strictEqual(demotion.reason, 'No longer meets Gold: score 70 (minimum 90)');
+
+    const history = loadTierHistory();
+    assert.strictEqual(history.changes.length, 2);
+    assert.deepStrictEqual([history.members['7'].tierId, history.members['7'].since], ['bronze', '2026-03-04T00:00:00.000Z']);
+    assert.ok(fs.existsSync(process.env.TIER_HISTORY_PATH));
+});
@@ -0,0 +1,289 @@
+// Tier System for Dealer Ratings
+// Places each graded dealer in the first tier whose entry rules it meets and keeps a
+// history of promotions and demotions
+
+const fs = require('fs');
+const path = require('path');
+const { gradeDealers } = require('./grading-system');
+const { loadDealerGroups, resolveDealerId } = require('./dealer-groups');
+const config = require('./config');
+
+// The checked-in tier rules; edits go to TIER_RULES_PATH (git-ignored), which is read instead once it exists
+const DEFAULT_TIER_RULES_PATH = path.join(__dirname, 'data', 'tier-rules.json');
+const TIER_RULES_PATH = path.resolve(__dirname, config.settings.tierRulesPath);
+const TIER_HISTORY_PATH = path.resolve(__dirname, config.snapshots.tierHistoryPath);
+
+// Load the ordered tier definitions (best tier first)
+function loadTierRules() {
+    const rulesPath = fs.existsSync(TIER_RULES_PATH) ? TIER_RULES_PATH : DEFAULT_TIER_RULES_PATH;
+    return JSON.parse(fs.readFileSync(rulesPath, 'utf8')).tiers;
+}
+
+// Validate tier definitions, returning an error message or null
+function validateTiers(tiers) {
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+        return 'tiers must be a non-empty array';
+    }
+
+    const ids = new Set();
+    for (const tier of tiers) {
+        if (!tier.id || !tier.name) {
+            return 'Every tier needs an id and a name';
+        }
+        if (ids.has(tier.id)) {
+            return `Duplicate tier id "${tier.id}"`;
+        }
+        ids.add(tier.id);
+
+        const rules = tier.rules || {};
+        const numbers = ['minDeals', 'minScore', 'maxScore'].filter(key => rules[key] !== undefined);
+        if (numbers.some(key => typeof rules[key] !== 'number' || rules[key] < 0)) {
+            return `Tier "${tier.id}" rules must be non-negative numbers`;
+        }
+        if (rules.maxScore !== undefined && rules.minScore !== undefined && rules.maxScore <= rules.minScore) {
+            return `Tier "${tier.id}" maxScore must be above minScore`;
+        }
+        if (rules.zeroIllegitimateFees !== undefined && typeof rules.zeroIllegitimateFees !== 'boolean') {
+            return `Tier "${tier.id}" zeroIllegitimateFees must be true or false`;
+        }
+    }
+
+    return null;
+}
+
+// Replace the tier definitions
+function updateTierRules(tiers) {
+    const error = validateTiers(tiers);
+    if (error) return { error };
+
+    const normalized = tiers.map(tier => ({
+        id: tier.id,
+        name: tier.name,
+        description: tier.description || '',
+        rules: tier.rules || {}
+    }));
+    fs.mkdirSync(path.dirname(TIER_RULES_PATH), { recursive: true });
+    fs.writeFileSync(TIER_RULES_PATH, JSON.stringify({ tiers: normalized }, null, 2) + '\n');
+
+    return { tiers: normalized };
+}
+
+// Grade every dealer with analysis-stage fee data
+// Returns [{ dealerId, dealerName, location, grading }]
+async function loadDealerGradings(pool) {
+    const result = await pool.query(`
+        SELECT
+            l.dealer_id,
+            dl.name as dealer_name,
+            dl.city,
+            dl.state_code,
+            d.id as deal_id,
+            dt.payload
+        FROM deals d
+        JOIN listings l ON d.id = l.deal_id
+        JOIN dealers dl ON l.dealer_id = dl.id
+        JOIN deal_tasks dt ON d.id = dt.deal_id AND dt.task_type = 'RISK_ASSESSMENT_UPDATE'
+        WHERE d.state = 'analysis' AND d.is_active = true
+        ORDER BY d.id
+    `);
+
+    const dealers = {};
+    const seenDeals = new Set();
+    const { merges } = loadDealerGroups();
+
+    result.rows.forEach(row => {
+        if (seenDeals.has(row.deal_id)) return;
+
+        const payload = typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload;
+        if (!payload || !Array.isArray(payload.fees)) return;
+        seenDeals.add(row.deal_id);
+
+        let excessiveFees = 0;
+        let illegitimateFees = 0;
+        payload.fees.forEach(fee => {
+            if (fee.assessment === 'EXCESSIVE') excessiveFees += fee.amount || 0;
+            else if (fee.assessment === 'ILLEGITIMATE') illegitimateFees += fee.amount || 0;
+        });
+
+        // Merged duplicate dealers count under the dealer they were merged into
+        const dealerId = resolveDealerId(row.dealer_id, merges);
+        if (!dealers[dealerId] || row.dealer_id === dealerId) {
+            dealers[dealerId] = {
+                dealerId,
+                dealerName: row.dealer_name,
+                location: `${row.city || ''}, ${row.state_code || ''}`,
+                deals: dealers[dealerId] ? dealers[dealerId].deals : []
+            };
+        }
+        dealers[dealerId].deals.push({
+            deal_id: row.deal_id,
+            excessive_fees: excessiveFees,
+            illegitimate_fees: illegitimateFees
+        });
+    });
+
+    const dealerList = Object.values(dealers);
+    const gradings = gradeDealers(dealerList.map(dealer => dealer.deals));
+    return dealerList.map(({ deals, ...dealer }, index) => ({
+        ...dealer,
+        grading: gradings[index]
+    }));
+}
+
+// The score tiers are judged on: the sample-size adjusted score the letter grade comes from
+function tierScore(grading) {
+    return Math.round(grading.adjustedScore * 10) / 10;
+}
+
+// Check one tier's rules against a dealer grading; returns the rules that failed and passed.
+// A provisional grading (too few deals to trust the score) meets no tier
+function checkTierRules(tier, grading) {
+    const rules = tier.rules || {};
+    const score = tierScore(grading);
+    const illegitimate = Math.round((grading.averageFees ? grading.averageFees.illegitimate : 0) * 100) / 100;
+    const passed = [];
+    const failed = [];
+
+    if (grading.provisional) {
+        failed.push('provisional grade (too few deals to place)');
+    }
+    if (rules.minDeals !== undefined) {
+        const message = `${grading.dealCount} analysis deals (minimum ${rules.minDeals})`;
+        (grading.dealCount >= rules.minDeals ? passed : failed).push(message);
+    }
+    if (rules.minScore !== undefined) {
+        const message = `score ${score} (minimum ${rules.minScore})`;
+        (score >= rules.minScore ? passed : failed).push(message);
+    }
+    if (rules.maxScore !== undefined) {
+        const message = `score ${score} (below ${rules.maxScore})`;
+        (score < rules.maxScore ? passed : failed).push(message);
+    }
+    if (rules.zeroIllegitimateFees) {
+        const message = illegitimate === 0 ? 'no illegitimate fees' : `$${illegitimate} average illegitimate fees (none allowed)`;
+        (illegitimate === 0 ? passed : failed).push(message);
+    }
+
+    return { passed, failed };
+}
+
+// Place a dealer in the first tier whose rules it meets (null when it meets none)
+function assignTier(grading, tiers) {
+    for (const tier of tiers) {
+        const { passed, failed } = checkTierRules(tier, grading);
+        if (failed.length === 0) {
+            return {
+                tierId: tier.id,
+                tierName: tier.name,
+                reason: passed.length > 0 ? `Meets ${tier.name}: ${passed.join(', ')}` : `Meets ${tier.name}`
+            };
+        }
+    }
+
+    return {
+        tierId: null,
+        tierName: 'Unranked',
+        reason: grading.provisional
+            ? 'Provisional grade: too few analysis deals to place in a tier'
+            : 'Does not meet the rules for any tier'
+    };
+}
+
+// Assign every graded dealer to a tier
+function assignTiers(dealerGradings, tiers) {
+    return dealerGradings.map(dealer => ({
+        dealerId: dealer.dealerId,
+        dealerName: dealer.dealerName,
+        location: dealer.location,
+        score: tierScore(dealer.grading),
+        grade: dealer.grading.grade,
+        provisional: dealer.grading.provisional,
+        dealCount: dealer.grading.dealCount,
+        averageIllegitimateFees: Math.round(dealer.grading.averageFees.illegitimate * 100) / 100,
+        ...assignTier(dealer.grading, tiers),
+        grading: dealer.grading
+    }));
+}
+
+// Load recorded tier membership: current members and every change
+function loadTierHistory() {
+    if (!fs.existsSync(TIER_HISTORY_PATH)) return { members: {}, changes: [] };
+    return JSON.parse(fs.readFileSync(TIER_HISTORY_PATH, 'utf8'));
+}
+
+// Store the latest tier assignments, logging a promotion or demotion for each dealer whose tier changed
+function recordTierMembership(assignments, tiers, now = new Date()) {
+    const history = loadTierHistory();
+    const rank = tierId => tierId === null ? tiers.length : tiers.findIndex(t => t.id === tierId);
+    const newChanges = [];
+
+    assignments.forEach(assignment => {
+        const key = String(assignment.dealerId);
+        const previous = history.members[key];
+
+        if (previous && previous.tierId === assignment.tierId) {
+            history.members[key] = { ...previous, score: assignment.score, dealCount: assignment.dealCount };
+            return;
+        }
+
+        if (previous) {
+            const previousTier = tiers.find(t => t.id === previous.tierId);
+            const direction = rank(assignment.tierId) < rank(previous.tierId) ? 'promotion' : 'demotion';
+
+            // A demotion is explained by the rules the dealer stopped meeting
+            let reason = assignment.reason;
+            if (direction === 'demotion' && previousTier) {
+                const { failed } = checkTierRules(previousTier, assignment.grading);
+                if (failed.length > 0) reason = `No longer meets ${previousTier.name}: ${failed.join(', ')}`;
+            }
+
+            newChanges.push({
+                date: now.toISOString(),
+                dealerId: assignment.dealerId,
+                dealerName: assignment.dealerName,
+                fromTier: previous.tierId,
+                fromTierName: previous.tierName,
+                toTier: assignment.tierId,
+                toTierName: assignment.tierName,
+                direction,
+                reason,
+                score: assignment.score,
+                previousScore: previous.score
+            });
+        }
+
+        history.members[key] = {
+            dealerName: assignment.dealerName,
+            tierId: assignment.tierId,
+            tierName: assignment.tierName,
+            since: now.toISOString(),
+            score: assignment.score,
+            dealCount: assignment.dealCount
+        };
+    });
+
+    history.changes = history.changes.concat(newChanges);
+    fs.mkdirSync(path.dirname(TIER_HISTORY_PATH), { recursive: true });
+    fs.writeFileSync(TIER_HISTORY_PATH, JSON.stringify(history, null, 2) + '\n');
+
+    return newChanges;
+}
+
+// Grade dealers, assign tiers and record any membership changes
+async function evaluateTiers(pool, now = new Date()) {
+    const tiers = loadTierRules();
+    const assignments = assignTiers(await loadDealerGradings(pool), tiers);
+    const changes = recordTierMembership(assignments, tiers, now);
+    return { tiers, assignments, changes };
+}
+
+module.exports = {
+    loadTierRules,
+    updateTierRules,
+    loadDealerGradings,
+    assignTier,
+    assignTiers,
+    loadTierHistory,
+    recordTierMembership,
+    evaluateTiers
+};